@@ -0,0 +1,27 @@
+// Jest runs tests as CommonJS, so the ES modules in src are compiled for it
+
+/**
+ * Replace import.meta.url with the compiled module's file URL. Modules define
+ * their own __filename from it, so module.filename is used instead
+ */
+const importMetaUrl = ({ template }) => ({
+  visitor: {
+    MetaProperty(path) {
+      const { parentPath } = path;
+      if (
+        parentPath.isMemberExpression() &&
+        parentPath.get("property").isIdentifier({ name: "url" })
+      ) {
+        parentPath.replaceWith(
+          template.expression.ast`require("url").pathToFileURL(module.filename).href`
+        );
+      }
+    },
+  },
+});
+
+module.exports = {
+  presets: [["@babel/preset-env", { targets: { node: "current" } }]],
+  // Default exports are what the tests' require() calls expect
+  plugins: ["add-module-exports", importMetaUrl],
+};
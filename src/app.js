@@ -9,13 +9,22 @@ import { v4 as uuidv4 } from "uuid";
 import config from "./config/config.js";
 import connectDB from "./config/database.js";
 import logger from "./config/logger.js";
+import registerJobs from "./jobs/index.js";
 import errorHandler from "./middleware/errorHandler.js";
 import { trackApiMetrics, trackErrorMetrics } from "./middleware/metrics.js";
 import { securityMiddleware } from "./middleware/security.js";
 import { validateApiVersion } from "./middleware/trueLayerValidation.js";
 import authRoutes from "./routes/authRoutes.js";
+import budgetRoutes from "./routes/budgetRoutes.js";
 import consoleRoutes from "./routes/consoleRoutes.js";
+import insightsRoutes from "./routes/insightsRoutes.js";
+import merchantAccountRoutes from "./routes/merchantAccountRoutes.js";
+import paymentRoutes from "./routes/paymentRoutes.js";
+import payoutRoutes from "./routes/payoutRoutes.js";
 import trueLayerRoutes from "./routes/trueLayerRoutes.js";
+import webhookRoutes from "./routes/webhookRoutes.js";
+import { startScheduler } from "./services/jobScheduler.js";
+import { seedMerchants } from "./services/merchantService.js";
 import { globalErrorHandler } from "./utils/errors.js";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -44,6 +53,10 @@ const app = express();
 app.use(helmet());
 app.use(cors(config.cors));
 
+// Webhooks are verified against their raw body, so they are routed
+// before the JSON parser
+app.use("/api/v1/webhooks", webhookRoutes);
+
 // Request parsing
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -83,6 +96,11 @@ app.use(securityMiddleware);
 app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/truelayer", trueLayerRoutes);
 app.use("/api/v1/console", consoleRoutes);
+app.use("/api/v1/insights", insightsRoutes);
+app.use("/api/v1/budgets", budgetRoutes);
+app.use("/api/v1/payments", paymentRoutes);
+app.use("/api/v1/payouts", payoutRoutes);
+app.use("/api/v1/merchant-accounts", merchantAccountRoutes);
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -120,6 +138,14 @@ const startServer = async () => {
     await connectDB();
     console.log("MongoDB connection initiated");
 
+    await seedMerchants();
+
+    // Every instance polls; job locks ensure each run happens only once
+    if (config.jobs.enabled) {
+      registerJobs();
+      await startScheduler();
+    }
+
     const PORT = process.env.PORT || 5000;
     const server = app.listen(PORT, () => {
       console.log(
@@ -65,18 +65,81 @@ const config = {
       "balance",
       "cards",
       "transactions",
+      "standing_orders",
+      "direct_debits",
       "offline_access",
     ],
     redirectUri:
       process.env.NODE_ENV === "production"
         ? process.env.TRUELAYER_REDIRECT_URI
-        : "http://localhost:3000/callback",
+        : "http://localhost:5000/api/v1/truelayer/callback",
+    frontendRedirects: {
+      success:
+        process.env.TRUELAYER_SUCCESS_REDIRECT_URL ||
+        "http://localhost:3000/connect/success",
+      failure:
+        process.env.TRUELAYER_FAILURE_REDIRECT_URL ||
+        "http://localhost:3000/connect/failure",
+    },
+    paymentReturnUri:
+      process.env.TRUELAYER_PAYMENT_RETURN_URI ||
+      "http://localhost:3000/payments/result",
+    paymentLinkUrl:
+      process.env.TRUELAYER_PAYMENT_LINK_URL || "https://payment.truelayer.com",
+    merchantAccountId: process.env.TRUELAYER_MERCHANT_ACCOUNT_ID,
+    paymentScopes: ["payments"],
+    // Only keys published at these locations can sign webhooks
+    webhookJwksUrls: [
+      "https://webhooks.truelayer.com/.well-known/jwks",
+      "https://webhooks.truelayer-sandbox.com/.well-known/jwks",
+    ],
+    // Local JWKS used instead of fetching TrueLayer's, e.g. in tests
+    webhookJwksFile: process.env.TRUELAYER_WEBHOOK_JWKS_FILE,
     authUrl: "https://auth.truelayer.com",
     tokenEndpoint: "/connect/token",
+    providers: process.env.TRUELAYER_PROVIDERS || "uk-ob-all uk-oauth-all",
+    providersCacheTtl: 24 * 60 * 60, // 1 day
+    resourceOwnerCacheTtl: 15 * 60, // 15 minutes
+    transactionSyncInterval: 15 * 60, // Re-sync stored transactions after 15 minutes
+    transactionSyncOverlap: 7 * 24 * 60 * 60, // Re-fetch 7 days before the watermark
+    merchantDictionaryCacheTtl: 10 * 60, // Pick up merchant dictionary edits within 10 minutes
+    webhookJwksCacheTtl: 60 * 60, // 1 hour, refetched early for an unknown kid
+    webhookJwksRefetchInterval: 60, // Refetch for an unknown kid at most once a minute
+    webhookClaimTimeout: 5 * 60, // Let a redelivery take over handling stuck for 5 minutes
+    webhookUnknownTargetGracePeriod: 60 * 60, // Have events for IDs not yet saved redelivered for an hour
+    webhookTolerance: 5 * 60, // Reject webhooks timestamped more than 5 minutes away
+    authStateTtl: 10 * 60, // 10 minutes
+    tokenRefreshBuffer: 5 * 60, // Refresh tokens expiring within 5 minutes
+    scheduledRefreshWindow: 15 * 60, // Background job refreshes tokens expiring within 15 minutes
+    unconfirmedResubmitDelay: 5 * 60, // Background jobs resubmit requests TrueLayer has not confirmed for 5 minutes
     apiVersion: "v1",
+    paymentsApiVersion: "v3",
     timeout: 10000, // 10 seconds
     retryAttempts: 3,
   },
+  jobs: {
+    enabled: process.env.JOBS_ENABLED !== "false",
+    pollInterval: 30 * 1000, // Check for due jobs every 30 seconds
+    lockTtl: 10 * 60 * 1000, // Treat a job as abandoned 10 minutes after its lock was last renewed
+    lockRenewInterval: 60 * 1000, // Renew a running job's lock every minute
+    historyLimit: 20, // Runs kept per job
+  },
+  insights: {
+    recurringLookbackDays: 400, // Long enough to see an annual charge twice
+    recurringAmountTolerance: 0.2, // Charges within 20% of the typical amount count as the same payment
+    recurringJumpThreshold: 0.1, // Flag a latest charge more than 10% above the previous average
+    spendingWindowDays: 30, // Spending window when no from date is given
+    maxSpendingPeriods: 366, // Periods returned when grouping spending by period
+    forecastDefaultDays: 30, // Days projected when none are requested
+    forecastMaxDays: 90, // Longest forecast, beyond which detected patterns are unreliable
+    forecastSpendLookbackDays: 90, // History used to average day-to-day spending
+  },
+  payouts: {
+    // Payouts above this many minor units, e.g. £500, wait for an admin's approval
+    approvalThreshold: Number(process.env.PAYOUT_APPROVAL_THRESHOLD) || 50000,
+    listLimit: 100, // Most recent payouts returned by a list
+    merchantAccountTransactionsDays: 30, // Reconciliation window when no from date is given
+  },
   cors: {
     origin:
       process.env.NODE_ENV === "production"
@@ -0,0 +1,130 @@
+/**
+ * Spending categories assigned to transactions, independent of the provider's coarse categories
+ */
+const CATEGORIES = {
+  BILLS: "bills",
+  CASH: "cash",
+  EATING_OUT: "eating_out",
+  ENTERTAINMENT: "entertainment",
+  FEES: "fees",
+  GROCERIES: "groceries",
+  HEALTH: "health",
+  HOUSING: "housing",
+  INCOME: "income",
+  SHOPPING: "shopping",
+  SUBSCRIPTIONS: "subscriptions",
+  TRANSFERS: "transfers",
+  TRANSPORT: "transport",
+  TRAVEL: "travel",
+  OTHER: "other",
+};
+
+/**
+ * Well-known merchants, matched against the start of the normalised merchant name
+ */
+const MERCHANT_CATEGORIES = {
+  aldi: CATEGORIES.GROCERIES,
+  asda: CATEGORIES.GROCERIES,
+  "marks spencer": CATEGORIES.GROCERIES,
+  lidl: CATEGORIES.GROCERIES,
+  morrisons: CATEGORIES.GROCERIES,
+  ocado: CATEGORIES.GROCERIES,
+  sainsburys: CATEGORIES.GROCERIES,
+  tesco: CATEGORIES.GROCERIES,
+  waitrose: CATEGORIES.GROCERIES,
+  costa: CATEGORIES.EATING_OUT,
+  deliveroo: CATEGORIES.EATING_OUT,
+  greggs: CATEGORIES.EATING_OUT,
+  mcdonalds: CATEGORIES.EATING_OUT,
+  nandos: CATEGORIES.EATING_OUT,
+  pret: CATEGORIES.EATING_OUT,
+  starbucks: CATEGORIES.EATING_OUT,
+  "just eat": CATEGORIES.EATING_OUT,
+  "uber eats": CATEGORIES.EATING_OUT,
+  tfl: CATEGORIES.TRANSPORT,
+  trainline: CATEGORIES.TRANSPORT,
+  uber: CATEGORIES.TRANSPORT,
+  shell: CATEGORIES.TRANSPORT,
+  bp: CATEGORIES.TRANSPORT,
+  amazon: CATEGORIES.SHOPPING,
+  argos: CATEGORIES.SHOPPING,
+  ebay: CATEGORIES.SHOPPING,
+  ikea: CATEGORIES.SHOPPING,
+  "apple com bill": CATEGORIES.SUBSCRIPTIONS,
+  disney: CATEGORIES.SUBSCRIPTIONS,
+  netflix: CATEGORIES.SUBSCRIPTIONS,
+  spotify: CATEGORIES.SUBSCRIPTIONS,
+  boots: CATEGORIES.HEALTH,
+  "british gas": CATEGORIES.BILLS,
+  "edf energy": CATEGORIES.BILLS,
+  "octopus energy": CATEGORIES.BILLS,
+  "thames water": CATEGORIES.BILLS,
+  vodafone: CATEGORIES.BILLS,
+  airbnb: CATEGORIES.TRAVEL,
+  "british airways": CATEGORIES.TRAVEL,
+  easyjet: CATEGORIES.TRAVEL,
+  ryanair: CATEGORIES.TRAVEL,
+};
+
+/**
+ * Description patterns, tried in order
+ */
+const DESCRIPTION_RULES = [
+  { pattern: /\b(salary|payroll|wages)\b/i, category: CATEGORIES.INCOME },
+  {
+    pattern: /\b(atm|cash withdrawal|cashpoint)\b/i,
+    category: CATEGORIES.CASH,
+  },
+  { pattern: /\b(rent|mortgage)\b/i, category: CATEGORIES.HOUSING },
+  { pattern: /\bcouncil tax\b/i, category: CATEGORIES.BILLS },
+  {
+    pattern: /\b(overdraft|interest charged|fee)\b/i,
+    category: CATEGORIES.FEES,
+  },
+  {
+    pattern: /\b(transfer|to a\/c|faster payment)\b/i,
+    category: CATEGORIES.TRANSFERS,
+  },
+];
+
+/**
+ * Merchant category code ranges, from ISO 18245
+ */
+const MCC_RANGES = [
+  { from: 3000, to: 3350, category: CATEGORIES.TRAVEL }, // Airlines
+  { from: 3351, to: 3999, category: CATEGORIES.TRAVEL }, // Car hire and hotels
+  { from: 4000, to: 4199, category: CATEGORIES.TRANSPORT },
+  { from: 4511, to: 4511, category: CATEGORIES.TRAVEL },
+  { from: 4900, to: 4900, category: CATEGORIES.BILLS }, // Utilities
+  { from: 4814, to: 4816, category: CATEGORIES.BILLS }, // Telecoms
+  { from: 5411, to: 5499, category: CATEGORIES.GROCERIES },
+  { from: 5541, to: 5542, category: CATEGORIES.TRANSPORT }, // Fuel
+  { from: 5812, to: 5814, category: CATEGORIES.EATING_OUT },
+  { from: 5912, to: 5912, category: CATEGORIES.HEALTH }, // Pharmacies
+  { from: 5200, to: 5999, category: CATEGORIES.SHOPPING },
+  { from: 6010, to: 6011, category: CATEGORIES.CASH },
+  { from: 7832, to: 7999, category: CATEGORIES.ENTERTAINMENT },
+  { from: 8011, to: 8099, category: CATEGORIES.HEALTH },
+];
+
+/**
+ * Fallback from TrueLayer's transaction_category
+ */
+const PROVIDER_CATEGORIES = {
+  ATM: CATEGORIES.CASH,
+  BILL_PAYMENT: CATEGORIES.BILLS,
+  CASH: CATEGORIES.CASH,
+  DIRECT_DEBIT: CATEGORIES.BILLS,
+  FEE_CHARGE: CATEGORIES.FEES,
+  INTEREST: CATEGORIES.FEES,
+  STANDING_ORDER: CATEGORIES.TRANSFERS,
+  TRANSFER: CATEGORIES.TRANSFERS,
+};
+
+export {
+  CATEGORIES,
+  DESCRIPTION_RULES,
+  MCC_RANGES,
+  MERCHANT_CATEGORIES,
+  PROVIDER_CATEGORIES,
+};
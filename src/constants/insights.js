@@ -0,0 +1,11 @@
+/**
+ * Dimensions spending can be aggregated by
+ */
+const SPENDING_GROUPS = ["category", "merchant", "account", "period"];
+
+/**
+ * Period lengths for spending over time, as MongoDB $dateTrunc units
+ */
+const SPENDING_PERIODS = ["day", "week", "month"];
+
+export { SPENDING_GROUPS, SPENDING_PERIODS };
@@ -0,0 +1,81 @@
+/**
+ * Merchants seeded into the dictionary collection on startup. Patterns are
+ * normalised merchant keys, matched exactly or as the start of a longer key;
+ * entries already in the collection are left as maintained there.
+ */
+const DEFAULT_MERCHANTS = [
+  { merchantId: "aldi", name: "Aldi", patterns: ["aldi"] },
+  { merchantId: "amazon", name: "Amazon", patterns: ["amazon", "amzn"] },
+  { merchantId: "apple", name: "Apple", patterns: ["apple com bill"] },
+  { merchantId: "argos", name: "Argos", patterns: ["argos"] },
+  { merchantId: "asda", name: "Asda", patterns: ["asda"] },
+  { merchantId: "boots", name: "Boots", patterns: ["boots"] },
+  { merchantId: "bp", name: "BP", patterns: ["bp"] },
+  {
+    merchantId: "british-airways",
+    name: "British Airways",
+    patterns: ["british airways"],
+  },
+  { merchantId: "british-gas", name: "British Gas", patterns: ["british gas"] },
+  { merchantId: "costa", name: "Costa Coffee", patterns: ["costa"] },
+  { merchantId: "deliveroo", name: "Deliveroo", patterns: ["deliveroo"] },
+  { merchantId: "disney-plus", name: "Disney+", patterns: ["disney"] },
+  { merchantId: "easyjet", name: "easyJet", patterns: ["easyjet"] },
+  { merchantId: "ebay", name: "eBay", patterns: ["ebay"] },
+  {
+    merchantId: "edf-energy",
+    name: "EDF Energy",
+    patterns: ["edf energy", "edf"],
+  },
+  { merchantId: "greggs", name: "Greggs", patterns: ["greggs"] },
+  { merchantId: "ikea", name: "IKEA", patterns: ["ikea"] },
+  { merchantId: "just-eat", name: "Just Eat", patterns: ["just eat"] },
+  { merchantId: "lidl", name: "Lidl", patterns: ["lidl"] },
+  {
+    merchantId: "marks-and-spencer",
+    name: "Marks & Spencer",
+    patterns: ["marks spencer", "m s simply food", "m s"],
+  },
+  { merchantId: "mcdonalds", name: "McDonald's", patterns: ["mcdonalds"] },
+  {
+    merchantId: "morrisons",
+    name: "Morrisons",
+    patterns: ["morrisons", "wm morrison"],
+  },
+  { merchantId: "nandos", name: "Nando's", patterns: ["nandos"] },
+  { merchantId: "netflix", name: "Netflix", patterns: ["netflix"] },
+  { merchantId: "ocado", name: "Ocado", patterns: ["ocado"] },
+  {
+    merchantId: "octopus-energy",
+    name: "Octopus Energy",
+    patterns: ["octopus energy"],
+  },
+  { merchantId: "pret", name: "Pret A Manger", patterns: ["pret"] },
+  { merchantId: "ryanair", name: "Ryanair", patterns: ["ryanair"] },
+  {
+    merchantId: "sainsburys",
+    name: "Sainsbury's",
+    patterns: ["sainsburys", "js online grocery"],
+  },
+  { merchantId: "shell", name: "Shell", patterns: ["shell"] },
+  { merchantId: "spotify", name: "Spotify", patterns: ["spotify"] },
+  { merchantId: "starbucks", name: "Starbucks", patterns: ["starbucks"] },
+  { merchantId: "tesco", name: "Tesco", patterns: ["tesco"] },
+  {
+    merchantId: "thames-water",
+    name: "Thames Water",
+    patterns: ["thames water"],
+  },
+  {
+    merchantId: "tfl",
+    name: "Transport for London",
+    patterns: ["tfl", "tfl travel ch", "transport for london"],
+  },
+  { merchantId: "trainline", name: "Trainline", patterns: ["trainline"] },
+  { merchantId: "uber", name: "Uber", patterns: ["uber"] },
+  { merchantId: "uber-eats", name: "Uber Eats", patterns: ["uber eats"] },
+  { merchantId: "vodafone", name: "Vodafone", patterns: ["vodafone"] },
+  { merchantId: "waitrose", name: "Waitrose", patterns: ["waitrose"] },
+];
+
+export { DEFAULT_MERCHANTS };
@@ -0,0 +1,72 @@
+/**
+ * Lifecycle of a TrueLayer single immediate payment, in order
+ */
+const PAYMENT_STATUSES = [
+  "authorization_required",
+  "authorizing",
+  "authorized",
+  "executed",
+  "settled",
+  "failed",
+];
+
+/**
+ * Statuses a payment cannot leave
+ */
+const FINAL_PAYMENT_STATUSES = ["settled", "failed"];
+
+/**
+ * Lifecycle of a refund of a merchant account payment, in order
+ */
+const REFUND_STATUSES = ["pending", "authorized", "executed", "failed"];
+
+/**
+ * Statuses a refund cannot leave
+ */
+const FINAL_REFUND_STATUSES = ["executed", "failed"];
+
+/**
+ * Lifecycle of a payout from our merchant account, in order; payouts above
+ * the approval threshold start at pending_approval
+ */
+const PAYOUT_STATUSES = [
+  "pending_approval",
+  "pending",
+  "authorized",
+  "executed",
+  "failed",
+  "rejected",
+];
+
+/**
+ * Statuses a payout cannot leave
+ */
+const FINAL_PAYOUT_STATUSES = ["executed", "failed", "rejected"];
+
+/**
+ * Where a payout's money goes: back to the account a payment came from, or
+ * an account an admin gives
+ */
+const PAYOUT_BENEFICIARY_TYPES = ["payment_source", "external_account"];
+
+/**
+ * Where a payment's money goes
+ */
+const BENEFICIARY_TYPES = ["merchant_account", "external_account"];
+
+/**
+ * Currencies the Payments API accepts
+ */
+const PAYMENT_CURRENCIES = ["GBP", "EUR"];
+
+export {
+  BENEFICIARY_TYPES,
+  FINAL_PAYMENT_STATUSES,
+  FINAL_PAYOUT_STATUSES,
+  FINAL_REFUND_STATUSES,
+  PAYMENT_CURRENCIES,
+  PAYMENT_STATUSES,
+  PAYOUT_BENEFICIARY_TYPES,
+  PAYOUT_STATUSES,
+  REFUND_STATUSES,
+};
@@ -0,0 +1,9 @@
+/**
+ * Permissions that can be granted to individual users on top of their role
+ */
+const PERMISSIONS = {
+  // View TrueLayer identity data (names, addresses, phones) unmasked
+  UNMASK_PII: "truelayer:unmask_pii",
+};
+
+export { PERMISSIONS };
@@ -4,7 +4,9 @@ import { v4 as uuidv4 } from "uuid";
 import config from "../config/config.js";
 import logger from "../config/logger.js";
 import TokenBlacklist from "../models/TokenBlacklist.js";
+import TrueLayerAuthState from "../models/TrueLayerAuthState.js";
 import User from "../models/User.js";
+import { connectBank, listConnections } from "../services/connectionService.js";
 import TrueLayerService from "../services/trueLayerService.js";
 import {
   AuthenticationError,
@@ -189,6 +191,8 @@ const getProfile = async (req, res, next) => {
       });
     }
 
+    const connections = await listConnections(user._id);
+
     res.status(200).json({
       status: "success",
       data: {
@@ -198,6 +202,9 @@ const getProfile = async (req, res, next) => {
           email: maskEmail(user.email),
           role: user.role,
           lastLogin: user.lastLogin,
+          bankConnections: connections.map((connection) =>
+            connection.toSummary()
+          ),
         },
       },
     });
@@ -278,7 +285,7 @@ const logout = async (req, res, next) => {
  * @param {Object} res - Express response object
  */
 const exchangeTrueLayerToken = async (req, res) => {
-  const { code } = req.body;
+  const { code, state } = req.body;
   const userId = req.user.id;
   const clientIp = req.ip;
 
@@ -295,8 +302,37 @@ const exchangeTrueLayerToken = async (req, res) => {
       });
     }
 
+    if (!state) {
+      logger.warn("Missing state in token exchange request", {
+        userId,
+        clientIp,
+      });
+      return res.status(400).json({
+        success: false,
+        error: "MISSING_STATE",
+        message: "State is required",
+      });
+    }
+
+    // Consume the state issued with the auth link (single use)
+    const authState = await TrueLayerAuthState.consume(state);
+    if (!authState || authState.userId.toString() !== userId.toString()) {
+      logger.warn("Invalid or expired state in token exchange request", {
+        userId,
+        clientIp,
+      });
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_STATE",
+        message: "State is invalid or has expired",
+      });
+    }
+
     // Exchange the code for tokens
-    const tokens = await TrueLayerService.exchangeAuthorizationCode(code);
+    const tokens = await TrueLayerService.exchangeAuthorizationCode(
+      code,
+      authState.codeVerifier
+    );
 
     // Validate token expiration
     const expiresAt = new Date(Date.now() + tokens.expires_in * 1000);
@@ -313,7 +349,6 @@ const exchangeTrueLayerToken = async (req, res) => {
       });
     }
 
-    // Find user and update tokens with concurrency control
     const user = await User.findById(userId);
     if (!user) {
       logger.error("User not found during token exchange", {
@@ -327,35 +362,27 @@ const exchangeTrueLayerToken = async (req, res) => {
       });
     }
 
-    try {
-      const updatedUser = await user.updateTrueLayerTokens(tokens);
+    // Store the bank as a new connection, or refresh an existing one
+    const connection = await connectBank(userId, tokens, {
+      replacesConnectionId: authState.connectionId,
+    });
 
-      logger.info("Successfully connected user to TrueLayer", {
-        userId,
-        clientIp,
-        expiresAt: updatedUser.trueLayerTokenExpiresAt,
-      });
+    logger.info("Successfully connected user to TrueLayer", {
+      userId,
+      clientIp,
+      connectionId: connection._id,
+      expiresAt: connection.tokenExpiresAt,
+    });
 
-      res.status(200).json({
-        success: true,
-        message: "TrueLayer connection successful",
-        data: {
-          isConnected: updatedUser.trueLayerConnected,
-          expiresAt: updatedUser.trueLayerTokenExpiresAt,
-        },
-      });
-    } catch (updateError) {
-      logger.error("Failed to update user with TrueLayer tokens", {
-        userId,
-        clientIp,
-        error: updateError.message,
-      });
-      return res.status(409).json({
-        success: false,
-        error: "TOKEN_UPDATE_FAILED",
-        message: "Failed to update user tokens due to concurrent modification",
-      });
-    }
+    res.status(200).json({
+      success: true,
+      message: "TrueLayer connection successful",
+      data: {
+        isConnected: true,
+        expiresAt: connection.tokenExpiresAt,
+        connection: connection.toSummary(),
+      },
+    });
   } catch (error) {
     logger.error("TrueLayer token exchange error", {
       userId,
@@ -365,15 +392,16 @@ const exchangeTrueLayerToken = async (req, res) => {
       statusCode: error.response?.status,
     });
 
-    const statusCode = error.response?.status || 500;
+    const statusCode = error.statusCode || error.response?.status || 500;
     const errorResponse = {
       success: false,
       error: "TRUELAYER_EXCHANGE_FAILED",
       message: "Failed to connect to TrueLayer",
     };
 
-    if (error.response?.data?.error) {
-      errorResponse.details = error.response.data.error;
+    const details = error.details || error.response?.data?.error;
+    if (details) {
+      errorResponse.details = details;
     }
 
     res.status(statusCode).json(errorResponse);
@@ -0,0 +1,244 @@
+import logger from "../config/logger.js";
+import Budget from "../models/Budget.js";
+import { getBudgetProgress } from "../services/budgetService.js";
+import { syncUserTransactions } from "../services/transactionService.js";
+
+/**
+ * List the user's budgets
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listBudgets = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const budgets = await Budget.find({ userId }).sort({ category: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: budgets.map((budget) => budget.toSummary()),
+    });
+  } catch (error) {
+    logger.error("Failed to list budgets", { userId, error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: "BUDGET_LIST_FAILED",
+      message: "Failed to list budgets",
+    });
+  }
+};
+
+/**
+ * Create a monthly budget for a category
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createBudget = async (req, res) => {
+  const userId = req.user.id;
+  const { category, limit, currency, rollover } = req.validatedData;
+
+  try {
+    const budget = await Budget.create({
+      userId,
+      category,
+      limit,
+      currency,
+      rollover,
+    });
+
+    logger.info("Budget created", {
+      userId,
+      budgetId: budget.id,
+      category,
+      currency,
+    });
+
+    res.status(201).json({ success: true, data: budget.toSummary() });
+  } catch (error) {
+    // Unique index on user, category and currency
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: "BUDGET_EXISTS",
+        message: `A ${currency} budget for ${category} already exists`,
+      });
+    }
+
+    logger.error("Failed to create budget", { userId, error: error.message });
+
+    res.status(500).json({
+      success: false,
+      error: "BUDGET_CREATE_FAILED",
+      message: "Failed to create budget",
+    });
+  }
+};
+
+/**
+ * Get one of the user's budgets
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getBudget = async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.validatedData;
+
+  try {
+    const budget = await Budget.findOne({ _id: id, userId });
+
+    if (!budget) {
+      return sendBudgetNotFound(res);
+    }
+
+    res.status(200).json({ success: true, data: budget.toSummary() });
+  } catch (error) {
+    logger.error("Failed to get budget", {
+      userId,
+      budgetId: id,
+      error: error.message,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: "BUDGET_FETCH_FAILED",
+      message: "Failed to get budget",
+    });
+  }
+};
+
+/**
+ * Change a budget's limit or rollover
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateBudget = async (req, res) => {
+  const userId = req.user.id;
+  const { id, ...changes } = req.validatedData;
+
+  try {
+    const budget = await Budget.findOneAndUpdate(
+      { _id: id, userId },
+      { $set: changes },
+      { new: true, runValidators: true }
+    );
+
+    if (!budget) {
+      return sendBudgetNotFound(res);
+    }
+
+    logger.info("Budget updated", {
+      userId,
+      budgetId: id,
+      fields: Object.keys(changes),
+    });
+
+    res.status(200).json({ success: true, data: budget.toSummary() });
+  } catch (error) {
+    logger.error("Failed to update budget", {
+      userId,
+      budgetId: id,
+      error: error.message,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: "BUDGET_UPDATE_FAILED",
+      message: "Failed to update budget",
+    });
+  }
+};
+
+/**
+ * Delete one of the user's budgets
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteBudget = async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.validatedData;
+
+  try {
+    const budget = await Budget.findOneAndDelete({ _id: id, userId });
+
+    if (!budget) {
+      return sendBudgetNotFound(res);
+    }
+
+    logger.info("Budget deleted", { userId, budgetId: id });
+
+    res.status(200).json({
+      success: true,
+      message: "Budget deleted successfully",
+    });
+  } catch (error) {
+    logger.error("Failed to delete budget", {
+      userId,
+      budgetId: id,
+      error: error.message,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: "BUDGET_DELETE_FAILED",
+      message: "Failed to delete budget",
+    });
+  }
+};
+
+/**
+ * Get spend to date and projected spend against each budget for a month
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getProgress = async (req, res) => {
+  const userId = req.user.id;
+  const { month } = req.validatedData;
+
+  try {
+    const { failures } = await syncUserTransactions(userId);
+    const progress = await getBudgetProgress(userId, { month });
+
+    const response = { success: true, data: progress };
+
+    // Progress is still computed from stored history when a sync fails
+    if (failures.length > 0) {
+      response.syncFailures = failures;
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    logger.error("Failed to compute budget progress", {
+      userId,
+      month,
+      error: error.message,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: "BUDGET_PROGRESS_FAILED",
+      message: "Failed to compute budget progress",
+    });
+  }
+};
+
+/**
+ * Respond that the budget does not exist or belongs to another user
+ * @private
+ */
+function sendBudgetNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: "BUDGET_NOT_FOUND",
+    message: "Budget not found",
+  });
+}
+
+export {
+  createBudget,
+  deleteBudget,
+  getBudget,
+  getProgress,
+  listBudgets,
+  updateBudget,
+};
@@ -1,6 +1,7 @@
 import logger from "../config/logger.js";
 import User from "../models/User.js";
 import ApiKeyService from "../services/apiKeyService.js";
+import { listJobs } from "../services/jobScheduler.js";
 import {
   ApiKeyError,
   ApiKeyNotFoundError,
@@ -125,6 +126,33 @@ const getApiKeys = async (req, res) => {
   }
 };
 
+/**
+ * Get background jobs with their last run status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getJobs = async (req, res) => {
+  try {
+    const jobs = await listJobs();
+
+    res.json({
+      success: true,
+      data: jobs,
+    });
+  } catch (error) {
+    logger.error("Failed to retrieve jobs", {
+      userId: req.user?.id,
+      error: error.message,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: "JOB_RETRIEVAL_FAILED",
+      message: "Failed to retrieve jobs",
+    });
+  }
+};
+
 /**
  * Delete an API key
  * @param {Object} req - Express request object
@@ -257,4 +285,4 @@ const deleteKey = async (req, res) => {
   }
 };
 
-export { createKey, deleteKey, getApiKeys };
+export { createKey, deleteKey, getApiKeys, getJobs };
@@ -0,0 +1,182 @@
+import logger from "../config/logger.js";
+import { getForecast as projectBalances } from "../services/forecastService.js";
+import {
+  getRecurringPayments,
+  getSpending as aggregateSpending,
+} from "../services/insightsService.js";
+import { syncUserTransactions } from "../services/transactionService.js";
+import { ValidationError } from "../utils/errors.js";
+
+// Forecast failures the client can resolve, e.g. by reconnecting a bank
+const ACTIONABLE_ERROR_CODES = [
+  "USER_NOT_FOUND",
+  "NOT_CONNECTED",
+  "CONSENT_EXPIRED",
+  "TRUELAYER_CONNECTION_EXPIRED",
+];
+
+/**
+ * Get the user's recurring payments and subscriptions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getRecurring = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+
+  try {
+    const { failures } = await syncUserTransactions(userId);
+    const recurring = await getRecurringPayments(userId);
+
+    logger.info("Detected recurring payments", {
+      userId,
+      clientIp,
+      count: recurring.length,
+      syncFailures: failures.length,
+    });
+
+    res.status(200).json(buildInsightsResponse(recurring, failures));
+  } catch (error) {
+    logger.error("Failed to detect recurring payments", {
+      userId,
+      clientIp,
+      error: error.message,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: "INSIGHTS_FAILED",
+      message: "Failed to detect recurring payments",
+    });
+  }
+};
+
+/**
+ * Get the user's spending aggregated by category, merchant, account or period
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSpending = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  const { from, to, groupBy, period, currency } = req.query;
+
+  try {
+    const { failures } = await syncUserTransactions(userId);
+    const spending = await aggregateSpending(userId, {
+      from,
+      to,
+      groupBy,
+      period,
+      currency,
+    });
+
+    logger.info("Aggregated spending", {
+      userId,
+      clientIp,
+      groupBy: spending.groupBy,
+      currencies: spending.currencies.length,
+      syncFailures: failures.length,
+    });
+
+    res.status(200).json(buildInsightsResponse(spending, failures));
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: "VALIDATION_ERROR",
+        message: error.message,
+        details: error.details,
+      });
+    }
+
+    logger.error("Failed to aggregate spending", {
+      userId,
+      clientIp,
+      error: error.message,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: "INSIGHTS_FAILED",
+      message: "Failed to aggregate spending",
+    });
+  }
+};
+
+/**
+ * Project each account's balance forward and predict when it runs low
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getForecast = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  const days = req.query.days ? parseInt(req.query.days, 10) : undefined;
+  const threshold =
+    req.query.threshold !== undefined ? Number(req.query.threshold) : null;
+
+  try {
+    const { failures: syncFailures } = await syncUserTransactions(userId);
+    const { forecast, failures } = await projectBalances(userId, {
+      days,
+      threshold,
+    });
+
+    logger.info("Forecast account balances", {
+      userId,
+      clientIp,
+      days: forecast.days,
+      accountCount: forecast.accounts.length,
+      belowZeroCount: forecast.accounts.filter(
+        (account) => account.belowZeroDate
+      ).length,
+    });
+
+    const response = buildInsightsResponse(forecast, syncFailures);
+    if (failures.length > 0) {
+      response.failedConnections = failures;
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    logger.error("Failed to forecast account balances", {
+      userId,
+      clientIp,
+      error: error.message,
+      errorCode: error.errorCode,
+    });
+
+    if (ACTIONABLE_ERROR_CODES.includes(error.errorCode)) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.errorCode,
+        message: error.message,
+        ...(error.details && { details: error.details }),
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: "INSIGHTS_FAILED",
+      message: "Failed to forecast account balances",
+    });
+  }
+};
+
+/**
+ * Wrap insights computed from stored transactions, noting syncs that failed
+ * @private
+ */
+function buildInsightsResponse(data, failures) {
+  const response = { success: true, data };
+
+  // Insights are still served from stored history when a sync fails
+  if (failures.length > 0) {
+    response.syncFailures = failures;
+  }
+
+  return response;
+}
+
+export { getForecast, getRecurring, getSpending };
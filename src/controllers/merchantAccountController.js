@@ -0,0 +1,85 @@
+import logger from "../config/logger.js";
+import {
+  getMerchantAccountTransactions as reconcileTransactions,
+  getMerchantAccounts as fetchMerchantAccounts,
+} from "../services/merchantAccountService.js";
+import { TrueLayerError } from "../utils/errors.js";
+
+/**
+ * Get our merchant accounts and their balances
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMerchantAccounts = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const accounts = await fetchMerchantAccounts();
+
+    res.status(200).json({ success: true, data: accounts });
+  } catch (error) {
+    logger.error("Failed to fetch merchant accounts", {
+      userId,
+      error: error.message,
+      errorCode: error.errorCode,
+    });
+
+    res.status(502).json({
+      success: false,
+      error: "MERCHANT_ACCOUNTS_FETCH_FAILED",
+      message: "Failed to fetch merchant accounts",
+    });
+  }
+};
+
+/**
+ * Get a merchant account's transactions matched with our payments, refunds and payouts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMerchantAccountTransactions = async (req, res) => {
+  const userId = req.user.id;
+  const { merchantAccountId } = req.params;
+  const { from, to, cursor } = req.query;
+
+  try {
+    const result = await reconcileTransactions(merchantAccountId, {
+      from,
+      to,
+      cursor,
+    });
+
+    logger.info("Reconciled merchant account transactions", {
+      userId,
+      merchantAccountId,
+      count: result.transactions.length,
+      unreconciledCount: result.unreconciledCount,
+    });
+
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    logger.error("Failed to fetch merchant account transactions", {
+      userId,
+      merchantAccountId,
+      error: error.message,
+      errorCode: error.errorCode,
+      statusCode: error.statusCode,
+    });
+
+    if (error instanceof TrueLayerError && error.statusCode === 404) {
+      return res.status(404).json({
+        success: false,
+        error: "MERCHANT_ACCOUNT_NOT_FOUND",
+        message: "Merchant account not found",
+      });
+    }
+
+    res.status(502).json({
+      success: false,
+      error: "MERCHANT_ACCOUNT_TRANSACTIONS_FETCH_FAILED",
+      message: "Failed to fetch merchant account transactions",
+    });
+  }
+};
+
+export { getMerchantAccountTransactions, getMerchantAccounts };
@@ -0,0 +1,182 @@
+import logger from "../config/logger.js";
+import {
+  createPayment as createTrueLayerPayment,
+  createRefund as createTrueLayerRefund,
+  getPayment as getStoredPayment,
+} from "../services/paymentService.js";
+import { AppError, TrueLayerError } from "../utils/errors.js";
+
+// TrueLayer statuses that mean the payment itself was refused, not that we failed to ask
+const REJECTED_STATUS_CODES = [400, 404, 422];
+
+/**
+ * Start a single immediate payment for the user to authorise at their bank
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createPayment = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  const { amountInMinor, currency, beneficiary } = req.validatedData;
+
+  try {
+    const { payment, resourceToken, paymentLink } =
+      await createTrueLayerPayment(req.user, req.validatedData);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...payment.toSummary(),
+        resourceToken,
+        paymentLink,
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to create payment", {
+      userId,
+      clientIp,
+      amountInMinor,
+      currency,
+      beneficiaryType: beneficiary.type,
+      error: error.message,
+      errorCode: error.errorCode,
+      statusCode: error.statusCode,
+    });
+
+    // TrueLayer rejects payments it cannot make, e.g. an unknown provider
+    if (
+      error instanceof TrueLayerError &&
+      REJECTED_STATUS_CODES.includes(error.statusCode)
+    ) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: "PAYMENT_REJECTED",
+        message: "TrueLayer rejected the payment",
+        ...(error.details && { details: error.details }),
+      });
+    }
+
+    res.status(502).json({
+      success: false,
+      error: "PAYMENT_CREATE_FAILED",
+      message: "Failed to create payment",
+    });
+  }
+};
+
+/**
+ * Refund all or part of one of the user's settled payments
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createRefund = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  const { id, amountInMinor, reference } = req.validatedData;
+
+  try {
+    const result = await createTrueLayerRefund(userId, id, {
+      amountInMinor,
+      reference,
+    });
+
+    if (!result) {
+      return sendPaymentNotFound(res);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...result.refund.toSummary(),
+        payment: result.payment.toSummary(),
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to create refund", {
+      userId,
+      clientIp,
+      id,
+      amountInMinor,
+      error: error.message,
+      errorCode: error.errorCode,
+      statusCode: error.statusCode,
+    });
+
+    if (
+      error instanceof TrueLayerError &&
+      REJECTED_STATUS_CODES.includes(error.statusCode)
+    ) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: "REFUND_REJECTED",
+        message: "TrueLayer rejected the refund",
+        ...(error.details && { details: error.details }),
+      });
+    }
+
+    // The payment cannot be refunded, or not by this much
+    if (
+      error instanceof AppError &&
+      !(error instanceof TrueLayerError) &&
+      error.statusCode < 500
+    ) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.errorCode,
+        message: error.message,
+      });
+    }
+
+    res.status(502).json({
+      success: false,
+      error: "REFUND_CREATE_FAILED",
+      message: "Failed to create refund",
+    });
+  }
+};
+
+/**
+ * Get one of the user's payments with its latest status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPayment = async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.validatedData;
+
+  try {
+    const payment = await getStoredPayment(userId, id);
+
+    if (!payment) {
+      return sendPaymentNotFound(res);
+    }
+
+    res.status(200).json({ success: true, data: payment.toSummary() });
+  } catch (error) {
+    logger.error("Failed to get payment", {
+      userId,
+      id,
+      error: error.message,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: "PAYMENT_FETCH_FAILED",
+      message: "Failed to get payment",
+    });
+  }
+};
+
+/**
+ * Respond that the payment does not exist or belongs to another user
+ * @private
+ */
+function sendPaymentNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: "PAYMENT_NOT_FOUND",
+    message: "Payment not found",
+  });
+}
+
+export { createPayment, createRefund, getPayment };
@@ -0,0 +1,235 @@
+import logger from "../config/logger.js";
+import {
+  approvePayout as approveStoredPayout,
+  createPayout as createTrueLayerPayout,
+  getPayout as getStoredPayout,
+  listPayouts as listStoredPayouts,
+  rejectPayout as rejectStoredPayout,
+} from "../services/payoutService.js";
+import { AppError, TrueLayerError } from "../utils/errors.js";
+
+// TrueLayer statuses that mean the payout itself was refused, not that we failed to ask
+const REJECTED_STATUS_CODES = [400, 404, 422];
+
+/**
+ * Approve a payout awaiting approval and send it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const approvePayout = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  const { id } = req.validatedData;
+
+  try {
+    const payout = await approveStoredPayout(req.user, id);
+
+    if (!payout) {
+      return sendPayoutNotFound(res);
+    }
+
+    res.status(200).json({ success: true, data: payout.toSummary() });
+  } catch (error) {
+    logger.error("Failed to approve payout", {
+      userId,
+      clientIp,
+      id,
+      error: error.message,
+      errorCode: error.errorCode,
+      statusCode: error.statusCode,
+    });
+
+    sendPayoutError(res, error, {
+      error: "PAYOUT_APPROVE_FAILED",
+      message: "Failed to approve payout",
+    });
+  }
+};
+
+/**
+ * Pay out from our merchant account to a user's or an external account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createPayout = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  const { amountInMinor, beneficiary } = req.validatedData;
+
+  try {
+    const payout = await createTrueLayerPayout(req.user, req.validatedData);
+
+    if (!payout) {
+      return res.status(404).json({
+        success: false,
+        error: "PAYMENT_NOT_FOUND",
+        message: "Payment not found",
+      });
+    }
+
+    // Accepted rather than created while it waits for an admin
+    res
+      .status(payout.status === "pending_approval" ? 202 : 201)
+      .json({ success: true, data: payout.toSummary() });
+  } catch (error) {
+    logger.error("Failed to create payout", {
+      userId,
+      clientIp,
+      amountInMinor,
+      beneficiaryType: beneficiary.type,
+      error: error.message,
+      errorCode: error.errorCode,
+      statusCode: error.statusCode,
+    });
+
+    sendPayoutError(res, error, {
+      error: "PAYOUT_CREATE_FAILED",
+      message: "Failed to create payout",
+    });
+  }
+};
+
+/**
+ * Get a payout the user requested or is paid by
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPayout = async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.validatedData;
+
+  try {
+    const payout = await getStoredPayout(req.user, id);
+
+    if (!payout) {
+      return sendPayoutNotFound(res);
+    }
+
+    res.status(200).json({ success: true, data: payout.toSummary() });
+  } catch (error) {
+    logger.error("Failed to get payout", {
+      userId,
+      id,
+      error: error.message,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: "PAYOUT_FETCH_FAILED",
+      message: "Failed to get payout",
+    });
+  }
+};
+
+/**
+ * List the user's payouts, or every payout for admins
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listPayouts = async (req, res) => {
+  const userId = req.user.id;
+  const { status } = req.validatedData;
+
+  try {
+    const payouts = await listStoredPayouts(req.user, { status });
+
+    res.status(200).json({
+      success: true,
+      data: payouts.map((payout) => payout.toSummary()),
+    });
+  } catch (error) {
+    logger.error("Failed to list payouts", {
+      userId,
+      status,
+      error: error.message,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: "PAYOUT_FETCH_FAILED",
+      message: "Failed to list payouts",
+    });
+  }
+};
+
+/**
+ * Reject a payout awaiting approval
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rejectPayout = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  const { id, reason } = req.validatedData;
+
+  try {
+    const payout = await rejectStoredPayout(req.user, id, reason);
+
+    if (!payout) {
+      return sendPayoutNotFound(res);
+    }
+
+    res.status(200).json({ success: true, data: payout.toSummary() });
+  } catch (error) {
+    logger.error("Failed to reject payout", {
+      userId,
+      clientIp,
+      id,
+      error: error.message,
+      errorCode: error.errorCode,
+    });
+
+    sendPayoutError(res, error, {
+      error: "PAYOUT_REJECT_FAILED",
+      message: "Failed to reject payout",
+    });
+  }
+};
+
+/**
+ * Respond that the payout does not exist or is not visible to the user
+ * @private
+ */
+function sendPayoutNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    error: "PAYOUT_NOT_FOUND",
+    message: "Payout not found",
+  });
+}
+
+/**
+ * Respond with why a payout could not be made or reviewed
+ * @private
+ */
+function sendPayoutError(res, error, fallback) {
+  // TrueLayer refuses payouts it cannot make, e.g. an unknown payment source
+  if (
+    error instanceof TrueLayerError &&
+    REJECTED_STATUS_CODES.includes(error.statusCode)
+  ) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: "PAYOUT_REJECTED",
+      message: "TrueLayer rejected the payout",
+      ...(error.details && { details: error.details }),
+    });
+  }
+
+  // The payout is not allowed, or not in a state to be reviewed
+  if (
+    error instanceof AppError &&
+    !(error instanceof TrueLayerError) &&
+    error.statusCode < 500
+  ) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.errorCode,
+      message: error.message,
+    });
+  }
+
+  return res.status(502).json({ success: false, ...fallback });
+}
+
+export { approvePayout, createPayout, getPayout, listPayouts, rejectPayout };
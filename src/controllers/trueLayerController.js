@@ -1,84 +1,386 @@
+import config from "../config/config.js";
 import logger from "../config/logger.js";
+import { PERMISSIONS } from "../constants/permissions.js";
+import AuditEvent from "../models/AuditEvent.js";
+import BankConnection from "../models/BankConnection.js";
+import TrueLayerAuthState from "../models/TrueLayerAuthState.js";
 import User from "../models/User.js";
+import {
+  applyCategories,
+  correctCategory,
+} from "../services/categorisationService.js";
+import {
+  collectFromConnections,
+  connectBank,
+  disconnectAll,
+  disconnectConnection,
+  listConnections,
+  resolveConnection,
+} from "../services/connectionService.js";
+import { applyMerchants } from "../services/merchantService.js";
+import { getStoredTransactions } from "../services/transactionService.js";
 import TrueLayerService from "../services/trueLayerService.js";
+import { AuthorizationError } from "../utils/errors.js";
+import { maskSensitiveData } from "../utils/masking.js";
+import { paginate } from "../utils/pagination.js";
+
+// Errors returned to the client as-is rather than as a generic fetch failure
+const ACTIONABLE_ERROR_CODES = [
+  "USER_NOT_FOUND",
+  "CONNECTION_CONFLICT",
+  "CONSENT_EXPIRED",
+  "NOT_CONNECTED",
+  "TRUELAYER_NOT_CONNECTED",
+  "TRUELAYER_CONNECTION_EXPIRED",
+  "TRUELAYER_NOT_FOUND",
+  "TRUELAYER_NOT_SUPPORTED",
+];
 
 /**
- * Get user's bank accounts from TrueLayer
+ * Generate a TrueLayer auth link with a stored state and PKCE verifier
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
-const getAccounts = async (req, res) => {
+const getAuthLink = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+
+  const providerId = req.query.provider_id;
+
+  try {
+    if (providerId && !(await TrueLayerService.getProvider(providerId))) {
+      return res.status(400).json({
+        success: false,
+        error: "INVALID_PROVIDER",
+        message: "Unknown TrueLayer provider",
+      });
+    }
+
+    const authState = await TrueLayerAuthState.createForUser(userId);
+
+    const authUrl = TrueLayerService.buildAuthLink({
+      state: authState.state,
+      codeVerifier: authState.codeVerifier,
+      providerId,
+    });
+
+    logger.info("Generated TrueLayer auth link", {
+      userId,
+      clientIp,
+      providerId,
+      expiresAt: authState.expiresAt,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        authUrl,
+        state: authState.state,
+        expiresAt: authState.expiresAt,
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to generate TrueLayer auth link", {
+      userId,
+      clientIp,
+      error: error.message,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: "AUTH_LINK_FAILED",
+      message: "Failed to generate TrueLayer auth link",
+    });
+  }
+};
+
+/**
+ * Get the TrueLayer provider catalogue, optionally filtered by country and scope
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getProviders = async (req, res) => {
   const userId = req.user.id;
   const clientIp = req.ip;
+  const { country, scope } = req.query;
 
   try {
-    // Get user with TrueLayer tokens
-    const user = await User.findById(userId).select(
-      "+trueLayerAccessToken +trueLayerRefreshToken"
+    const providers = await TrueLayerService.getProviders({ country, scope });
+
+    logger.info("Successfully retrieved providers", {
+      userId,
+      clientIp,
+      country,
+      scope,
+      providerCount: providers.length,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: providers,
+    });
+  } catch (error) {
+    logger.error("Failed to fetch providers", {
+      userId,
+      clientIp,
+      error: error.message,
+      errorCode: error.errorCode,
+      statusCode: error.statusCode,
+    });
+
+    sendTrueLayerError(
+      res,
+      error,
+      "PROVIDERS_FETCH_FAILED",
+      "Failed to fetch providers"
     );
+  }
+};
 
-    if (!user) {
-      logger.error("User not found during accounts fetch", {
-        userId,
+/**
+ * Handle TrueLayer's OAuth redirect and send the user back to the frontend
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const handleCallback = async (req, res) => {
+  const { code, state, error } = req.query;
+  const clientIp = req.ip;
+
+  // Consume the state up front so it cannot be replayed, even on failure
+  const authState = await TrueLayerAuthState.consume(state).catch(
+    (stateError) => {
+      logger.error("Failed to look up TrueLayer callback state", {
         clientIp,
+        error: stateError.message,
       });
-      return res.status(404).json({
-        success: false,
-        error: "USER_NOT_FOUND",
-        message: "User not found",
-      });
+      return null;
     }
+  );
 
-    if (!user.trueLayerConnected) {
-      return res.status(400).json({
-        success: false,
-        error: "NOT_CONNECTED",
-        message: "User not connected to TrueLayer",
+  if (error) {
+    logger.warn("TrueLayer returned an error to the callback", {
+      userId: authState?.userId,
+      clientIp,
+      providerError: error,
+    });
+    return redirectToFrontend(res, "failure", normaliseProviderError(error));
+  }
+
+  if (!authState) {
+    logger.warn("Invalid or expired state in TrueLayer callback", {
+      clientIp,
+    });
+    return redirectToFrontend(res, "failure", "invalid_state");
+  }
+
+  const userId = authState.userId.toString();
+
+  if (!code) {
+    logger.warn("Missing authorization code in TrueLayer callback", {
+      userId,
+      clientIp,
+    });
+    return redirectToFrontend(res, "failure", "missing_code");
+  }
+
+  let tokens;
+  try {
+    tokens = await TrueLayerService.exchangeAuthorizationCode(
+      code,
+      authState.codeVerifier
+    );
+  } catch (exchangeError) {
+    logger.error("TrueLayer token exchange failed in callback", {
+      userId,
+      clientIp,
+      error: exchangeError.message,
+      errorCode: exchangeError.response?.data?.error,
+      statusCode: exchangeError.response?.status,
+    });
+    return redirectToFrontend(res, "failure", "exchange_failed");
+  }
+
+  try {
+    const user = await User.findById(userId);
+    if (!user) {
+      logger.error("User not found during TrueLayer callback", {
+        userId,
+        clientIp,
       });
+      return redirectToFrontend(res, "failure", "user_not_found");
     }
 
-    // Validate and refresh tokens if needed
-    const validTokens = await TrueLayerService.validateAndRefreshTokens(user);
-    if (validTokens !== user.trueLayerAccessToken) {
-      await user.updateTrueLayerTokens(validTokens);
-    }
+    const connection = await connectBank(userId, tokens, {
+      replacesConnectionId: authState.connectionId,
+    });
+
+    logger.info("Successfully connected user to TrueLayer via callback", {
+      userId,
+      clientIp,
+      connectionId: connection._id,
+      reauthenticated: Boolean(authState.connectionId),
+      expiresAt: connection.tokenExpiresAt,
+    });
+
+    return redirectToFrontend(res, "success");
+  } catch (updateError) {
+    logger.error("Failed to store TrueLayer connection in callback", {
+      userId,
+      clientIp,
+      error: updateError.message,
+    });
+    return redirectToFrontend(res, "failure", "token_update_failed");
+  }
+};
+
+/**
+ * Get user's bank accounts from TrueLayer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAccounts = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
 
-    // Fetch accounts from TrueLayer
-    const accounts = await TrueLayerService.getAccounts(
-      validTokens.access_token
+  try {
+    // Fetch accounts from every connected bank
+    const { records: accounts, failures } = await collectFromConnections(
+      userId,
+      (accessToken) => TrueLayerService.getAccounts(accessToken)
     );
 
     logger.info("Successfully retrieved user accounts", {
       userId,
       clientIp,
       accountCount: accounts.length,
+      failedConnectionCount: failures.length,
+    });
+
+    res.status(200).json(
+      buildCollectionResponse(
+        accounts.map((account) =>
+          TrueLayerService.sanitizeAccountData(account)
+        ),
+        failures
+      )
+    );
+  } catch (error) {
+    logger.error("Failed to fetch accounts", {
+      userId,
+      clientIp,
+      error: error.message,
+      errorCode: error.errorCode,
+      statusCode: error.statusCode,
+    });
+
+    sendTrueLayerError(
+      res,
+      error,
+      "ACCOUNTS_FETCH_FAILED",
+      "Failed to fetch accounts"
+    );
+  }
+};
+
+/**
+ * Get a single bank account from TrueLayer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAccount = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  const { accountId } = req.params;
+
+  try {
+    const { accessToken, connection } = await resolveConnection(
+      userId,
+      "accounts",
+      accountId
+    );
+
+    const account = await TrueLayerService.getAccount(accessToken, accountId);
+
+    logger.info("Successfully retrieved user account", {
+      userId,
+      clientIp,
+      accountId,
     });
 
     res.status(200).json({
       success: true,
-      data: accounts,
+      data: TrueLayerService.sanitizeAccountData({
+        ...account,
+        connection_id: connection.id,
+      }),
     });
   } catch (error) {
-    logger.error("Failed to fetch accounts", {
+    logger.error("Failed to fetch account", {
       userId,
       clientIp,
+      accountId,
       error: error.message,
-      errorCode: error.response?.data?.error,
-      statusCode: error.response?.status,
+      errorCode: error.errorCode,
+      statusCode: error.statusCode,
     });
 
-    const statusCode = error.statusCode || 500;
-    const errorResponse = {
-      success: false,
-      error: "ACCOUNTS_FETCH_FAILED",
-      message: "Failed to fetch accounts",
-    };
+    sendTrueLayerError(
+      res,
+      error,
+      "ACCOUNT_FETCH_FAILED",
+      "Failed to fetch account"
+    );
+  }
+};
 
-    if (error.details) {
-      errorResponse.details = error.details;
-    }
+/**
+ * Get the balance of a bank account from TrueLayer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAccountBalance = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  const { accountId } = req.params;
 
-    res.status(statusCode).json(errorResponse);
+  try {
+    const { accessToken } = await resolveConnection(
+      userId,
+      "accounts",
+      accountId
+    );
+
+    const balance = await TrueLayerService.getAccountBalance(
+      accessToken,
+      accountId
+    );
+
+    logger.info("Successfully retrieved account balance", {
+      userId,
+      clientIp,
+      accountId,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: TrueLayerService.sanitizeBalanceData(balance),
+    });
+  } catch (error) {
+    logger.error("Failed to fetch account balance", {
+      userId,
+      clientIp,
+      accountId,
+      error: error.message,
+      errorCode: error.errorCode,
+      statusCode: error.statusCode,
+    });
+
+    sendTrueLayerError(
+      res,
+      error,
+      "BALANCE_FETCH_FAILED",
+      "Failed to fetch account balance"
+    );
   }
 };
 
@@ -91,7 +393,7 @@ const getTransactions = async (req, res) => {
   const userId = req.user.id;
   const clientIp = req.ip;
   const { accountId } = req.params;
-  const { from, to, limit = 50 } = req.query;
+  const { from, to, cursor, limit = 50, live } = req.query;
 
   try {
     // Validate date parameters
@@ -111,58 +413,36 @@ const getTransactions = async (req, res) => {
       });
     }
 
-    // Get user with TrueLayer tokens
-    const user = await User.findById(userId).select(
-      "+trueLayerAccessToken +trueLayerRefreshToken"
-    );
-
-    if (!user) {
-      logger.error("User not found during transactions fetch", {
-        userId,
-        clientIp,
-      });
-      return res.status(404).json({
-        success: false,
-        error: "USER_NOT_FOUND",
-        message: "User not found",
-      });
-    }
-
-    if (!user.trueLayerConnected) {
-      return res.status(400).json({
-        success: false,
-        error: "NOT_CONNECTED",
-        message: "User not connected to TrueLayer",
-      });
-    }
-
-    // Validate and refresh tokens if needed
-    const validTokens = await TrueLayerService.validateAndRefreshTokens(user);
-    if (validTokens !== user.trueLayerAccessToken) {
-      await user.updateTrueLayerTokens(validTokens);
-    }
-
-    // Fetch transactions from TrueLayer
-    const transactions = await TrueLayerService.getTransactions(
-      validTokens.access_token,
-      {
-        accountId,
-        from,
-        to,
-        limit: Math.min(limit, 100), // Cap at 100 transactions
-      }
+    // Read transactions for one account, or merged across every bank
+    const {
+      records: transactions,
+      nextCursor,
+      failures,
+    } = await readTransactions(
+      userId,
+      { collection: "accounts", id: accountId },
+      { from, to, cursor, limit: Number(limit), live: live === "true" },
+      (accessToken) =>
+        TrueLayerService.getTransactions(accessToken, { accountId, from, to })
     );
 
     logger.info("Successfully retrieved user transactions", {
       userId,
       clientIp,
       accountId,
+      live: live === "true",
       transactionCount: transactions.length,
+      hasNextPage: Boolean(nextCursor),
     });
 
     res.status(200).json({
-      success: true,
-      data: transactions,
+      ...buildCollectionResponse(
+        transactions.map((transaction) =>
+          TrueLayerService.sanitizeTransactionData(transaction)
+        ),
+        failures
+      ),
+      next_cursor: nextCursor,
     });
   } catch (error) {
     logger.error("Failed to fetch transactions", {
@@ -170,35 +450,939 @@ const getTransactions = async (req, res) => {
       clientIp,
       accountId,
       error: error.message,
-      errorCode: error.response?.data?.error,
-      statusCode: error.response?.status,
+      errorCode: error.errorCode,
+      statusCode: error.statusCode,
     });
 
-    const statusCode = error.statusCode || 500;
-    const errorResponse = {
-      success: false,
-      error: "TRANSACTIONS_FETCH_FAILED",
-      message: "Failed to fetch transactions",
-    };
+    sendTrueLayerError(
+      res,
+      error,
+      "TRANSACTIONS_FETCH_FAILED",
+      "Failed to fetch transactions"
+    );
+  }
+};
 
-    if (error.details) {
-      errorResponse.details = error.details;
-    }
+/**
+ * Get user's pending transactions from TrueLayer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPendingTransactions = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  const { accountId } = req.params;
+  const { from, to } = req.query;
+
+  try {
+    const { records: transactions, failures } = await fetchTransactions(
+      userId,
+      { collection: "accounts", id: accountId },
+      (accessToken) =>
+        TrueLayerService.getPendingTransactions(accessToken, {
+          accountId,
+          from,
+          to,
+        })
+    );
+
+    logger.info("Successfully retrieved pending transactions", {
+      userId,
+      clientIp,
+      accountId,
+      transactionCount: transactions.length,
+    });
+
+    res.status(200).json(
+      buildCollectionResponse(
+        transactions.map((transaction) =>
+          TrueLayerService.sanitizeTransactionData(transaction)
+        ),
+        failures
+      )
+    );
+  } catch (error) {
+    logger.error("Failed to fetch pending transactions", {
+      userId,
+      clientIp,
+      accountId,
+      error: error.message,
+      errorCode: error.errorCode,
+      statusCode: error.statusCode,
+    });
 
-    res.status(statusCode).json(errorResponse);
+    sendTrueLayerError(
+      res,
+      error,
+      "PENDING_TRANSACTIONS_FETCH_FAILED",
+      "Failed to fetch pending transactions"
+    );
   }
 };
 
 /**
- * Validate ISO 8601 date format (YYYY-MM-DD)
- * @private
+ * Get account holder identity from TrueLayer, masked unless a caller who may
+ * view PII asks for it unmasked
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
  */
-function isValidDate(dateString) {
-  const regex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!regex.test(dateString)) return false;
+const getIdentity = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  // Admins may unmask too, but only when they ask to
+  const unmasked = req.query.unmask === "true";
+  const isAdmin = req.user.role === "admin";
 
-  const date = new Date(dateString);
-  return date instanceof Date && !isNaN(date);
-}
+  if (
+    unmasked &&
+    !isAdmin &&
+    !req.user.permissions?.includes(PERMISSIONS.UNMASK_PII)
+  ) {
+    const error = AuthorizationError.permissionRequired(
+      PERMISSIONS.UNMASK_PII,
+      "Not permitted to view unmasked identity data"
+    );
+
+    logger.warn("Unmasked identity request denied", { userId, clientIp });
+
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.errorCode,
+      message: error.message,
+    });
+  }
 
-export { getAccounts, getTransactions };
+  try {
+    const { records, failures } = await collectFromConnections(
+      userId,
+      (accessToken) => TrueLayerService.getIdentity(accessToken)
+    );
+    const identities = records.map((identity) =>
+      TrueLayerService.sanitizeIdentityData(identity)
+    );
+
+    // KYC cross-check runs on the raw values before masking
+    const profileEmail = req.user.email?.toLowerCase();
+    const emailMatch = identities.some((identity) =>
+      identity.emails.some((email) => email.toLowerCase() === profileEmail)
+    );
+
+    logger.info("Successfully retrieved identity information", {
+      userId,
+      clientIp,
+      holderCount: identities.length,
+      unmasked,
+      emailMatch,
+    });
+
+    if (unmasked) {
+      await recordAuditEvent(userId, clientIp, "truelayer.identity_unmasked", {
+        holderCount: identities.length,
+        role: req.user.role,
+      });
+    }
+
+    res.status(200).json(
+      buildCollectionResponse(
+        {
+          holders: unmasked ? identities : maskSensitiveData(identities),
+          masked: !unmasked,
+          kyc: {
+            emailMatch,
+          },
+        },
+        failures
+      )
+    );
+  } catch (error) {
+    logger.error("Failed to fetch identity information", {
+      userId,
+      clientIp,
+      error: error.message,
+      errorCode: error.errorCode,
+      statusCode: error.statusCode,
+    });
+
+    sendTrueLayerError(
+      res,
+      error,
+      "IDENTITY_FETCH_FAILED",
+      "Failed to fetch identity information"
+    );
+  }
+};
+
+/**
+ * Get an account's standing orders from TrueLayer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getStandingOrders = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  const { accountId } = req.params;
+
+  try {
+    const { accessToken, connection } = await resolveConnection(
+      userId,
+      "accounts",
+      accountId
+    );
+
+    const standingOrders = await TrueLayerService.getStandingOrders(
+      accessToken,
+      accountId
+    );
+
+    logger.info("Successfully retrieved standing orders", {
+      userId,
+      clientIp,
+      accountId,
+      standingOrderCount: standingOrders.length,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: standingOrders.map((standingOrder) =>
+        TrueLayerService.normaliseStandingOrder({
+          ...standingOrder,
+          connection_id: connection.id,
+        })
+      ),
+    });
+  } catch (error) {
+    logger.error("Failed to fetch standing orders", {
+      userId,
+      clientIp,
+      accountId,
+      error: error.message,
+      errorCode: error.errorCode,
+      statusCode: error.statusCode,
+    });
+
+    sendTrueLayerError(
+      res,
+      error,
+      "STANDING_ORDERS_FETCH_FAILED",
+      "Failed to fetch standing orders"
+    );
+  }
+};
+
+/**
+ * Get an account's direct debits from TrueLayer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDirectDebits = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  const { accountId } = req.params;
+
+  try {
+    const { accessToken, connection } = await resolveConnection(
+      userId,
+      "accounts",
+      accountId
+    );
+
+    const directDebits = await TrueLayerService.getDirectDebits(
+      accessToken,
+      accountId
+    );
+
+    logger.info("Successfully retrieved direct debits", {
+      userId,
+      clientIp,
+      accountId,
+      directDebitCount: directDebits.length,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: directDebits.map((directDebit) =>
+        TrueLayerService.normaliseDirectDebit({
+          ...directDebit,
+          connection_id: connection.id,
+        })
+      ),
+    });
+  } catch (error) {
+    logger.error("Failed to fetch direct debits", {
+      userId,
+      clientIp,
+      accountId,
+      error: error.message,
+      errorCode: error.errorCode,
+      statusCode: error.statusCode,
+    });
+
+    sendTrueLayerError(
+      res,
+      error,
+      "DIRECT_DEBITS_FETCH_FAILED",
+      "Failed to fetch direct debits"
+    );
+  }
+};
+
+/**
+ * Correct a stored transaction's category and apply it to the same merchant in future
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateTransactionCategory = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  const { transactionId } = req.params;
+  const { category } = req.body;
+
+  try {
+    const transaction = await correctCategory(userId, transactionId, category);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: "TRANSACTION_NOT_FOUND",
+        message: "Transaction not found",
+      });
+    }
+
+    logger.info("Corrected transaction category", {
+      userId,
+      clientIp,
+      transactionId,
+      category,
+      merchantKey: transaction.merchantKey,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: TrueLayerService.sanitizeTransactionData(
+        transaction.toProviderRecord()
+      ),
+    });
+  } catch (error) {
+    logger.error("Failed to correct transaction category", {
+      userId,
+      clientIp,
+      transactionId,
+      error: error.message,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: "CATEGORY_UPDATE_FAILED",
+      message: "Failed to update transaction category",
+    });
+  }
+};
+
+/**
+ * Get user's cards from TrueLayer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCards = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+
+  try {
+    const { records: cards, failures } = await collectFromConnections(
+      userId,
+      (accessToken) => TrueLayerService.getCards(accessToken)
+    );
+
+    logger.info("Successfully retrieved user cards", {
+      userId,
+      clientIp,
+      cardCount: cards.length,
+      failedConnectionCount: failures.length,
+    });
+
+    res.status(200).json(
+      buildCollectionResponse(
+        cards.map((card) => TrueLayerService.sanitizeCardData(card)),
+        failures
+      )
+    );
+  } catch (error) {
+    logger.error("Failed to fetch cards", {
+      userId,
+      clientIp,
+      error: error.message,
+      errorCode: error.errorCode,
+      statusCode: error.statusCode,
+    });
+
+    sendTrueLayerError(
+      res,
+      error,
+      "CARDS_FETCH_FAILED",
+      "Failed to fetch cards"
+    );
+  }
+};
+
+/**
+ * Get the balance of a card from TrueLayer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCardBalance = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  const { cardId } = req.params;
+
+  try {
+    const { accessToken } = await resolveConnection(userId, "cards", cardId);
+
+    const balance = await TrueLayerService.getCardBalance(accessToken, cardId);
+
+    logger.info("Successfully retrieved card balance", {
+      userId,
+      clientIp,
+      cardId,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: TrueLayerService.sanitizeBalanceData(balance),
+    });
+  } catch (error) {
+    logger.error("Failed to fetch card balance", {
+      userId,
+      clientIp,
+      cardId,
+      error: error.message,
+      errorCode: error.errorCode,
+      statusCode: error.statusCode,
+    });
+
+    sendTrueLayerError(
+      res,
+      error,
+      "CARD_BALANCE_FETCH_FAILED",
+      "Failed to fetch card balance"
+    );
+  }
+};
+
+/**
+ * Get a card's transactions from TrueLayer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCardTransactions = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  const { cardId } = req.params;
+  const { from, to, cursor, limit = 50, live } = req.query;
+
+  try {
+    const { records: transactions, nextCursor } = await readTransactions(
+      userId,
+      { collection: "cards", id: cardId },
+      { from, to, cursor, limit: Number(limit), live: live === "true" },
+      (accessToken) =>
+        TrueLayerService.getCardTransactions(accessToken, { cardId, from, to })
+    );
+
+    logger.info("Successfully retrieved card transactions", {
+      userId,
+      clientIp,
+      cardId,
+      live: live === "true",
+      transactionCount: transactions.length,
+      hasNextPage: Boolean(nextCursor),
+    });
+
+    res.status(200).json({
+      success: true,
+      data: transactions.map((transaction) =>
+        TrueLayerService.sanitizeTransactionData(transaction)
+      ),
+      next_cursor: nextCursor,
+    });
+  } catch (error) {
+    logger.error("Failed to fetch card transactions", {
+      userId,
+      clientIp,
+      cardId,
+      error: error.message,
+      errorCode: error.errorCode,
+      statusCode: error.statusCode,
+    });
+
+    sendTrueLayerError(
+      res,
+      error,
+      "CARD_TRANSACTIONS_FETCH_FAILED",
+      "Failed to fetch card transactions"
+    );
+  }
+};
+
+/**
+ * Get a card's pending transactions from TrueLayer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCardPendingTransactions = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  const { cardId } = req.params;
+  const { from, to } = req.query;
+
+  try {
+    const { records: transactions } = await fetchTransactions(
+      userId,
+      { collection: "cards", id: cardId },
+      (accessToken) =>
+        TrueLayerService.getCardPendingTransactions(accessToken, {
+          cardId,
+          from,
+          to,
+        })
+    );
+
+    logger.info("Successfully retrieved pending card transactions", {
+      userId,
+      clientIp,
+      cardId,
+      transactionCount: transactions.length,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: transactions.map((transaction) =>
+        TrueLayerService.sanitizeTransactionData(transaction)
+      ),
+    });
+  } catch (error) {
+    logger.error("Failed to fetch pending card transactions", {
+      userId,
+      clientIp,
+      cardId,
+      error: error.message,
+      errorCode: error.errorCode,
+      statusCode: error.statusCode,
+    });
+
+    sendTrueLayerError(
+      res,
+      error,
+      "PENDING_CARD_TRANSACTIONS_FETCH_FAILED",
+      "Failed to fetch pending card transactions"
+    );
+  }
+};
+
+/**
+ * List the user's bank connections
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getConnections = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+
+  try {
+    const connections = await listConnections(userId);
+
+    logger.info("Successfully retrieved bank connections", {
+      userId,
+      clientIp,
+      connectionCount: connections.length,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: connections.map((connection) => connection.toSummary()),
+    });
+  } catch (error) {
+    logger.error("Failed to fetch bank connections", {
+      userId,
+      clientIp,
+      error: error.message,
+    });
+
+    res.status(500).json({
+      success: false,
+      error: "CONNECTIONS_FETCH_FAILED",
+      message: "Failed to fetch bank connections",
+    });
+  }
+};
+
+/**
+ * Disconnect one of the user's bank connections, revoking it at TrueLayer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteConnection = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  const { connectionId } = req.params;
+
+  try {
+    const result = await disconnectConnection(userId, connectionId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: "CONNECTION_NOT_FOUND",
+        message: "Bank connection not found",
+      });
+    }
+
+    logger.info("Disconnected bank connection", {
+      userId,
+      clientIp,
+      connectionId,
+      revokedAtProvider: result.revokedAtProvider,
+    });
+
+    await recordAuditEvent(
+      userId,
+      clientIp,
+      "truelayer.connection_disconnected",
+      {
+        connections: [buildDisconnectDetails(result)],
+      }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result.connection.toSummary(),
+    });
+  } catch (error) {
+    logger.error("Failed to disconnect bank connection", {
+      userId,
+      clientIp,
+      connectionId,
+      error: error.message,
+      errorCode: error.errorCode,
+    });
+
+    sendTrueLayerError(
+      res,
+      error,
+      "CONNECTION_DELETE_FAILED",
+      "Failed to disconnect bank connection"
+    );
+  }
+};
+
+/**
+ * Disconnect all of the user's banks, revoking them at TrueLayer and wiping every token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const disconnectBank = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+
+  try {
+    const results = await disconnectAll(userId);
+
+    logger.info("Disconnected user from TrueLayer", {
+      userId,
+      clientIp,
+      connectionCount: results.length,
+    });
+
+    await recordAuditEvent(userId, clientIp, "truelayer.disconnected", {
+      connections: results.map(buildDisconnectDetails),
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        connections: results.map(({ connection }) => connection.toSummary()),
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to disconnect user from TrueLayer", {
+      userId,
+      clientIp,
+      error: error.message,
+      errorCode: error.errorCode,
+    });
+
+    sendTrueLayerError(
+      res,
+      error,
+      "DISCONNECT_FAILED",
+      "Failed to disconnect bank"
+    );
+  }
+};
+
+/**
+ * Generate a re-authentication link for one of the user's bank connections
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reauthConnection = async (req, res) => {
+  const userId = req.user.id;
+  const clientIp = req.ip;
+  const { connectionId } = req.params;
+
+  try {
+    const connection = await BankConnection.findOne({
+      _id: connectionId,
+      userId,
+    }).select("+refreshToken");
+
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        error: "CONNECTION_NOT_FOUND",
+        message: "Bank connection not found",
+      });
+    }
+
+    // Revoked and disconnected connections have no tokens left to renew
+    if (!connection.refreshToken) {
+      return res.status(409).json({
+        success: false,
+        error: "REAUTH_UNAVAILABLE",
+        message: "Connection cannot be re-authenticated, please reconnect",
+      });
+    }
+
+    const authState = await TrueLayerAuthState.createForUser(userId, {
+      connectionId: connection._id,
+    });
+
+    const authUrl = await TrueLayerService.getReauthLink({
+      refreshToken: connection.refreshToken,
+      state: authState.state,
+    });
+
+    logger.info("Generated TrueLayer re-authentication link", {
+      userId,
+      clientIp,
+      connectionId,
+      providerId: connection.providerId,
+      expiresAt: authState.expiresAt,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        authUrl,
+        state: authState.state,
+        expiresAt: authState.expiresAt,
+      },
+    });
+  } catch (error) {
+    logger.error("Failed to generate TrueLayer re-authentication link", {
+      userId,
+      clientIp,
+      connectionId,
+      error: error.message,
+      errorCode: error.errorCode,
+    });
+
+    sendTrueLayerError(
+      res,
+      error,
+      "REAUTH_LINK_FAILED",
+      "Failed to generate re-authentication link"
+    );
+  }
+};
+
+/**
+ * Fetch transactions for a single account or card, or across all connections
+ * @private
+ */
+async function fetchTransactions(userId, { collection, id }, fetcher) {
+  if (id) {
+    const { accessToken, connection } = await resolveConnection(
+      userId,
+      collection,
+      id
+    );
+    const transactions = await fetcher(accessToken);
+
+    return {
+      records: transactions.map((transaction) => ({
+        ...transaction,
+        connection_id: connection.id,
+      })),
+      failures: [],
+    };
+  }
+
+  const { records, failures } = await collectFromConnections(userId, fetcher);
+
+  // Each connection is already sorted, but the merged list needs re-sorting
+  records.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  return { records, failures };
+}
+
+/**
+ * Record an auditable action without failing the already-completed request
+ * @private
+ */
+async function recordAuditEvent(userId, clientIp, action, details) {
+  try {
+    await AuditEvent.record({ userId, action, clientIp, details });
+  } catch (error) {
+    logger.error("Failed to record audit event", {
+      userId,
+      action,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Audit details for a disconnected connection
+ * @private
+ */
+function buildDisconnectDetails({ connection, revokedAtProvider }) {
+  return {
+    connectionId: connection.id,
+    providerId: connection.providerId,
+    revokedAtProvider,
+  };
+}
+
+/**
+ * Read a page of transactions from the local store, or from TrueLayer when live is set
+ * @private
+ */
+async function readTransactions(
+  userId,
+  { collection, id },
+  { from, to, cursor, limit, live },
+  fetcher
+) {
+  if (!live) {
+    return await getStoredTransactions(
+      userId,
+      { resourceType: collection, id },
+      { from, to, cursor, limit }
+    );
+  }
+
+  const { records, failures } = await fetchTransactions(
+    userId,
+    { collection, id },
+    fetcher
+  );
+  const { page, nextCursor } = paginate(records, {
+    cursor,
+    limit,
+    getPosition: getTransactionPosition,
+  });
+
+  return {
+    records: await applyMerchants(await applyCategories(userId, page)),
+    nextCursor,
+    failures,
+  };
+}
+
+/**
+ * Position of a transaction in the booking order used by cursors
+ * @private
+ */
+function getTransactionPosition(transaction) {
+  return { timestamp: transaction.timestamp, id: transaction.transaction_id };
+}
+
+/**
+ * Build a success body, listing connections that could not be read
+ * @private
+ */
+function buildCollectionResponse(data, failures) {
+  const response = { success: true, data };
+
+  if (failures.length > 0) {
+    response.failedConnections = failures;
+  }
+
+  return response;
+}
+
+/**
+ * Send a TrueLayer failure, surfacing errors the client can act on
+ * @private
+ */
+function sendTrueLayerError(res, error, fallbackCode, fallbackMessage) {
+  const isActionable = ACTIONABLE_ERROR_CODES.includes(error.errorCode);
+
+  const errorResponse = {
+    success: false,
+    error: isActionable ? error.errorCode : fallbackCode,
+    message: isActionable ? error.message : fallbackMessage,
+  };
+
+  if (error.details) {
+    errorResponse.details = error.details;
+  }
+
+  res.status(error.statusCode || 500).json(errorResponse);
+}
+
+/**
+ * Redirect to the configured frontend success or failure URL
+ * @private
+ */
+function redirectToFrontend(res, outcome, reason) {
+  const url = new URL(config.trueLayer.frontendRedirects[outcome]);
+  if (reason) {
+    url.searchParams.set("reason", reason);
+  }
+  return res.redirect(302, url.toString());
+}
+
+/**
+ * Map TrueLayer's OAuth error parameter to a reason we expose to the frontend
+ * @private
+ */
+function normaliseProviderError(error) {
+  const knownErrors = ["access_denied", "provider_error", "invalid_request"];
+  return knownErrors.includes(error) ? error : "provider_error";
+}
+
+/**
+ * Validate ISO 8601 date format (YYYY-MM-DD)
+ * @private
+ */
+function isValidDate(dateString) {
+  const regex = /^\d{4}-\d{2}-\d{2}$/;
+  if (!regex.test(dateString)) return false;
+
+  const date = new Date(dateString);
+  return date instanceof Date && !isNaN(date);
+}
+
+export {
+  deleteConnection,
+  disconnectBank,
+  getAccount,
+  getAccountBalance,
+  getAccounts,
+  getAuthLink,
+  getCardBalance,
+  getCardPendingTransactions,
+  getCards,
+  getCardTransactions,
+  getConnections,
+  getDirectDebits,
+  getIdentity,
+  getPendingTransactions,
+  getProviders,
+  getStandingOrders,
+  getTransactions,
+  handleCallback,
+  reauthConnection,
+  updateTransactionCategory,
+};
@@ -0,0 +1,42 @@
+import logger from "../config/logger.js";
+import { handleWebhookEvent } from "../services/webhookService.js";
+import { ValidationError } from "../utils/errors.js";
+
+/**
+ * Receive a verified TrueLayer webhook
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const receiveTrueLayerWebhook = async (req, res) => {
+  const { event_id: eventId, type } = req.body;
+
+  try {
+    const { duplicate } = await handleWebhookEvent(req.body, req.webhook);
+
+    res.status(200).json({ success: true, duplicate });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.errorCode,
+        message: error.message,
+        details: error.details,
+      });
+    }
+
+    logger.error("Failed to process TrueLayer webhook", {
+      eventId,
+      type,
+      error: error.message,
+    });
+
+    // A non-2xx response makes TrueLayer deliver the event again
+    res.status(500).json({
+      success: false,
+      error: "WEBHOOK_PROCESSING_FAILED",
+      message: "Failed to process webhook",
+    });
+  }
+};
+
+export { receiveTrueLayerWebhook };
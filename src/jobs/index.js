@@ -0,0 +1,66 @@
+import config from "../config/config.js";
+import User from "../models/User.js";
+import { refreshExpiringTokens } from "../services/connectionService.js";
+import { registerJob } from "../services/jobScheduler.js";
+import {
+  resubmitPendingPayments,
+  resubmitPendingRefunds,
+} from "../services/paymentService.js";
+import { resubmitPendingPayouts } from "../services/payoutService.js";
+import { syncAllUsers } from "../services/transactionService.js";
+
+/**
+ * Register the application's background jobs with the scheduler
+ */
+const registerJobs = () => {
+  registerJob({
+    name: "cleanup-expired-api-keys",
+    schedule: "0 3 * * *", // Daily at 03:00 UTC
+    handler: async () => {
+      const result = await User.cleanupExpiredKeys();
+      return { modifiedUsers: result.modifiedCount };
+    },
+  });
+
+  registerJob({
+    name: "refresh-truelayer-tokens",
+    schedule: "*/5 * * * *", // Every 5 minutes
+    // The next run comes round sooner than a backoff would
+    maxAttempts: 1,
+    handler: () =>
+      refreshExpiringTokens(config.trueLayer.scheduledRefreshWindow),
+  });
+
+  registerJob({
+    name: "sync-truelayer-accounts",
+    schedule: "0 2 * * *", // Nightly at 02:00 UTC
+    retryDelay: 15 * 60 * 1000,
+    handler: syncAllUsers,
+  });
+
+  registerJob({
+    name: "resubmit-truelayer-payments",
+    schedule: "*/5 * * * *", // Every 5 minutes
+    maxAttempts: 1,
+    handler: () =>
+      resubmitPendingPayments(config.trueLayer.unconfirmedResubmitDelay),
+  });
+
+  registerJob({
+    name: "resubmit-truelayer-refunds",
+    schedule: "*/5 * * * *", // Every 5 minutes
+    maxAttempts: 1,
+    handler: () =>
+      resubmitPendingRefunds(config.trueLayer.unconfirmedResubmitDelay),
+  });
+
+  registerJob({
+    name: "resubmit-truelayer-payouts",
+    schedule: "*/5 * * * *", // Every 5 minutes
+    maxAttempts: 1,
+    handler: () =>
+      resubmitPendingPayouts(config.trueLayer.unconfirmedResubmitDelay),
+  });
+};
+
+export default registerJobs;
@@ -1,6 +1,11 @@
 import passport from "passport";
 import logger from "../config/logger.js";
-import { AuthenticationError, AuthorizationError } from "../utils/errors.js";
+import { verifyWebhook } from "../services/webhookService.js";
+import {
+  AuthenticationError,
+  AuthorizationError,
+  ValidationError,
+} from "../utils/errors.js";
 
 /**
  * Middleware to authenticate requests using JWT
@@ -126,32 +131,34 @@ const validateApiKey = async (req, res, next) => {
 
 /**
  * Middleware to check if request is from TrueLayer
+ * Needs the raw body, so the route must parse it with express.raw
  */
-const validateTrueLayerWebhook = (req, res, next) => {
-  const signature = req.headers["x-tl-webhook-signature"];
-
-  if (!signature) {
-    return next(
-      AuthenticationError.credentialsInvalid(
-        "Missing TrueLayer webhook signature"
-      )
-    );
-  }
-
+const validateTrueLayerWebhook = async (req, res, next) => {
   try {
-    // Verify webhook signature
-    const isValid = verifyTrueLayerSignature(req.body, signature);
+    if (!Buffer.isBuffer(req.body)) {
+      throw new ValidationError("Webhook body must be JSON");
+    }
 
-    if (!isValid) {
-      throw AuthenticationError.credentialsInvalid(
-        "Invalid TrueLayer webhook signature"
-      );
+    const { sentAt } = await verifyWebhook({
+      path: req.originalUrl.split("?")[0],
+      headers: req.headers,
+      body: req.body,
+    });
+
+    let payload;
+    try {
+      payload = JSON.parse(req.body.toString("utf8"));
+    } catch (error) {
+      throw new ValidationError("Invalid JSON payload");
     }
 
+    req.body = payload;
+    req.webhook = { sentAt };
+
     logger.debug("TrueLayer webhook validated successfully", {
       path: req.path,
       method: req.method,
-      webhookType: req.body.type,
+      webhookType: payload.type,
     });
 
     next();
@@ -160,4 +167,4 @@ const validateTrueLayerWebhook = (req, res, next) => {
   }
 };
 
-export { authenticate as authenticateJWT, authorize };
+export { authenticate as authenticateJWT, authorize, validateTrueLayerWebhook };
@@ -1,9 +1,11 @@
-import { param, query, validationResult } from "express-validator";
+import { body, param, query, validationResult } from "express-validator";
+import config from "../config/config.js";
+import { CATEGORIES } from "../constants/categories.js";
+import { SPENDING_GROUPS, SPENDING_PERIODS } from "../constants/insights.js";
+import { decodeCursor } from "../utils/pagination.js";
 
-/**
- * Validate transaction query parameters
- */
-const validateTransactionParams = [
+// Optional from/to window shared by transaction and insights queries
+const dateRangeRules = [
   query("from")
     .optional()
     .isISO8601()
@@ -11,17 +13,164 @@ const validateTransactionParams = [
   query("to")
     .optional()
     .isISO8601()
-    .withMessage("To date must be in ISO 8601 format (YYYY-MM-DD)"),
+    .withMessage("To date must be in ISO 8601 format (YYYY-MM-DD)")
+    .bail()
+    .custom(
+      (to, { req }) =>
+        !req.query.from || new Date(req.query.from) <= new Date(to)
+    )
+    .withMessage("From date must not be after to date"),
+];
+
+/**
+ * Validate transaction query parameters
+ */
+const validateTransactionParams = [
+  ...dateRangeRules,
   query("limit")
     .optional()
     .isInt({ min: 1, max: 100 })
     .withMessage("Limit must be between 1 and 100"),
+  query("cursor")
+    .optional()
+    .custom((cursor) => decodeCursor(cursor) !== null)
+    .withMessage("Cursor must be a value returned as next_cursor"),
+  query("live")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Live must be true or false"),
   param("accountId")
     .optional()
     .isString()
     .trim()
     .notEmpty()
     .withMessage("Account ID must be a valid string"),
+  param("cardId")
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Card ID must be a valid string"),
+  validateResults,
+];
+
+/**
+ * Validate spending insights query parameters
+ */
+const validateSpendingParams = [
+  ...dateRangeRules,
+  query("groupBy")
+    .optional()
+    .isIn(SPENDING_GROUPS)
+    .withMessage(`Group by must be one of: ${SPENDING_GROUPS.join(", ")}`),
+  query("period")
+    .optional()
+    .isIn(SPENDING_PERIODS)
+    .withMessage(`Period must be one of: ${SPENDING_PERIODS.join(", ")}`),
+  query("currency")
+    .optional()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage("Currency must be a three-letter ISO 4217 code"),
+  validateResults,
+];
+
+/**
+ * Validate cash-flow forecast query parameters
+ */
+const validateForecastParams = [
+  query("days")
+    .optional()
+    .isInt({ min: 1, max: config.insights.forecastMaxDays })
+    .withMessage(
+      `Days must be between 1 and ${config.insights.forecastMaxDays}`
+    ),
+  query("threshold")
+    .optional()
+    .isFloat()
+    .withMessage("Threshold must be a number"),
+  validateResults,
+];
+
+/**
+ * Validate merchant account transaction query parameters
+ */
+const validateMerchantAccountTransactionParams = [
+  ...dateRangeRules,
+  query("cursor")
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage("Cursor must be a value returned as nextCursor"),
+  param("merchantAccountId")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Merchant account ID must be a valid string"),
+  validateResults,
+];
+
+/**
+ * Validate provider catalogue query parameters
+ */
+const validateProviderParams = [
+  query("country")
+    .optional()
+    .isAlpha()
+    .isLength({ min: 2, max: 2 })
+    .withMessage("Country must be a two-letter country code"),
+  query("scope")
+    .optional()
+    .isIn(config.trueLayer.scopes)
+    .withMessage(`Scope must be one of: ${config.trueLayer.scopes.join(", ")}`),
+  validateResults,
+];
+
+/**
+ * Validate auth link query parameters
+ */
+const validateAuthLinkParams = [
+  query("provider_id")
+    .optional()
+    .matches(/^[a-z0-9-]+$/i)
+    .withMessage("Provider ID must be a valid TrueLayer provider ID"),
+  validateResults,
+];
+
+/**
+ * Validate bank connection route parameters
+ */
+const validateConnectionParams = [
+  param("connectionId")
+    .isMongoId()
+    .withMessage("Connection ID must be a valid ID"),
+  validateResults,
+];
+
+/**
+ * Validate identity query parameters
+ */
+const validateIdentityParams = [
+  query("unmask")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Unmask must be true or false"),
+  validateResults,
+];
+
+/**
+ * Validate a transaction category correction
+ */
+const validateCategoryUpdate = [
+  param("transactionId")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Transaction ID must be a valid string"),
+  body("category")
+    .isIn(Object.values(CATEGORIES))
+    .withMessage(
+      `Category must be one of: ${Object.values(CATEGORIES).join(", ")}`
+    ),
   validateResults,
 ];
 
@@ -60,4 +209,15 @@ function validateApiVersion(req, res, next) {
   next();
 }
 
-export { validateApiVersion, validateTransactionParams };
+export {
+  validateApiVersion,
+  validateAuthLinkParams,
+  validateCategoryUpdate,
+  validateConnectionParams,
+  validateForecastParams,
+  validateIdentityParams,
+  validateMerchantAccountTransactionParams,
+  validateProviderParams,
+  validateSpendingParams,
+  validateTransactionParams,
+};
@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+const AUDIT_ACTIONS = [
+  "truelayer.connection_disconnected",
+  "truelayer.disconnected",
+  "truelayer.identity_unmasked",
+];
+
+const auditEventSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+    clientIp: {
+      type: String,
+      default: null,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditEventSchema.index({ userId: 1, createdAt: -1 });
+
+/**
+ * Record an auditable action taken on a user's data
+ * @param {Object} event - Event to record
+ * @param {string} event.userId - ID of the affected user
+ * @param {string} event.action - One of the audit actions
+ * @param {string} [event.clientIp] - IP address of the request
+ * @param {Object} [event.details] - Action-specific details, without secrets
+ * @returns {Promise<Object>} Saved event
+ */
+auditEventSchema.statics.record = async function ({
+  userId,
+  action,
+  clientIp,
+  details,
+}) {
+  return await this.create({ userId, action, clientIp, details });
+};
+
+const AuditEvent = mongoose.model("AuditEvent", auditEventSchema);
+
+export default AuditEvent;
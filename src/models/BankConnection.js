@@ -0,0 +1,248 @@
+import mongoose from "mongoose";
+
+const CONNECTION_STATUSES = ["active", "expired", "revoked", "disconnected"];
+
+const transactionSyncSchema = new mongoose.Schema(
+  {
+    // Latest booking timestamp stored for the account
+    watermark: {
+      type: Date,
+      default: null,
+    },
+    syncedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const bankConnectionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    providerId: {
+      type: String,
+      required: true,
+    },
+    providerName: {
+      type: String,
+      default: null,
+    },
+    credentialsId: {
+      type: String,
+      required: true,
+    },
+    accessToken: {
+      type: String,
+      select: false,
+    },
+    refreshToken: {
+      type: String,
+      select: false,
+    },
+    tokenExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    consentExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: CONNECTION_STATUSES,
+      default: "active",
+      index: true,
+    },
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    // Keyed by "<resourceType>:<accountId>"
+    transactionSync: {
+      type: Map,
+      of: transactionSyncSchema,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Reconnecting the same bank login updates the existing connection
+bankConnectionSchema.index({ userId: 1, credentialsId: 1 }, { unique: true });
+
+/**
+ * Create or update a user's connection from a fresh token exchange
+ * @param {string} userId - ID of the connecting user
+ * @param {Object} tokens - TrueLayer token response
+ * @param {Object} metadata - Connection metadata from TrueLayer's /me endpoint
+ * @returns {Promise<Object>} Saved connection
+ */
+bankConnectionSchema.statics.upsertFromTokens = async function (
+  userId,
+  tokens,
+  metadata
+) {
+  return await this.findOneAndUpdate(
+    { userId, credentialsId: metadata.credentialsId },
+    {
+      $set: {
+        providerId: metadata.providerId,
+        providerName: metadata.providerName,
+        accessToken: tokens.access_token,
+        refreshToken: tokens.refresh_token,
+        tokenExpiresAt: new Date(Date.now() + tokens.expires_in * 1000),
+        consentExpiresAt: metadata.consentExpiresAt,
+        status: "active",
+      },
+      $inc: { tokenVersion: 1 },
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+/**
+ * Find a user's connections that have not been revoked or disconnected, with tokens selected
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array>} Active and expired connections
+ */
+bankConnectionSchema.statics.findLinkedForUser = async function (userId) {
+  return await this.find({ userId, status: { $in: ["active", "expired"] } })
+    .select("+accessToken +refreshToken")
+    .sort({ createdAt: 1 });
+};
+
+/**
+ * Move tokens stored on the user by the single-connection integration into a connection
+ * @param {Object} user - User document selected with TrueLayer tokens
+ * @returns {Promise<Object|null>} Imported connection, or null if the user had none
+ */
+bankConnectionSchema.statics.importLegacyTokens = async function (user) {
+  if (!user.trueLayerConnected || !user.trueLayerRefreshToken) {
+    return null;
+  }
+
+  // Provider details were never stored, so the connection is labelled until
+  // the user reconnects
+  const connection = await this.findOneAndUpdate(
+    { userId: user._id, credentialsId: `legacy-${user._id}` },
+    {
+      $setOnInsert: {
+        providerId: "unknown",
+        accessToken: user.trueLayerAccessToken,
+        refreshToken: user.trueLayerRefreshToken,
+        tokenExpiresAt: user.trueLayerTokenExpiresAt,
+        status: "active",
+      },
+    },
+    { upsert: true, new: true }
+  ).select("+accessToken +refreshToken");
+
+  await user.model("User").updateOne(
+    { _id: user._id },
+    {
+      $unset: {
+        trueLayerAccessToken: 1,
+        trueLayerRefreshToken: 1,
+        trueLayerTokenExpiresAt: 1,
+      },
+    }
+  );
+
+  return connection;
+};
+
+/**
+ * Persist refreshed tokens, guarded by the token version
+ * @param {Object} tokens - TrueLayer token response
+ * @returns {Promise<Object>} Updated connection
+ */
+bankConnectionSchema.methods.updateTokens = async function (tokens) {
+  const connection = await this.model("BankConnection").findOneAndUpdate(
+    {
+      _id: this._id,
+      tokenVersion: this.tokenVersion,
+    },
+    {
+      $set: {
+        accessToken: tokens.access_token,
+        refreshToken: tokens.refresh_token,
+        tokenExpiresAt: new Date(Date.now() + tokens.expires_in * 1000),
+        status: "active",
+      },
+      $inc: { tokenVersion: 1 },
+    },
+    { new: true, runValidators: true }
+  );
+
+  if (!connection) {
+    throw new Error("Token update failed due to concurrent modification");
+  }
+
+  return connection;
+};
+
+/**
+ * Change the connection status, wiping tokens once it is revoked or disconnected
+ * @param {string} status - New connection status
+ * @returns {Promise<Object|null>} Updated connection, or null on a version conflict
+ */
+bankConnectionSchema.methods.markStatus = async function (status) {
+  // Uses the same version lock as updateTokens so a concurrent successful
+  // refresh is never overwritten
+  const update = {
+    $set: { status },
+    $inc: { tokenVersion: 1 },
+  };
+
+  // Expired connections keep their refresh token, which TrueLayer needs to
+  // issue a re-authentication link
+  if (["revoked", "disconnected"].includes(status)) {
+    update.$unset = { accessToken: 1, refreshToken: 1, tokenExpiresAt: 1 };
+  }
+
+  return await this.model("BankConnection").findOneAndUpdate(
+    {
+      _id: this._id,
+      tokenVersion: this.tokenVersion,
+    },
+    update,
+    { new: true }
+  );
+};
+
+/**
+ * Whether the bank consent behind this connection has lapsed
+ * @returns {boolean} True once the consent expiry has passed
+ */
+bankConnectionSchema.methods.isConsentExpired = function () {
+  return Boolean(this.consentExpiresAt && this.consentExpiresAt <= new Date());
+};
+
+/**
+ * Public view of the connection, without tokens
+ * @returns {Object} Connection summary
+ */
+bankConnectionSchema.methods.toSummary = function () {
+  return {
+    id: this._id.toString(),
+    providerId: this.providerId,
+    providerName: this.providerName,
+    status: this.status,
+    consentExpiresAt: this.consentExpiresAt,
+    reauthRequired: this.status === "expired" || this.isConsentExpired(),
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+const BankConnection = mongoose.model("BankConnection", bankConnectionSchema);
+
+export default BankConnection;
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+import { CATEGORIES } from "../constants/categories.js";
+
+const budgetSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: Object.values(CATEGORIES),
+      required: true,
+    },
+    // Monthly spending limit in major currency units
+    limit: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    currency: {
+      type: String,
+      required: true,
+      default: "GBP",
+    },
+    // Carry last month's unspent amount, or overspend, into this month
+    rollover: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One budget per category and currency
+budgetSchema.index({ userId: 1, category: 1, currency: 1 }, { unique: true });
+
+/**
+ * Budget as returned by the API
+ * @returns {Object} Budget details
+ */
+budgetSchema.methods.toSummary = function () {
+  return {
+    id: this._id.toString(),
+    category: this.category,
+    limit: this.limit,
+    currency: this.currency,
+    rollover: this.rollover,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+const Budget = mongoose.model("Budget", budgetSchema);
+
+export default Budget;
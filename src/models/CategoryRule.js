@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+import { CATEGORIES } from "../constants/categories.js";
+
+const categoryRuleSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Normalised merchant the rule applies to
+    merchantKey: {
+      type: String,
+      required: true,
+    },
+    category: {
+      type: String,
+      enum: Object.values(CATEGORIES),
+      required: true,
+    },
+    // Transaction whose correction created or last changed the rule
+    sourceTransactionId: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+categoryRuleSchema.index({ userId: 1, merchantKey: 1 }, { unique: true });
+
+/**
+ * Create or replace a user's category rule for a merchant
+ * @param {string} userId - ID of the user
+ * @param {string} merchantKey - Normalised merchant
+ * @param {string} category - Category to assign
+ * @param {string} [sourceTransactionId] - Transaction the rule was learned from
+ * @returns {Promise<Object>} Saved rule
+ */
+categoryRuleSchema.statics.upsertForMerchant = async function (
+  userId,
+  merchantKey,
+  category,
+  sourceTransactionId = null
+) {
+  return await this.findOneAndUpdate(
+    { userId, merchantKey },
+    { $set: { category, sourceTransactionId } },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+const CategoryRule = mongoose.model("CategoryRule", categoryRuleSchema);
+
+export default CategoryRule;
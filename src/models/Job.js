@@ -0,0 +1,220 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+const jobRunSchema = new mongoose.Schema(
+  {
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["success", "failed"],
+      required: true,
+    },
+    attempt: {
+      type: Number,
+      required: true,
+    },
+    instanceId: {
+      type: String,
+      required: true,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const jobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    schedule: {
+      type: String,
+      required: true,
+    },
+    nextRunAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+    // Failed attempts since the last success, reset once retries run out
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // New for every lock taken, so a run only records over its own lock
+    lockToken: {
+      type: String,
+      default: null,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastStatus: {
+      type: String,
+      enum: ["success", "failed", null],
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    history: {
+      type: [jobRunSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Create a job or update its schedule, keeping its run state
+ * @param {string} name - Unique job name
+ * @param {string} schedule - Cron expression
+ * @param {Date} nextRunAt - First run time for a new job
+ * @returns {Promise<Object>} Saved job
+ */
+jobSchema.statics.register = async function (name, schedule, nextRunAt) {
+  const job = await this.findOneAndUpdate(
+    { name },
+    { $setOnInsert: { name, schedule, nextRunAt } },
+    { upsert: true, new: true }
+  );
+
+  // A changed schedule takes effect from now rather than the old next run
+  if (job.schedule !== schedule) {
+    return await this.findOneAndUpdate(
+      { name },
+      { $set: { schedule, nextRunAt } },
+      { new: true }
+    );
+  }
+
+  return job;
+};
+
+/**
+ * Lock a due job so no other instance runs it at the same time
+ * @param {string} name - Job name
+ * @param {string} instanceId - ID of the instance taking the lock
+ * @param {number} lockTtl - Milliseconds without a renewal before the lock is considered abandoned
+ * @returns {Promise<Object|null>} Locked job, or null if it is not due or already locked
+ */
+jobSchema.statics.acquireLock = async function (name, instanceId, lockTtl) {
+  const now = new Date();
+
+  return await this.findOneAndUpdate(
+    {
+      name,
+      nextRunAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    {
+      $set: {
+        lockedBy: instanceId,
+        lockedUntil: new Date(now.getTime() + lockTtl),
+        lockToken: crypto.randomUUID(),
+      },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Extend a lock this run still holds, so a long run is not taken for abandoned
+ * @param {number} lockTtl - Milliseconds from now the lock is held for
+ * @returns {Promise<boolean>} Whether the lock was still held
+ */
+jobSchema.methods.renewLock = async function (lockTtl) {
+  const now = new Date();
+
+  const renewed = await this.model("Job").findOneAndUpdate(
+    { _id: this._id, lockToken: this.lockToken, lockedUntil: { $gt: now } },
+    { $set: { lockedUntil: new Date(now.getTime() + lockTtl) } },
+    { new: true }
+  );
+
+  return Boolean(renewed);
+};
+
+/**
+ * Record a finished run, schedule the next one and release the lock
+ * @param {Object} run - Run details
+ * @param {Date} nextRunAt - When the job should run next
+ * @param {number} attempts - Failed attempts to carry into the next run
+ * @param {number} historyLimit - Number of runs to keep
+ * @returns {Promise<Object|null>} Updated job, or null if the lock was lost
+ */
+jobSchema.methods.recordRun = async function (
+  run,
+  nextRunAt,
+  attempts,
+  historyLimit
+) {
+  return await this.model("Job").findOneAndUpdate(
+    // Another instance that took over an expired lock records its own run
+    { _id: this._id, lockToken: this.lockToken },
+    {
+      $set: {
+        nextRunAt,
+        attempts,
+        lastRunAt: run.startedAt,
+        lastStatus: run.status,
+        lastError: run.error,
+        lockedBy: null,
+        lockedUntil: null,
+        lockToken: null,
+      },
+      $push: { history: { $each: [run], $slice: -historyLimit } },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Public view of the job for the console
+ * @returns {Object} Job summary with recent history, newest first
+ */
+jobSchema.methods.toSummary = function () {
+  return {
+    name: this.name,
+    schedule: this.schedule,
+    nextRunAt: this.nextRunAt,
+    lastRunAt: this.lastRunAt,
+    lastStatus: this.lastStatus,
+    lastError: this.lastError,
+    attempts: this.attempts,
+    running: Boolean(this.lockedUntil && this.lockedUntil > new Date()),
+    history: [...this.history].reverse(),
+  };
+};
+
+const Job = mongoose.model("Job", jobSchema);
+
+export default Job;
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+// Dictionary of canonical merchants that transaction descriptions are mapped to
+const merchantSchema = new mongoose.Schema(
+  {
+    // Stable ID returned to clients, e.g. "sainsburys"
+    merchantId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    // Normalised merchant keys that identify the merchant
+    patterns: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Add merchants missing from the dictionary, leaving maintained entries untouched
+ * @param {Array} merchants - Merchant definitions with merchantId, name and patterns
+ * @returns {Promise<Object>} Bulk write result
+ */
+merchantSchema.statics.seed = async function (merchants) {
+  return await this.bulkWrite(
+    merchants.map((merchant) => ({
+      updateOne: {
+        filter: { merchantId: merchant.merchantId },
+        update: { $setOnInsert: merchant },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+};
+
+const Merchant = mongoose.model("Merchant", merchantSchema);
+
+export default Merchant;
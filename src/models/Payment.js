@@ -0,0 +1,357 @@
+import mongoose from "mongoose";
+import {
+  BENEFICIARY_TYPES,
+  FINAL_PAYMENT_STATUSES,
+  FINAL_REFUND_STATUSES,
+  PAYMENT_CURRENCIES,
+  PAYMENT_STATUSES,
+  REFUND_STATUSES,
+} from "../constants/payments.js";
+
+const beneficiarySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: BENEFICIARY_TYPES,
+      required: true,
+    },
+    merchantAccountId: String,
+    accountHolderName: String,
+    sortCode: String,
+    // Only the last four digits are kept
+    accountNumber: String,
+  },
+  { _id: false }
+);
+
+// Account the user paid from, which payouts can be sent back to
+const paymentSourceSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true,
+    },
+    accountHolderName: String,
+  },
+  { _id: false }
+);
+
+const refundSchema = new mongoose.Schema(
+  {
+    // TrueLayer's refund ID, set once TrueLayer accepts the refund
+    refundId: String,
+    amountInMinor: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    reference: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: REFUND_STATUSES,
+      required: true,
+      default: "pending",
+    },
+    statusUpdatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    failureReason: String,
+    idempotencyKey: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+/**
+ * Apply a refund status reported by TrueLayer
+ * @param {Object} update - Status details
+ * @param {string} update.status - New refund status
+ * @param {Date} [update.at] - When the refund reached this status
+ * @param {string} [update.failureReason] - Why a failed refund failed
+ * @returns {boolean} Whether anything changed
+ */
+refundSchema.methods.applyStatus = function ({
+  status,
+  at = new Date(),
+  failureReason,
+}) {
+  if (
+    FINAL_REFUND_STATUSES.includes(this.status) ||
+    REFUND_STATUSES.indexOf(status) <= REFUND_STATUSES.indexOf(this.status)
+  ) {
+    return false;
+  }
+
+  this.status = status;
+  this.statusUpdatedAt = at;
+  if (status === "failed") {
+    this.failureReason = failureReason;
+  }
+
+  return true;
+};
+
+/**
+ * Refund as returned by the API
+ * @returns {Object} Refund details
+ */
+refundSchema.methods.toSummary = function () {
+  return {
+    id: this._id.toString(),
+    refundId: this.refundId || null,
+    amountInMinor: this.amountInMinor,
+    reference: this.reference,
+    status: this.status,
+    statusUpdatedAt: this.statusUpdatedAt,
+    ...(this.status === "failed" && { failureReason: this.failureReason }),
+    createdAt: this.createdAt,
+  };
+};
+
+// Amount held back for a payout to the payment's source account, until the
+// payout fails or is rejected
+const payoutReservationSchema = new mongoose.Schema(
+  {
+    payout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payout",
+      required: true,
+    },
+    amountInMinor: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
+const paymentSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // TrueLayer's payment ID, set once TrueLayer creates the payment
+    paymentId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    amountInMinor: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    currency: {
+      type: String,
+      enum: PAYMENT_CURRENCIES,
+      required: true,
+    },
+    reference: String,
+    beneficiary: {
+      type: beneficiarySchema,
+      required: true,
+    },
+    // Bank the user chose up front, if any
+    providerId: String,
+    // TrueLayer's ID for the paying user, needed for closed-loop payouts
+    trueLayerUserId: String,
+    paymentSource: paymentSourceSchema,
+    status: {
+      type: String,
+      enum: PAYMENT_STATUSES,
+      required: true,
+      default: "authorization_required",
+    },
+    statusUpdatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    failureStage: String,
+    failureReason: String,
+    idempotencyKey: {
+      type: String,
+      required: true,
+    },
+    // Request sent to TrueLayer, kept only until TrueLayer confirms or
+    // rejects the payment so an unanswered request can be resubmitted
+    submission: {
+      type: mongoose.Schema.Types.Mixed,
+      select: false,
+    },
+    refunds: {
+      type: [refundSchema],
+      default: [],
+    },
+    payouts: {
+      type: [payoutReservationSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+paymentSchema.index({ userId: 1, createdAt: -1 });
+
+/**
+ * Amount refunded or being refunded; failed refunds are not counted
+ * @returns {number} Amount in minor currency units
+ */
+paymentSchema.methods.getRefundedAmount = function () {
+  return this.refunds
+    .filter((refund) => refund.status !== "failed")
+    .reduce((sum, refund) => sum + refund.amountInMinor, 0);
+};
+
+/**
+ * Amount paid back by payouts that have not failed or been rejected
+ * @returns {number} Amount in minor currency units
+ */
+paymentSchema.methods.getPaidOutAmount = function () {
+  return this.payouts.reduce((sum, payout) => sum + payout.amountInMinor, 0);
+};
+
+/**
+ * Amount neither refunded nor paid back
+ * @returns {number} Amount in minor currency units
+ */
+paymentSchema.methods.getAvailableAmount = function () {
+  return (
+    this.amountInMinor - this.getRefundedAmount() - this.getPaidOutAmount()
+  );
+};
+
+/**
+ * Whether the payment can still change status
+ * @returns {boolean} True until the payment settles or fails
+ */
+paymentSchema.methods.isFinal = function () {
+  return FINAL_PAYMENT_STATUSES.includes(this.status);
+};
+
+/**
+ * Apply a status reported by TrueLayer
+ * @param {Object} update - Status details
+ * @param {string} update.status - New payment status
+ * @param {Date} [update.at] - When the payment reached this status
+ * @param {string} [update.failureStage] - Stage a failed payment failed at
+ * @param {string} [update.failureReason] - Why a failed payment failed
+ * @returns {boolean} Whether anything changed
+ */
+paymentSchema.methods.applyStatus = function ({
+  status,
+  at = new Date(),
+  failureStage,
+  failureReason,
+}) {
+  // Webhooks can arrive out of order, so a payment never moves backwards
+  if (
+    this.isFinal() ||
+    PAYMENT_STATUSES.indexOf(status) <= PAYMENT_STATUSES.indexOf(this.status)
+  ) {
+    return false;
+  }
+
+  this.status = status;
+  this.statusUpdatedAt = at;
+  if (status === "failed") {
+    this.failureStage = failureStage;
+    this.failureReason = failureReason;
+  }
+
+  return true;
+};
+
+/**
+ * Payment as returned by the API
+ * @returns {Object} Payment details
+ */
+paymentSchema.methods.toSummary = function () {
+  return {
+    id: this._id.toString(),
+    paymentId: this.paymentId || null,
+    amountInMinor: this.amountInMinor,
+    currency: this.currency,
+    reference: this.reference,
+    beneficiary: this.beneficiary,
+    providerId: this.providerId || null,
+    status: this.status,
+    statusUpdatedAt: this.statusUpdatedAt,
+    ...(this.status === "failed" && {
+      failureStage: this.failureStage,
+      failureReason: this.failureReason,
+    }),
+    refundedAmountInMinor: this.getRefundedAmount(),
+    paidOutAmountInMinor: this.getPaidOutAmount(),
+    refunds: this.refunds.map((refund) => refund.toSummary()),
+    createdAt: this.createdAt,
+  };
+};
+
+/**
+ * Apply an update recording a refund or payout, only if the payment's
+ * refunds and payouts would still not add up to more than was paid
+ * @param {string} id - ID of the stored payment
+ * @param {number} amountInMinor - Amount being refunded or paid back
+ * @param {Object} update - Update recording the refund or payout
+ * @returns {Promise<Object|null>} Updated payment, or null if not enough is left
+ */
+paymentSchema.statics.reserveAmount = function (id, amountInMinor, update) {
+  // One conditional update, so concurrent refunds and payouts cannot
+  // together take more than was paid
+  return this.findOneAndUpdate(
+    {
+      _id: id,
+      $expr: {
+        $lte: [
+          {
+            $add: [
+              sumActiveRefunds("$refunds"),
+              { $sum: "$payouts.amountInMinor" },
+              amountInMinor,
+            ],
+          },
+          "$amountInMinor",
+        ],
+      },
+    },
+    update,
+    { new: true }
+  );
+};
+
+/**
+ * Aggregation expression summing refunds that have not failed
+ * @private
+ */
+function sumActiveRefunds(refunds) {
+  return {
+    $sum: {
+      $map: {
+        input: {
+          $filter: {
+            input: refunds,
+            cond: { $ne: ["$$this.status", "failed"] },
+          },
+        },
+        in: "$$this.amountInMinor",
+      },
+    },
+  };
+}
+
+const Payment = mongoose.model("Payment", paymentSchema);
+
+export default Payment;
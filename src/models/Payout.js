@@ -0,0 +1,176 @@
+import mongoose from "mongoose";
+import {
+  FINAL_PAYOUT_STATUSES,
+  PAYMENT_CURRENCIES,
+  PAYOUT_BENEFICIARY_TYPES,
+  PAYOUT_STATUSES,
+} from "../constants/payments.js";
+import { maskAccountNumber } from "../utils/masking.js";
+
+const payoutBeneficiarySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: PAYOUT_BENEFICIARY_TYPES,
+      required: true,
+    },
+    // Payment whose source account is paid back, for closed-loop payouts
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Payment",
+    },
+    paymentSourceId: String,
+    // TrueLayer's ID for the user who owns the payment source
+    trueLayerUserId: String,
+    accountHolderName: String,
+    // Kept in full so an approved payout can still be submitted, but
+    // masked in API responses
+    iban: String,
+    sortCode: String,
+    accountNumber: String,
+  },
+  { _id: false }
+);
+
+const payoutSchema = new mongoose.Schema(
+  {
+    // TrueLayer's payout ID, set once TrueLayer accepts the payout
+    payoutId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    // User being paid, for closed-loop payouts
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    merchantAccountId: {
+      type: String,
+      required: true,
+    },
+    amountInMinor: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    currency: {
+      type: String,
+      enum: PAYMENT_CURRENCIES,
+      required: true,
+    },
+    reference: {
+      type: String,
+      required: true,
+    },
+    beneficiary: {
+      type: payoutBeneficiarySchema,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: PAYOUT_STATUSES,
+      required: true,
+    },
+    statusUpdatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    rejectionReason: String,
+    failureReason: String,
+    idempotencyKey: {
+      type: String,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+payoutSchema.index({ requestedBy: 1, createdAt: -1 });
+payoutSchema.index({ userId: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Apply a payout status reported by TrueLayer
+ * @param {Object} update - Status details
+ * @param {string} update.status - New payout status
+ * @param {Date} [update.at] - When the payout reached this status
+ * @param {string} [update.failureReason] - Why a failed payout failed
+ * @returns {boolean} Whether anything changed
+ */
+payoutSchema.methods.applyStatus = function ({
+  status,
+  at = new Date(),
+  failureReason,
+}) {
+  if (
+    FINAL_PAYOUT_STATUSES.includes(this.status) ||
+    PAYOUT_STATUSES.indexOf(status) <= PAYOUT_STATUSES.indexOf(this.status)
+  ) {
+    return false;
+  }
+
+  this.status = status;
+  this.statusUpdatedAt = at;
+  if (status === "failed") {
+    this.failureReason = failureReason;
+  }
+
+  return true;
+};
+
+/**
+ * Payout as returned by the API
+ * @returns {Object} Payout details
+ */
+payoutSchema.methods.toSummary = function () {
+  return {
+    id: this._id.toString(),
+    payoutId: this.payoutId || null,
+    userId: this.userId?.toString() || null,
+    requestedBy: this.requestedBy.toString(),
+    merchantAccountId: this.merchantAccountId,
+    amountInMinor: this.amountInMinor,
+    currency: this.currency,
+    reference: this.reference,
+    beneficiary: {
+      type: this.beneficiary.type,
+      ...(this.beneficiary.type === "payment_source"
+        ? { paymentId: this.beneficiary.paymentId?.toString() || null }
+        : {
+            sortCode: this.beneficiary.sortCode,
+            accountNumber:
+              maskAccountNumber(this.beneficiary.accountNumber) || undefined,
+            iban: maskAccountNumber(this.beneficiary.iban) || undefined,
+          }),
+      accountHolderName: this.beneficiary.accountHolderName,
+    },
+    status: this.status,
+    statusUpdatedAt: this.statusUpdatedAt,
+    ...(this.reviewedBy && {
+      reviewedBy: this.reviewedBy.toString(),
+      reviewedAt: this.reviewedAt,
+    }),
+    ...(this.status === "rejected" && {
+      rejectionReason: this.rejectionReason,
+    }),
+    ...(this.status === "failed" && { failureReason: this.failureReason }),
+    createdAt: this.createdAt,
+  };
+};
+
+const Payout = mongoose.model("Payout", payoutSchema);
+
+export default Payout;
@@ -0,0 +1,231 @@
+import mongoose from "mongoose";
+import { CATEGORIES } from "../constants/categories.js";
+import { endOfRange } from "../utils/dates.js";
+import { decodeCursor, encodeCursor } from "../utils/pagination.js";
+
+const transactionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    connectionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "BankConnection",
+      required: true,
+      index: true,
+    },
+    resourceType: {
+      type: String,
+      enum: ["accounts", "cards"],
+      required: true,
+    },
+    accountId: {
+      type: String,
+      required: true,
+    },
+    providerTransactionId: {
+      type: String,
+      required: true,
+    },
+    timestamp: {
+      type: Date,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      default: null,
+    },
+    merchantKey: {
+      type: String,
+      default: null,
+    },
+    // Canonical merchant from the dictionary, or a cleaned-up name if unknown
+    merchant: {
+      id: { type: String, default: null },
+      name: { type: String, default: null },
+      confidence: { type: Number, default: null },
+    },
+    category: {
+      type: String,
+      enum: Object.values(CATEGORIES),
+      default: CATEGORIES.OTHER,
+    },
+    categorySource: {
+      type: String,
+      enum: [
+        "user_rule",
+        "merchant",
+        "description",
+        "mcc",
+        "provider",
+        "default",
+      ],
+      default: "default",
+    },
+    // Set when the user corrects this transaction; sync never overwrites it
+    categoryOverride: {
+      type: String,
+      enum: [...Object.values(CATEGORIES), null],
+      default: null,
+    },
+    // Provider record as returned by TrueLayer, so stored and live
+    // transactions are sanitized the same way
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Re-syncing an overlapping window updates rather than duplicates
+transactionSchema.index(
+  { userId: 1, accountId: 1, providerTransactionId: 1 },
+  { unique: true }
+);
+transactionSchema.index({
+  userId: 1,
+  resourceType: 1,
+  timestamp: -1,
+  providerTransactionId: -1,
+});
+transactionSchema.index({ userId: 1, merchantKey: 1 });
+
+/**
+ * Upsert transactions fetched from TrueLayer for one account or card
+ * @param {Object} connection - Bank connection the transactions came from
+ * @param {Object} source - Where the transactions came from
+ * @param {string} source.resourceType - "accounts" or "cards"
+ * @param {string} source.accountId - TrueLayer account or card ID
+ * @param {Array} records - TrueLayer transaction records
+ * @param {Object} enrichment - Derived details of each record, in the same order
+ * @param {Array} enrichment.categorisations - Category of each record
+ * @param {Array} enrichment.merchants - Normalised merchant of each record
+ * @returns {Promise<Object>} Bulk write result
+ */
+transactionSchema.statics.upsertFromProvider = async function (
+  connection,
+  { resourceType, accountId },
+  records,
+  { categorisations, merchants }
+) {
+  return await this.bulkWrite(
+    records.map((record, index) => ({
+      updateOne: {
+        filter: {
+          userId: connection.userId,
+          accountId,
+          providerTransactionId: record.transaction_id,
+        },
+        update: {
+          $set: {
+            connectionId: connection._id,
+            resourceType,
+            timestamp: new Date(record.timestamp),
+            amount: record.amount,
+            currency: record.currency,
+            description: record.description || null,
+            merchantKey: categorisations[index].merchantKey,
+            category: categorisations[index].category,
+            categorySource: categorisations[index].source,
+            merchant: merchants[index] || {
+              id: null,
+              name: null,
+              confidence: null,
+            },
+            data: record,
+          },
+        },
+        upsert: true,
+      },
+    })),
+    { ordered: false }
+  );
+};
+
+/**
+ * Find a page of stored transactions, newest first, in the same order as live results
+ * @param {Object} filter - Base query, e.g. user and account
+ * @param {Object} options - Query options
+ * @param {string} [options.from] - Start date (ISO 8601)
+ * @param {string} [options.to] - End date (ISO 8601), inclusive of the whole day
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @param {number} options.limit - Maximum number of transactions
+ * @returns {Promise<Object>} Transactions and the cursor for the next page
+ */
+transactionSchema.statics.findPage = async function (
+  filter,
+  { from, to, cursor, limit }
+) {
+  const query = { ...filter };
+
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = new Date(from);
+    if (to) query.timestamp.$lte = endOfRange(to);
+  }
+
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (after) {
+    const afterTimestamp = new Date(after.timestamp);
+    query.$or = [
+      { timestamp: { $lt: afterTimestamp } },
+      { timestamp: afterTimestamp, providerTransactionId: { $lt: after.id } },
+    ];
+  }
+
+  const transactions = await this.find(query)
+    .sort({ timestamp: -1, providerTransactionId: -1 })
+    .limit(limit + 1);
+
+  const page = transactions.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    transactions: page,
+    nextCursor:
+      transactions.length > limit
+        ? encodeCursor({
+            timestamp: last.timestamp.toISOString(),
+            id: last.providerTransactionId,
+          })
+        : null,
+  };
+};
+
+/**
+ * Provider record with the account and connection it belongs to
+ * @returns {Object} Record in the shape returned by the live endpoints
+ */
+transactionSchema.methods.toProviderRecord = function () {
+  return {
+    ...this.data,
+    account_id: this.accountId,
+    connection_id: this.connectionId.toString(),
+    category: this.categoryOverride || this.category,
+    category_source: this.categoryOverride ? "user" : this.categorySource,
+    merchant: this.merchant?.name
+      ? {
+          id: this.merchant.id,
+          name: this.merchant.name,
+          confidence: this.merchant.confidence,
+        }
+      : null,
+  };
+};
+
+const Transaction = mongoose.model("Transaction", transactionSchema);
+
+export default Transaction;
@@ -0,0 +1,76 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import config from "../config/config.js";
+
+const trueLayerAuthStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  codeVerifier: {
+    type: String,
+    select: false,
+  },
+  connectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "BankConnection",
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }, // Document will be automatically removed after expiration
+  },
+});
+
+/**
+ * Create a single-use state and PKCE verifier for a user's auth link
+ * @param {string} userId - ID of the user starting the flow
+ * @param {Object} [options] - State options
+ * @param {string} [options.connectionId] - Connection being re-authenticated
+ * @returns {Promise<Object>} Saved state document including the code verifier
+ */
+trueLayerAuthStateSchema.statics.createForUser = async function (
+  userId,
+  { connectionId } = {}
+) {
+  return await this.create({
+    state: crypto.randomBytes(32).toString("base64url"),
+    userId,
+    // Re-authentication links are issued by TrueLayer without a PKCE challenge
+    codeVerifier: connectionId
+      ? undefined
+      : crypto.randomBytes(64).toString("base64url"),
+    connectionId: connectionId || null,
+    expiresAt: new Date(Date.now() + config.trueLayer.authStateTtl * 1000),
+  });
+};
+
+/**
+ * Atomically consume a state so it cannot be replayed
+ * @param {string} state - State value returned by TrueLayer
+ * @returns {Promise<Object|null>} Consumed state document, or null if unknown or expired
+ */
+trueLayerAuthStateSchema.statics.consume = async function (state) {
+  if (!state || typeof state !== "string") return null;
+
+  // TTL indexes are swept periodically, so expiry is also checked here
+  return await this.findOneAndDelete({
+    state,
+    expiresAt: { $gt: new Date() },
+  }).select("+codeVerifier");
+};
+
+const TrueLayerAuthState = mongoose.model(
+  "TrueLayerAuthState",
+  trueLayerAuthStateSchema
+);
+
+export default TrueLayerAuthState;
@@ -1,5 +1,7 @@
 import bcrypt from "bcryptjs";
 import mongoose from "mongoose";
+import logger from "../config/logger.js";
+import { PERMISSIONS } from "../constants/permissions.js";
 import ApiKeyService from "../services/apiKeyService.js";
 import apiKeyMethods from "./apiKeyMethods.js";
 
@@ -72,54 +74,6 @@ apiKeySchema.pre("save", async function (next) {
   next();
 });
 
-// Static method to clean up expired keys across all users
-userSchema.statics.cleanupExpiredKeys = async function () {
-  const now = new Date();
-  const ninetyDaysAgo = new Date(now - 90 * 24 * 60 * 60 * 1000);
-
-  try {
-    const result = await this.updateMany(
-      {
-        $or: [
-          { "apiKeys.expiresAt": { $lt: now } },
-          { "apiKeys.lastUsed": { $lt: ninetyDaysAgo } },
-        ],
-      },
-      {
-        $pull: {
-          apiKeys: {
-            $or: [
-              { expiresAt: { $lt: now } },
-              { lastUsed: { $lt: ninetyDaysAgo } },
-            ],
-          },
-        },
-      }
-    );
-
-    logger.info("Cleaned up expired API keys", {
-      modifiedUsers: result.modifiedCount,
-    });
-
-    // Update apiKeyCount for affected users
-    await this.aggregate([
-      {
-        $match: { "apiKeys.0": { $exists: true } },
-      },
-      {
-        $set: {
-          apiKeyCount: { $size: "$apiKeys" },
-        },
-      },
-    ]);
-
-    return result;
-  } catch (error) {
-    logger.error("Failed to clean up expired keys:", error);
-    throw error;
-  }
-};
-
 const userSchema = new mongoose.Schema(
   {
     username: {
@@ -151,6 +105,15 @@ const userSchema = new mongoose.Schema(
       enum: ["user", "admin"],
       default: "user",
     },
+    permissions: {
+      type: [
+        {
+          type: String,
+          enum: Object.values(PERMISSIONS),
+        },
+      ],
+      default: [],
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -165,6 +128,8 @@ const userSchema = new mongoose.Schema(
       default: 0,
       max: [5, "Maximum of 5 API keys allowed"],
     },
+    // Tokens from the single-connection integration, moved into a
+    // BankConnection on first use
     trueLayerAccessToken: {
       type: String,
       select: false,
@@ -214,6 +179,49 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Static method to clean up expired keys across all users
+userSchema.statics.cleanupExpiredKeys = async function () {
+  const now = new Date();
+  const ninetyDaysAgo = new Date(now - 90 * 24 * 60 * 60 * 1000);
+
+  try {
+    const result = await this.updateMany(
+      {
+        $or: [
+          { "apiKeys.expiresAt": { $lt: now } },
+          { "apiKeys.lastUsed": { $lt: ninetyDaysAgo } },
+        ],
+      },
+      {
+        $pull: {
+          apiKeys: {
+            $or: [
+              { expiresAt: { $lt: now } },
+              { lastUsed: { $lt: ninetyDaysAgo } },
+            ],
+          },
+        },
+      }
+    );
+
+    logger.info("Cleaned up expired API keys", {
+      modifiedUsers: result.modifiedCount,
+    });
+
+    // Update apiKeyCount for affected users; an aggregate alone does not
+    // write anything back, so this uses an update pipeline
+    await this.updateMany(
+      { $expr: { $ne: ["$apiKeyCount", { $size: "$apiKeys" }] } },
+      [{ $set: { apiKeyCount: { $size: "$apiKeys" } } }]
+    );
+
+    return result;
+  } catch (error) {
+    logger.error("Failed to clean up expired keys:", error);
+    throw error;
+  }
+};
+
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
 
@@ -277,6 +285,29 @@ userSchema.methods.softDelete = async function () {
   }
 };
 
+/**
+ * Wipe tokens left by the single-connection integration, guarded by the token version
+ * @returns {Promise<Object|null>} Updated user, or null on a version conflict
+ */
+userSchema.methods.clearTrueLayerTokens = async function () {
+  return await this.model("User").findOneAndUpdate(
+    {
+      _id: this._id,
+      trueLayerTokenVersion: this.trueLayerTokenVersion,
+    },
+    {
+      $set: { trueLayerConnected: false },
+      $unset: {
+        trueLayerAccessToken: 1,
+        trueLayerRefreshToken: 1,
+        trueLayerTokenExpiresAt: 1,
+      },
+      $inc: { trueLayerTokenVersion: 1 },
+    },
+    { new: true }
+  );
+};
+
 userSchema.methods.restore = async function () {
   this.isDeleted = false;
   this.deletedAt = null;
@@ -291,48 +322,6 @@ userSchema.pre(/^find/, function (next) {
   next();
 });
 
-userSchema.methods.updateTrueLayerTokens = async function (tokens) {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
-  try {
-    const user = await this.model("User").findOneAndUpdate(
-      {
-        _id: this._id,
-        trueLayerTokenVersion: this.trueLayerTokenVersion,
-      },
-      {
-        $set: {
-          trueLayerAccessToken: tokens.access_token,
-          trueLayerRefreshToken: tokens.refresh_token,
-          trueLayerTokenExpiresAt: new Date(
-            Date.now() + tokens.expires_in * 1000
-          ),
-          trueLayerConnected: true,
-        },
-        $inc: { trueLayerTokenVersion: 1 },
-      },
-      {
-        new: true,
-        session,
-        runValidators: true,
-      }
-    );
-
-    if (!user) {
-      throw new Error("Token update failed due to concurrent modification");
-    }
-
-    await session.commitTransaction();
-    return user;
-  } catch (error) {
-    await session.abortTransaction();
-    throw error;
-  } finally {
-    session.endSession();
-  }
-};
-
 userSchema.methods.addApiKey = async function (name) {
   const session = await mongoose.startSession();
   session.startTransaction();
@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+const WEBHOOK_EVENT_STATUSES = [
+  "received",
+  "processing",
+  "processed",
+  "ignored",
+  "failed",
+];
+
+const webhookEventSchema = new mongoose.Schema(
+  {
+    // TrueLayer's event ID, the same on every delivery of an event
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    eventVersion: Number,
+    // When TrueLayer sent the delivery we first accepted
+    sentAt: Date,
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: WEBHOOK_EVENT_STATUSES,
+      default: "received",
+    },
+    attempts: {
+      type: Number,
+      default: 1,
+    },
+    error: String,
+    // When a delivery last claimed the event for handling
+    claimedAt: Date,
+    processedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookEventSchema.index({ type: 1, createdAt: -1 });
+
+const WebhookEvent = mongoose.model("WebhookEvent", webhookEventSchema);
+
+export default WebhookEvent;
@@ -0,0 +1,32 @@
+import express from "express";
+import {
+  createBudget,
+  deleteBudget,
+  getBudget,
+  getProgress,
+  listBudgets,
+  updateBudget,
+} from "../controllers/budgetController.js";
+import { authenticateJWT } from "../middleware/auth.js";
+import {
+  validateBudgetId,
+  validateCreateBudget,
+  validateProgressQuery,
+  validateUpdateBudget,
+} from "../validations/budgetValidation.js";
+
+const router = express.Router();
+
+router.use(authenticateJWT);
+
+router.get("/", listBudgets);
+router.post("/", validateCreateBudget, createBudget);
+
+// Before /:id so "progress" is not taken as a budget ID
+router.get("/progress", validateProgressQuery, getProgress);
+
+router.get("/:id", validateBudgetId, getBudget);
+router.patch("/:id", validateBudgetId, validateUpdateBudget, updateBudget);
+router.delete("/:id", validateBudgetId, deleteBudget);
+
+export default router;
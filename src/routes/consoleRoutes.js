@@ -4,6 +4,7 @@ import {
   createKey,
   deleteKey,
   getApiKeys,
+  getJobs,
 } from "../controllers/consoleController.js";
 import { authenticateJWT } from "../middleware/auth.js";
 import { monitorConsoleActivity } from "../middleware/consoleMonitoring.js";
@@ -111,4 +112,7 @@ router.delete(
   deleteKey
 );
 
+// Background job status (admin only)
+router.get("/jobs", dynamicRateLimit, checkRole(["admin"]), getJobs);
+
 export default router;
@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  getForecast,
+  getRecurring,
+  getSpending,
+} from "../controllers/insightsController.js";
+import { authenticateJWT } from "../middleware/auth.js";
+import {
+  validateForecastParams,
+  validateSpendingParams,
+} from "../middleware/trueLayerValidation.js";
+
+const router = express.Router();
+
+// Insights are computed from the user's stored transactions and live balances
+router.use(authenticateJWT);
+
+router.get("/recurring", getRecurring);
+router.get("/spending", validateSpendingParams, getSpending);
+router.get("/forecast", validateForecastParams, getForecast);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from "express";
+import {
+  getMerchantAccountTransactions,
+  getMerchantAccounts,
+} from "../controllers/merchantAccountController.js";
+import { authenticateJWT, authorize } from "../middleware/auth.js";
+import { validateMerchantAccountTransactionParams } from "../middleware/trueLayerValidation.js";
+
+const router = express.Router();
+
+// Our own merchant accounts, for reconciling payments, refunds and payouts
+router.use(authenticateJWT, authorize("admin"));
+
+router.get("/", getMerchantAccounts);
+router.get(
+  "/:merchantAccountId/transactions",
+  validateMerchantAccountTransactionParams,
+  getMerchantAccountTransactions
+);
+
+export default router;
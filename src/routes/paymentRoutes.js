@@ -0,0 +1,27 @@
+import express from "express";
+import {
+  createPayment,
+  createRefund,
+  getPayment,
+} from "../controllers/paymentController.js";
+import { authenticateJWT } from "../middleware/auth.js";
+import {
+  validateCreatePayment,
+  validateCreateRefund,
+  validatePaymentId,
+} from "../validations/paymentValidation.js";
+
+const router = express.Router();
+
+router.use(authenticateJWT);
+
+router.post("/", validateCreatePayment, createPayment);
+router.get("/:id", validatePaymentId, getPayment);
+router.post(
+  "/:id/refunds",
+  validatePaymentId,
+  validateCreateRefund,
+  createRefund
+);
+
+export default router;
@@ -0,0 +1,40 @@
+import express from "express";
+import {
+  approvePayout,
+  createPayout,
+  getPayout,
+  listPayouts,
+  rejectPayout,
+} from "../controllers/payoutController.js";
+import { authenticateJWT, authorize } from "../middleware/auth.js";
+import {
+  validateCreatePayout,
+  validateListPayouts,
+  validatePayoutId,
+  validateRejectPayout,
+} from "../validations/payoutValidation.js";
+
+const router = express.Router();
+
+router.use(authenticateJWT);
+
+router.get("/", validateListPayouts, listPayouts);
+router.post("/", validateCreatePayout, createPayout);
+router.get("/:id", validatePayoutId, getPayout);
+
+// Payouts above the approval threshold wait for an admin
+router.post(
+  "/:id/approve",
+  authorize("admin"),
+  validatePayoutId,
+  approvePayout
+);
+router.post(
+  "/:id/reject",
+  authorize("admin"),
+  validatePayoutId,
+  validateRejectPayout,
+  rejectPayout
+);
+
+export default router;
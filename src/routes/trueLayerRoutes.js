@@ -1,18 +1,74 @@
 import express from "express";
 import {
+  deleteConnection,
+  disconnectBank,
+  getAccount,
+  getAccountBalance,
   getAccounts,
+  getAuthLink,
+  getCardBalance,
+  getCardPendingTransactions,
+  getCards,
+  getCardTransactions,
+  getConnections,
+  getDirectDebits,
+  getIdentity,
+  getPendingTransactions,
+  getProviders,
+  getStandingOrders,
   getTransactions,
+  handleCallback,
+  reauthConnection,
+  updateTransactionCategory,
 } from "../controllers/trueLayerController.js";
 import { authenticateJWT } from "../middleware/auth.js";
-import { validateTransactionParams } from "../middleware/trueLayerValidation.js";
+import {
+  validateAuthLinkParams,
+  validateCategoryUpdate,
+  validateConnectionParams,
+  validateIdentityParams,
+  validateProviderParams,
+  validateTransactionParams,
+} from "../middleware/trueLayerValidation.js";
 
 const router = express.Router();
 
-// Protect all TrueLayer routes with JWT authentication
+// OAuth callback is reached by TrueLayer's redirect, so the user is resolved
+// from the stored state rather than a JWT
+router.get("/callback", handleCallback);
+
+// Protect all other TrueLayer routes with JWT authentication
 router.use(authenticateJWT);
 
+// Auth link and provider discovery endpoints
+router.get("/auth-link", validateAuthLinkParams, getAuthLink);
+router.get("/providers", validateProviderParams, getProviders);
+
+// Bank connection endpoints
+router.delete("/connection", disconnectBank);
+router.get("/connections", getConnections);
+router.delete(
+  "/connections/:connectionId",
+  validateConnectionParams,
+  deleteConnection
+);
+router.post(
+  "/connections/:connectionId/reauth",
+  validateConnectionParams,
+  reauthConnection
+);
+
+// Identity endpoint
+router.get("/info", validateIdentityParams, getIdentity);
+
 // Account endpoints
 router.get("/accounts", getAccounts);
+router.get("/accounts/:accountId", getAccount);
+router.get("/accounts/:accountId/balance", getAccountBalance);
+
+// Scheduled payment endpoints
+router.get("/accounts/:accountId/standing_orders", getStandingOrders);
+router.get("/accounts/:accountId/direct_debits", getDirectDebits);
 
 // Transaction endpoints
 router.get("/transactions", validateTransactionParams, getTransactions);
@@ -21,5 +77,29 @@ router.get(
   validateTransactionParams,
   getTransactions
 );
+router.get(
+  "/accounts/:accountId/transactions/pending",
+  validateTransactionParams,
+  getPendingTransactions
+);
+router.patch(
+  "/transactions/:transactionId/category",
+  validateCategoryUpdate,
+  updateTransactionCategory
+);
+
+// Card endpoints
+router.get("/cards", getCards);
+router.get("/cards/:cardId/balance", getCardBalance);
+router.get(
+  "/cards/:cardId/transactions",
+  validateTransactionParams,
+  getCardTransactions
+);
+router.get(
+  "/cards/:cardId/transactions/pending",
+  validateTransactionParams,
+  getCardPendingTransactions
+);
 
 export default router;
@@ -0,0 +1,16 @@
+import express from "express";
+import { receiveTrueLayerWebhook } from "../controllers/webhookController.js";
+import { validateTrueLayerWebhook } from "../middleware/auth.js";
+
+const router = express.Router();
+
+// The signature covers the exact bytes sent, so the body is only parsed
+// once it has been verified
+router.post(
+  "/truelayer",
+  express.raw({ type: "application/json", limit: "100kb" }),
+  validateTrueLayerWebhook,
+  receiveTrueLayerWebhook
+);
+
+export default router;
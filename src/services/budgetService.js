@@ -0,0 +1,145 @@
+import mongoose from "mongoose";
+import Budget from "../models/Budget.js";
+import Transaction from "../models/Transaction.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Compare a month's spending with each of the user's budgets
+ * @param {string} userId - ID of the user
+ * @param {Object} [options] - Progress options
+ * @param {string} [options.month] - Month as YYYY-MM, defaults to the current month
+ * @param {Date} [options.now] - Reference date for spend to date and projections
+ * @returns {Promise<Object>} Month details and progress of each budget
+ */
+const getBudgetProgress = async (userId, { month, now = new Date() } = {}) => {
+  const start = month
+    ? new Date(`${month}-01T00:00:00Z`)
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const end = addMonths(start, 1);
+  const previousStart = addMonths(start, -1);
+  const { daysInMonth, daysElapsed } = describeMonth(start, end, now);
+  const progress = { month: formatMonth(start), daysInMonth, daysElapsed };
+
+  const budgets = await Budget.find({ userId }).sort({ category: 1 });
+  if (budgets.length === 0) {
+    return { ...progress, budgets: [] };
+  }
+
+  const [spending, previousSpending] = await Promise.all([
+    sumSpending(userId, start, end),
+    sumSpending(userId, previousStart, start),
+  ]);
+
+  return {
+    ...progress,
+    budgets: budgets.map((budget) => {
+      const key = `${budget.category}:${budget.currency}`;
+      const spent = spending.get(key) || 0;
+
+      // Only budgets that existed last month carry anything over
+      const carriedOver =
+        budget.rollover && budget.createdAt < start
+          ? round(budget.limit - (previousSpending.get(key) || 0))
+          : 0;
+      const available = round(budget.limit + carriedOver);
+
+      // A straight-line projection of the daily rate so far
+      const projectedSpend =
+        daysElapsed === 0 ? 0 : round((spent / daysElapsed) * daysInMonth);
+
+      return {
+        ...budget.toSummary(),
+        carriedOver,
+        available,
+        spent: round(spent),
+        remaining: round(available - spent),
+        percentUsed:
+          available > 0 ? Math.round((spent / available) * 100) : null,
+        projectedSpend,
+        status: getStatus(spent, projectedSpend, available),
+      };
+    }),
+  };
+};
+
+/**
+ * Outgoings between two dates, keyed by category and currency
+ * @private
+ */
+async function sumSpending(userId, start, end) {
+  const rows = await Transaction.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        amount: { $lt: 0 },
+        timestamp: { $gte: start, $lt: end },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          category: { $ifNull: ["$categoryOverride", "$category"] },
+          currency: "$currency",
+        },
+        total: { $sum: { $abs: "$amount" } },
+      },
+    },
+  ]);
+
+  return new Map(
+    rows.map((row) => [`${row._id.category}:${row._id.currency}`, row.total])
+  );
+}
+
+/**
+ * Length of the month and how much of it has passed
+ * @private
+ */
+function describeMonth(start, end, now) {
+  const daysInMonth = Math.round((end - start) / DAY);
+  const daysElapsed = Math.min(
+    daysInMonth,
+    Math.max(0, Math.ceil((now - start) / DAY))
+  );
+
+  return { daysInMonth, daysElapsed };
+}
+
+/**
+ * Whether a budget is over, heading over, or on track
+ * @private
+ */
+function getStatus(spent, projectedSpend, available) {
+  if (spent > available) return "over";
+  if (projectedSpend > available) return "at_risk";
+  return "on_track";
+}
+
+/**
+ * First day of the month a number of months away
+ * @private
+ */
+function addMonths(date, count) {
+  return new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + count, 1)
+  );
+}
+
+/**
+ * Month as YYYY-MM
+ * @private
+ */
+function formatMonth(date) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Round to the minor currency unit
+ * @private
+ */
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+export { getBudgetProgress };
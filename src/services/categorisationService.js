@@ -0,0 +1,143 @@
+import {
+  CATEGORIES,
+  DESCRIPTION_RULES,
+  MCC_RANGES,
+  MERCHANT_CATEGORIES,
+  PROVIDER_CATEGORIES,
+} from "../constants/categories.js";
+import CategoryRule from "../models/CategoryRule.js";
+import Transaction from "../models/Transaction.js";
+import { getMerchantKey } from "./merchantService.js";
+
+// Longest names first so "uber eats" wins over "uber"
+const MERCHANT_NAMES = Object.keys(MERCHANT_CATEGORIES).sort(
+  (a, b) => b.length - a.length
+);
+
+/**
+ * Assign a category to a transaction from the most specific rule that matches
+ * @param {Object} record - TrueLayer transaction record
+ * @param {Map} [userRules] - The user's learned categories, by merchant key
+ * @returns {Object} Category, the rule type that matched, and the merchant key
+ */
+const categoriseTransaction = (record, userRules = new Map()) => {
+  const merchantKey = getMerchantKey(record);
+  const result = (category, source) => ({ category, source, merchantKey });
+
+  if (merchantKey && userRules.has(merchantKey)) {
+    return result(userRules.get(merchantKey), "user_rule");
+  }
+
+  const merchant = MERCHANT_NAMES.find(
+    (name) => merchantKey === name || merchantKey?.startsWith(`${name} `)
+  );
+  if (merchant) {
+    return result(MERCHANT_CATEGORIES[merchant], "merchant");
+  }
+
+  const descriptionRule = DESCRIPTION_RULES.find(({ pattern }) =>
+    pattern.test(record.description || "")
+  );
+  if (descriptionRule) {
+    return result(descriptionRule.category, "description");
+  }
+
+  const mcc = Number(record.meta?.mcc ?? record.mcc);
+  const mccRange = MCC_RANGES.find(({ from, to }) => mcc >= from && mcc <= to);
+  if (mccRange) {
+    return result(mccRange.category, "mcc");
+  }
+
+  const providerCategory = PROVIDER_CATEGORIES[record.transaction_category];
+  if (providerCategory) {
+    return result(providerCategory, "provider");
+  }
+
+  return result(CATEGORIES.OTHER, "default");
+};
+
+/**
+ * Categorise a batch of transactions for a user, applying their learned rules
+ * @param {string} userId - ID of the user
+ * @param {Array} records - TrueLayer transaction records
+ * @returns {Promise<Array>} Categorisation for each record, in the same order
+ */
+const categoriseTransactions = async (userId, records) => {
+  const merchantKeys = [...new Set(records.map(getMerchantKey))].filter(
+    Boolean
+  );
+
+  const rules = await CategoryRule.find({
+    userId,
+    merchantKey: { $in: merchantKeys },
+  });
+  const userRules = new Map(
+    rules.map((rule) => [rule.merchantKey, rule.category])
+  );
+
+  return records.map((record) => categoriseTransaction(record, userRules));
+};
+
+/**
+ * Add category fields to transaction records that were not read from the store
+ * @param {string} userId - ID of the user
+ * @param {Array} records - TrueLayer transaction records
+ * @returns {Promise<Array>} Records with category and category_source set
+ */
+const applyCategories = async (userId, records) => {
+  const categorisations = await categoriseTransactions(userId, records);
+
+  return records.map((record, index) => ({
+    ...record,
+    category: categorisations[index].category,
+    category_source: categorisations[index].source,
+  }));
+};
+
+/**
+ * Correct a stored transaction's category and learn it for the same merchant
+ * @param {string} userId - ID of the user
+ * @param {string} transactionId - TrueLayer transaction ID
+ * @param {string} category - Corrected category
+ * @returns {Promise<Object|null>} Updated transaction, or null if it is not stored
+ */
+const correctCategory = async (userId, transactionId, category) => {
+  const transaction = await Transaction.findOneAndUpdate(
+    { userId, providerTransactionId: transactionId },
+    { $set: { categoryOverride: category } },
+    { new: true, runValidators: true }
+  );
+
+  if (!transaction) {
+    return null;
+  }
+
+  if (transaction.merchantKey) {
+    await CategoryRule.upsertForMerchant(
+      userId,
+      transaction.merchantKey,
+      category,
+      transactionId
+    );
+
+    // Stored transactions from the merchant follow the new rule too, unless
+    // they were corrected individually
+    await Transaction.updateMany(
+      {
+        userId,
+        merchantKey: transaction.merchantKey,
+        categoryOverride: null,
+      },
+      { $set: { category, categorySource: "user_rule" } }
+    );
+  }
+
+  return transaction;
+};
+
+export {
+  applyCategories,
+  categoriseTransaction,
+  categoriseTransactions,
+  correctCategory,
+};
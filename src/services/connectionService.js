@@ -0,0 +1,399 @@
+import config from "../config/config.js";
+import logger from "../config/logger.js";
+import BankConnection from "../models/BankConnection.js";
+import Transaction from "../models/Transaction.js";
+import User from "../models/User.js";
+import { AppError, TrueLayerError } from "../utils/errors.js";
+import {
+  del as cacheDel,
+  get as cacheGet,
+  set as cacheSet,
+} from "./cacheService.js";
+import TrueLayerService from "./trueLayerService.js";
+
+const RESOURCE_OWNER_CACHE_NAMESPACE = "truelayer-resource-owners";
+
+/**
+ * Store a newly authorised bank as a connection of the user
+ * @param {string} userId - ID of the connecting user
+ * @param {Object} tokens - TrueLayer token response
+ * @param {Object} [options] - Options
+ * @param {string} [options.replacesConnectionId] - Connection being re-authenticated
+ * @returns {Promise<Object>} Saved connection
+ */
+const connectBank = async (userId, tokens, options = {}) => {
+  const metadata = await TrueLayerService.getConnectionMetadata(
+    tokens.access_token
+  );
+
+  const connection = await BankConnection.upsertFromTokens(
+    userId,
+    tokens,
+    metadata
+  );
+
+  // Re-authentication normally updates the same credentials, but a connection
+  // imported without credentials is replaced by the new one
+  const { replacesConnectionId } = options;
+  if (replacesConnectionId && !connection._id.equals(replacesConnectionId)) {
+    const replaced = await BankConnection.findOne({
+      _id: replacesConnectionId,
+      userId,
+    });
+    await replaced?.markStatus("disconnected");
+  }
+
+  await User.updateOne({ _id: userId }, { trueLayerConnected: true });
+  await invalidateResourceOwners(userId);
+
+  logger.info("Stored TrueLayer bank connection", {
+    userId,
+    connectionId: connection._id,
+    providerId: connection.providerId,
+  });
+
+  return connection;
+};
+
+/**
+ * List all of a user's connections, whatever their status
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array>} Connections, oldest first
+ */
+const listConnections = async (userId) => {
+  return await BankConnection.find({ userId }).sort({ createdAt: 1 });
+};
+
+/**
+ * Revoke one of a user's connections at TrueLayer and wipe its tokens
+ * @param {string} userId - ID of the user
+ * @param {string} connectionId - ID of the connection
+ * @returns {Promise<Object|null>} Disconnected connection and whether TrueLayer
+ * revoked it, or null if not found
+ */
+const disconnectConnection = async (userId, connectionId) => {
+  const connection = await BankConnection.findOne({
+    _id: connectionId,
+    userId,
+  }).select("+accessToken +refreshToken");
+
+  if (!connection) {
+    return null;
+  }
+
+  const result = await revokeAndDisconnect(connection);
+
+  const remaining = await BankConnection.countDocuments({
+    userId,
+    status: { $in: ["active", "expired"] },
+  });
+  if (remaining === 0) {
+    await User.updateOne({ _id: userId }, { trueLayerConnected: false });
+  }
+
+  await invalidateResourceOwners(userId);
+
+  return result;
+};
+
+/**
+ * Revoke all of a user's connections at TrueLayer and wipe every stored token
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array>} Disconnected connections and whether TrueLayer revoked each
+ */
+const disconnectAll = async (userId) => {
+  const user = await User.findById(userId).select(
+    "+trueLayerAccessToken +trueLayerRefreshToken"
+  );
+
+  if (!user) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND");
+  }
+
+  // Importing legacy tokens first means they are revoked like any other connection
+  await BankConnection.importLegacyTokens(user);
+
+  const connections = await BankConnection.findLinkedForUser(userId);
+  if (connections.length === 0) {
+    throw new AppError("User not connected to TrueLayer", 400, "NOT_CONNECTED");
+  }
+
+  const results = [];
+  for (const connection of connections) {
+    results.push(await revokeAndDisconnect(connection));
+  }
+
+  if (!(await user.clearTrueLayerTokens())) {
+    throw new AppError(
+      "Connection was modified concurrently, please retry",
+      409,
+      "CONNECTION_CONFLICT"
+    );
+  }
+
+  await invalidateResourceOwners(userId);
+
+  return results;
+};
+
+/**
+ * Load a user's linked connections, importing tokens stored on the user if needed
+ * @param {string} userId - ID of the user
+ * @returns {Promise<Array>} Active and expired connections with tokens selected
+ */
+const getLinkedConnections = async (userId) => {
+  const connections = await BankConnection.findLinkedForUser(userId);
+  if (connections.length > 0) {
+    return connections;
+  }
+
+  const user = await User.findById(userId).select(
+    "+trueLayerAccessToken +trueLayerRefreshToken"
+  );
+
+  if (!user) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND");
+  }
+
+  const legacyConnection = await BankConnection.importLegacyTokens(user);
+  if (legacyConnection) {
+    logger.info("Imported single-connection TrueLayer tokens", {
+      userId,
+      connectionId: legacyConnection._id,
+    });
+    return [legacyConnection];
+  }
+
+  throw new AppError("User not connected to TrueLayer", 400, "NOT_CONNECTED");
+};
+
+/**
+ * Return a valid access token for a connection, refreshing it at most once per request
+ * @param {Object} connection - Bank connection selected with its tokens
+ * @returns {Promise<string>} Access token
+ */
+const getAccessToken = async (connection) => {
+  // Expired consents fail at the bank anyway, so fail early with a clear code
+  if (connection.isConsentExpired()) {
+    throw TrueLayerError.consentExpired(
+      TrueLayerService.getConsentDetails(connection)
+    );
+  }
+
+  if (connection.status === "expired") {
+    throw TrueLayerError.connectionExpired();
+  }
+
+  if (!connection.$locals.accessToken) {
+    const tokens = await TrueLayerService.validateAndRefreshTokens(connection);
+    connection.$locals.accessToken = tokens.access_token;
+  }
+  return connection.$locals.accessToken;
+};
+
+/**
+ * Refresh tokens of active connections before they expire, so requests rarely wait on a refresh
+ * @param {number} window - Seconds ahead of expiry to refresh
+ * @returns {Promise<Object>} Number of connections refreshed and failed
+ */
+const refreshExpiringTokens = async (window) => {
+  const connections = await BankConnection.find({
+    status: "active",
+    tokenExpiresAt: { $lte: new Date(Date.now() + window * 1000) },
+  }).select("+accessToken +refreshToken");
+
+  let refreshed = 0;
+  let failed = 0;
+
+  for (const connection of connections) {
+    try {
+      await TrueLayerService.validateAndRefreshTokens(connection, {
+        refreshBuffer: window,
+      });
+      refreshed++;
+    } catch (error) {
+      failed++;
+      logger.warn("Scheduled TrueLayer token refresh failed", {
+        userId: connection.userId,
+        connectionId: connection._id,
+        error: error.message,
+        errorCode: error.errorCode,
+      });
+    }
+  }
+
+  return { refreshed, failed };
+};
+
+/**
+ * Run a TrueLayer call against every linked connection and merge the results
+ * @param {string} userId - ID of the user
+ * @param {Function} fetcher - Called with (accessToken, connection), resolves to an array
+ * @param {Object} [options] - Options
+ * @param {Array} [options.connections] - Connections already loaded for this request
+ * @param {boolean} [options.allowAllFailed] - Report every connection failing instead of throwing
+ * @returns {Promise<Object>} Records tagged with connection_id, and per-connection failures
+ */
+const collectFromConnections = async (userId, fetcher, options = {}) => {
+  const connections =
+    options.connections || (await getLinkedConnections(userId));
+
+  const settled = await Promise.allSettled(
+    connections.map(async (connection) => {
+      const accessToken = await getAccessToken(connection);
+      const records = await fetcher(accessToken, connection);
+      return records.map((record) => ({
+        ...record,
+        connection_id: connection.id,
+      }));
+    })
+  );
+
+  const records = [];
+  const failures = [];
+
+  settled.forEach((result, index) => {
+    if (result.status === "fulfilled") {
+      records.push(...result.value);
+    } else {
+      failures.push({ connection: connections[index], error: result.reason });
+    }
+  });
+
+  // One broken bank should not hide the others, unless every bank failed
+  if (
+    !options.allowAllFailed &&
+    failures.length > 0 &&
+    failures.length === connections.length
+  ) {
+    throw failures[0].error;
+  }
+
+  failures.forEach(({ connection, error }) => {
+    logger.warn("Skipping failed TrueLayer connection", {
+      userId,
+      connectionId: connection._id,
+      error: error.message,
+      errorCode: error.errorCode,
+    });
+  });
+
+  return {
+    records,
+    failures: failures.map(({ connection, error }) => ({
+      connectionId: connection.id,
+      error: error.errorCode || "CONNECTION_FAILED",
+    })),
+  };
+};
+
+/**
+ * Find the connection an account or card belongs to
+ * @param {string} userId - ID of the user
+ * @param {string} collection - "accounts" or "cards"
+ * @param {string} resourceId - TrueLayer account or card ID
+ * @returns {Promise<Object>} Owning connection and a valid access token for it
+ */
+const resolveConnection = async (userId, collection, resourceId) => {
+  const connections = await getLinkedConnections(userId);
+  const cacheKey = `${userId}:${collection}`;
+
+  let owners = await cacheGet(RESOURCE_OWNER_CACHE_NAMESPACE, cacheKey);
+
+  if (!owners?.[resourceId]) {
+    const { records } = await collectFromConnections(
+      userId,
+      (accessToken) =>
+        collection === "cards"
+          ? TrueLayerService.getCards(accessToken)
+          : TrueLayerService.getAccounts(accessToken),
+      { connections }
+    );
+
+    owners = Object.fromEntries(
+      records.map((record) => [record.account_id, record.connection_id])
+    );
+
+    await cacheSet(RESOURCE_OWNER_CACHE_NAMESPACE, cacheKey, owners, {
+      ttl: config.trueLayer.resourceOwnerCacheTtl,
+    });
+  }
+
+  const connection = connections.find(
+    (candidate) => candidate.id === owners[resourceId]
+  );
+
+  if (!connection) {
+    throw TrueLayerError.resourceNotFound(
+      collection === "cards" ? "Card not found" : "Account not found"
+    );
+  }
+
+  return { connection, accessToken: await getAccessToken(connection) };
+};
+
+/**
+ * Revoke a connection at TrueLayer, then mark it disconnected and wipe its tokens
+ * @private
+ */
+async function revokeAndDisconnect(connection) {
+  let revokedAtProvider = false;
+
+  // Local tokens are wiped even if TrueLayer cannot be reached, so a user's
+  // request to disconnect is never blocked by the bank side
+  if (connection.status === "active") {
+    try {
+      await TrueLayerService.revokeAccess(await getAccessToken(connection));
+      revokedAtProvider = true;
+    } catch (error) {
+      logger.warn("Could not revoke TrueLayer connection", {
+        userId: connection.userId,
+        connectionId: connection._id,
+        error: error.message,
+        errorCode: error.errorCode,
+      });
+    }
+  }
+
+  // A token refresh during revocation bumps the version, so lock on the latest
+  const current = await BankConnection.findById(connection._id);
+  const updated = await current?.markStatus("disconnected");
+  if (!updated) {
+    throw new AppError(
+      "Connection was modified concurrently, please retry",
+      409,
+      "CONNECTION_CONFLICT"
+    );
+  }
+
+  // Stored history goes with the connection, as disconnecting is how users
+  // ask for their bank data to be removed
+  await Transaction.deleteMany({ connectionId: connection._id });
+
+  return { connection: updated, revokedAtProvider };
+}
+
+/**
+ * Forget which connection owns each account and card
+ * @param {string} userId - ID of the user
+ */
+const invalidateResourceOwners = async (userId) => {
+  await Promise.all(
+    ["accounts", "cards"].map((collection) =>
+      cacheDel(RESOURCE_OWNER_CACHE_NAMESPACE, `${userId}:${collection}`)
+    )
+  );
+};
+
+export {
+  collectFromConnections,
+  connectBank,
+  disconnectAll,
+  disconnectConnection,
+  getAccessToken,
+  getLinkedConnections,
+  invalidateResourceOwners,
+  listConnections,
+  refreshExpiringTokens,
+  resolveConnection,
+};
@@ -0,0 +1,381 @@
+import config from "../config/config.js";
+import logger from "../config/logger.js";
+import Transaction from "../models/Transaction.js";
+import { addFrequency } from "../utils/dates.js";
+import { collectFromConnections } from "./connectionService.js";
+import { detectRecurring, groupByMerchant } from "./insightsService.js";
+import { getMerchantKey } from "./merchantService.js";
+import TrueLayerService from "./trueLayerService.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Project the balance of each of a user's accounts forward day by day
+ * @param {string} userId - ID of the user
+ * @param {Object} [options] - Forecast options
+ * @param {number} [options.days] - Number of days to project
+ * @param {number} [options.threshold] - Balance the user wants to stay above
+ * @param {Date} [options.now] - Reference date the forecast starts from
+ * @returns {Promise<Object>} Forecast of each account and connections that failed
+ */
+const getForecast = async (
+  userId,
+  {
+    days = config.insights.forecastDefaultDays,
+    threshold = null,
+    now = new Date(),
+  } = {}
+) => {
+  const { records: accounts, failures } = await collectFromConnections(
+    userId,
+    async (accessToken) => {
+      const providerAccounts = await TrueLayerService.getAccounts(accessToken);
+      return await Promise.all(
+        providerAccounts.map((account) =>
+          fetchAccountState(accessToken, account)
+        )
+      );
+    }
+  );
+
+  const since = new Date(
+    now.getTime() - config.insights.recurringLookbackDays * DAY
+  );
+  const transactions = await Transaction.find({
+    userId,
+    resourceType: "accounts",
+    accountId: { $in: accounts.map(({ account }) => account.account_id) },
+    timestamp: { $gte: since },
+  })
+    .select("accountId timestamp amount currency merchant merchantKey")
+    .sort({ timestamp: 1 })
+    .lean();
+
+  return {
+    forecast: {
+      days,
+      threshold,
+      generatedAt: now,
+      accounts: accounts.map((state) =>
+        forecastAccount(
+          state,
+          transactions.filter(
+            (transaction) => transaction.accountId === state.account.account_id
+          ),
+          { days, threshold, now }
+        )
+      ),
+    },
+    failures,
+  };
+};
+
+/**
+ * Current balance and the bank's scheduled payments for an account
+ * @private
+ */
+async function fetchAccountState(accessToken, account) {
+  const accountId = account.account_id;
+
+  const [balance, standingOrders, directDebits] = await Promise.all([
+    TrueLayerService.getAccountBalance(accessToken, accountId),
+    fetchScheduledPayments(accountId, "standing orders", () =>
+      TrueLayerService.getStandingOrders(accessToken, accountId)
+    ),
+    fetchScheduledPayments(accountId, "direct debits", () =>
+      TrueLayerService.getDirectDebits(accessToken, accountId)
+    ),
+  ]);
+
+  return {
+    account,
+    balance,
+    standingOrders: standingOrders.map((standingOrder) =>
+      TrueLayerService.normaliseStandingOrder(standingOrder)
+    ),
+    directDebits: directDebits.map((directDebit) =>
+      TrueLayerService.normaliseDirectDebit(directDebit)
+    ),
+  };
+}
+
+/**
+ * Fetch scheduled payments, treating a provider that does not offer them as having none
+ * @private
+ */
+async function fetchScheduledPayments(accountId, label, fetcher) {
+  try {
+    return await fetcher();
+  } catch (error) {
+    logger.warn(`Forecasting without ${label}`, {
+      accountId,
+      error: error.message,
+      errorCode: error.errorCode,
+    });
+    return [];
+  }
+}
+
+/**
+ * Daily balance series for one account
+ * @private
+ */
+function forecastAccount(state, history, { days, threshold, now }) {
+  const { account, balance, standingOrders, directDebits } = state;
+  const start = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+  );
+  const end = new Date(start.getTime() + days * DAY);
+
+  const payments = collectPayments(
+    history,
+    { standingOrders, directDebits },
+    { start, end, now }
+  );
+  const dailySpend = estimateDailySpend(history, payments, now);
+
+  const series = [];
+  let projected = Number(balance.current);
+  let belowZeroDate = null;
+  let belowThresholdDate = null;
+  let lowest = null;
+
+  for (let day = 1; day <= days; day++) {
+    const date = formatDate(new Date(start.getTime() + day * DAY));
+    const dayPayments = payments.scheduled.filter(
+      (payment) => payment.date === date
+    );
+
+    const inflow = dayPayments
+      .filter((payment) => payment.amount > 0)
+      .reduce((sum, payment) => sum + payment.amount, 0);
+    const outflow =
+      dailySpend -
+      dayPayments
+        .filter((payment) => payment.amount < 0)
+        .reduce((sum, payment) => sum + payment.amount, 0);
+
+    projected += inflow - outflow;
+    const point = {
+      date,
+      balance: round(projected),
+      inflow: round(inflow),
+      outflow: round(outflow),
+    };
+    series.push(point);
+
+    if (!lowest || point.balance < lowest.balance) lowest = point;
+    if (!belowZeroDate && point.balance < 0) belowZeroDate = date;
+    if (
+      threshold !== null &&
+      !belowThresholdDate &&
+      point.balance < threshold
+    ) {
+      belowThresholdDate = date;
+    }
+  }
+
+  return {
+    accountId: account.account_id,
+    connectionId: state.connection_id,
+    displayName: account.display_name || null,
+    currency: balance.currency || account.currency,
+    currentBalance: Number(balance.current),
+    dailyDiscretionarySpend: round(dailySpend),
+    scheduledPayments: payments.scheduled,
+    lowestBalance: lowest && { date: lowest.date, balance: lowest.balance },
+    belowZeroDate,
+    ...(threshold !== null && { belowThresholdDate }),
+    series,
+  };
+}
+
+/**
+ * Payments expected in the forecast window, from the bank's schedule and detected patterns
+ * @private
+ */
+function collectPayments(history, { standingOrders, directDebits }, window) {
+  const scheduled = [];
+  const recurringKeys = new Set();
+
+  const activeStandingOrders = standingOrders.filter(isActive);
+  const activeDirectDebits = directDebits.filter(isActive);
+  const standingOrderKeys = activeStandingOrders.map(getPayeeKey);
+  const payeeKeys = [
+    ...standingOrderKeys,
+    ...activeDirectDebits.map(getPayeeKey),
+  ].filter(Boolean);
+
+  // The bank's own standing order schedule beats a detected pattern
+  for (const standingOrder of activeStandingOrders) {
+    if (!standingOrder.nextPaymentDate || !standingOrder.amount) continue;
+
+    addOccurrences(scheduled, window, {
+      first: new Date(standingOrder.nextPaymentDate),
+      frequency: standingOrder.frequency,
+      amount: -Math.abs(standingOrder.amount),
+      description: standingOrder.payee,
+      source: "standing_order",
+    });
+  }
+
+  // Detected patterns beat direct debits, which only report the previous payment
+  const matchedDirectDebits = new Set();
+  for (const incoming of [false, true]) {
+    for (const [key, charges] of groupByMerchant(history, { incoming })) {
+      const [payment] = detectRecurring(charges, {
+        now: window.now,
+        incoming,
+      });
+      if (!payment) continue;
+
+      recurringKeys.add(key);
+      const merchantKey = charges[charges.length - 1].merchantKey;
+
+      if (
+        !incoming &&
+        standingOrderKeys.some((payee) => isSamePayee(merchantKey, payee))
+      ) {
+        continue;
+      }
+
+      activeDirectDebits
+        .filter((directDebit) =>
+          isSamePayee(merchantKey, getPayeeKey(directDebit))
+        )
+        .forEach((directDebit) => matchedDirectDebits.add(directDebit));
+
+      addOccurrences(scheduled, window, {
+        first: new Date(payment.nextChargeDate),
+        frequency: payment.cadence,
+        // Outgoings use the latest price, income its usual amount
+        amount: incoming ? payment.averageAmount : -payment.lastAmount,
+        description: payment.merchant.name,
+        source: incoming ? "recurring_income" : "recurring",
+      });
+    }
+  }
+
+  for (const directDebit of activeDirectDebits) {
+    if (matchedDirectDebits.has(directDebit)) continue;
+    if (!directDebit.lastPaymentDate || !directDebit.amount) continue;
+
+    // Most direct debits are monthly bills
+    addOccurrences(scheduled, window, {
+      first: addFrequency(new Date(directDebit.lastPaymentDate), "monthly"),
+      frequency: "monthly",
+      amount: -Math.abs(directDebit.amount),
+      description: directDebit.payee,
+      source: "direct_debit",
+    });
+  }
+
+  return {
+    scheduled: scheduled.sort((a, b) => a.date.localeCompare(b.date)),
+    recurringKeys,
+    payeeKeys,
+  };
+}
+
+/**
+ * Add each occurrence of a payment that falls within the forecast window
+ * @private
+ */
+function addOccurrences(scheduled, { start, end }, payment) {
+  const { first, frequency, ...details } = payment;
+
+  for (
+    let date = first;
+    date && date <= end;
+    date = addFrequency(date, frequency)
+  ) {
+    if (date > start) {
+      scheduled.push({
+        date: formatDate(date),
+        ...details,
+        amount: round(details.amount),
+      });
+    }
+
+    // One-off or unrecognised frequencies happen once
+    if (!frequency || frequency === "other") break;
+  }
+}
+
+/**
+ * Average daily outgoings that are not part of a recurring or scheduled payment
+ * @private
+ */
+function estimateDailySpend(history, { recurringKeys, payeeKeys }, now) {
+  const since = new Date(
+    now.getTime() - config.insights.forecastSpendLookbackDays * DAY
+  );
+  const recent = history.filter(
+    (transaction) => transaction.timestamp >= since
+  );
+  if (recent.length === 0) return 0;
+
+  const discretionary = recent.filter((transaction) => {
+    const merchant = transaction.merchant?.id || transaction.merchantKey;
+    return (
+      transaction.amount < 0 &&
+      !recurringKeys.has(`${merchant}:${transaction.currency}`) &&
+      !payeeKeys.some((payee) => isSamePayee(transaction.merchantKey, payee))
+    );
+  });
+
+  // Short histories are averaged over the days actually covered
+  const observedDays = Math.max(1, (now - recent[0].timestamp) / DAY);
+
+  return (
+    discretionary.reduce((sum, transaction) => sum - transaction.amount, 0) /
+    observedDays
+  );
+}
+
+/**
+ * Whether a scheduled payment is still expected to be taken
+ * @private
+ */
+function isActive(payment) {
+  return !payment.status || payment.status === "active";
+}
+
+/**
+ * Normalised payee of a scheduled payment, comparable with merchant keys
+ * @private
+ */
+function getPayeeKey(payment) {
+  return getMerchantKey({ merchant_name: payment.payee });
+}
+
+/**
+ * Whether a merchant key and payee key name the same party
+ * @private
+ */
+function isSamePayee(merchantKey, payeeKey) {
+  if (!merchantKey || !payeeKey) return false;
+  return (
+    merchantKey === payeeKey ||
+    merchantKey.startsWith(`${payeeKey} `) ||
+    payeeKey.startsWith(`${merchantKey} `)
+  );
+}
+
+/**
+ * Date as YYYY-MM-DD
+ * @private
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Round to the minor currency unit
+ * @private
+ */
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+export { getForecast };
@@ -0,0 +1,435 @@
+import mongoose from "mongoose";
+import config from "../config/config.js";
+import Transaction from "../models/Transaction.js";
+import { addFrequency, endOfRange } from "../utils/dates.js";
+import { ValidationError } from "../utils/errors.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Approximate length of each spending period, for bounding the number returned
+const PERIOD_DAYS = { day: 1, week: 7, month: 30.44 };
+
+// Expected gap between charges and how far a single gap may drift from it
+const CADENCES = {
+  weekly: { days: 7, tolerance: 1, perMonth: 52 / 12 },
+  monthly: { days: 30.44, tolerance: 4, perMonth: 1 },
+  annual: { days: 365.25, tolerance: 10, perMonth: 1 / 12 },
+};
+
+// Fewer charges than this cannot show a pattern
+const MIN_CHARGES = { weekly: 3, monthly: 3, annual: 2 };
+
+/**
+ * Find recurring outgoings in a user's stored transactions
+ * @param {string} userId - ID of the user
+ * @param {Object} [options] - Detection options
+ * @param {Date} [options.now] - Reference date for lapsed subscriptions
+ * @returns {Promise<Array>} Recurring payments, soonest next charge first
+ */
+const getRecurringPayments = async (userId, { now = new Date() } = {}) => {
+  const since = new Date(
+    now.getTime() - config.insights.recurringLookbackDays * DAY
+  );
+
+  const transactions = await Transaction.find({
+    userId,
+    amount: { $lt: 0 },
+    timestamp: { $gte: since },
+  })
+    .select(
+      "timestamp amount currency merchant merchantKey category categoryOverride"
+    )
+    .sort({ timestamp: 1 })
+    .lean();
+
+  return detectRecurring(transactions, { now });
+};
+
+/**
+ * Aggregate a user's stored outgoings by a dimension, per currency
+ * @param {string} userId - ID of the user
+ * @param {Object} [options] - Aggregation options
+ * @param {string} [options.from] - Start date (ISO 8601), defaults to the configured window before to
+ * @param {string} [options.to] - End date (ISO 8601), inclusive of the whole day, defaults to now
+ * @param {string} [options.groupBy] - "category", "merchant", "account" or "period"
+ * @param {string} [options.period] - "day", "week" or "month" when grouping by period
+ * @param {string} [options.currency] - Only include this currency
+ * @returns {Promise<Object>} Window, grouping and per-currency totals with change against the previous period
+ */
+const getSpending = async (
+  userId,
+  { from, to, groupBy = "category", period = "month", currency } = {}
+) => {
+  const byPeriod = groupBy === "period";
+  const end = to ? endOfRange(to) : new Date();
+  let start = from
+    ? new Date(from)
+    : new Date(end.getTime() - config.insights.spendingWindowDays * DAY);
+
+  // Periods are compared with the one before; anything else with the
+  // window of the same length immediately before this one
+  let previousStart;
+  if (byPeriod) {
+    start = startOfPeriod(start, period);
+    previousStart = addPeriod(start, period, -1);
+
+    const periods = (end - start) / (PERIOD_DAYS[period] * DAY);
+    if (periods > config.insights.maxSpendingPeriods) {
+      throw new ValidationError(
+        `Window must not span more than ${config.insights.maxSpendingPeriods} periods`,
+        [{ field: "from", message: "Use a shorter window or a longer period" }]
+      );
+    }
+  } else {
+    previousStart = new Date(start.getTime() - (end - start));
+  }
+
+  const match = {
+    userId: new mongoose.Types.ObjectId(userId),
+    amount: { $lt: 0 },
+    timestamp: { $gte: previousStart, $lte: end },
+  };
+  if (currency) match.currency = currency;
+
+  const rows = await Transaction.aggregate([
+    { $match: match },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: {
+          currency: "$currency",
+          key: getGroupKey(groupBy, period),
+          current: { $gte: ["$timestamp", start] },
+        },
+        total: { $sum: { $abs: "$amount" } },
+        count: { $sum: 1 },
+        name: { $last: "$merchant.name" },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        currency: "$_id.currency",
+        key: "$_id.key",
+        current: "$_id.current",
+        total: 1,
+        count: 1,
+        name: 1,
+      },
+    },
+  ]);
+
+  const currencies = [...new Set(rows.map((row) => row.currency))].sort();
+
+  return {
+    from: start,
+    to: end,
+    groupBy,
+    ...(byPeriod && { period }),
+    currencies: currencies.map((code) => {
+      const currencyRows = rows.filter((row) => row.currency === code);
+      const groups = byPeriod
+        ? summarisePeriods(currencyRows, { start, end, period })
+        : summariseGroups(currencyRows, groupBy);
+      const sum = (current, field) =>
+        currencyRows
+          .filter((row) => row.current === current)
+          .reduce((total, row) => total + row[field], 0);
+      const total = sum(true, "total");
+
+      return {
+        currency: code,
+        total: round(total),
+        count: sum(true, "count"),
+        // By period, each period carries its own change instead
+        ...(!byPeriod && withChange(total, sum(false, "total"))),
+        groups,
+      };
+    }),
+  };
+};
+
+/**
+ * Group transactions by merchant and keep the groups charged on a regular cadence
+ * @param {Array} transactions - Stored transactions, oldest first
+ * @param {Object} [options] - Detection options
+ * @param {Date} [options.now] - Reference date for lapsed subscriptions
+ * @param {boolean} [options.incoming] - Detect regular income instead of outgoings
+ * @returns {Array} Recurring payments, soonest next charge first
+ */
+const detectRecurring = (
+  transactions,
+  { now = new Date(), incoming = false } = {}
+) => {
+  return [...groupByMerchant(transactions, { incoming }).values()]
+    .map((charges) => describeRecurring(charges, now))
+    .filter(Boolean)
+    .sort((a, b) => a.nextChargeDate - b.nextChargeDate);
+};
+
+/**
+ * Group outgoing or incoming transactions by merchant and currency
+ * @param {Array} transactions - Stored transactions, oldest first
+ * @param {Object} [options] - Grouping options
+ * @param {boolean} [options.incoming] - Group income instead of outgoings
+ * @returns {Map} Transactions of each merchant, keyed by merchant and currency
+ */
+const groupByMerchant = (transactions, { incoming = false } = {}) => {
+  const groups = new Map();
+
+  for (const transaction of transactions) {
+    const merchant = transaction.merchant?.id || transaction.merchantKey;
+    const isIncoming = transaction.amount > 0;
+    if (!merchant || transaction.amount === 0 || isIncoming !== incoming) {
+      continue;
+    }
+
+    const key = `${merchant}:${transaction.currency}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(transaction);
+  }
+
+  return groups;
+};
+
+/**
+ * Aggregation expression for the value transactions are grouped by
+ * @private
+ */
+function getGroupKey(groupBy, period) {
+  switch (groupBy) {
+    case "merchant":
+      return { $ifNull: ["$merchant.id", "$merchantKey"] };
+    case "account":
+      return "$accountId";
+    case "period":
+      return {
+        $dateTrunc: {
+          date: "$timestamp",
+          unit: period,
+          timezone: "UTC",
+          startOfWeek: "monday",
+        },
+      };
+    default:
+      return { $ifNull: ["$categoryOverride", "$category"] };
+  }
+}
+
+/**
+ * Totals for each category, merchant or account, largest first
+ * @private
+ */
+function summariseGroups(rows, groupBy) {
+  const groups = new Map();
+
+  for (const row of rows) {
+    if (!groups.has(row.key)) {
+      groups.set(row.key, { key: row.key, total: 0, count: 0, previous: 0 });
+    }
+
+    const group = groups.get(row.key);
+    if (row.current) {
+      group.total += row.total;
+      group.count += row.count;
+      if (groupBy === "merchant") group.name = row.name || row.key;
+    } else {
+      group.previous += row.total;
+      if (groupBy === "merchant" && !group.name)
+        group.name = row.name || row.key;
+    }
+  }
+
+  // Groups with no spending this period are kept to show the drop
+  return [...groups.values()]
+    .map(({ previous, ...group }) => ({
+      ...group,
+      ...withChange(group.total, previous),
+      total: round(group.total),
+    }))
+    .sort((a, b) => b.total - a.total);
+}
+
+/**
+ * Totals for every period in the window, oldest first, including empty periods
+ * @private
+ */
+function summarisePeriods(rows, { start, end, period }) {
+  const totals = new Map();
+  for (const row of rows) {
+    const key = row.key.getTime();
+    const bucket = totals.get(key) || { total: 0, count: 0 };
+    totals.set(key, {
+      total: bucket.total + row.total,
+      count: bucket.count + row.count,
+    });
+  }
+
+  const periods = [];
+  let previous = totals.get(addPeriod(start, period, -1).getTime());
+
+  for (let date = start; date <= end; date = addPeriod(date, period)) {
+    const bucket = totals.get(date.getTime()) || { total: 0, count: 0 };
+
+    periods.push({
+      key: date,
+      total: round(bucket.total),
+      count: bucket.count,
+      ...withChange(bucket.total, previous?.total || 0),
+    });
+    previous = bucket;
+  }
+
+  return periods;
+}
+
+/**
+ * Previous total with the absolute and percentage change from it
+ * @private
+ */
+function withChange(total, previousTotal) {
+  const change = total - previousTotal;
+
+  return {
+    previousTotal: round(previousTotal),
+    change: round(change),
+    // No percentage when there was nothing to compare with
+    changePercent:
+      previousTotal > 0
+        ? Math.round((change / previousTotal) * 1000) / 10
+        : null,
+  };
+}
+
+/**
+ * Start of the UTC day, Monday-based week or month containing a date
+ * @private
+ */
+function startOfPeriod(date, period) {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+
+  if (period === "week") {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (period === "month") {
+    start.setUTCDate(1);
+  }
+
+  return start;
+}
+
+/**
+ * Move the start of a period forward or back by whole periods
+ * @private
+ */
+function addPeriod(date, period, count = 1) {
+  const next = new Date(date);
+
+  if (period === "month") {
+    next.setUTCMonth(next.getUTCMonth() + count);
+  } else {
+    next.setUTCDate(next.getUTCDate() + count * (period === "week" ? 7 : 1));
+  }
+
+  return next;
+}
+
+/**
+ * Summarise one merchant's charges if they recur, otherwise null
+ * @private
+ */
+function describeRecurring(charges, now) {
+  const gaps = charges
+    .slice(1)
+    .map(
+      (charge, index) => (charge.timestamp - charges[index].timestamp) / DAY
+    );
+  const cadence = findCadence(gaps);
+
+  if (!cadence || charges.length < MIN_CHARGES[cadence]) {
+    return null;
+  }
+
+  const amounts = charges.map((charge) => Math.abs(charge.amount));
+  const previous = amounts.slice(0, -1);
+  const typical = median(previous);
+
+  // Variable spend at one merchant, e.g. groceries, is not a subscription;
+  // the latest charge is left out so a price rise is flagged, not rejected
+  const tolerance = config.insights.recurringAmountTolerance;
+  if (
+    previous.some((amount) => Math.abs(amount - typical) > typical * tolerance)
+  ) {
+    return null;
+  }
+
+  const last = charges[charges.length - 1];
+  const nextChargeDate = addFrequency(last.timestamp, cadence);
+
+  // A charge more than one cycle overdue means the subscription was cancelled
+  if (now - nextChargeDate > CADENCES[cadence].days * DAY) {
+    return null;
+  }
+
+  const averageAmount = round(
+    amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length
+  );
+  const previousAverage =
+    previous.reduce((sum, amount) => sum + amount, 0) / previous.length;
+
+  return {
+    merchant: {
+      id: last.merchant?.id || null,
+      name: last.merchant?.name || last.merchantKey,
+    },
+    category: last.categoryOverride || last.category,
+    cadence,
+    currency: last.currency,
+    averageAmount,
+    monthlyAmount: round(averageAmount * CADENCES[cadence].perMonth),
+    lastAmount: Math.abs(last.amount),
+    amountJumped:
+      Math.abs(last.amount) >
+      previousAverage * (1 + config.insights.recurringJumpThreshold),
+    chargeCount: charges.length,
+    lastChargeDate: last.timestamp,
+    nextChargeDate,
+  };
+}
+
+/**
+ * Cadence every gap between charges fits, or null if they are irregular
+ * @private
+ */
+function findCadence(gaps) {
+  if (gaps.length === 0) return null;
+
+  return (
+    Object.keys(CADENCES).find((cadence) => {
+      const { days, tolerance } = CADENCES[cadence];
+      return gaps.every((gap) => Math.abs(gap - days) <= tolerance);
+    }) || null
+  );
+}
+
+/**
+ * Middle value of a list of numbers
+ * @private
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Round to the minor currency unit
+ * @private
+ */
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+export { detectRecurring, getRecurringPayments, getSpending, groupByMerchant };
@@ -0,0 +1,198 @@
+import cronParser from "cron-parser";
+import os from "os";
+import config from "../config/config.js";
+import logger from "../config/logger.js";
+import Job from "../models/Job.js";
+
+// Identifies this process in job locks and history
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const jobs = new Map();
+let pollTimer = null;
+
+/**
+ * Register a job to run on a cron schedule
+ * @param {Object} job - Job definition
+ * @param {string} job.name - Unique job name
+ * @param {string} job.schedule - Cron expression, evaluated in UTC
+ * @param {Function} job.handler - Async function doing the work, may resolve to a result summary
+ * @param {number} [job.maxAttempts] - Attempts before waiting for the next scheduled run
+ * @param {number} [job.retryDelay] - Milliseconds before the first retry, doubled for each further retry
+ */
+const registerJob = ({
+  name,
+  schedule,
+  handler,
+  maxAttempts = 3,
+  retryDelay = 60 * 1000,
+}) => {
+  // Fail at startup rather than on the first run
+  getNextRunAt(schedule);
+  jobs.set(name, { name, schedule, handler, maxAttempts, retryDelay });
+};
+
+/**
+ * Store the registered jobs and start polling for due runs
+ * @returns {Promise<void>}
+ */
+const startScheduler = async () => {
+  if (pollTimer) return;
+
+  await Promise.all(
+    [...jobs.values()].map((job) =>
+      Job.register(job.name, job.schedule, getNextRunAt(job.schedule))
+    )
+  );
+
+  pollTimer = setInterval(() => {
+    runDueJobs().catch((error) => {
+      logger.error("Job scheduler poll failed", { error: error.message });
+    });
+  }, config.jobs.pollInterval);
+  pollTimer.unref();
+
+  logger.info("Job scheduler started", {
+    instanceId: INSTANCE_ID,
+    jobs: [...jobs.keys()],
+  });
+};
+
+/**
+ * Stop polling for due jobs; runs already in progress finish normally
+ */
+const stopScheduler = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+/**
+ * Run every registered job that is due and not locked by another instance
+ * @returns {Promise<Array>} Runs made by this instance
+ */
+const runDueJobs = async () => {
+  const runs = [];
+
+  // One job at a time so a slow sync does not starve the process
+  for (const job of jobs.values()) {
+    const lockedJob = await Job.acquireLock(
+      job.name,
+      INSTANCE_ID,
+      config.jobs.lockTtl
+    );
+
+    if (lockedJob) {
+      runs.push(await runJob(job, lockedJob));
+    }
+  }
+
+  return runs;
+};
+
+/**
+ * List stored jobs with their last run status
+ * @returns {Promise<Array>} Job summaries
+ */
+const listJobs = async () => {
+  const storedJobs = await Job.find().sort({ name: 1 });
+  return storedJobs.map((job) => job.toSummary());
+};
+
+/**
+ * Run a locked job and record the outcome
+ * @private
+ */
+async function runJob(job, lockedJob) {
+  const attempt = lockedJob.attempts + 1;
+  const startedAt = new Date();
+  let run;
+  let nextRunAt;
+  let attempts;
+
+  // Keep the lock alive however long the run takes
+  const heartbeat = setInterval(() => {
+    lockedJob
+      .renewLock(config.jobs.lockTtl)
+      .then((renewed) => {
+        if (!renewed) {
+          logger.warn("Job lock lost while running", {
+            job: job.name,
+            instanceId: INSTANCE_ID,
+          });
+        }
+      })
+      .catch((error) => {
+        logger.error("Job lock renewal failed", {
+          job: job.name,
+          error: error.message,
+        });
+      });
+  }, config.jobs.lockRenewInterval);
+  heartbeat.unref();
+
+  try {
+    const result = await job.handler();
+
+    run = { status: "success", result: result ?? null, error: null };
+    nextRunAt = getNextRunAt(job.schedule);
+    attempts = 0;
+  } catch (error) {
+    run = { status: "failed", result: null, error: error.message };
+
+    // Retry with exponential backoff, then wait for the next scheduled run
+    if (attempt < job.maxAttempts) {
+      nextRunAt = new Date(Date.now() + job.retryDelay * 2 ** (attempt - 1));
+      attempts = attempt;
+    } else {
+      nextRunAt = getNextRunAt(job.schedule);
+      attempts = 0;
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  Object.assign(run, {
+    startedAt,
+    finishedAt: new Date(),
+    attempt,
+    instanceId: INSTANCE_ID,
+  });
+
+  const recorded = await lockedJob.recordRun(
+    run,
+    nextRunAt,
+    attempts,
+    config.jobs.historyLimit
+  );
+
+  const context = {
+    job: job.name,
+    attempt,
+    durationMs: run.finishedAt - startedAt,
+    nextRunAt,
+  };
+
+  if (run.status === "success") {
+    logger.info("Job completed", context);
+  } else {
+    logger.error("Job failed", { ...context, error: run.error });
+  }
+
+  if (!recorded) {
+    logger.warn("Job lock was taken over before the run was recorded", {
+      job: job.name,
+      instanceId: INSTANCE_ID,
+    });
+  }
+
+  return { name: job.name, ...run, nextRunAt };
+}
+
+/**
+ * Next occurrence of a cron schedule
+ * @private
+ */
+function getNextRunAt(schedule) {
+  return cronParser.parseExpression(schedule, { utc: true }).next().toDate();
+}
+
+export { listJobs, registerJob, runDueJobs, startScheduler, stopScheduler };
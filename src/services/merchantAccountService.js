@@ -0,0 +1,157 @@
+import config from "../config/config.js";
+import Payment from "../models/Payment.js";
+import Payout from "../models/Payout.js";
+import { endOfRange } from "../utils/dates.js";
+import TrueLayerService from "./trueLayerService.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get our merchant accounts and their balances
+ * @returns {Promise<Array>} Merchant accounts
+ */
+const getMerchantAccounts = async () => {
+  const accounts = await TrueLayerService.getMerchantAccounts();
+
+  return accounts.map((account) => ({
+    id: account.id,
+    currency: account.currency,
+    accountHolderName: account.account_holder_name,
+    accountIdentifiers: account.account_identifiers || [],
+    availableBalanceInMinor: account.available_balance_in_minor,
+    currentBalanceInMinor: account.current_balance_in_minor,
+  }));
+};
+
+/**
+ * Get a merchant account's transactions, each matched with the payment,
+ * refund or payout we hold for it
+ * @param {string} merchantAccountId - TrueLayer merchant account ID
+ * @param {Object} [options] - Query options
+ * @param {string} [options.from] - Start date (ISO 8601), defaults to the configured window before to
+ * @param {string} [options.to] - End date (ISO 8601), inclusive of the whole day, defaults to now
+ * @param {string} [options.cursor] - Cursor of the page to fetch
+ * @param {Date} [options.now] - Reference date for the default window
+ * @returns {Promise<Object>} Window, transactions and the cursor of the next page
+ */
+const getMerchantAccountTransactions = async (
+  merchantAccountId,
+  { from, to, cursor, now = new Date() } = {}
+) => {
+  const end = to ? endOfRange(to) : now;
+  const start = from
+    ? new Date(from)
+    : new Date(
+        end.getTime() - config.payouts.merchantAccountTransactionsDays * DAY
+      );
+
+  const { items, nextCursor } =
+    await TrueLayerService.getMerchantAccountTransactions(merchantAccountId, {
+      from: start.toISOString(),
+      to: end.toISOString(),
+      cursor,
+    });
+
+  const records = await findRecords(items);
+  const transactions = items.map((item) => {
+    const record = records.get(getRecordKey(item)) || null;
+
+    return {
+      id: item.id,
+      type: item.type,
+      amountInMinor: item.amount_in_minor,
+      currency: item.currency,
+      status: item.status,
+      timestamp: item.settled_at || item.executed_at || item.created_at,
+      ...(item.payment_id && { paymentId: item.payment_id }),
+      ...(item.refund_id && { refundId: item.refund_id }),
+      ...(item.payout_id && { payoutId: item.payout_id }),
+      record,
+      // Incoming payments we did not start, and anything whose status we
+      // have not caught up with, need a closer look
+      reconciled: Boolean(record) && record.status === item.status,
+    };
+  });
+
+  return {
+    merchantAccountId,
+    from: start,
+    to: end,
+    transactions,
+    unreconciledCount: transactions.filter(
+      (transaction) => !transaction.reconciled
+    ).length,
+    nextCursor,
+  };
+};
+
+/**
+ * Stored payments, refunds and payouts behind merchant account transactions,
+ * keyed like getRecordKey
+ * @private
+ */
+async function findRecords(items) {
+  const idsOf = (type, field) =>
+    items.filter((item) => item.type === type).map((item) => item[field]);
+  const paymentIds = idsOf("merchant_account_payment", "payment_id");
+  const refundIds = idsOf("refund", "refund_id");
+  const payoutIds = idsOf("payout", "payout_id");
+
+  const [payments, payouts] = await Promise.all([
+    paymentIds.length || refundIds.length
+      ? Payment.find({
+          $or: [
+            { paymentId: { $in: paymentIds } },
+            { "refunds.refundId": { $in: refundIds } },
+          ],
+        })
+      : [],
+    payoutIds.length ? Payout.find({ payoutId: { $in: payoutIds } }) : [],
+  ]);
+
+  const records = new Map();
+  for (const payment of payments) {
+    records.set(`payment:${payment.paymentId}`, {
+      type: "payment",
+      id: payment.id,
+      status: payment.status,
+    });
+    for (const refund of payment.refunds) {
+      if (!refund.refundId) continue;
+      records.set(`refund:${refund.refundId}`, {
+        type: "refund",
+        id: refund.id,
+        paymentId: payment.id,
+        status: refund.status,
+      });
+    }
+  }
+  for (const payout of payouts) {
+    records.set(`payout:${payout.payoutId}`, {
+      type: "payout",
+      id: payout.id,
+      status: payout.status,
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Key of the stored record a merchant account transaction belongs to
+ * @private
+ */
+function getRecordKey(item) {
+  switch (item.type) {
+    case "merchant_account_payment":
+      return `payment:${item.payment_id}`;
+    case "refund":
+      return `refund:${item.refund_id}`;
+    case "payout":
+      return `payout:${item.payout_id}`;
+    default:
+      return null;
+  }
+}
+
+export { getMerchantAccountTransactions, getMerchantAccounts };
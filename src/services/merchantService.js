@@ -0,0 +1,195 @@
+import config from "../config/config.js";
+import logger from "../config/logger.js";
+import { DEFAULT_MERCHANTS } from "../constants/merchants.js";
+import Merchant from "../models/Merchant.js";
+import { get as cacheGet, set as cacheSet } from "./cacheService.js";
+
+const MERCHANT_CACHE_NAMESPACE = "merchants";
+
+const MONTHS = "jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec";
+
+// Bank boilerplate around the merchant in a description, removed in order
+const DESCRIPTION_NOISE = [
+  /^(card payment|contactless payment|contactless|direct debit|standing order|bill payment|faster payment|payment|purchase|pos|vis|visa|dd|so)( to| at)?\s+/i,
+  new RegExp(
+    `\\bon \\d{1,2}(st|nd|rd|th)? (${MONTHS})[a-z]*( \\d{2,4})?\\b`,
+    "gi"
+  ),
+  new RegExp(`\\b\\d{1,2} (${MONTHS})[a-z]*( \\d{2,4})?\\b`, "gi"),
+  /\b(on )?\d{1,2}[/.-]\d{1,2}([/.-]\d{2,4})?\b/gi,
+  /\b\d{1,2}:\d{2}(:\d{2})?\b/g,
+  /\b(card|cd)\s*[x*]*\d{4}\b/gi,
+  /[x*]{2,}\d{4}\b/gi,
+  /\b(ref|reference)[:\s].*$/i,
+  /\b(gbp|eur|usd)\s*\d+([.,]\d{2})?\b/gi,
+];
+
+// Confidence of a dictionary match by where the key came from and how it matched
+const MATCH_CONFIDENCE = {
+  provider: { exact: 0.95, prefix: 0.9 },
+  description: { exact: 0.85, prefix: 0.75 },
+};
+
+// Trailing country codes card networks append to the merchant
+const LOCATION_SUFFIX = / (gb|gbr|uk|ie|irl)$/;
+
+/**
+ * Reduce a merchant name or description to a key shared by all its transactions
+ * @param {Object} record - TrueLayer transaction record
+ * @returns {string|null} Lowercase merchant key without card, date or store number noise
+ */
+const getMerchantKey = (record) => {
+  return cleanMerchantText(record.merchant_name || record.description);
+};
+
+/**
+ * Identify the merchant of a transaction from the dictionary
+ * @param {Object} record - TrueLayer transaction record
+ * @param {Array} dictionary - Merchants with merchantId, name and patterns
+ * @returns {Object|null} Merchant ID (null if not in the dictionary), display name and confidence
+ */
+const normaliseMerchant = (record, dictionary) => {
+  const fromProvider = cleanMerchantText(record.merchant_name);
+  const fromDescription = cleanMerchantText(record.description);
+  const key = fromProvider || fromDescription;
+
+  if (!key) return null;
+
+  const match =
+    findMerchant(fromProvider, dictionary) ||
+    findMerchant(fromDescription, dictionary);
+
+  if (match) {
+    // A provider-supplied merchant name is more reliable than free text
+    const source = match.key === fromProvider ? "provider" : "description";
+    const fit = match.key === match.pattern ? "exact" : "prefix";
+
+    return {
+      id: match.merchant.merchantId,
+      name: match.merchant.name,
+      confidence: MATCH_CONFIDENCE[source][fit],
+    };
+  }
+
+  return {
+    id: null,
+    name: toDisplayName(key),
+    confidence: fromProvider ? 0.6 : 0.3,
+  };
+};
+
+/**
+ * Identify the merchants of a batch of transactions
+ * @param {Array} records - TrueLayer transaction records
+ * @returns {Promise<Array>} Merchant of each record, in the same order
+ */
+const normaliseMerchants = async (records) => {
+  const dictionary = await loadDictionary();
+  return records.map((record) => normaliseMerchant(record, dictionary));
+};
+
+/**
+ * Add merchant details to transaction records that were not read from the store
+ * @param {Array} records - TrueLayer transaction records
+ * @returns {Promise<Array>} Records with merchant set
+ */
+const applyMerchants = async (records) => {
+  const merchants = await normaliseMerchants(records);
+
+  return records.map((record, index) => ({
+    ...record,
+    merchant: merchants[index],
+  }));
+};
+
+/**
+ * Add the default merchants to the dictionary collection
+ * @returns {Promise<void>}
+ */
+const seedMerchants = async () => {
+  const result = await Merchant.seed(DEFAULT_MERCHANTS);
+
+  logger.info("Merchant dictionary seeded", {
+    added: result.upsertedCount,
+    total: DEFAULT_MERCHANTS.length,
+  });
+};
+
+/**
+ * Merchant dictionary, cached so edits to the collection apply without a restart
+ * @private
+ */
+async function loadDictionary() {
+  let dictionary = await cacheGet(MERCHANT_CACHE_NAMESPACE, "dictionary");
+
+  if (!dictionary) {
+    dictionary = await Merchant.find({}, "merchantId name patterns").lean();
+    await cacheSet(MERCHANT_CACHE_NAMESPACE, "dictionary", dictionary, {
+      ttl: config.trueLayer.merchantDictionaryCacheTtl,
+    });
+  }
+
+  return dictionary;
+}
+
+/**
+ * Dictionary merchant with the longest pattern matching a merchant key
+ * @private
+ */
+function findMerchant(key, dictionary) {
+  if (!key) return null;
+
+  let match = null;
+
+  for (const merchant of dictionary) {
+    for (const pattern of merchant.patterns) {
+      const matches = key === pattern || key.startsWith(`${pattern} `);
+
+      if (matches && (!match || pattern.length > match.pattern.length)) {
+        match = { merchant, pattern, key };
+      }
+    }
+  }
+
+  return match;
+}
+
+/**
+ * Strip bank noise, punctuation and store numbers from merchant text
+ * @private
+ */
+function cleanMerchantText(text) {
+  if (!text) return null;
+
+  const stripped = DESCRIPTION_NOISE.reduce(
+    (result, pattern) => result.replace(pattern, " "),
+    text.trim()
+  );
+
+  const key = stripped
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter((word) => word && !/\d/.test(word))
+    .join(" ")
+    .replace(LOCATION_SUFFIX, "");
+
+  return key || null;
+}
+
+/**
+ * Title case a merchant key for display
+ * @private
+ */
+function toDisplayName(key) {
+  return key.replace(/\b[a-z]/g, (letter) => letter.toUpperCase());
+}
+
+export {
+  applyMerchants,
+  getMerchantKey,
+  normaliseMerchant,
+  normaliseMerchants,
+  seedMerchants,
+};
@@ -0,0 +1,488 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import config from "../config/config.js";
+import logger from "../config/logger.js";
+import Payment from "../models/Payment.js";
+import { AppError, TrueLayerError } from "../utils/errors.js";
+import { maskAccountNumber } from "../utils/masking.js";
+import TrueLayerService from "./trueLayerService.js";
+
+/**
+ * Create a single immediate payment and the link the user authorises it with
+ * @param {Object} user - Paying user
+ * @param {Object} details - Payment details
+ * @param {number} details.amountInMinor - Amount in minor currency units
+ * @param {string} details.currency - "GBP" or "EUR"
+ * @param {string} [details.reference] - Reference shown to the beneficiary
+ * @param {Object} details.beneficiary - Merchant account or sort code and account number
+ * @param {string} [details.providerId] - Bank the user already chose
+ * @returns {Promise<Object>} Stored payment, resource token and hosted payment page link
+ */
+const createPayment = async (
+  user,
+  { amountInMinor, currency, reference, beneficiary, providerId }
+) => {
+  const merchantAccountId =
+    beneficiary.type === "merchant_account"
+      ? beneficiary.merchantAccountId || config.trueLayer.merchantAccountId
+      : undefined;
+
+  const request = {
+    amount_in_minor: amountInMinor,
+    currency,
+    payment_method: {
+      type: "bank_transfer",
+      provider_selection: providerId
+        ? {
+            type: "preselected",
+            provider_id: providerId,
+            scheme_selection: { type: "instant_preferred" },
+          }
+        : { type: "user_selected" },
+      beneficiary:
+        beneficiary.type === "merchant_account"
+          ? {
+              type: "merchant_account",
+              merchant_account_id: merchantAccountId,
+              ...(reference && { reference }),
+            }
+          : {
+              type: "external_account",
+              account_holder_name: beneficiary.accountHolderName,
+              reference,
+              account_identifier: {
+                type: "sort_code_account_number",
+                sort_code: beneficiary.sortCode,
+                account_number: beneficiary.accountNumber,
+              },
+            },
+    },
+    user: {
+      name: user.username,
+      email: user.email,
+    },
+  };
+
+  // Stored first, so a payment TrueLayer creates is never without a record
+  const payment = await Payment.create({
+    userId: user.id,
+    amountInMinor,
+    currency,
+    reference,
+    beneficiary: {
+      type: beneficiary.type,
+      merchantAccountId,
+      accountHolderName: beneficiary.accountHolderName,
+      sortCode: beneficiary.sortCode,
+      accountNumber: maskAccountNumber(beneficiary.accountNumber) || undefined,
+    },
+    providerId,
+    idempotencyKey: crypto.randomUUID(),
+    submission: request,
+  });
+
+  const response = await submitPayment(payment, request);
+
+  logger.info("Payment created", {
+    userId: user.id,
+    paymentId: payment.paymentId,
+    amountInMinor,
+    currency,
+    beneficiaryType: beneficiary.type,
+  });
+
+  return {
+    payment,
+    resourceToken: response.resource_token,
+    paymentLink: TrueLayerService.buildPaymentLink({
+      paymentId: response.id,
+      resourceToken: response.resource_token,
+    }),
+  };
+};
+
+/**
+ * Resubmit payments TrueLayer never confirmed creating, e.g. because its
+ * answer was lost, with their original idempotency keys so none is made twice
+ * @param {number} delay - Seconds a payment must have waited, so requests still in flight are left alone
+ * @returns {Promise<Object>} Counts of payments resubmitted and still unconfirmed
+ */
+const resubmitPendingPayments = async (delay) => {
+  const payments = await Payment.find({
+    paymentId: null,
+    submission: { $exists: true },
+    createdAt: { $lt: new Date(Date.now() - delay * 1000) },
+  }).select("+submission");
+
+  let resubmitted = 0;
+  let unconfirmed = 0;
+  for (const payment of payments) {
+    try {
+      await submitPayment(payment, payment.submission);
+      resubmitted += 1;
+    } catch (error) {
+      unconfirmed += 1;
+      logger.error("Failed to resubmit payment", {
+        userId: payment.userId.toString(),
+        id: payment.id,
+        error: error.message,
+      });
+    }
+  }
+
+  return { resubmitted, unconfirmed };
+};
+
+/**
+ * Get one of a user's payments, refreshing its status while it can still change
+ * @param {string} userId - ID of the user
+ * @param {string} id - ID of the stored payment
+ * @returns {Promise<Object|null>} Payment, or null if the user has no such payment
+ */
+const getPayment = async (userId, id) => {
+  const payment = await Payment.findOne({ _id: id, userId });
+  // Without a payment ID, TrueLayer never confirmed creating it
+  if (!payment || !payment.paymentId || payment.isFinal()) {
+    return payment;
+  }
+
+  try {
+    const latest = await TrueLayerService.getPayment(payment.paymentId);
+    const changed = payment.applyStatus({
+      status: latest.status,
+      at: getStatusTime(latest),
+      failureStage: latest.failure_stage,
+      failureReason: latest.failure_reason,
+    });
+    const sourceRecorded = recordPaymentSource(payment, latest);
+
+    if (changed || sourceRecorded) {
+      await payment.save();
+    }
+  } catch (error) {
+    // The stored status is still the best answer we have
+    logger.warn("Returning stored payment status", {
+      userId,
+      paymentId: payment.paymentId,
+      error: error.message,
+      errorCode: error.errorCode,
+    });
+  }
+
+  return payment;
+};
+
+/**
+ * Apply a payment status webhook to the stored payment
+ * @param {Object} event - Verified webhook payload
+ * @returns {Promise<boolean>} Whether the event was for a payment we hold
+ */
+const applyPaymentEvent = async (event) => {
+  const payment = await Payment.findOne({ paymentId: event.payment_id });
+  if (!payment) {
+    return false;
+  }
+
+  // e.g. payment_executed becomes executed
+  const status = event.type.replace(/^payment_/, "");
+  const changed = payment.applyStatus({
+    status,
+    at: getStatusTime({ ...event, status }),
+    failureStage: event.failure_stage,
+    failureReason: event.failure_reason,
+  });
+  const sourceRecorded = recordPaymentSource(payment, event);
+
+  if (changed || sourceRecorded) {
+    await payment.save();
+    logger.info("Payment status updated from webhook", {
+      userId: payment.userId.toString(),
+      paymentId: payment.paymentId,
+      status,
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Refund all or part of a user's settled merchant account payment
+ * @param {string} userId - ID of the user
+ * @param {string} id - ID of the stored payment
+ * @param {Object} [details] - Refund details
+ * @param {number} [details.amountInMinor] - Amount to refund, defaults to all that is not yet refunded or paid out
+ * @param {string} [details.reference] - Reference shown to the payer
+ * @returns {Promise<Object|null>} Payment and the new refund, or null if the user has no such payment
+ * @throws {AppError} If the payment cannot be refunded or the amount is more than is left
+ */
+const createRefund = async (userId, id, { amountInMinor, reference } = {}) => {
+  const payment = await Payment.findOne({ _id: id, userId });
+  if (!payment) {
+    return null;
+  }
+
+  // Only money that reached our merchant account can be sent back
+  if (
+    payment.beneficiary.type !== "merchant_account" ||
+    payment.status !== "settled"
+  ) {
+    throw new AppError(
+      "Only settled payments into our merchant account can be refunded",
+      409,
+      "PAYMENT_NOT_REFUNDABLE"
+    );
+  }
+
+  // Payouts back to the payer count too, so the two never add up to more
+  // than was paid
+  const refundable = payment.getAvailableAmount();
+  const amount = amountInMinor ?? refundable;
+  if (amount < 1 || amount > refundable) {
+    throw refundExceedsPayment(refundable);
+  }
+
+  const refund = {
+    _id: new mongoose.Types.ObjectId(),
+    amountInMinor: amount,
+    reference: reference || payment.reference || "REFUND",
+    idempotencyKey: crypto.randomUUID(),
+  };
+
+  const reserved = await Payment.reserveAmount(payment._id, amount, {
+    $push: { refunds: refund },
+  });
+  if (!reserved) {
+    // Another refund or payout was made in the meantime
+    const latest = await Payment.findById(payment._id);
+    throw refundExceedsPayment(latest.getAvailableAmount());
+  }
+
+  const updated = await submitRefund(reserved, refund);
+
+  return { payment: updated, refund: updated.refunds.id(refund._id) };
+};
+
+/**
+ * Resubmit refunds TrueLayer never confirmed, e.g. because its answer was
+ * lost, with their original idempotency keys so none is made twice
+ * @param {number} delay - Seconds a refund must have waited, so requests still in flight are left alone
+ * @returns {Promise<Object>} Counts of refunds resubmitted and still unconfirmed
+ */
+const resubmitPendingRefunds = async (delay) => {
+  const createdBefore = new Date(Date.now() - delay * 1000);
+  const isUnconfirmed = (refund) =>
+    !refund.refundId &&
+    refund.status === "pending" &&
+    refund.createdAt < createdBefore;
+
+  const payments = await Payment.find({
+    refunds: {
+      $elemMatch: {
+        refundId: null,
+        status: "pending",
+        createdAt: { $lt: createdBefore },
+      },
+    },
+  });
+
+  let resubmitted = 0;
+  let unconfirmed = 0;
+  for (const payment of payments) {
+    for (const refund of payment.refunds.filter(isUnconfirmed)) {
+      try {
+        await submitRefund(payment, refund);
+        resubmitted += 1;
+      } catch (error) {
+        unconfirmed += 1;
+        logger.error("Failed to resubmit refund", {
+          paymentId: payment.paymentId,
+          refund: refund._id.toString(),
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  return { resubmitted, unconfirmed };
+};
+
+/**
+ * Apply a refund status webhook to the stored refund
+ * @param {Object} event - Verified webhook payload
+ * @returns {Promise<boolean>} Whether the event was for a refund we hold
+ */
+const applyRefundEvent = async (event) => {
+  const payment = await Payment.findOne({
+    paymentId: event.payment_id,
+    "refunds.refundId": event.refund_id,
+  });
+  if (!payment) {
+    return false;
+  }
+
+  const refund = payment.refunds.find(
+    (candidate) => candidate.refundId === event.refund_id
+  );
+  // e.g. refund_executed becomes executed
+  const status = event.type.replace(/^refund_/, "");
+  const changed = refund.applyStatus({
+    status,
+    at: getStatusTime({ ...event, status }),
+    failureReason: event.failure_reason,
+  });
+
+  if (changed) {
+    await payment.save();
+    logger.info("Refund status updated from webhook", {
+      userId: payment.userId.toString(),
+      paymentId: payment.paymentId,
+      refundId: refund.refundId,
+      status,
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Keep the account a settled payment came from, once TrueLayer reports it
+ * @private
+ */
+function recordPaymentSource(payment, resource) {
+  const source = resource.payment_source;
+  if (!source?.id || payment.paymentSource?.id) {
+    return false;
+  }
+
+  payment.paymentSource = {
+    id: source.id,
+    accountHolderName: source.account_holder_name,
+  };
+  payment.trueLayerUserId ||= resource.user_id || resource.user?.id;
+  return true;
+}
+
+/**
+ * Ask TrueLayer to create a stored payment and record its payment ID
+ * @private
+ */
+async function submitPayment(payment, request) {
+  let response;
+  try {
+    response = await TrueLayerService.createPayment(
+      request,
+      payment.idempotencyKey
+    );
+  } catch (error) {
+    if (error instanceof TrueLayerError && error.isRejection()) {
+      payment.applyStatus({ status: "failed", failureReason: error.message });
+      payment.submission = undefined;
+      await payment.save();
+    } else {
+      // TrueLayer may have created it; the idempotency key identifies it
+      logger.warn("Payment outcome unknown", {
+        userId: payment.userId.toString(),
+        id: payment.id,
+        idempotencyKey: payment.idempotencyKey,
+        error: error.message,
+      });
+    }
+    throw error;
+  }
+
+  payment.paymentId = response.id;
+  payment.trueLayerUserId = response.user?.id;
+  payment.submission = undefined;
+  payment.applyStatus({ status: response.status });
+  await payment.save();
+
+  return response;
+}
+
+/**
+ * Ask TrueLayer to make a reserved refund and record its refund ID
+ * @private
+ */
+async function submitRefund(payment, refund) {
+  let response;
+  try {
+    response = await TrueLayerService.createRefund(
+      payment.paymentId,
+      refund,
+      refund.idempotencyKey
+    );
+  } catch (error) {
+    if (error instanceof TrueLayerError && error.isRejection()) {
+      // TrueLayer will never make the refund, so the amount is free again
+      await Payment.updateOne(
+        { _id: payment._id, "refunds._id": refund._id },
+        {
+          $set: {
+            "refunds.$.status": "failed",
+            "refunds.$.statusUpdatedAt": new Date(),
+            "refunds.$.failureReason": error.message,
+          },
+        }
+      );
+    } else {
+      // TrueLayer may have made the refund, so the amount stays reserved
+      // until a resubmission with the same idempotency key confirms it
+      logger.warn("Refund outcome unknown", {
+        paymentId: payment.paymentId,
+        refund: refund._id.toString(),
+        idempotencyKey: refund.idempotencyKey,
+        error: error.message,
+      });
+    }
+    throw error;
+  }
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: payment._id, "refunds._id": refund._id },
+    { $set: { "refunds.$.refundId": response.id } },
+    { new: true }
+  );
+
+  logger.info("Refund created", {
+    userId: payment.userId.toString(),
+    paymentId: payment.paymentId,
+    refundId: response.id,
+    amountInMinor: refund.amountInMinor,
+  });
+
+  return updated;
+}
+
+/**
+ * Error for a refund larger than what is left to refund
+ * @private
+ */
+function refundExceedsPayment(refundable) {
+  return new AppError(
+    refundable > 0
+      ? `Refund cannot be more than the ${refundable} not yet paid back`
+      : "Payment has already been paid back in full",
+    422,
+    "REFUND_EXCEEDS_PAYMENT"
+  );
+}
+
+/**
+ * When TrueLayer reports a payment or refund reached its current status
+ * @private
+ */
+function getStatusTime(resource) {
+  // e.g. executed_at, settled_at or failed_at
+  const timestamp = resource[`${resource.status}_at`];
+  return timestamp ? new Date(timestamp) : new Date();
+}
+
+export {
+  applyPaymentEvent,
+  applyRefundEvent,
+  createPayment,
+  createRefund,
+  getPayment,
+  resubmitPendingPayments,
+  resubmitPendingRefunds,
+};
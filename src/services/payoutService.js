@@ -0,0 +1,461 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import config from "../config/config.js";
+import logger from "../config/logger.js";
+import Payment from "../models/Payment.js";
+import Payout from "../models/Payout.js";
+import {
+  AppError,
+  AuthorizationError,
+  TrueLayerError,
+} from "../utils/errors.js";
+import TrueLayerService from "./trueLayerService.js";
+
+/**
+ * Request a payout from our merchant account, submitting it straight away
+ * unless it is large enough to need an admin's approval
+ * @param {Object} requester - User requesting the payout
+ * @param {Object} details - Payout details
+ * @param {number} details.amountInMinor - Amount in minor currency units
+ * @param {string} [details.currency] - "GBP" or "EUR", taken from the payment for closed-loop payouts
+ * @param {string} details.reference - Reference shown to the beneficiary
+ * @param {Object} details.beneficiary - Payment whose source account is paid, or an external account
+ * @param {string} [details.merchantAccountId] - Merchant account to pay from, for external accounts
+ * @returns {Promise<Object|null>} Payout, or null if the requester has no such payment
+ * @throws {AuthorizationError} If a user who is not an admin pays an external account
+ * @throws {AppError} If the payment cannot be paid back or the amount is more than is left
+ */
+const createPayout = async (
+  requester,
+  { amountInMinor, currency, reference, beneficiary, merchantAccountId }
+) => {
+  const isAdmin = requester.role === "admin";
+  let details;
+
+  if (beneficiary.type === "payment_source") {
+    const payment = await Payment.findOne({
+      _id: beneficiary.paymentId,
+      ...(!isAdmin && { userId: requester.id }),
+    });
+    if (!payment) {
+      return null;
+    }
+
+    details = getClosedLoopDetails(payment);
+  } else {
+    if (!isAdmin) {
+      throw AuthorizationError.roleRequired(
+        "admin",
+        "Only admins can pay out to external accounts"
+      );
+    }
+
+    details = {
+      merchantAccountId:
+        merchantAccountId || config.trueLayer.merchantAccountId,
+      currency,
+      beneficiary: {
+        type: "external_account",
+        accountHolderName: beneficiary.accountHolderName,
+        iban: beneficiary.iban,
+        sortCode: beneficiary.sortCode,
+        accountNumber: beneficiary.accountNumber,
+      },
+    };
+  }
+
+  const needsApproval = amountInMinor > config.payouts.approvalThreshold;
+  const id = new mongoose.Types.ObjectId();
+  if (details.beneficiary.type === "payment_source") {
+    await reserveAmount(details.beneficiary.paymentId, id, amountInMinor, {
+      isAdmin,
+    });
+  }
+
+  let payout;
+  try {
+    payout = await Payout.create({
+      _id: id,
+      ...details,
+      requestedBy: requester.id,
+      amountInMinor,
+      reference,
+      status: needsApproval ? "pending_approval" : "pending",
+      idempotencyKey: crypto.randomUUID(),
+    });
+  } catch (error) {
+    await releaseAmount({ _id: id, beneficiary: details.beneficiary });
+    throw error;
+  }
+
+  logger.info("Payout requested", {
+    requestedBy: requester.id,
+    payoutId: payout.id,
+    amountInMinor,
+    currency: payout.currency,
+    beneficiaryType: beneficiary.type,
+    needsApproval,
+  });
+
+  return needsApproval ? payout : await submitPayout(payout);
+};
+
+/**
+ * Get a payout the user requested or is paid by
+ * @param {Object} user - User asking for the payout
+ * @param {string} id - ID of the stored payout
+ * @returns {Promise<Object|null>} Payout, or null if the user cannot see it
+ */
+const getPayout = async (user, id) => {
+  return await Payout.findOne({ _id: id, ...visibleTo(user) });
+};
+
+/**
+ * List payouts the user requested or is paid by, or every payout for admins
+ * @param {Object} user - User asking for the payouts
+ * @param {Object} [filters] - List filters
+ * @param {string} [filters.status] - Only include payouts with this status
+ * @returns {Promise<Array>} Payouts, newest first
+ */
+const listPayouts = async (user, { status } = {}) => {
+  return await Payout.find({
+    ...visibleTo(user),
+    ...(status && { status }),
+  })
+    .sort({ createdAt: -1 })
+    .limit(config.payouts.listLimit);
+};
+
+/**
+ * Approve a payout awaiting approval and submit it to TrueLayer
+ * @param {Object} reviewer - Admin approving the payout
+ * @param {string} id - ID of the stored payout
+ * @returns {Promise<Object|null>} Payout, or null if there is no such payout
+ * @throws {AuthorizationError} If the admin requested the payout themselves
+ * @throws {AppError} If the payout is not awaiting approval
+ */
+const approvePayout = async (reviewer, id) => {
+  const payout = await claimForReview(reviewer, id, { status: "pending" });
+  if (!payout) {
+    return null;
+  }
+
+  logger.info("Payout approved", {
+    reviewedBy: reviewer.id,
+    payoutId: payout.id,
+  });
+
+  return await submitPayout(payout);
+};
+
+/**
+ * Reject a payout awaiting approval, so it is never sent
+ * @param {Object} reviewer - Admin rejecting the payout
+ * @param {string} id - ID of the stored payout
+ * @param {string} [reason] - Why the payout was rejected
+ * @returns {Promise<Object|null>} Payout, or null if there is no such payout
+ * @throws {AuthorizationError} If the admin requested the payout themselves
+ * @throws {AppError} If the payout is not awaiting approval
+ */
+const rejectPayout = async (reviewer, id, reason) => {
+  const payout = await claimForReview(reviewer, id, {
+    status: "rejected",
+    rejectionReason: reason,
+  });
+  if (!payout) {
+    return null;
+  }
+
+  await releaseAmount(payout);
+
+  logger.info("Payout rejected", {
+    reviewedBy: reviewer.id,
+    payoutId: payout.id,
+  });
+
+  return payout;
+};
+
+/**
+ * Resubmit payouts TrueLayer never confirmed, e.g. because its answer was
+ * lost, with their original idempotency keys so none is made twice
+ * @param {number} delay - Seconds since a payout was last updated, so requests still in flight are left alone
+ * @returns {Promise<Object>} Counts of payouts resubmitted and still unconfirmed
+ */
+const resubmitPendingPayouts = async (delay) => {
+  const payouts = await Payout.find({
+    status: "pending",
+    payoutId: null,
+    updatedAt: { $lt: new Date(Date.now() - delay * 1000) },
+  });
+
+  let resubmitted = 0;
+  let unconfirmed = 0;
+  for (const payout of payouts) {
+    try {
+      await submitPayout(payout);
+      resubmitted += 1;
+    } catch (error) {
+      unconfirmed += 1;
+      logger.error("Failed to resubmit payout", {
+        payout: payout.id,
+        error: error.message,
+      });
+    }
+  }
+
+  return { resubmitted, unconfirmed };
+};
+
+/**
+ * Apply a payout status webhook to the stored payout
+ * @param {Object} event - Verified webhook payload
+ * @returns {Promise<boolean>} Whether the event was for a payout we hold
+ */
+const applyPayoutEvent = async (event) => {
+  const payout = await Payout.findOne({ payoutId: event.payout_id });
+  if (!payout) {
+    return false;
+  }
+
+  // e.g. payout_executed becomes executed
+  const status = event.type.replace(/^payout_/, "");
+  const timestamp = event[`${status}_at`];
+  const changed = payout.applyStatus({
+    status,
+    at: timestamp ? new Date(timestamp) : new Date(),
+    failureReason: event.failure_reason,
+  });
+
+  if (changed) {
+    await payout.save();
+    if (payout.status === "failed") {
+      await releaseAmount(payout);
+    }
+    logger.info("Payout status updated from webhook", {
+      payoutId: payout.payoutId,
+      status,
+    });
+  }
+
+  return true;
+};
+
+/**
+ * Payout details for paying back the account a payment came from
+ * @private
+ */
+function getClosedLoopDetails(payment) {
+  // TrueLayer only knows the source account of a payment into our
+  // merchant account once the money has arrived
+  if (
+    payment.beneficiary.type !== "merchant_account" ||
+    payment.status !== "settled" ||
+    !payment.paymentSource?.id ||
+    !payment.trueLayerUserId
+  ) {
+    throw new AppError(
+      "Only settled payments into our merchant account can be paid back",
+      409,
+      "PAYOUT_SOURCE_UNAVAILABLE"
+    );
+  }
+
+  return {
+    userId: payment.userId,
+    merchantAccountId: payment.beneficiary.merchantAccountId,
+    currency: payment.currency,
+    beneficiary: {
+      type: "payment_source",
+      paymentId: payment._id,
+      paymentSourceId: payment.paymentSource.id,
+      trueLayerUserId: payment.trueLayerUserId,
+      accountHolderName: payment.paymentSource.accountHolderName,
+    },
+  };
+}
+
+/**
+ * Hold a closed-loop payout's amount back from the payment it pays back,
+ * alongside the payment's refunds
+ * @private
+ */
+async function reserveAmount(paymentId, payoutId, amountInMinor, { isAdmin }) {
+  const update = {
+    $push: { payouts: { payout: payoutId, amountInMinor } },
+  };
+
+  // Users can have back what they paid in; admins may pay out more
+  if (isAdmin) {
+    await Payment.updateOne({ _id: paymentId }, update);
+    return;
+  }
+
+  const reserved = await Payment.reserveAmount(
+    paymentId,
+    amountInMinor,
+    update
+  );
+  if (!reserved) {
+    const latest = await Payment.findById(paymentId);
+    const available = latest.getAvailableAmount();
+    throw new AppError(
+      available > 0
+        ? `Payout cannot be more than the ${available} not yet paid back`
+        : "Payment has already been paid back in full",
+      422,
+      "PAYOUT_EXCEEDS_PAYMENT"
+    );
+  }
+}
+
+/**
+ * Give a failed or rejected closed-loop payout's amount back to the payment
+ * @private
+ */
+async function releaseAmount(payout) {
+  if (payout.beneficiary.type !== "payment_source") {
+    return;
+  }
+
+  await Payment.updateOne(
+    { _id: payout.beneficiary.paymentId },
+    { $pull: { payouts: { payout: payout._id } } }
+  );
+}
+
+/**
+ * Move a payout awaiting approval on, once, for an admin other than the requester
+ * @private
+ */
+async function claimForReview(reviewer, id, update) {
+  const payout = await Payout.findById(id);
+  if (!payout) {
+    return null;
+  }
+
+  if (payout.requestedBy.toString() === reviewer.id) {
+    throw new AuthorizationError(
+      "Payouts must be reviewed by someone other than the requester",
+      "SELF_REVIEW"
+    );
+  }
+
+  // Conditional on the status, so two admins cannot both act on it
+  const claimed = await Payout.findOneAndUpdate(
+    { _id: payout._id, status: "pending_approval" },
+    {
+      $set: {
+        ...update,
+        statusUpdatedAt: new Date(),
+        reviewedBy: reviewer.id,
+        reviewedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new AppError(
+      "Payout is not awaiting approval",
+      409,
+      "PAYOUT_NOT_PENDING_APPROVAL"
+    );
+  }
+
+  return claimed;
+}
+
+/**
+ * Send a payout to TrueLayer, marking it failed only if TrueLayer refuses it
+ * @private
+ */
+async function submitPayout(payout) {
+  let response;
+  try {
+    response = await TrueLayerService.createPayout(
+      {
+        merchant_account_id: payout.merchantAccountId,
+        amount_in_minor: payout.amountInMinor,
+        currency: payout.currency,
+        beneficiary: buildBeneficiary(payout),
+      },
+      payout.idempotencyKey
+    );
+  } catch (error) {
+    if (error instanceof TrueLayerError && error.isRejection()) {
+      payout.applyStatus({ status: "failed", failureReason: error.message });
+      await payout.save();
+      await releaseAmount(payout);
+    } else {
+      // TrueLayer may have made the payout, so it stays pending until a
+      // resubmission with the same idempotency key confirms it
+      logger.warn("Payout outcome unknown", {
+        payout: payout.id,
+        idempotencyKey: payout.idempotencyKey,
+        error: error.message,
+      });
+    }
+    throw error;
+  }
+
+  payout.payoutId = response.id;
+  await payout.save();
+
+  logger.info("Payout submitted", {
+    payoutId: payout.payoutId,
+    amountInMinor: payout.amountInMinor,
+    currency: payout.currency,
+  });
+
+  return payout;
+}
+
+/**
+ * Payouts API beneficiary for a stored payout
+ * @private
+ */
+function buildBeneficiary({ beneficiary, reference }) {
+  if (beneficiary.type === "payment_source") {
+    return {
+      type: "payment_source",
+      payment_source_id: beneficiary.paymentSourceId,
+      user_id: beneficiary.trueLayerUserId,
+      reference,
+    };
+  }
+
+  return {
+    type: "external_account",
+    account_holder_name: beneficiary.accountHolderName,
+    reference,
+    account_identifier: beneficiary.iban
+      ? { type: "iban", iban: beneficiary.iban }
+      : {
+          type: "sort_code_account_number",
+          sort_code: beneficiary.sortCode,
+          account_number: beneficiary.accountNumber,
+        },
+  };
+}
+
+/**
+ * Query condition for the payouts a user may see
+ * @private
+ */
+function visibleTo(user) {
+  if (user.role === "admin") {
+    return {};
+  }
+
+  return { $or: [{ requestedBy: user.id }, { userId: user.id }] };
+}
+
+export {
+  applyPayoutEvent,
+  approvePayout,
+  createPayout,
+  getPayout,
+  listPayouts,
+  rejectPayout,
+  resubmitPendingPayouts,
+};
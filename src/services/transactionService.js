@@ -0,0 +1,242 @@
+import config from "../config/config.js";
+import logger from "../config/logger.js";
+import BankConnection from "../models/BankConnection.js";
+import Transaction from "../models/Transaction.js";
+import {
+  collectFromConnections,
+  getLinkedConnections,
+  resolveConnection,
+} from "./connectionService.js";
+import TrueLayerService from "./trueLayerService.js";
+
+// Errors clients answer by asking the user to re-authenticate
+const REAUTHENTICATION_ERROR_CODES = [
+  "CONSENT_EXPIRED",
+  "TRUELAYER_CONNECTION_EXPIRED",
+];
+
+/**
+ * Sync stale accounts or cards, then read a page of transactions from the local store
+ * @param {string} userId - ID of the user
+ * @param {Object} source - Transactions to read
+ * @param {string} source.resourceType - "accounts" or "cards"
+ * @param {string} [source.id] - Account or card ID, all of them when omitted
+ * @param {Object} options - Query options
+ * @param {string} [options.from] - Start date (ISO 8601)
+ * @param {string} [options.to] - End date (ISO 8601)
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @param {number} options.limit - Maximum number of transactions
+ * @returns {Promise<Object>} Provider-shaped records, next cursor and connections that failed to sync
+ */
+const getStoredTransactions = async (userId, { resourceType, id }, options) => {
+  const connections = await getLinkedConnections(userId);
+
+  let failures;
+  try {
+    ({ failures } = await syncTransactions(
+      userId,
+      { resourceType, id },
+      { connections }
+    ));
+  } catch (error) {
+    // The connection that synced this account or card before, if any
+    const owner =
+      id &&
+      connections.find((connection) =>
+        connection.transactionSync?.has(`${resourceType}:${id}`)
+      );
+
+    // Clients prompt the user to re-authenticate on an expired consent or
+    // connection, and an account or card never synced is not ours to serve
+    if (!owner || REAUTHENTICATION_ERROR_CODES.includes(error.errorCode)) {
+      throw error;
+    }
+
+    // A failed sync leaves the stored history in place, so it is still served
+    logger.warn("Transaction sync failed, reading stored transactions", {
+      userId,
+      connectionId: owner._id,
+      accountId: id,
+      error: error.message,
+      errorCode: error.errorCode,
+    });
+    failures = [
+      { connectionId: owner.id, error: error.errorCode || "SYNC_FAILED" },
+    ];
+  }
+
+  const filter = id
+    ? { userId, resourceType, accountId: id }
+    : {
+        userId,
+        resourceType,
+        connectionId: { $in: connections.map((connection) => connection._id) },
+      };
+
+  const { transactions, nextCursor } = await Transaction.findPage(
+    filter,
+    options
+  );
+
+  return {
+    records: transactions.map((transaction) => transaction.toProviderRecord()),
+    nextCursor,
+    failures,
+  };
+};
+
+/**
+ * Bring stored transactions up to date for a user's accounts or cards
+ * @param {string} userId - ID of the user
+ * @param {Object} source - Transactions to sync
+ * @param {string} source.resourceType - "accounts" or "cards"
+ * @param {string} [source.id] - Account or card ID, all of them when omitted
+ * @param {Object} [options] - Sync options
+ * @param {boolean} [options.force] - Sync even if the last sync is recent
+ * @param {Array} [options.connections] - Connections already loaded for this request
+ * @returns {Promise<Object>} IDs of the linked connections and any that failed to sync
+ */
+const syncTransactions = async (userId, { resourceType, id }, options = {}) => {
+  if (id) {
+    const { connection, accessToken } = await resolveConnection(
+      userId,
+      resourceType,
+      id
+    );
+    try {
+      await syncIfStale(accessToken, connection, resourceType, id, options);
+    } catch (error) {
+      logger.warn("Transaction sync failed", {
+        userId,
+        connectionId: connection._id,
+        accountId: id,
+        error: error.message,
+        errorCode: error.errorCode,
+      });
+      return {
+        connectionIds: [connection._id],
+        failures: [
+          {
+            connectionId: connection.id,
+            error: error.errorCode || "CONNECTION_FAILED",
+          },
+        ],
+      };
+    }
+
+    return { connectionIds: [connection._id], failures: [] };
+  }
+
+  const connections =
+    options.connections || (await getLinkedConnections(userId));
+
+  const { failures } = await collectFromConnections(
+    userId,
+    async (accessToken, connection) => {
+      const resources =
+        resourceType === "cards"
+          ? await TrueLayerService.getCards(accessToken)
+          : await TrueLayerService.getAccounts(accessToken);
+
+      // One account at a time keeps a large sync within the provider's rate limits
+      for (const resource of resources) {
+        await syncIfStale(
+          accessToken,
+          connection,
+          resourceType,
+          resource.account_id,
+          options
+        );
+      }
+
+      return [];
+    },
+    { connections, allowAllFailed: true }
+  );
+
+  // Connections that failed to sync still serve the history already stored
+  return {
+    connectionIds: connections.map((connection) => connection._id),
+    failures,
+  };
+};
+
+/**
+ * Bring stored transactions up to date for all of a user's accounts and cards
+ * @param {string} userId - ID of the user
+ * @param {Object} [options] - Sync options
+ * @param {boolean} [options.force] - Sync even if the last sync is recent
+ * @returns {Promise<Object>} Connections or resource types that failed to sync
+ */
+const syncUserTransactions = async (userId, options = {}) => {
+  const failures = [];
+
+  // A failed sync leaves the stored history in place, so callers can still read it
+  for (const resourceType of ["accounts", "cards"]) {
+    try {
+      const result = await syncTransactions(userId, { resourceType }, options);
+      failures.push(...result.failures);
+    } catch (error) {
+      logger.warn("Transaction sync failed", {
+        userId,
+        resourceType,
+        error: error.message,
+        errorCode: error.errorCode,
+      });
+      failures.push({ resourceType, error: error.errorCode || "SYNC_FAILED" });
+    }
+  }
+
+  return { failures };
+};
+
+/**
+ * Sync accounts and cards of every user with an active connection
+ * @returns {Promise<Object>} Number of users synced and syncs that failed
+ */
+const syncAllUsers = async () => {
+  const userIds = await BankConnection.distinct("userId", { status: "active" });
+  let failed = 0;
+
+  // Users are synced one by one to spread the load on TrueLayer
+  for (const userId of userIds) {
+    const { failures } = await syncUserTransactions(userId, { force: true });
+    failed += failures.length;
+  }
+
+  return { users: userIds.length, failed };
+};
+
+/**
+ * Sync an account unless it was synced within the configured interval
+ * @private
+ */
+async function syncIfStale(
+  accessToken,
+  connection,
+  resourceType,
+  accountId,
+  { force = false } = {}
+) {
+  const lastSync = connection.transactionSync?.get(
+    `${resourceType}:${accountId}`
+  );
+  const isFresh =
+    lastSync &&
+    Date.now() - lastSync.syncedAt.getTime() <
+      config.trueLayer.transactionSyncInterval * 1000;
+
+  if (force || !isFresh) {
+    await TrueLayerService.syncAccount(accessToken, connection, {
+      resourceType,
+      accountId,
+    });
+  }
+}
+
+export {
+  getStoredTransactions,
+  syncAllUsers,
+  syncTransactions,
+  syncUserTransactions,
+};
@@ -3,6 +3,21 @@ import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import config from "../config/config.js";
 import logger from "../config/logger.js";
+import Transaction from "../models/Transaction.js";
+import { categoriseTransactions } from "./categorisationService.js";
+import { normaliseMerchants } from "./merchantService.js";
+import { get as cacheGet, set as cacheSet } from "./cacheService.js";
+import { TrueLayerError } from "../utils/errors.js";
+import { maskAccountNumber, maskCardNumber } from "../utils/masking.js";
+
+const PROVIDERS_CACHE_NAMESPACE = "truelayer-providers";
+
+/**
+ * Token endpoint on the auth host; the client's base URL is the Data API host
+ * @returns {string} Absolute token endpoint URL
+ */
+const getTokenUrl = () =>
+  `${config.trueLayer.authUrl}${config.trueLayer.tokenEndpoint}`;
 
 class TrueLayerService {
   static instance = null;
@@ -27,6 +42,9 @@ class TrueLayerService {
       },
     });
 
+    // Runs again for each retry, so retried requests are re-signed
+    this.api.interceptors.request.use(this.signPaymentsRequest.bind(this));
+
     this.api.interceptors.response.use(
       (response) => response,
       this.handleApiError.bind(this)
@@ -75,7 +93,7 @@ class TrueLayerService {
       const payload = {
         iss: config.trueLayer.clientId,
         sub: config.trueLayer.clientId,
-        aud: `${config.trueLayer.authUrl}${config.trueLayer.tokenEndpoint}`,
+        aud: getTokenUrl(),
         iat: now,
         exp: now + 300,
         jti: crypto.randomUUID(),
@@ -110,12 +128,13 @@ class TrueLayerService {
 
       const assertion = await this.generateJWTAssertion();
 
-      const response = await this.api.post(config.trueLayer.tokenEndpoint, {
+      const response = await this.api.post(getTokenUrl(), {
         grant_type: "client_credentials",
         client_assertion_type:
           "urn:ietf:params:oauth:client-assertion-type:jwt-bearer",
         client_assertion: assertion,
-        scope: config.trueLayer.scopes.join(" "),
+        // Client credentials tokens are only used for the Payments API
+        scope: config.trueLayer.paymentScopes.join(" "),
       });
 
       // Cache the new token
@@ -154,7 +173,11 @@ class TrueLayerService {
       // Retry on network errors
       !response;
 
-    if (shouldRetry && axiosConfig?._retry < config.trueLayer.retryAttempts) {
+    if (
+      shouldRetry &&
+      this.isSafeToRetry(axiosConfig) &&
+      (axiosConfig._retry || 0) < config.trueLayer.retryAttempts
+    ) {
       axiosConfig._retry = (axiosConfig._retry || 0) + 1;
       const delay = Math.pow(2, axiosConfig._retry) * 1000;
 
@@ -186,14 +209,34 @@ class TrueLayerService {
     throw error;
   }
 
+  /**
+   * Check a failed request can be sent again without acting on it twice
+   * @private
+   * @param {Object} [axiosConfig] - Axios request config
+   * @returns {boolean} Whether the request is a read or carries an idempotency key
+   */
+  isSafeToRetry(axiosConfig) {
+    if (!axiosConfig) {
+      return false;
+    }
+
+    // Token grants, revocations and other POSTs may have succeeded before the
+    // error, and single-use codes and rotated refresh tokens cannot be resent
+    const method = (axiosConfig.method || "get").toUpperCase();
+    return (
+      method === "GET" || Boolean(axiosConfig.headers?.["Idempotency-Key"])
+    );
+  }
+
   /**
    * Make an authenticated request to TrueLayer API
    * @param {string} method - HTTP method
    * @param {string} endpoint - API endpoint
    * @param {Object} [data] - Request body for POST/PUT requests
+   * @param {Object} [headers] - Additional request headers
    * @returns {Promise<Object>} API response
    */
-  async makeAuthenticatedRequest(method, endpoint, data = null) {
+  async makeAuthenticatedRequest(method, endpoint, data = null, headers = {}) {
     try {
       const accessToken = await this.getAccessToken();
 
@@ -202,6 +245,7 @@ class TrueLayerService {
         url: endpoint,
         data,
         headers: {
+          ...headers,
           Authorization: `Bearer ${accessToken}`,
         },
       });
@@ -216,17 +260,424 @@ class TrueLayerService {
     }
   }
 
+  /**
+   * Add an Idempotency-Key and Tl-Signature to Payments API requests that change state
+   * @private
+   * @param {Object} requestConfig - Axios request config
+   * @returns {Object} Request config ready to send
+   */
+  signPaymentsRequest(requestConfig) {
+    const method = (requestConfig.method || "get").toUpperCase();
+    if (method === "GET") {
+      return requestConfig;
+    }
+
+    // The base URL may be unset or relative, so resolve against a placeholder
+    // host; only the path is signed
+    const { pathname } = new URL(
+      this.api.getUri(requestConfig),
+      "http://localhost"
+    );
+
+    if (!pathname.startsWith(`/${config.trueLayer.paymentsApiVersion}/`)) {
+      return requestConfig;
+    }
+
+    // A retry is sent with the original's headers, so it keeps the same key
+    // and TrueLayer does not act on it twice
+    requestConfig.headers["Idempotency-Key"] ||= crypto.randomUUID();
+
+    // Serialised here so the signed body is byte for byte the one sent
+    if (requestConfig.data != null && typeof requestConfig.data !== "string") {
+      requestConfig.data = JSON.stringify(requestConfig.data);
+    }
+
+    requestConfig.headers["Tl-Signature"] = this.signRequest({
+      method,
+      path: pathname,
+      headers: { "Idempotency-Key": requestConfig.headers["Idempotency-Key"] },
+      body: requestConfig.data || "",
+    });
+
+    return requestConfig;
+  }
+
+  /**
+   * Sign a Payments API request as the detached JWS TrueLayer expects in Tl-Signature
+   * @param {Object} request - Request to sign
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Request path, without the host
+   * @param {Object} [request.headers] - Headers covered by the signature
+   * @param {string} [request.body] - Request body exactly as sent
+   * @returns {string} Detached JWS
+   */
+  signRequest({ method, path, headers = {}, body = "" }) {
+    const privateKey = this.validatePrivateKey(config.trueLayer.privateKey);
+    const headerNames = Object.keys(headers);
+
+    const jwsHeader = Buffer.from(
+      JSON.stringify({
+        alg: "ES512",
+        kid: config.trueLayer.kid,
+        tl_version: "2",
+        tl_headers: headerNames.join(","),
+      })
+    ).toString("base64url");
+    const payload = [
+      `${method.toUpperCase()} ${path}\n`,
+      ...headerNames.map((name) => `${name}: ${headers[name]}\n`),
+      body,
+    ].join("");
+
+    const signature = crypto
+      .sign(
+        "sha512",
+        Buffer.from(
+          `${jwsHeader}.${Buffer.from(payload).toString("base64url")}`
+        ),
+        { key: privateKey, dsaEncoding: "ieee-p1363" }
+      )
+      .toString("base64url");
+
+    // The payload is left out; TrueLayer rebuilds it from the request
+    return `${jwsHeader}..${signature}`;
+  }
+
+  /**
+   * Create a single immediate payment
+   * @param {Object} paymentRequest - Payments API request body
+   * @param {string} idempotencyKey - Key that makes retrying the same payment safe
+   * @returns {Promise<Object>} Payment ID, status and resource token
+   */
+  async createPayment(paymentRequest, idempotencyKey) {
+    try {
+      return await this.makeAuthenticatedRequest(
+        "POST",
+        `/${config.trueLayer.paymentsApiVersion}/payments`,
+        paymentRequest,
+        { "Idempotency-Key": idempotencyKey }
+      );
+    } catch (error) {
+      throw this.createTrueLayerError("Failed to create payment", error);
+    }
+  }
+
+  /**
+   * Get the latest state of a payment
+   * @param {string} paymentId - TrueLayer payment ID
+   * @returns {Promise<Object>} Payment
+   */
+  async getPayment(paymentId) {
+    try {
+      return await this.makeAuthenticatedRequest(
+        "GET",
+        `/${config.trueLayer.paymentsApiVersion}/payments/${encodeURIComponent(
+          paymentId
+        )}`
+      );
+    } catch (error) {
+      throw this.createTrueLayerError("Failed to fetch payment", error);
+    }
+  }
+
+  /**
+   * Refund all or part of a settled merchant account payment
+   * @param {string} paymentId - TrueLayer payment ID
+   * @param {Object} refund - Refund details
+   * @param {number} refund.amountInMinor - Amount to refund in minor currency units
+   * @param {string} refund.reference - Reference shown to the payer
+   * @param {string} idempotencyKey - Key that makes retrying the same refund safe
+   * @returns {Promise<Object>} Refund ID
+   */
+  async createRefund(paymentId, { amountInMinor, reference }, idempotencyKey) {
+    try {
+      return await this.makeAuthenticatedRequest(
+        "POST",
+        `/${config.trueLayer.paymentsApiVersion}/payments/${encodeURIComponent(
+          paymentId
+        )}/refunds`,
+        { amount_in_minor: amountInMinor, reference },
+        { "Idempotency-Key": idempotencyKey }
+      );
+    } catch (error) {
+      throw this.createTrueLayerError("Failed to create refund", error);
+    }
+  }
+
+  /**
+   * Pay out from one of our merchant accounts
+   * @param {Object} payoutRequest - Payouts API request body
+   * @param {string} idempotencyKey - Key that makes retrying the same payout safe
+   * @returns {Promise<Object>} Payout ID
+   */
+  async createPayout(payoutRequest, idempotencyKey) {
+    try {
+      return await this.makeAuthenticatedRequest(
+        "POST",
+        `/${config.trueLayer.paymentsApiVersion}/payouts`,
+        payoutRequest,
+        { "Idempotency-Key": idempotencyKey }
+      );
+    } catch (error) {
+      throw this.createTrueLayerError("Failed to create payout", error);
+    }
+  }
+
+  /**
+   * Get our merchant accounts and their balances
+   * @returns {Promise<Array>} Merchant accounts
+   */
+  async getMerchantAccounts() {
+    try {
+      const response = await this.makeAuthenticatedRequest(
+        "GET",
+        `/${config.trueLayer.paymentsApiVersion}/merchant-accounts`
+      );
+      return response?.items || [];
+    } catch (error) {
+      throw this.createTrueLayerError(
+        "Failed to fetch merchant accounts",
+        error
+      );
+    }
+  }
+
+  /**
+   * Get the money moved in and out of a merchant account
+   * @param {string} merchantAccountId - TrueLayer merchant account ID
+   * @param {Object} options - Query options
+   * @param {string} options.from - Start date (ISO 8601)
+   * @param {string} options.to - End date (ISO 8601)
+   * @param {string} [options.cursor] - Cursor of the page to fetch
+   * @returns {Promise<Object>} Transactions and the cursor of the next page
+   */
+  async getMerchantAccountTransactions(
+    merchantAccountId,
+    { from, to, cursor }
+  ) {
+    const params = new URLSearchParams({ from, to });
+    if (cursor) params.set("cursor", cursor);
+
+    try {
+      const response = await this.makeAuthenticatedRequest(
+        "GET",
+        `/${
+          config.trueLayer.paymentsApiVersion
+        }/merchant-accounts/${encodeURIComponent(
+          merchantAccountId
+        )}/transactions?${params.toString()}`
+      );
+
+      return {
+        items: response?.items || [],
+        nextCursor: response?.pagination?.next_cursor || null,
+      };
+    } catch (error) {
+      throw this.createTrueLayerError(
+        "Failed to fetch merchant account transactions",
+        error
+      );
+    }
+  }
+
+  /**
+   * Get the public keys TrueLayer signs webhooks with
+   * @param {string} jwksUrl - JWKS URL named in the webhook signature
+   * @returns {Promise<Array>} JSON Web Keys
+   */
+  async getWebhookKeys(jwksUrl) {
+    try {
+      const response = await this.api.get(jwksUrl);
+      return response.data?.keys || [];
+    } catch (error) {
+      logger.error("Failed to fetch TrueLayer webhook signing keys", {
+        jwksUrl,
+        error: error.message,
+        statusCode: error.response?.status,
+      });
+      throw this.createTrueLayerError(
+        "Failed to fetch webhook signing keys",
+        error
+      );
+    }
+  }
+
+  /**
+   * Build the hosted payment page link a user follows to authorise a payment
+   * @param {Object} options - Payment link options
+   * @param {string} options.paymentId - TrueLayer payment ID
+   * @param {string} options.resourceToken - Resource token returned on creation
+   * @returns {string} Hosted payment page URL
+   */
+  buildPaymentLink({ paymentId, resourceToken }) {
+    const params = new URLSearchParams({
+      payment_id: paymentId,
+      resource_token: resourceToken,
+      return_uri: config.trueLayer.paymentReturnUri,
+    });
+
+    return `${config.trueLayer.paymentLinkUrl}/payments#${params.toString()}`;
+  }
+
+  /**
+   * Derive the S256 PKCE code challenge for a verifier
+   * @param {string} codeVerifier - PKCE code verifier
+   * @returns {string} Base64url encoded code challenge
+   */
+  generateCodeChallenge(codeVerifier) {
+    return crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+  }
+
+  /**
+   * Build the TrueLayer auth link a user follows to connect their bank
+   * @param {Object} options - Auth link options
+   * @param {string} options.state - Per-user state value
+   * @param {string} options.codeVerifier - PKCE code verifier for this state
+   * @param {string} [options.providerId] - Provider to send the user straight to
+   * @returns {string} Provider auth URL
+   */
+  buildAuthLink({ state, codeVerifier, providerId }) {
+    const params = new URLSearchParams({
+      response_type: "code",
+      client_id: config.trueLayer.clientId,
+      scope: config.trueLayer.scopes.join(" "),
+      redirect_uri: config.trueLayer.redirectUri,
+      providers: config.trueLayer.providers,
+      state,
+      code_challenge: this.generateCodeChallenge(codeVerifier),
+      code_challenge_method: "S256",
+    });
+
+    // Skips TrueLayer's bank picker when the user chose a bank on our side
+    if (providerId) {
+      params.set("provider_id", providerId);
+    }
+
+    return `${config.trueLayer.authUrl}/?${params.toString()}`;
+  }
+
+  /**
+   * Get the provider catalogue, cached for a day
+   * @param {Object} [filters] - Optional filters
+   * @param {string} [filters.country] - Country code, e.g. "uk"
+   * @param {string} [filters.scope] - Scope the provider must support
+   * @returns {Promise<Array>} Providers
+   */
+  async getProviders({ country, scope } = {}) {
+    let providers = await cacheGet(PROVIDERS_CACHE_NAMESPACE, "all");
+
+    if (!providers) {
+      try {
+        const response = await this.api.get(
+          `${config.trueLayer.authUrl}/api/providers`,
+          { params: { client_id: config.trueLayer.clientId } }
+        );
+
+        providers = (response.data || []).map((provider) =>
+          this.sanitizeProviderData(provider)
+        );
+      } catch (error) {
+        throw this.createTrueLayerError("Failed to fetch providers", error);
+      }
+
+      await cacheSet(PROVIDERS_CACHE_NAMESPACE, "all", providers, {
+        ttl: config.trueLayer.providersCacheTtl,
+      });
+    }
+
+    return providers.filter(
+      (provider) =>
+        (!country ||
+          provider.country?.toLowerCase() === country.toLowerCase()) &&
+        (!scope || provider.scopes.includes(scope))
+    );
+  }
+
+  /**
+   * Find a provider in the catalogue by ID
+   * @param {string} providerId - TrueLayer provider ID
+   * @returns {Promise<Object|null>} Provider, or null if unknown
+   */
+  async getProvider(providerId) {
+    const providers = await this.getProviders();
+    return providers.find((provider) => provider.id === providerId) || null;
+  }
+
+  /**
+   * Request a re-authentication link for an existing connection
+   * @param {Object} options - Re-authentication options
+   * @param {string} options.refreshToken - Refresh token of the connection
+   * @param {string} options.state - Per-user state value
+   * @returns {Promise<string>} Provider re-authentication URL
+   */
+  async getReauthLink({ refreshToken, state }) {
+    try {
+      const response = await this.api.post(
+        `${config.trueLayer.authUrl}/v1/reauthuri`,
+        {
+          response_type: "code",
+          refresh_token: refreshToken,
+          redirect_uri: config.trueLayer.redirectUri,
+          state,
+        }
+      );
+
+      return response.data.result;
+    } catch (error) {
+      logger.error("Failed to create TrueLayer re-authentication link", {
+        error: error.message,
+        errorCode: error.response?.data?.error,
+        statusCode: error.response?.status,
+      });
+
+      throw this.createTrueLayerError(
+        "Failed to create re-authentication link",
+        error
+      );
+    }
+  }
+
+  /**
+   * Revoke a connection's access at TrueLayer, deleting its stored credentials
+   * @param {string} accessToken - Access token of the connection
+   * @returns {Promise<void>}
+   */
+  async revokeAccess(accessToken) {
+    try {
+      await this.api.delete(`${config.trueLayer.authUrl}/api/delete`, {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+    } catch (error) {
+      logger.error("Failed to revoke TrueLayer access", {
+        error: error.message,
+        errorCode: error.response?.data?.error,
+        statusCode: error.response?.status,
+      });
+
+      throw this.createTrueLayerError(
+        "Failed to revoke TrueLayer access",
+        error
+      );
+    }
+  }
+
   /**
    * Exchange authorization code for access and refresh tokens
    * @param {string} code - Authorization code from TrueLayer
+   * @param {string} [codeVerifier] - PKCE code verifier stored with the state
    * @returns {Promise<Object>} Tokens response
    */
-  async exchangeAuthorizationCode(code) {
+  async exchangeAuthorizationCode(code, codeVerifier) {
     try {
-      const response = await this.api.post(config.trueLayer.tokenEndpoint, {
+      const response = await this.api.post(getTokenUrl(), {
         grant_type: "authorization_code",
         client_id: config.trueLayer.clientId,
+        client_secret: config.trueLayer.clientSecret,
         code,
+        // Re-authentication flows have no PKCE verifier
+        ...(codeVerifier && { code_verifier: codeVerifier }),
         redirect_uri: config.trueLayer.redirectUri,
       });
 
@@ -243,6 +694,869 @@ class TrueLayerService {
       );
     }
   }
+
+  /**
+   * Make a Data API request with a user's access token and unwrap the results envelope
+   * @private
+   * @param {string} accessToken - User's TrueLayer access token
+   * @param {string} endpoint - Data API endpoint
+   * @param {Object} params - Query parameters
+   * @param {string} errorMessage - Message used when the request fails
+   * @returns {Promise<Array>} Results array
+   */
+  async requestDataApi(accessToken, endpoint, params, errorMessage) {
+    try {
+      const response = await this.api.get(endpoint, {
+        params,
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+        },
+      });
+
+      return response.data?.results || [];
+    } catch (error) {
+      logger.error("TrueLayer Data API request failed", {
+        endpoint,
+        error: error.message,
+        errorCode: error.response?.data?.error,
+        statusCode: error.response?.status,
+      });
+      throw this.createTrueLayerError(errorMessage, error);
+    }
+  }
+
+  /**
+   * Build from/to query parameters, omitting unset values
+   * @private
+   */
+  buildDateParams({ from, to } = {}) {
+    const params = {};
+    if (from) params.from = from;
+    if (to) params.to = to;
+    return params;
+  }
+
+  /**
+   * Get all accounts for a user
+   * @param {string} accessToken - User's TrueLayer access token
+   * @returns {Promise<Array>} Accounts
+   */
+  async getAccounts(accessToken) {
+    return await this.requestDataApi(
+      accessToken,
+      `/data/${config.trueLayer.apiVersion}/accounts`,
+      {},
+      "Failed to fetch accounts"
+    );
+  }
+
+  /**
+   * Get a single account
+   * @param {string} accessToken - User's TrueLayer access token
+   * @param {string} accountId - TrueLayer account ID
+   * @returns {Promise<Object>} Account
+   */
+  async getAccount(accessToken, accountId) {
+    const [account] = await this.requestDataApi(
+      accessToken,
+      `/data/${config.trueLayer.apiVersion}/accounts/${encodeURIComponent(
+        accountId
+      )}`,
+      {},
+      "Failed to fetch account"
+    );
+
+    if (!account) {
+      throw TrueLayerError.resourceNotFound("Account not found");
+    }
+
+    return account;
+  }
+
+  /**
+   * Get the balance of an account
+   * @param {string} accessToken - User's TrueLayer access token
+   * @param {string} accountId - TrueLayer account ID
+   * @returns {Promise<Object>} Balance
+   */
+  async getAccountBalance(accessToken, accountId) {
+    const [balance] = await this.requestDataApi(
+      accessToken,
+      `/data/${config.trueLayer.apiVersion}/accounts/${encodeURIComponent(
+        accountId
+      )}/balance`,
+      {},
+      "Failed to fetch account balance"
+    );
+
+    if (!balance) {
+      throw TrueLayerError.resourceNotFound("Account balance not found");
+    }
+
+    return balance;
+  }
+
+  /**
+   * Get settled transactions for one account, or for every account when none is given
+   * @param {string} accessToken - User's TrueLayer access token
+   * @param {Object} options - Query options
+   * @param {string} [options.accountId] - TrueLayer account ID
+   * @param {string} [options.from] - Start date (ISO 8601)
+   * @param {string} [options.to] - End date (ISO 8601)
+   * @param {number} [options.limit] - Maximum number of transactions returned
+   * @returns {Promise<Array>} Transactions, newest first
+   */
+  async getTransactions(accessToken, { accountId, from, to, limit } = {}) {
+    const transactions = await this.fetchTransactionResource(
+      accessToken,
+      { collection: "accounts", id: accountId, from, to },
+      "transactions",
+      "Failed to fetch transactions"
+    );
+
+    return limit ? transactions.slice(0, limit) : transactions;
+  }
+
+  /**
+   * Store new transactions for one account or card, starting from its sync watermark
+   * @param {string} accessToken - User's TrueLayer access token
+   * @param {Object} connection - Bank connection the account belongs to
+   * @param {Object} options - Sync options
+   * @param {string} [options.resourceType] - "accounts" or "cards"
+   * @param {string} options.accountId - TrueLayer account or card ID
+   * @returns {Promise<Object>} Number of transactions fetched and the new watermark
+   */
+  async syncAccount(
+    accessToken,
+    connection,
+    { resourceType = "accounts", accountId }
+  ) {
+    const syncKey = `${resourceType}:${accountId}`;
+    const previous = connection.transactionSync?.get(syncKey);
+
+    // Items can book days after they happen, so each sync re-reads a window
+    // before the watermark and relies on the upsert to skip duplicates
+    const from = previous?.watermark
+      ? new Date(
+          previous.watermark.getTime() -
+            config.trueLayer.transactionSyncOverlap * 1000
+        ).toISOString()
+      : undefined;
+
+    const transactions =
+      resourceType === "cards"
+        ? await this.getCardTransactions(accessToken, {
+            cardId: accountId,
+            from,
+          })
+        : await this.getTransactions(accessToken, { accountId, from });
+
+    const unique = [
+      ...new Map(
+        transactions.map((transaction) => [
+          transaction.transaction_id,
+          transaction,
+        ])
+      ).values(),
+    ];
+
+    if (unique.length > 0) {
+      await Transaction.upsertFromProvider(
+        connection,
+        { resourceType, accountId },
+        unique,
+        {
+          categorisations: await categoriseTransactions(
+            connection.userId,
+            unique
+          ),
+          merchants: await normaliseMerchants(unique),
+        }
+      );
+    }
+
+    const watermark = unique.reduce((latest, transaction) => {
+      const timestamp = new Date(transaction.timestamp);
+      return !latest || timestamp > latest ? timestamp : latest;
+    }, previous?.watermark || null);
+
+    // Not version-locked: sync state is independent of the tokens
+    await connection.model("BankConnection").updateOne(
+      { _id: connection._id },
+      {
+        $set: {
+          [`transactionSync.${syncKey}`]: { watermark, syncedAt: new Date() },
+        },
+      }
+    );
+
+    logger.info("Synced TrueLayer transactions", {
+      userId: connection.userId,
+      connectionId: connection._id,
+      resourceType,
+      accountId,
+      fetchedCount: unique.length,
+      watermark,
+    });
+
+    return { fetchedCount: unique.length, watermark };
+  }
+
+  /**
+   * Get pending transactions for one account, or for every account when none is given
+   * @param {string} accessToken - User's TrueLayer access token
+   * @param {Object} options - Query options
+   * @param {string} [options.accountId] - TrueLayer account ID
+   * @param {string} [options.from] - Start date (ISO 8601)
+   * @param {string} [options.to] - End date (ISO 8601)
+   * @returns {Promise<Array>} Pending transactions, newest first
+   */
+  async getPendingTransactions(accessToken, { accountId, from, to } = {}) {
+    return await this.fetchTransactionResource(
+      accessToken,
+      { collection: "accounts", id: accountId, from, to },
+      "transactions/pending",
+      "Failed to fetch pending transactions"
+    );
+  }
+
+  /**
+   * Fetch a transactions resource per account or card and merge the results
+   * @private
+   * @param {string} accessToken - User's TrueLayer access token
+   * @param {Object} options - Query options
+   * @param {string} options.collection - "accounts" or "cards"
+   * @param {string} [options.id] - Account or card ID, all of them when omitted
+   * @param {string} resource - Transactions resource path
+   * @param {string} errorMessage - Message used when the request fails
+   * @returns {Promise<Array>} Transactions, newest first
+   */
+  async fetchTransactionResource(
+    accessToken,
+    { collection, id, from, to },
+    resource,
+    errorMessage
+  ) {
+    const listResources =
+      collection === "cards" ? this.getCards : this.getAccounts;
+
+    const ids = id
+      ? [id]
+      : (await listResources.call(this, accessToken)).map(
+          (item) => item.account_id
+        );
+
+    const results = await Promise.all(
+      ids.map(async (resourceId) => {
+        const transactions = await this.requestDataApi(
+          accessToken,
+          `/data/${
+            config.trueLayer.apiVersion
+          }/${collection}/${encodeURIComponent(resourceId)}/${resource}`,
+          this.buildDateParams({ from, to }),
+          errorMessage
+        );
+        return transactions.map((transaction) => ({
+          ...transaction,
+          account_id: resourceId,
+        }));
+      })
+    );
+
+    return results
+      .flat()
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  }
+
+  /**
+   * Get all cards for a user
+   * @param {string} accessToken - User's TrueLayer access token
+   * @returns {Promise<Array>} Cards
+   */
+  async getCards(accessToken) {
+    return await this.requestDataApi(
+      accessToken,
+      `/data/${config.trueLayer.apiVersion}/cards`,
+      {},
+      "Failed to fetch cards"
+    );
+  }
+
+  /**
+   * Get the balance of a card
+   * @param {string} accessToken - User's TrueLayer access token
+   * @param {string} cardId - TrueLayer card (account) ID
+   * @returns {Promise<Object>} Card balance
+   */
+  async getCardBalance(accessToken, cardId) {
+    const [balance] = await this.requestDataApi(
+      accessToken,
+      `/data/${config.trueLayer.apiVersion}/cards/${encodeURIComponent(
+        cardId
+      )}/balance`,
+      {},
+      "Failed to fetch card balance"
+    );
+
+    if (!balance) {
+      throw TrueLayerError.resourceNotFound("Card balance not found");
+    }
+
+    return balance;
+  }
+
+  /**
+   * Get settled transactions for a card
+   * @param {string} accessToken - User's TrueLayer access token
+   * @param {Object} options - Query options
+   * @param {string} options.cardId - TrueLayer card (account) ID
+   * @param {string} [options.from] - Start date (ISO 8601)
+   * @param {string} [options.to] - End date (ISO 8601)
+   * @param {number} [options.limit] - Maximum number of transactions returned
+   * @returns {Promise<Array>} Transactions, newest first
+   */
+  async getCardTransactions(accessToken, { cardId, from, to, limit } = {}) {
+    const transactions = await this.fetchTransactionResource(
+      accessToken,
+      { collection: "cards", id: cardId, from, to },
+      "transactions",
+      "Failed to fetch card transactions"
+    );
+
+    return limit ? transactions.slice(0, limit) : transactions;
+  }
+
+  /**
+   * Get pending transactions for a card
+   * @param {string} accessToken - User's TrueLayer access token
+   * @param {Object} options - Query options
+   * @param {string} options.cardId - TrueLayer card (account) ID
+   * @param {string} [options.from] - Start date (ISO 8601)
+   * @param {string} [options.to] - End date (ISO 8601)
+   * @returns {Promise<Array>} Pending transactions, newest first
+   */
+  async getCardPendingTransactions(accessToken, { cardId, from, to } = {}) {
+    return await this.fetchTransactionResource(
+      accessToken,
+      { collection: "cards", id: cardId, from, to },
+      "transactions/pending",
+      "Failed to fetch pending card transactions"
+    );
+  }
+
+  /**
+   * Get metadata about the connection an access token belongs to
+   * @param {string} accessToken - TrueLayer access token for the connection
+   * @returns {Promise<Object>} Provider, credentials ID and consent expiry
+   */
+  async getConnectionMetadata(accessToken) {
+    const [metadata] = await this.requestDataApi(
+      accessToken,
+      `/data/${config.trueLayer.apiVersion}/me`,
+      {},
+      "Failed to fetch connection metadata"
+    );
+
+    if (!metadata) {
+      throw TrueLayerError.resourceNotFound("Connection metadata not found");
+    }
+
+    return {
+      credentialsId: metadata.credentials_id,
+      providerId: metadata.provider?.provider_id,
+      providerName: metadata.provider?.display_name || null,
+      consentExpiresAt: metadata.consent_expires_at
+        ? new Date(metadata.consent_expires_at)
+        : null,
+    };
+  }
+
+  /**
+   * Get identity information for the account holder(s)
+   * @param {string} accessToken - User's TrueLayer access token
+   * @returns {Promise<Array>} Account holder identities
+   */
+  async getIdentity(accessToken) {
+    return await this.requestDataApi(
+      accessToken,
+      `/data/${config.trueLayer.apiVersion}/info`,
+      {},
+      "Failed to fetch identity information"
+    );
+  }
+
+  /**
+   * Get standing orders for an account
+   * @param {string} accessToken - User's TrueLayer access token
+   * @param {string} accountId - TrueLayer account ID
+   * @returns {Promise<Array>} Standing orders
+   */
+  async getStandingOrders(accessToken, accountId) {
+    return await this.requestDataApi(
+      accessToken,
+      `/data/${config.trueLayer.apiVersion}/accounts/${encodeURIComponent(
+        accountId
+      )}/standing_orders`,
+      {},
+      "Failed to fetch standing orders"
+    );
+  }
+
+  /**
+   * Get direct debits for an account
+   * @param {string} accessToken - User's TrueLayer access token
+   * @param {string} accountId - TrueLayer account ID
+   * @returns {Promise<Array>} Direct debits
+   */
+  async getDirectDebits(accessToken, accountId) {
+    return await this.requestDataApi(
+      accessToken,
+      `/data/${config.trueLayer.apiVersion}/accounts/${encodeURIComponent(
+        accountId
+      )}/direct_debits`,
+      {},
+      "Failed to fetch direct debits"
+    );
+  }
+
+  /**
+   * Map a TrueLayer standing order to our scheduled payment shape
+   * @param {Object} standingOrder - TrueLayer standing order
+   * @returns {Object} Normalised scheduled payment
+   */
+  normaliseStandingOrder(standingOrder) {
+    // Standing orders have no provider ID, so derive a stable one
+    const id = crypto
+      .createHash("sha256")
+      .update(
+        [
+          standingOrder.payee,
+          standingOrder.reference,
+          standingOrder.first_payment_date,
+        ].join("|")
+      )
+      .digest("hex")
+      .slice(0, 24);
+
+    return {
+      id,
+      connectionId: standingOrder.connection_id || null,
+      type: "standing_order",
+      payee: standingOrder.payee || null,
+      reference: standingOrder.reference || null,
+      amount: standingOrder.next_payment_amount ?? null,
+      currency: standingOrder.currency,
+      frequency: this.normaliseFrequency(standingOrder.frequency),
+      nextPaymentDate: standingOrder.next_payment_date || null,
+      lastPaymentDate: null,
+      status: standingOrder.status?.toLowerCase() || null,
+    };
+  }
+
+  /**
+   * Map a TrueLayer direct debit to our scheduled payment shape
+   * @param {Object} directDebit - TrueLayer direct debit
+   * @returns {Object} Normalised scheduled payment
+   */
+  normaliseDirectDebit(directDebit) {
+    // Direct debits are variable, so only the previous payment is known
+    return {
+      id: directDebit.direct_debit_id,
+      connectionId: directDebit.connection_id || null,
+      type: "direct_debit",
+      payee: directDebit.name || null,
+      reference: null,
+      amount: directDebit.previous_payment_amount ?? null,
+      currency: directDebit.currency,
+      frequency: null,
+      nextPaymentDate: null,
+      lastPaymentDate: directDebit.previous_payment_timestamp || null,
+      status: directDebit.status?.toLowerCase() || null,
+    };
+  }
+
+  /**
+   * Map ISO 20022 style frequency codes (e.g. "IntrvlMnthDay:01:15") to a simple cadence
+   * @private
+   */
+  normaliseFrequency(frequency) {
+    if (!frequency) return null;
+
+    const [code, interval] = frequency.split(":");
+    const intervalCount = parseInt(interval, 10);
+
+    switch (code.toLowerCase()) {
+      case "evryday":
+      case "evryworkgday":
+      case "daily":
+        return "daily";
+      case "intrvlwkday":
+        if (intervalCount === 1) return "weekly";
+        if (intervalCount === 2) return "fortnightly";
+        return "other";
+      case "weekly":
+        return "weekly";
+      case "wkinmnthday":
+      case "monthly":
+        return "monthly";
+      case "intrvlmnthday":
+        if (intervalCount === 1) return "monthly";
+        if (intervalCount === 3) return "quarterly";
+        if (intervalCount === 6) return "half_yearly";
+        if (intervalCount === 12) return "annually";
+        return "other";
+      case "qtrday":
+      case "quarterly":
+        return "quarterly";
+      case "annually":
+      case "yearly":
+        return "annually";
+      default:
+        return "other";
+    }
+  }
+
+  /**
+   * Map a TrueLayer account to our response shape, masking the account number
+   * @param {Object} account - TrueLayer account
+   * @returns {Object} Sanitized account
+   */
+  sanitizeAccountData(account) {
+    return {
+      id: account.account_id,
+      connectionId: account.connection_id || null,
+      accountType: account.account_type,
+      displayName: account.display_name,
+      currency: account.currency,
+      accountNumber: maskAccountNumber(account.account_number?.number),
+      sortCode: account.account_number?.sort_code || null,
+      provider: {
+        id: account.provider?.provider_id,
+        name: account.provider?.display_name,
+      },
+      updatedAt: account.update_timestamp,
+    };
+  }
+
+  /**
+   * Map a TrueLayer provider to our response shape
+   * @param {Object} provider - TrueLayer provider
+   * @returns {Object} Sanitized provider
+   */
+  sanitizeProviderData(provider) {
+    return {
+      id: provider.provider_id,
+      displayName: provider.display_name,
+      logoUrl: provider.logo_url || null,
+      country: provider.country,
+      scopes: provider.scopes || [],
+      releaseStage: provider.release_stage || null,
+    };
+  }
+
+  /**
+   * Map a TrueLayer card to our response shape, masking the card number
+   * @param {Object} card - TrueLayer card
+   * @returns {Object} Sanitized card
+   */
+  sanitizeCardData(card) {
+    return {
+      id: card.account_id,
+      connectionId: card.connection_id || null,
+      cardNetwork: card.card_network,
+      cardType: card.card_type,
+      displayName: card.display_name,
+      currency: card.currency,
+      cardNumber: maskCardNumber(card.partial_card_number),
+      validFrom: card.valid_from || null,
+      validTo: card.valid_to || null,
+      provider: {
+        id: card.provider?.provider_id,
+        name: card.provider?.display_name,
+      },
+      updatedAt: card.update_timestamp,
+    };
+  }
+
+  /**
+   * Map a TrueLayer identity to our response shape (unmasked)
+   * @param {Object} identity - TrueLayer account holder identity
+   * @returns {Object} Identity
+   */
+  sanitizeIdentityData(identity) {
+    return {
+      connectionId: identity.connection_id || null,
+      fullName: identity.full_name || null,
+      dateOfBirth: identity.date_of_birth || null,
+      emails: identity.emails || [],
+      phones: identity.phones || [],
+      addresses: (identity.addresses || []).map((address) => ({
+        address: address.address,
+        city: address.city,
+        state: address.state || null,
+        zip: address.zip,
+        country: address.country,
+      })),
+      updatedAt: identity.update_timestamp,
+    };
+  }
+
+  /**
+   * Map a TrueLayer balance to our response shape
+   * @param {Object} balance - TrueLayer balance
+   * @returns {Object} Sanitized balance
+   */
+  sanitizeBalanceData(balance) {
+    return {
+      available: balance.available,
+      current: balance.current,
+      overdraft: balance.overdraft ?? null,
+      currency: balance.currency,
+      updatedAt: balance.update_timestamp,
+    };
+  }
+
+  /**
+   * Map a TrueLayer transaction to our response shape
+   * @param {Object} transaction - TrueLayer transaction
+   * @returns {Object} Sanitized transaction
+   */
+  sanitizeTransactionData(transaction) {
+    return {
+      id: transaction.transaction_id,
+      accountId: transaction.account_id,
+      connectionId: transaction.connection_id || null,
+      timestamp: transaction.timestamp,
+      description: transaction.description,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      transactionType: transaction.transaction_type,
+      transactionCategory: transaction.transaction_category,
+      transactionClassification: transaction.transaction_classification || [],
+      merchantName: transaction.merchant_name || null,
+      merchant: transaction.merchant || null,
+      category: transaction.category || null,
+      categorySource: transaction.category_source || null,
+      runningBalance: transaction.running_balance?.amount ?? null,
+      metadata: {
+        providerCategory: transaction.meta?.provider_transaction_category,
+        providerReference: transaction.meta?.provider_reference,
+      },
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access and refresh token pair
+   * @param {string} refreshToken - User's current refresh token
+   * @returns {Promise<Object>} Tokens response
+   */
+  async refreshAccessToken(refreshToken) {
+    try {
+      const response = await this.api.post(getTokenUrl(), {
+        grant_type: "refresh_token",
+        client_id: config.trueLayer.clientId,
+        client_secret: config.trueLayer.clientSecret,
+        refresh_token: refreshToken,
+      });
+
+      return response.data;
+    } catch (error) {
+      logger.error("Failed to refresh TrueLayer access token", {
+        error: error.message,
+        errorCode: error.response?.data?.error,
+        statusCode: error.response?.status,
+      });
+
+      // TrueLayer answers invalid_grant once a refresh token is revoked or expired
+      if (this.isRefreshTokenRejected(error)) {
+        throw TrueLayerError.connectionExpired();
+      }
+
+      throw this.createTrueLayerError(
+        "Failed to refresh TrueLayer access token",
+        error
+      );
+    }
+  }
+
+  /**
+   * Return valid tokens for a connection, refreshing and persisting them when close to expiry
+   * @param {Object} connection - Bank connection selected with its tokens
+   * @param {Object} [options] - Refresh options
+   * @param {number} [options.refreshBuffer] - Seconds before expiry at which to refresh
+   * @returns {Promise<Object>} Tokens with access_token, refresh_token and expires_at
+   */
+  async validateAndRefreshTokens(
+    connection,
+    { refreshBuffer = config.trueLayer.tokenRefreshBuffer } = {}
+  ) {
+    if (!connection.accessToken || !connection.refreshToken) {
+      throw TrueLayerError.notConnected();
+    }
+
+    const expiresAt = new Date(connection.tokenExpiresAt);
+    if (isNaN(expiresAt.getTime())) {
+      throw new TrueLayerError(
+        "Invalid token expiration date",
+        500,
+        "INVALID_TOKEN_STATE"
+      );
+    }
+
+    const refreshBufferMs = refreshBuffer * 1000;
+    if (expiresAt.getTime() > Date.now() + refreshBufferMs) {
+      return {
+        access_token: connection.accessToken,
+        refresh_token: connection.refreshToken,
+        expires_at: expiresAt,
+      };
+    }
+
+    let tokens;
+    try {
+      tokens = await this.refreshAccessToken(connection.refreshToken);
+    } catch (error) {
+      if (error.subType === "CONNECTION_EXPIRED") {
+        // A concurrent request may already have rotated the refresh token
+        const rotatedTokens = await this.loadRotatedTokens(connection);
+        if (rotatedTokens) {
+          return rotatedTokens;
+        }
+
+        await connection.markStatus("expired");
+        logger.warn("TrueLayer refresh token rejected, connection expired", {
+          userId: connection.userId,
+          connectionId: connection._id,
+        });
+
+        if (connection.isConsentExpired()) {
+          throw TrueLayerError.consentExpired(
+            this.getConsentDetails(connection)
+          );
+        }
+      }
+      throw error;
+    }
+
+    try {
+      const updatedConnection = await connection.updateTokens(tokens);
+
+      logger.info("Refreshed TrueLayer access token", {
+        userId: connection.userId,
+        connectionId: connection._id,
+        expiresAt: updatedConnection.tokenExpiresAt,
+      });
+
+      return {
+        access_token: tokens.access_token,
+        refresh_token: tokens.refresh_token,
+        expires_at: updatedConnection.tokenExpiresAt,
+      };
+    } catch (error) {
+      const rotatedTokens = await this.loadRotatedTokens(connection);
+      if (rotatedTokens) {
+        return rotatedTokens;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Details returned with a consent error so clients can re-authenticate the right bank
+   * @param {Object} connection - Bank connection
+   * @returns {Object} Connection ID, provider and consent expiry
+   */
+  getConsentDetails(connection) {
+    return {
+      connectionId: connection._id.toString(),
+      providerId: connection.providerId,
+      consentExpiresAt: connection.consentExpiresAt,
+    };
+  }
+
+  /**
+   * Load tokens persisted by a concurrent refresh, if any
+   * @private
+   */
+  async loadRotatedTokens(connection) {
+    const current = await connection
+      .model("BankConnection")
+      .findById(connection._id)
+      .select("+accessToken +refreshToken");
+
+    const wasRotated =
+      current &&
+      current.status === "active" &&
+      current.tokenVersion !== connection.tokenVersion &&
+      current.tokenExpiresAt > new Date();
+
+    if (!wasRotated) {
+      return null;
+    }
+
+    return {
+      access_token: current.accessToken,
+      refresh_token: current.refreshToken,
+      expires_at: current.tokenExpiresAt,
+    };
+  }
+
+  /**
+   * Check whether TrueLayer rejected a refresh token as revoked or expired
+   * @private
+   */
+  isRefreshTokenRejected(error) {
+    const status = error.response?.status;
+    const providerError = error.response?.data?.error;
+
+    return (
+      (status === 400 || status === 401) &&
+      ["invalid_grant", "refresh_token_expired"].includes(providerError)
+    );
+  }
+
+  /**
+   * Wrap an Axios error in a TrueLayerError
+   * @private
+   */
+  createTrueLayerError(message, error) {
+    if (error instanceof TrueLayerError) {
+      return error;
+    }
+
+    const status = error.response?.status;
+    // Payments API errors are problem documents listing each error
+    const details = error.response?.data?.error || error.response?.data?.errors;
+
+    if (status === 401) {
+      return new TrueLayerError(message, 401, "AUTH_FAILED", details);
+    }
+
+    if (status === 403) {
+      return new TrueLayerError(message, 403, "ACCESS_DENIED", details);
+    }
+
+    if (status === 404) {
+      return new TrueLayerError(message, 404, "NOT_FOUND", details);
+    }
+
+    if (status === 429) {
+      const rateLimitError = TrueLayerError.rateLimit(message);
+      rateLimitError.details = details;
+      return rateLimitError;
+    }
+
+    // Providers that don't offer an endpoint answer 501
+    if (status === 501) {
+      return new TrueLayerError(message, 501, "NOT_SUPPORTED", details);
+    }
+
+    if (!status || status >= 500) {
+      return new TrueLayerError(message, 500, "CONNECTION_FAILED", details);
+    }
+
+    return new TrueLayerError(message, status, "REQUEST_FAILED", details);
+  }
 }
 
 // Create and export singleton instance
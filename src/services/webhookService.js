@@ -0,0 +1,305 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import config from "../config/config.js";
+import logger from "../config/logger.js";
+import WebhookEvent from "../models/WebhookEvent.js";
+import {
+  AppError,
+  AuthenticationError,
+  ValidationError,
+} from "../utils/errors.js";
+import { get as cacheGet, set as cacheSet } from "./cacheService.js";
+import { applyPaymentEvent, applyRefundEvent } from "./paymentService.js";
+import { applyPayoutEvent } from "./payoutService.js";
+import TrueLayerService from "./trueLayerService.js";
+
+const JWKS_CACHE_NAMESPACE = "truelayer-webhook-jwks";
+
+// Events acted on; any other type is stored and acknowledged
+const EVENT_HANDLERS = {
+  payment_authorized: applyPaymentEvent,
+  payment_executed: applyPaymentEvent,
+  payment_settled: applyPaymentEvent,
+  payment_failed: applyPaymentEvent,
+  refund_executed: applyRefundEvent,
+  refund_failed: applyRefundEvent,
+  payout_executed: applyPayoutEvent,
+  payout_failed: applyPayoutEvent,
+};
+
+/**
+ * Check a webhook was signed by TrueLayer and sent recently
+ * @param {Object} request - Webhook request
+ * @param {string} request.path - Path the webhook was sent to
+ * @param {Object} request.headers - Request headers, with lower-case names
+ * @param {Buffer} request.body - Raw request body
+ * @param {Date} [request.now] - Reference time for the timestamp check
+ * @returns {Promise<Object>} When TrueLayer sent the webhook
+ * @throws {AuthenticationError} If the signature or timestamp is not acceptable
+ */
+const verifyWebhook = async ({ path, headers, body, now = new Date() }) => {
+  const [encodedHeader, payload, signature] = (
+    headers["tl-signature"] || ""
+  ).split(".");
+  if (!encodedHeader || payload !== "" || !signature) {
+    throw AuthenticationError.credentialsInvalid(
+      "Missing TrueLayer webhook signature"
+    );
+  }
+
+  const jwsHeader = parseJwsHeader(encodedHeader);
+  const signedHeaders = (jwsHeader.tl_headers || "").split(",").filter(Boolean);
+  if (
+    jwsHeader.alg !== "ES512" ||
+    jwsHeader.tl_version !== "2" ||
+    !config.trueLayer.webhookJwksUrls.includes(jwsHeader.jku)
+  ) {
+    throw AuthenticationError.credentialsInvalid(
+      "Unsupported TrueLayer webhook signature"
+    );
+  }
+
+  // An unsigned timestamp could be replaced to replay an old webhook
+  const signsTimestamp = signedHeaders.some(
+    (name) => name.toLowerCase() === "x-tl-webhook-timestamp"
+  );
+  const missingHeader = signedHeaders.some(
+    (name) => headers[name.toLowerCase()] === undefined
+  );
+  if (!signsTimestamp || missingHeader) {
+    throw AuthenticationError.credentialsInvalid(
+      "TrueLayer webhook signature does not cover the required headers"
+    );
+  }
+
+  const key = await findSigningKey(jwsHeader.jku, jwsHeader.kid);
+  if (!key) {
+    throw AuthenticationError.credentialsInvalid(
+      "Unknown TrueLayer webhook signing key"
+    );
+  }
+
+  const signedPayload = Buffer.concat([
+    Buffer.from(
+      [
+        `POST ${path}\n`,
+        ...signedHeaders.map(
+          (name) => `${name}: ${headers[name.toLowerCase()]}\n`
+        ),
+      ].join("")
+    ),
+    body,
+  ]);
+  const isValid = crypto.verify(
+    "sha512",
+    Buffer.from(`${encodedHeader}.${signedPayload.toString("base64url")}`),
+    {
+      key: crypto.createPublicKey({ key, format: "jwk" }),
+      dsaEncoding: "ieee-p1363",
+    },
+    Buffer.from(signature, "base64url")
+  );
+  if (!isValid) {
+    throw AuthenticationError.credentialsInvalid(
+      "Invalid TrueLayer webhook signature"
+    );
+  }
+
+  const sentAt = new Date(headers["x-tl-webhook-timestamp"]);
+  if (
+    Number.isNaN(sentAt.getTime()) ||
+    Math.abs(now - sentAt) > config.trueLayer.webhookTolerance * 1000
+  ) {
+    throw AuthenticationError.credentialsInvalid(
+      "TrueLayer webhook timestamp is outside the allowed window"
+    );
+  }
+
+  return { sentAt };
+};
+
+/**
+ * Store a verified webhook event and dispatch it to its handler, once per event ID
+ * @param {Object} payload - Parsed webhook body
+ * @param {Object} [options] - Delivery details
+ * @param {Date} [options.sentAt] - When TrueLayer sent this delivery
+ * @returns {Promise<Object>} Stored event and whether it was a redelivery
+ * @throws {ValidationError} If the event has no ID or type
+ */
+const handleWebhookEvent = async (payload, { sentAt } = {}) => {
+  const { event_id: eventId, type } = payload;
+  if (!eventId || !type) {
+    throw new ValidationError("Webhook event ID and type are required", [
+      { field: !eventId ? "event_id" : "type", message: "Required" },
+    ]);
+  }
+
+  let event;
+  try {
+    event = await WebhookEvent.create({
+      eventId,
+      type,
+      eventVersion: payload.event_version,
+      sentAt,
+      payload,
+      status: "processing",
+      claimedAt: new Date(),
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    // TrueLayer redelivers until it gets a 2xx, and a replayed request
+    // carries an event ID we have already seen
+    event = await claimRedelivery(eventId);
+    if (!event) {
+      event = await WebhookEvent.findOneAndUpdate(
+        { eventId },
+        { $inc: { attempts: 1 } },
+        { new: true }
+      );
+      logger.info("Ignoring repeated TrueLayer webhook", {
+        eventId,
+        type,
+        status: event?.status,
+        attempts: event?.attempts,
+      });
+      return { event, duplicate: true };
+    }
+  }
+
+  const handler = EVENT_HANDLERS[type];
+
+  try {
+    const handled = handler ? await handler(payload) : false;
+    if (handler && !handled && isAwaitingTarget(event)) {
+      // The ID it refers to may not be saved yet, e.g. for a payment, refund
+      // or payout still waiting for TrueLayer to confirm it
+      throw new AppError(
+        "Webhook refers to a resource we have not saved",
+        503,
+        "WEBHOOK_TARGET_UNKNOWN"
+      );
+    }
+
+    event.status = handled ? "processed" : "ignored";
+    event.error = undefined;
+    event.processedAt = new Date();
+    await event.save();
+  } catch (error) {
+    logger.error("Failed to handle TrueLayer webhook", {
+      eventId,
+      type,
+      error: error.message,
+    });
+
+    event.status = "failed";
+    event.error = error.message;
+    await event.save();
+    throw error;
+  }
+
+  logger.info("TrueLayer webhook handled", {
+    eventId,
+    type,
+    status: event.status,
+  });
+
+  return { event, duplicate: false };
+};
+
+/**
+ * Take over handling of an event no other delivery is handling, once
+ * @private
+ */
+async function claimRedelivery(eventId) {
+  // Conditional on the status, so concurrent deliveries cannot both handle
+  // it; a claim left by a delivery that died is taken over once stale
+  const staleBefore = new Date(
+    Date.now() - config.trueLayer.webhookClaimTimeout * 1000
+  );
+
+  return await WebhookEvent.findOneAndUpdate(
+    {
+      eventId,
+      $or: [
+        { status: { $in: ["received", "failed"] } },
+        { status: "processing", claimedAt: { $lt: staleBefore } },
+      ],
+    },
+    {
+      $set: { status: "processing", claimedAt: new Date() },
+      $inc: { attempts: 1 },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Whether an event for an unknown resource should still be redelivered
+ * @private
+ */
+function isAwaitingTarget(event) {
+  return (
+    Date.now() - event.createdAt <
+    config.trueLayer.webhookUnknownTargetGracePeriod * 1000
+  );
+}
+
+/**
+ * Decode the protected header of a detached JWS
+ * @private
+ */
+function parseJwsHeader(encodedHeader) {
+  try {
+    return JSON.parse(Buffer.from(encodedHeader, "base64url").toString());
+  } catch (error) {
+    throw AuthenticationError.credentialsInvalid(
+      "Malformed TrueLayer webhook signature"
+    );
+  }
+}
+
+/**
+ * Public key with the given ID from the local JWKS file or TrueLayer's JWKS
+ * @private
+ */
+async function findSigningKey(jwksUrl, kid) {
+  const findKey = (keys) => keys.find((key) => key.kid === kid) || null;
+
+  if (config.trueLayer.webhookJwksFile) {
+    const jwks = JSON.parse(
+      await fs.readFile(config.trueLayer.webhookJwksFile, "utf8")
+    );
+    return findKey(jwks.keys || []);
+  }
+
+  const cached = await cacheGet(JWKS_CACHE_NAMESPACE, jwksUrl);
+  const cachedKey = findKey(cached?.keys || []);
+  if (cachedKey) {
+    return cachedKey;
+  }
+
+  // TrueLayer rotates its keys, so an unknown kid may be a new key, but
+  // anyone can send one, so only go back to TrueLayer now and then
+  if (
+    cached &&
+    Date.now() - cached.fetchedAt <
+      config.trueLayer.webhookJwksRefetchInterval * 1000
+  ) {
+    return null;
+  }
+
+  const keys = await TrueLayerService.getWebhookKeys(jwksUrl);
+  await cacheSet(
+    JWKS_CACHE_NAMESPACE,
+    jwksUrl,
+    { keys, fetchedAt: Date.now() },
+    { ttl: config.trueLayer.webhookJwksCacheTtl }
+  );
+
+  return findKey(keys);
+}
+
+export { handleWebhookEvent, verifyWebhook };
@@ -0,0 +1,147 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../app");
+const User = require("../../models/User");
+const Budget = require("../../models/Budget");
+const Transaction = require("../../models/Transaction");
+
+describe("Budget Routes", () => {
+  let authToken;
+  let testUser;
+
+  beforeAll(async () => {
+    testUser = await createTestUser(User);
+    const loginResponse = await request(app).post("/api/v1/auth/login").send({
+      email: "test@example.com",
+      password: "password123",
+    });
+
+    authToken = loginResponse.body.data.accessToken;
+  });
+
+  beforeEach(async () => {
+    await Budget.deleteMany({});
+    await Transaction.deleteMany({});
+  });
+
+  afterAll(async () => {
+    await Budget.deleteMany({});
+    await Transaction.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  const createBudget = (body) =>
+    request(app)
+      .post("/api/v1/budgets")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send(body);
+
+  describe("CRUD", () => {
+    it("should create, update and delete a budget", async () => {
+      const created = await createBudget({ category: "groceries", limit: 300 });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data).toMatchObject({
+        category: "groceries",
+        limit: 300,
+        currency: "GBP",
+        rollover: false,
+      });
+
+      const updated = await request(app)
+        .patch(`/api/v1/budgets/${created.body.data.id}`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ limit: 250, rollover: true });
+
+      expect(updated.status).toBe(200);
+      expect(updated.body.data).toMatchObject({ limit: 250, rollover: true });
+
+      const deleted = await request(app)
+        .delete(`/api/v1/budgets/${created.body.data.id}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(deleted.status).toBe(200);
+      expect(await Budget.countDocuments()).toBe(0);
+    });
+
+    it("should reject a second budget for the same category and currency", async () => {
+      await createBudget({ category: "groceries", limit: 300 });
+      const response = await createBudget({
+        category: "groceries",
+        limit: 100,
+      });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe("BUDGET_EXISTS");
+    });
+
+    it("should validate the budget", async () => {
+      const response = await createBudget({
+        category: "gadgets",
+        limit: -5,
+        currency: "pounds",
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("VALIDATION_ERROR");
+      expect(response.body.details).toHaveLength(3);
+    });
+
+    it("should not expose another user's budget", async () => {
+      const budget = await Budget.create({
+        userId: new mongoose.Types.ObjectId(),
+        category: "travel",
+        limit: 500,
+      });
+
+      const response = await request(app)
+        .get(`/api/v1/budgets/${budget.id}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe("BUDGET_NOT_FOUND");
+    });
+  });
+
+  describe("GET /api/v1/budgets/progress", () => {
+    it("should compare stored spending with each budget", async () => {
+      await createBudget({ category: "groceries", limit: 100 });
+      await Transaction.create({
+        userId: testUser._id,
+        connectionId: new mongoose.Types.ObjectId(),
+        resourceType: "accounts",
+        accountId: "acc_1",
+        providerTransactionId: "tx_1",
+        timestamp: new Date(),
+        amount: -40,
+        currency: "GBP",
+        category: "groceries",
+        data: {},
+      });
+
+      const response = await request(app)
+        .get("/api/v1/budgets/progress")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.budgets[0]).toMatchObject({
+        category: "groceries",
+        spent: 40,
+        remaining: 60,
+      });
+      expect(
+        response.body.data.budgets[0].projectedSpend
+      ).toBeGreaterThanOrEqual(40);
+    });
+
+    it("should reject a malformed month", async () => {
+      const response = await request(app)
+        .get("/api/v1/budgets/progress")
+        .query({ month: "2024-13" })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -2,6 +2,7 @@ const request = require("supertest");
 const mongoose = require("mongoose");
 const app = require("../../app");
 const User = require("../../models/User");
+const Job = require("../../models/Job");
 const { generateTestToken } = require("../testUtils");
 
 describe("Console Routes", () => {
@@ -30,6 +31,7 @@ describe("Console Routes", () => {
   });
 
   afterAll(async () => {
+    await Job.deleteMany({});
     await User.deleteMany({});
     await mongoose.connection.close();
   });
@@ -200,6 +202,44 @@ describe("Console Routes", () => {
     });
   });
 
+  describe("GET /api/v1/console/jobs", () => {
+    beforeEach(async () => {
+      await Job.deleteMany({});
+      await Job.create({
+        name: "cleanup-expired-api-keys",
+        schedule: "0 3 * * *",
+        nextRunAt: new Date(Date.now() + 3600000),
+        lastRunAt: new Date(Date.now() - 3600000),
+        lastStatus: "failed",
+        lastError: "Connection reset",
+      });
+    });
+
+    it("should return job status for admins", async () => {
+      const response = await request(app)
+        .get("/api/v1/console/jobs")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([
+        expect.objectContaining({
+          name: "cleanup-expired-api-keys",
+          lastStatus: "failed",
+          lastError: "Connection reset",
+          running: false,
+        }),
+      ]);
+    });
+
+    it("should reject non-admin users", async () => {
+      const response = await request(app)
+        .get("/api/v1/console/jobs")
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
   describe("Error Handling", () => {
     it("should handle invalid key ID format", async () => {
       const response = await request(app)
@@ -0,0 +1,195 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../app");
+const User = require("../../models/User");
+const Transaction = require("../../models/Transaction");
+
+describe("Insights Routes", () => {
+  let authToken;
+  let testUser;
+
+  beforeAll(async () => {
+    testUser = await createTestUser(User);
+    const loginResponse = await request(app).post("/api/v1/auth/login").send({
+      email: "test@example.com",
+      password: "password123",
+    });
+
+    authToken = loginResponse.body.data.accessToken;
+  });
+
+  afterAll(async () => {
+    await Transaction.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  describe("GET /api/v1/insights/recurring", () => {
+    beforeEach(async () => {
+      await Transaction.deleteMany({});
+    });
+
+    it("should return subscriptions found in stored transactions", async () => {
+      const connectionId = new mongoose.Types.ObjectId();
+      const monthsAgo = (months) => {
+        const date = new Date();
+        date.setUTCMonth(date.getUTCMonth() - months);
+        return date;
+      };
+
+      await Transaction.insertMany(
+        [3, 2, 1, 0].map((months) => ({
+          userId: testUser._id,
+          connectionId,
+          resourceType: "accounts",
+          accountId: "acc_1",
+          providerTransactionId: `tx_netflix_${months}`,
+          timestamp: monthsAgo(months),
+          amount: -10.99,
+          currency: "GBP",
+          description: "NETFLIX.COM",
+          merchantKey: "netflix com",
+          merchant: { id: "netflix", name: "Netflix", confidence: 0.85 },
+          category: "subscriptions",
+          data: {},
+        }))
+      );
+
+      const response = await request(app)
+        .get("/api/v1/insights/recurring")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).toMatchObject({
+        merchant: { id: "netflix", name: "Netflix" },
+        cadence: "monthly",
+        averageAmount: 10.99,
+        amountJumped: false,
+      });
+      expect(response.body.data[0].nextChargeDate).toBeDefined();
+    });
+
+    it("should serve stored history when the sync fails", async () => {
+      const response = await request(app)
+        .get("/api/v1/insights/recurring")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([]);
+      expect(response.body.syncFailures).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ error: "NOT_CONNECTED" }),
+        ])
+      );
+    });
+
+    it("should require authentication", async () => {
+      const response = await request(app).get("/api/v1/insights/recurring");
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe("GET /api/v1/insights/spending", () => {
+    beforeEach(async () => {
+      await Transaction.deleteMany({});
+      const connectionId = new mongoose.Types.ObjectId();
+
+      await Transaction.insertMany(
+        [
+          ["tx_1", "2024-03-05T10:00:00Z", -42.5, "groceries", "GBP"],
+          ["tx_2", "2024-03-12T10:00:00Z", -17.5, "groceries", "GBP"],
+          ["tx_3", "2024-03-20T10:00:00Z", -30, "transport", "GBP"],
+          ["tx_4", "2024-03-21T10:00:00Z", 2500, "income", "GBP"],
+          ["tx_5", "2024-03-22T10:00:00Z", -12, "eating_out", "EUR"],
+          ["tx_6", "2024-02-10T10:00:00Z", -50, "groceries", "GBP"],
+        ].map(([id, timestamp, amount, category, currency]) => ({
+          userId: testUser._id,
+          connectionId,
+          resourceType: "accounts",
+          accountId: "acc_1",
+          providerTransactionId: id,
+          timestamp: new Date(timestamp),
+          amount,
+          currency,
+          category,
+          data: {},
+        }))
+      );
+    });
+
+    it("should total outgoings by category per currency", async () => {
+      const response = await request(app)
+        .get("/api/v1/insights/spending")
+        .query({ from: "2024-03-01", to: "2024-03-31" })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      const gbp = response.body.data.currencies.find(
+        (entry) => entry.currency === "GBP"
+      );
+      expect(gbp).toMatchObject({ total: 90, count: 3, previousTotal: 50 });
+      expect(gbp.groups[0]).toMatchObject({
+        key: "groceries",
+        total: 60,
+        count: 2,
+        previousTotal: 50,
+        changePercent: 20,
+      });
+    });
+
+    it("should filter by currency and group by period", async () => {
+      const response = await request(app)
+        .get("/api/v1/insights/spending")
+        .query({
+          from: "2024-03-01",
+          to: "2024-03-31",
+          groupBy: "period",
+          period: "week",
+          currency: "EUR",
+        })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.currencies).toHaveLength(1);
+      expect(response.body.data.currencies[0].total).toBe(12);
+      expect(response.body.data.currencies[0].groups).toHaveLength(5);
+    });
+
+    it("should validate the window like transaction queries", async () => {
+      const response = await request(app)
+        .get("/api/v1/insights/spending")
+        .query({ from: "2024-03-31", to: "2024-03-01", groupBy: "weekday" })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("VALIDATION_ERROR");
+      expect(response.body.details.map((detail) => detail.message)).toEqual(
+        expect.arrayContaining(["From date must not be after to date"])
+      );
+    });
+  });
+
+  describe("GET /api/v1/insights/forecast", () => {
+    it("should reject a forecast beyond the maximum horizon", async () => {
+      const response = await request(app)
+        .get("/api/v1/insights/forecast")
+        .query({ days: 365 })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("VALIDATION_ERROR");
+    });
+
+    it("should ask users without a bank connection to connect one", async () => {
+      const response = await request(app)
+        .get("/api/v1/insights/forecast")
+        .query({ days: 30, threshold: 50 })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("NOT_CONNECTED");
+    });
+  });
+});
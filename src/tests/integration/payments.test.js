@@ -0,0 +1,195 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../app");
+const User = require("../../models/User");
+const Payment = require("../../models/Payment");
+const TrueLayerService = require("../../services/trueLayerService");
+
+describe("Payment Routes", () => {
+  let authToken;
+  let testUser;
+
+  beforeAll(async () => {
+    testUser = await createTestUser(User);
+    const loginResponse = await request(app).post("/api/v1/auth/login").send({
+      email: "test@example.com",
+      password: "password123",
+    });
+
+    authToken = loginResponse.body.data.accessToken;
+  });
+
+  beforeEach(async () => {
+    await Payment.deleteMany({});
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await Payment.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  const createPayment = (body) =>
+    request(app)
+      .post("/api/v1/payments")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send(body);
+
+  describe("POST /api/v1/payments", () => {
+    it("should create a payment and return the hosted payment page link", async () => {
+      jest.spyOn(TrueLayerService, "createPayment").mockResolvedValue({
+        id: "pay_1",
+        status: "authorization_required",
+        resource_token: "resource_token",
+      });
+
+      const response = await createPayment({
+        amountInMinor: 1000,
+        reference: "INV 1",
+        beneficiary: {
+          type: "external_account",
+          accountHolderName: "Jane Doe",
+          sortCode: "04-00-04",
+          accountNumber: "12345678",
+        },
+      });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        paymentId: "pay_1",
+        amountInMinor: 1000,
+        currency: "GBP",
+        status: "authorization_required",
+        resourceToken: "resource_token",
+        beneficiary: { sortCode: "040004", accountNumber: "****5678" },
+      });
+      expect(response.body.data.paymentLink).toContain("payment_id=pay_1");
+    });
+
+    it("should reject amounts that are not in minor units", async () => {
+      const response = await createPayment({
+        amountInMinor: 10.5,
+        beneficiary: { type: "merchant_account" },
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("VALIDATION_ERROR");
+    });
+
+    it("should require a reference when paying an external account", async () => {
+      const response = await createPayment({
+        amountInMinor: 1000,
+        beneficiary: {
+          type: "external_account",
+          accountHolderName: "Jane Doe",
+          sortCode: "040004",
+          accountNumber: "12345678",
+        },
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toContain(
+        "Reference is required when paying an external account"
+      );
+    });
+  });
+
+  describe("GET /api/v1/payments/:id", () => {
+    it("should return the latest status of a payment", async () => {
+      const payment = await Payment.create({
+        userId: testUser._id,
+        paymentId: "pay_2",
+        amountInMinor: 500,
+        currency: "GBP",
+        beneficiary: { type: "merchant_account", merchantAccountId: "ma_1" },
+        idempotencyKey: "key_1",
+      });
+      jest.spyOn(TrueLayerService, "getPayment").mockResolvedValue({
+        id: "pay_2",
+        status: "failed",
+        failure_stage: "authorizing",
+        failure_reason: "user_canceled_at_provider",
+      });
+
+      const response = await request(app)
+        .get(`/api/v1/payments/${payment.id}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        status: "failed",
+        failureReason: "user_canceled_at_provider",
+      });
+    });
+
+    it("should return 404 for an unknown payment", async () => {
+      const response = await request(app)
+        .get(`/api/v1/payments/${new mongoose.Types.ObjectId()}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe("PAYMENT_NOT_FOUND");
+    });
+  });
+
+  describe("POST /api/v1/payments/:id/refunds", () => {
+    const createSettledPayment = () =>
+      Payment.create({
+        userId: testUser._id,
+        paymentId: "pay_3",
+        amountInMinor: 1000,
+        currency: "GBP",
+        reference: "ORDER 3",
+        beneficiary: { type: "merchant_account", merchantAccountId: "ma_1" },
+        status: "settled",
+        idempotencyKey: "key_3",
+      });
+
+    const createRefund = (payment, body) =>
+      request(app)
+        .post(`/api/v1/payments/${payment.id}/refunds`)
+        .set("Authorization", `Bearer ${authToken}`)
+        .send(body);
+
+    it("should refund part of a payment and then the rest", async () => {
+      const payment = await createSettledPayment();
+      jest
+        .spyOn(TrueLayerService, "createRefund")
+        .mockResolvedValueOnce({ id: "refund_1" })
+        .mockResolvedValueOnce({ id: "refund_2" });
+
+      const partial = await createRefund(payment, { amountInMinor: 250 });
+      const rest = await createRefund(payment, {});
+
+      expect(partial.status).toBe(201);
+      expect(partial.body.data).toMatchObject({
+        refundId: "refund_1",
+        amountInMinor: 250,
+        status: "pending",
+      });
+      expect(rest.status).toBe(201);
+      expect(rest.body.data).toMatchObject({ amountInMinor: 750 });
+      expect(rest.body.data.payment.refundedAmountInMinor).toBe(1000);
+    });
+
+    it("should refuse to refund more than was paid", async () => {
+      const payment = await createSettledPayment();
+
+      const response = await createRefund(payment, { amountInMinor: 1001 });
+
+      expect(response.status).toBe(422);
+      expect(response.body.error).toBe("REFUND_EXCEEDS_PAYMENT");
+    });
+
+    it("should refuse to refund a payment that has not settled", async () => {
+      const payment = await createSettledPayment();
+      await Payment.updateOne({ _id: payment._id }, { status: "executed" });
+
+      const response = await createRefund(payment, {});
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe("PAYMENT_NOT_REFUNDABLE");
+    });
+  });
+});
@@ -0,0 +1,255 @@
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../app");
+const User = require("../../models/User");
+const Payment = require("../../models/Payment");
+const Payout = require("../../models/Payout");
+const TrueLayerService = require("../../services/trueLayerService");
+const { generateTestToken } = require("../testUtils");
+
+describe("Payout Routes", () => {
+  let testUser;
+  let adminUser;
+  let otherAdmin;
+  let userToken;
+  let adminToken;
+  let otherAdminToken;
+
+  beforeAll(async () => {
+    testUser = await User.create({
+      email: "test@example.com",
+      password: "password123",
+      role: "user",
+    });
+    adminUser = await User.create({
+      email: "admin@example.com",
+      password: "password123",
+      role: "admin",
+    });
+    otherAdmin = await User.create({
+      email: "admin2@example.com",
+      password: "password123",
+      role: "admin",
+    });
+
+    userToken = generateTestToken(testUser);
+    adminToken = generateTestToken(adminUser);
+    otherAdminToken = generateTestToken(otherAdmin);
+  });
+
+  beforeEach(async () => {
+    await Payment.deleteMany({});
+    await Payout.deleteMany({});
+    jest.restoreAllMocks();
+    jest
+      .spyOn(TrueLayerService, "createPayout")
+      .mockResolvedValue({ id: "payout_1" });
+  });
+
+  afterAll(async () => {
+    await Payment.deleteMany({});
+    await Payout.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  const createSettledPayment = () =>
+    Payment.create({
+      userId: testUser._id,
+      paymentId: "pay_1",
+      amountInMinor: 10000,
+      currency: "GBP",
+      reference: "ORDER 1",
+      beneficiary: { type: "merchant_account", merchantAccountId: "ma_1" },
+      status: "settled",
+      idempotencyKey: "key_1",
+      paymentSource: { id: "source_1", accountHolderName: "Jane Doe" },
+      trueLayerUserId: "tl_user_1",
+    });
+
+  const externalPayout = {
+    amountInMinor: 60000,
+    currency: "GBP",
+    reference: "PAYOUT 1",
+    beneficiary: {
+      type: "external_account",
+      accountHolderName: "Jane Doe",
+      iban: "GB33 BUKB 2020 1555 5555 55",
+    },
+  };
+
+  describe("POST /api/v1/payouts", () => {
+    it("should pay a user back to the account they paid from", async () => {
+      const payment = await createSettledPayment();
+
+      const response = await request(app)
+        .post("/api/v1/payouts")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({
+          amountInMinor: 2500,
+          reference: "WITHDRAWAL",
+          beneficiary: { type: "payment_source", paymentId: payment.id },
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data).toMatchObject({
+        payoutId: "payout_1",
+        userId: testUser.id,
+        amountInMinor: 2500,
+        currency: "GBP",
+        status: "pending",
+        beneficiary: { type: "payment_source", paymentId: payment.id },
+      });
+    });
+
+    it("should not let users pay external accounts", async () => {
+      const response = await request(app)
+        .post("/api/v1/payouts")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send(externalPayout);
+
+      expect(response.status).toBe(403);
+      expect(TrueLayerService.createPayout).not.toHaveBeenCalled();
+    });
+
+    it("should hold large payouts for approval with the IBAN masked", async () => {
+      const response = await request(app)
+        .post("/api/v1/payouts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(externalPayout);
+
+      expect(response.status).toBe(202);
+      expect(response.body.data).toMatchObject({
+        status: "pending_approval",
+        beneficiary: { iban: "****5555" },
+      });
+      expect(TrueLayerService.createPayout).not.toHaveBeenCalled();
+    });
+
+    it("should require an IBAN or a sort code and account number", async () => {
+      const response = await request(app)
+        .post("/api/v1/payouts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          ...externalPayout,
+          beneficiary: { type: "external_account", accountHolderName: "Jo" },
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("VALIDATION_ERROR");
+    });
+  });
+
+  describe("POST /api/v1/payouts/:id/approve", () => {
+    let payoutId;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post("/api/v1/payouts")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(externalPayout);
+      payoutId = response.body.data.id;
+    });
+
+    it("should send the payout once another admin approves it", async () => {
+      const response = await request(app)
+        .post(`/api/v1/payouts/${payoutId}/approve`)
+        .set("Authorization", `Bearer ${otherAdminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        payoutId: "payout_1",
+        status: "pending",
+        reviewedBy: otherAdmin.id,
+      });
+      expect(
+        TrueLayerService.createPayout.mock.calls[0][0].beneficiary
+          .account_identifier
+      ).toEqual({ type: "iban", iban: "GB33BUKB20201555555555" });
+    });
+
+    it("should not let admins approve their own payouts", async () => {
+      const response = await request(app)
+        .post(`/api/v1/payouts/${payoutId}/approve`)
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe("AUTHORIZATION_SELF_REVIEW");
+    });
+
+    it("should not approve a rejected payout", async () => {
+      await request(app)
+        .post(`/api/v1/payouts/${payoutId}/reject`)
+        .set("Authorization", `Bearer ${otherAdminToken}`)
+        .send({ reason: "Unverified beneficiary" });
+
+      const response = await request(app)
+        .post(`/api/v1/payouts/${payoutId}/approve`)
+        .set("Authorization", `Bearer ${otherAdminToken}`);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe("PAYOUT_NOT_PENDING_APPROVAL");
+      expect(TrueLayerService.createPayout).not.toHaveBeenCalled();
+    });
+
+    it("should be for admins only", async () => {
+      const response = await request(app)
+        .post(`/api/v1/payouts/${payoutId}/approve`)
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe("GET /api/v1/merchant-accounts/:merchantAccountId/transactions", () => {
+    it("should match transactions with the payments we hold", async () => {
+      await createSettledPayment();
+      jest
+        .spyOn(TrueLayerService, "getMerchantAccountTransactions")
+        .mockResolvedValue({
+          items: [
+            {
+              id: "tx_1",
+              type: "merchant_account_payment",
+              payment_id: "pay_1",
+              amount_in_minor: 10000,
+              currency: "GBP",
+              status: "settled",
+              settled_at: "2024-01-15T10:00:00Z",
+            },
+            {
+              id: "tx_2",
+              type: "external_payment",
+              amount_in_minor: 500,
+              currency: "GBP",
+              status: "settled",
+              settled_at: "2024-01-16T10:00:00Z",
+            },
+          ],
+          nextCursor: null,
+        });
+
+      const response = await request(app)
+        .get("/api/v1/merchant-accounts/ma_1/transactions")
+        .query({ from: "2024-01-01", to: "2024-01-31" })
+        .set("Authorization", `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.unreconciledCount).toBe(1);
+      expect(response.body.data.transactions[0]).toMatchObject({
+        id: "tx_1",
+        record: { type: "payment", status: "settled" },
+        reconciled: true,
+      });
+      expect(response.body.data.transactions[1].record).toBeNull();
+    });
+
+    it("should be for admins only", async () => {
+      const response = await request(app)
+        .get("/api/v1/merchant-accounts")
+        .set("Authorization", `Bearer ${userToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
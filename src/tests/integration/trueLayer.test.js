@@ -1,7 +1,13 @@
 const request = require("supertest");
 const mongoose = require("mongoose");
 const app = require("../../app");
+const AuditEvent = require("../../models/AuditEvent");
 const User = require("../../models/User");
+const BankConnection = require("../../models/BankConnection");
+const CategoryRule = require("../../models/CategoryRule");
+const Merchant = require("../../models/Merchant");
+const Transaction = require("../../models/Transaction");
+const cacheService = require("../../services/cacheService");
 const TrueLayerService = require("../../services/trueLayerService");
 
 describe("TrueLayer Integration Tests", () => {
@@ -19,6 +25,9 @@ describe("TrueLayer Integration Tests", () => {
   });
 
   afterAll(async () => {
+    await AuditEvent.deleteMany({});
+    await Transaction.deleteMany({});
+    await BankConnection.deleteMany({});
     await User.deleteMany({});
     await mongoose.connection.close();
   });
@@ -87,8 +96,62 @@ describe("TrueLayer Integration Tests", () => {
       expect(response.body).toEqual({
         success: true,
         data: [],
+        next_cursor: null,
       });
     });
+
+    it("should page through the window with next_cursor", async () => {
+      const mockTransactions = generateTestTransactionData(5);
+      jest
+        .spyOn(TrueLayerService, "getTransactions")
+        .mockResolvedValue(mockTransactions);
+
+      const firstPage = await request(app)
+        .get("/api/v1/truelayer/transactions")
+        .query({ live: "true" })
+        .query({ limit: 3 })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(firstPage.status).toBe(200);
+      expect(firstPage.body.data.map((tx) => tx.id)).toEqual([
+        "tx_1",
+        "tx_2",
+        "tx_3",
+      ]);
+      expect(firstPage.body.next_cursor).toEqual(expect.any(String));
+
+      const secondPage = await request(app)
+        .get("/api/v1/truelayer/transactions")
+        .query({ live: "true" })
+        .query({ limit: 3, cursor: firstPage.body.next_cursor })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(secondPage.status).toBe(200);
+      expect(secondPage.body.data.map((tx) => tx.id)).toEqual(["tx_4", "tx_5"]);
+      expect(secondPage.body.next_cursor).toBeNull();
+    });
+
+    it("should reject an invalid cursor", async () => {
+      const response = await request(app)
+        .get("/api/v1/truelayer/transactions")
+        .query({ live: "true" })
+        .query({ cursor: "not-a-cursor" })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("VALIDATION_ERROR");
+    });
+
+    it("should reject a from date after the to date", async () => {
+      const response = await request(app)
+        .get("/api/v1/truelayer/transactions")
+        .query({ live: "true" })
+        .query({ from: "2024-02-01", to: "2024-01-01" })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.details[0].field).toBe("to");
+    });
   });
 
   describe("GET /api/v1/truelayer/transactions", () => {
@@ -100,6 +163,7 @@ describe("TrueLayer Integration Tests", () => {
 
       const response = await request(app)
         .get("/api/v1/truelayer/transactions")
+        .query({ live: "true" })
         .set("Authorization", `Bearer ${authToken}`);
 
       expect(response.status).toBe(200);
@@ -135,6 +199,7 @@ describe("TrueLayer Integration Tests", () => {
 
       const response = await request(app)
         .get("/api/v1/truelayer/transactions")
+        .query({ live: "true" })
         .query({ limit: 50 })
         .set("Authorization", `Bearer ${authToken}`);
 
@@ -152,6 +217,7 @@ describe("TrueLayer Integration Tests", () => {
 
       const response = await request(app)
         .get("/api/v1/truelayer/transactions")
+        .query({ live: "true" })
         .query({
           from: "2024-01-01",
           to: "2024-01-31",
@@ -177,6 +243,7 @@ describe("TrueLayer Integration Tests", () => {
 
       const response = await request(app)
         .get("/api/v1/truelayer/accounts/acc_123/transactions")
+        .query({ live: "true" })
         .set("Authorization", `Bearer ${authToken}`);
 
       expect(response.status).toBe(200);
@@ -188,6 +255,7 @@ describe("TrueLayer Integration Tests", () => {
 
       const response = await request(app)
         .get("/api/v1/truelayer/transactions")
+        .query({ live: "true" })
         .set("Authorization", `Bearer ${authToken}`);
 
       expect(response.status).toBe(200);
@@ -198,6 +266,297 @@ describe("TrueLayer Integration Tests", () => {
     });
   });
 
+  describe("GET /api/v1/truelayer/info", () => {
+    const mockIdentity = {
+      full_name: "John Doe",
+      emails: ["test@example.com"],
+      phones: ["+447700900123"],
+      addresses: [{ address: "1 High Street", city: "London", zip: "N1 1AA" }],
+    };
+
+    it("should mask identity data by default", async () => {
+      jest
+        .spyOn(TrueLayerService, "getIdentity")
+        .mockResolvedValueOnce([mockIdentity]);
+
+      const response = await request(app)
+        .get("/api/v1/truelayer/info")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.masked).toBe(true);
+      expect(response.body.data.kyc.emailMatch).toBe(true);
+
+      const [holder] = response.body.data.holders;
+      expect(holder.fullName).toBe("********");
+      expect(holder.emails[0]).toBe("t**t@example.com");
+      expect(holder.phones[0]).toBe("+*********123");
+    });
+
+    it("should reject unmask requests without the permission", async () => {
+      const response = await request(app)
+        .get("/api/v1/truelayer/info")
+        .query({ unmask: "true" })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe("AUTHORIZATION_PERMISSION_REQUIRED");
+    });
+
+    it("should return unmasked data when the permission is granted", async () => {
+      await User.updateOne(
+        { _id: testUser._id },
+        { permissions: ["truelayer:unmask_pii"] }
+      );
+      jest
+        .spyOn(TrueLayerService, "getIdentity")
+        .mockResolvedValueOnce([mockIdentity]);
+
+      const response = await request(app)
+        .get("/api/v1/truelayer/info")
+        .query({ unmask: "true" })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.masked).toBe(false);
+      expect(response.body.data.holders[0].fullName).toBe("John Doe");
+
+      const event = await AuditEvent.findOne({
+        userId: testUser._id,
+        action: "truelayer.identity_unmasked",
+      });
+      expect(event.details).toMatchObject({ holderCount: 1 });
+    });
+
+    it("should mask identity data for admins unless they ask to unmask", async () => {
+      await User.updateOne({ _id: testUser._id }, { role: "admin" });
+      await AuditEvent.deleteMany({});
+      jest
+        .spyOn(TrueLayerService, "getIdentity")
+        .mockResolvedValueOnce([mockIdentity]);
+
+      try {
+        const response = await request(app)
+          .get("/api/v1/truelayer/info")
+          .set("Authorization", `Bearer ${authToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.masked).toBe(true);
+        expect(response.body.data.holders[0].fullName).toBe("********");
+        expect(await AuditEvent.countDocuments()).toBe(0);
+      } finally {
+        await User.updateOne({ _id: testUser._id }, { role: "user" });
+      }
+    });
+  });
+
+  describe("Stored transactions", () => {
+    let connection;
+
+    beforeEach(async () => {
+      await Transaction.deleteMany({});
+      await BankConnection.deleteMany({});
+      connection = await BankConnection.create({
+        userId: testUser._id,
+        providerId: "ob-monzo",
+        credentialsId: "cred_store",
+        accessToken: "access_token",
+        refreshToken: "refresh_token",
+        tokenExpiresAt: new Date(Date.now() + 3600000),
+      });
+      jest
+        .spyOn(TrueLayerService, "getAccounts")
+        .mockResolvedValue([{ account_id: "acc_1" }]);
+    });
+
+    it("should sync into the store and serve repeat reads locally", async () => {
+      jest
+        .spyOn(TrueLayerService, "getTransactions")
+        .mockResolvedValue(generateTestTransactionData(3));
+
+      const first = await request(app)
+        .get("/api/v1/truelayer/transactions")
+        .set("Authorization", `Bearer ${authToken}`);
+      const second = await request(app)
+        .get("/api/v1/truelayer/transactions")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(first.status).toBe(200);
+      expect(second.body.data.map((tx) => tx.id)).toEqual([
+        "tx_1",
+        "tx_2",
+        "tx_3",
+      ]);
+      expect(TrueLayerService.getTransactions).toHaveBeenCalledTimes(1);
+      expect(await Transaction.countDocuments()).toBe(3);
+    });
+
+    it("should fetch only from the watermark minus the overlap", async () => {
+      const watermark = new Date("2024-03-10T12:00:00Z");
+      await BankConnection.updateOne(
+        { _id: connection._id },
+        {
+          $set: {
+            "transactionSync.accounts:acc_1": {
+              watermark,
+              syncedAt: new Date(Date.now() - 24 * 3600000),
+            },
+          },
+        }
+      );
+      jest.spyOn(TrueLayerService, "getTransactions").mockResolvedValue([]);
+
+      await request(app)
+        .get("/api/v1/truelayer/transactions")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(TrueLayerService.getTransactions).toHaveBeenCalledWith(
+        "access_token",
+        { accountId: "acc_1", from: "2024-03-03T12:00:00.000Z" }
+      );
+    });
+
+    it("should not duplicate transactions seen in an overlapping sync", async () => {
+      const transactions = generateTestTransactionData(2);
+      jest
+        .spyOn(TrueLayerService, "getTransactions")
+        .mockResolvedValue([...transactions, transactions[0]]);
+
+      await request(app)
+        .get("/api/v1/truelayer/transactions")
+        .set("Authorization", `Bearer ${authToken}`);
+      await BankConnection.updateOne(
+        { _id: connection._id },
+        { $unset: { transactionSync: 1 } }
+      );
+      await request(app)
+        .get("/api/v1/truelayer/transactions")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(await Transaction.countDocuments()).toBe(2);
+    });
+
+    it("should bypass the store with live=true", async () => {
+      jest
+        .spyOn(TrueLayerService, "getTransactions")
+        .mockResolvedValue(generateTestTransactionData(2));
+
+      const response = await request(app)
+        .get("/api/v1/truelayer/transactions")
+        .query({ live: "true" })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(2);
+      expect(await Transaction.countDocuments()).toBe(0);
+    });
+  });
+
+  describe("Transaction categories", () => {
+    beforeEach(async () => {
+      await Transaction.deleteMany({});
+      await CategoryRule.deleteMany({});
+      await Merchant.deleteMany({});
+      await BankConnection.deleteMany({});
+      await BankConnection.create({
+        userId: testUser._id,
+        providerId: "ob-monzo",
+        credentialsId: "cred_categories",
+        accessToken: "access_token",
+        refreshToken: "refresh_token",
+        tokenExpiresAt: new Date(Date.now() + 3600000),
+      });
+      jest
+        .spyOn(TrueLayerService, "getAccounts")
+        .mockResolvedValue([{ account_id: "acc_1" }]);
+      jest.spyOn(TrueLayerService, "getTransactions").mockResolvedValue([
+        {
+          ...generateTestTransactionData(1)[0],
+          transaction_id: "tx_tesco",
+          merchant_name: "TESCO STORES 3297",
+        },
+        ...generateTestTransactionData(2),
+      ]);
+    });
+
+    it("should categorise stored transactions", async () => {
+      const response = await request(app)
+        .get("/api/v1/truelayer/transactions")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      const tesco = response.body.data.find((tx) => tx.id === "tx_tesco");
+      expect(tesco.category).toBe("groceries");
+      expect(tesco.categorySource).toBe("merchant");
+    });
+
+    it("should return the normalised merchant", async () => {
+      await Merchant.seed([
+        { merchantId: "tesco", name: "Tesco", patterns: ["tesco"] },
+      ]);
+      await cacheService.del("merchants", "dictionary");
+
+      const response = await request(app)
+        .get("/api/v1/truelayer/transactions")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      const tesco = response.body.data.find((tx) => tx.id === "tx_tesco");
+      expect(tesco.merchant).toEqual({
+        id: "tesco",
+        name: "Tesco",
+        confidence: 0.9,
+      });
+      expect(
+        response.body.data.find((tx) => tx.id === "tx_1").merchant
+      ).toEqual({ id: null, name: "Test Merchant", confidence: 0.6 });
+    });
+
+    it("should apply a correction to the merchant's other transactions", async () => {
+      await request(app)
+        .get("/api/v1/truelayer/transactions")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      const response = await request(app)
+        .patch("/api/v1/truelayer/transactions/tx_1/category")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ category: "subscriptions" });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.category).toBe("subscriptions");
+      expect(response.body.data.categorySource).toBe("user");
+
+      const other = await Transaction.findOne({
+        providerTransactionId: "tx_2",
+      });
+      expect(other.category).toBe("subscriptions");
+      expect(other.categorySource).toBe("user_rule");
+      expect(
+        await CategoryRule.findOne({ userId: testUser._id })
+      ).toMatchObject({
+        merchantKey: "test merchant",
+        category: "subscriptions",
+      });
+    });
+
+    it("should reject unknown categories", async () => {
+      const response = await request(app)
+        .patch("/api/v1/truelayer/transactions/tx_1/category")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ category: "gadgets" });
+
+      expect(response.status).toBe(400);
+    });
+
+    it("should return 404 for a transaction that is not stored", async () => {
+      const response = await request(app)
+        .patch("/api/v1/truelayer/transactions/tx_missing/category")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ category: "groceries" });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe("TRANSACTION_NOT_FOUND");
+    });
+  });
+
   describe("Performance and Load Handling", () => {
     it("should handle concurrent requests", async () => {
       const mockAccounts = generateTestAccountData(5);
@@ -229,6 +588,7 @@ describe("TrueLayer Integration Tests", () => {
 
       const response = await request(app)
         .get("/api/v1/truelayer/transactions")
+        .query({ live: "true" })
         .query({ limit: 100 })
         .set("Authorization", `Bearer ${authToken}`);
 
@@ -1,12 +1,17 @@
 const request = require("supertest");
 const mongoose = require("mongoose");
 const app = require("../../app");
+const AuditEvent = require("../../models/AuditEvent");
 const User = require("../../models/User");
+const BankConnection = require("../../models/BankConnection");
+const TrueLayerAuthState = require("../../models/TrueLayerAuthState");
 const TrueLayerService = require("../../services/trueLayerService");
+const config = require("../../config/config");
 
 describe("TrueLayer Authentication Integration Tests", () => {
   let authToken;
   let testUser;
+  let authState;
 
   beforeAll(async () => {
     testUser = await User.create({
@@ -23,11 +28,197 @@ describe("TrueLayer Authentication Integration Tests", () => {
     authToken = loginResponse.body.data.accessToken;
   });
 
+  const mockMetadata = {
+    credentialsId: "cred_123",
+    providerId: "ob-monzo",
+    providerName: "Monzo",
+    consentExpiresAt: null,
+  };
+
+  beforeEach(async () => {
+    authState = await TrueLayerAuthState.createForUser(testUser._id);
+    jest
+      .spyOn(TrueLayerService, "getConnectionMetadata")
+      .mockResolvedValue(mockMetadata);
+  });
+
   afterAll(async () => {
+    await AuditEvent.deleteMany({});
+    await BankConnection.deleteMany({});
     await User.deleteMany({});
     await mongoose.connection.close();
   });
 
+  describe("GET /api/v1/truelayer/auth-link", () => {
+    it("should build an auth link with state and PKCE challenge", async () => {
+      const response = await request(app)
+        .get("/api/v1/truelayer/auth-link")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+
+      const authUrl = new URL(response.body.data.authUrl);
+      expect(authUrl.searchParams.get("response_type")).toBe("code");
+      expect(authUrl.searchParams.get("state")).toBe(response.body.data.state);
+      expect(authUrl.searchParams.get("code_challenge_method")).toBe("S256");
+
+      // Verifier stays server-side, only its challenge is exposed
+      const storedState = await TrueLayerAuthState.findOne({
+        state: response.body.data.state,
+      }).select("+codeVerifier");
+      expect(storedState.userId.toString()).toBe(testUser._id.toString());
+      expect(authUrl.searchParams.get("code_challenge")).toBe(
+        TrueLayerService.generateCodeChallenge(storedState.codeVerifier)
+      );
+    });
+
+    it("should reject an unknown provider", async () => {
+      jest.spyOn(TrueLayerService, "getProvider").mockResolvedValueOnce(null);
+
+      const response = await request(app)
+        .get("/api/v1/truelayer/auth-link")
+        .query({ provider_id: "ob-unknown" })
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("INVALID_PROVIDER");
+    });
+
+    it("should require authentication", async () => {
+      const response = await request(app).get("/api/v1/truelayer/auth-link");
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe("GET /api/v1/truelayer/callback", () => {
+    it("should exchange the code and redirect to the success URL", async () => {
+      const mockTokens = generateTestTokens("valid");
+      const exchangeSpy = jest
+        .spyOn(TrueLayerService, "exchangeAuthorizationCode")
+        .mockResolvedValueOnce(mockTokens);
+
+      const response = await request(app)
+        .get("/api/v1/truelayer/callback")
+        .query({ code: "valid_code", state: authState.state });
+
+      expect(response.status).toBe(302);
+      expect(response.headers.location).toBe(
+        config.trueLayer.frontendRedirects.success
+      );
+      expect(exchangeSpy).toHaveBeenCalledWith(
+        "valid_code",
+        authState.codeVerifier
+      );
+
+      const updatedUser = await User.findById(testUser._id);
+      const connection = await BankConnection.findOne({
+        userId: testUser._id,
+        credentialsId: "cred_123",
+      }).select("+accessToken");
+      expect(updatedUser.trueLayerConnected).toBe(true);
+      expect(connection.accessToken).toBe(mockTokens.access_token);
+      expect(connection.providerId).toBe("ob-monzo");
+    });
+
+    it("should redirect with access_denied when the user cancels", async () => {
+      const response = await request(app)
+        .get("/api/v1/truelayer/callback")
+        .query({ error: "access_denied", state: authState.state });
+
+      expect(response.status).toBe(302);
+      expect(
+        new URL(response.headers.location).searchParams.get("reason")
+      ).toBe("access_denied");
+      expect(await TrueLayerAuthState.exists({ state: authState.state })).toBe(
+        null
+      );
+    });
+
+    it("should redirect with invalid_state for unknown states", async () => {
+      const response = await request(app)
+        .get("/api/v1/truelayer/callback")
+        .query({ code: "valid_code", state: "unknown_state" });
+
+      expect(response.status).toBe(302);
+      expect(
+        new URL(response.headers.location).searchParams.get("reason")
+      ).toBe("invalid_state");
+    });
+
+    it("should redirect with exchange_failed when the exchange fails", async () => {
+      jest
+        .spyOn(TrueLayerService, "exchangeAuthorizationCode")
+        .mockRejectedValueOnce(new Error("invalid_grant"));
+
+      const response = await request(app)
+        .get("/api/v1/truelayer/callback")
+        .query({ code: "expired_code", state: authState.state });
+
+      expect(response.status).toBe(302);
+      expect(
+        new URL(response.headers.location).searchParams.get("reason")
+      ).toBe("exchange_failed");
+    });
+  });
+
+  describe("State validation", () => {
+    it("should reject a missing state", async () => {
+      const response = await request(app)
+        .post("/api/v1/auth/truelayer/connect")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ code: "valid_code" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("MISSING_STATE");
+    });
+
+    it("should reject an unknown state", async () => {
+      const response = await request(app)
+        .post("/api/v1/auth/truelayer/connect")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ code: "valid_code", state: "unknown_state" });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("INVALID_STATE");
+    });
+
+    it("should reject an expired state", async () => {
+      await TrueLayerAuthState.updateOne(
+        { _id: authState._id },
+        { expiresAt: new Date(Date.now() - 1000) }
+      );
+
+      const response = await request(app)
+        .post("/api/v1/auth/truelayer/connect")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ code: "valid_code", state: authState.state });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("INVALID_STATE");
+    });
+
+    it("should not accept the same state twice", async () => {
+      jest
+        .spyOn(TrueLayerService, "exchangeAuthorizationCode")
+        .mockResolvedValueOnce(generateTestTokens("valid"));
+
+      await request(app)
+        .post("/api/v1/auth/truelayer/connect")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ code: "valid_code", state: authState.state });
+
+      const response = await request(app)
+        .post("/api/v1/auth/truelayer/connect")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ code: "valid_code", state: authState.state });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("INVALID_STATE");
+    });
+  });
+
   describe("POST /api/v1/truelayer/connect", () => {
     it("should successfully exchange authorization code for tokens", async () => {
       const mockTokens = {
@@ -43,7 +234,7 @@ describe("TrueLayer Authentication Integration Tests", () => {
       const response = await request(app)
         .post("/api/v1/truelayer/connect")
         .set("Authorization", `Bearer ${authToken}`)
-        .send({ code: "valid_auth_code" });
+        .send({ code: "valid_auth_code", state: authState.state });
 
       expect(response.status).toBe(200);
       expect(response.body).toEqual({
@@ -55,12 +246,35 @@ describe("TrueLayer Authentication Integration Tests", () => {
         }),
       });
 
-      // Verify user was updated
-      const updatedUser = await User.findById(testUser._id).select(
-        "+trueLayerAccessToken +trueLayerRefreshToken"
+      // Verify the bank was stored as a connection
+      const connection = await BankConnection.findOne({
+        userId: testUser._id,
+      }).select("+accessToken +refreshToken");
+      expect(connection.accessToken).toBe(mockTokens.access_token);
+      expect(response.body.data.connection).toEqual(
+        expect.objectContaining({ providerId: "ob-monzo", status: "active" })
       );
-      expect(updatedUser.trueLayerConnected).toBe(true);
-      expect(updatedUser.trueLayerAccessToken).toBe(mockTokens.access_token);
+    });
+
+    it("should add a second bank as a separate connection", async () => {
+      jest
+        .spyOn(TrueLayerService, "exchangeAuthorizationCode")
+        .mockResolvedValueOnce(generateTestTokens("valid"));
+      TrueLayerService.getConnectionMetadata.mockResolvedValueOnce({
+        ...mockMetadata,
+        credentialsId: "cred_456",
+        providerId: "ob-barclays",
+      });
+
+      const response = await request(app)
+        .post("/api/v1/truelayer/connect")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ code: "valid_auth_code", state: authState.state });
+
+      expect(response.status).toBe(200);
+      expect(
+        await BankConnection.countDocuments({ userId: testUser._id })
+      ).toBeGreaterThanOrEqual(2);
     });
 
     it("should handle missing authorization code", async () => {
@@ -89,7 +303,7 @@ describe("TrueLayer Authentication Integration Tests", () => {
       const response = await request(app)
         .post("/api/v1/truelayer/connect")
         .set("Authorization", `Bearer ${authToken}`)
-        .send({ code: "invalid_code" });
+        .send({ code: "invalid_code", state: authState.state });
 
       expect(response.status).toBe(400);
       expect(response.body).toEqual({
@@ -119,7 +333,7 @@ describe("TrueLayer Authentication Integration Tests", () => {
       const response = await request(app)
         .post("/api/v1/truelayer/connect")
         .set("Authorization", `Bearer ${authToken}`)
-        .send({ code: "valid_code" });
+        .send({ code: "valid_code", state: authState.state });
 
       expect(response.status).toBe(409);
       expect(response.body).toEqual({
@@ -135,7 +349,7 @@ describe("TrueLayer Authentication Integration Tests", () => {
       const response = await request(app)
         .post("/api/v1/truelayer/connect")
         .set("Authorization", `Bearer ${authToken}`)
-        .send({ code: longCode });
+        .send({ code: longCode, state: authState.state });
 
       expect(response.status).toBe(400);
       expect(response.body).toEqual({
@@ -151,7 +365,7 @@ describe("TrueLayer Authentication Integration Tests", () => {
       const response = await request(app)
         .post("/api/v1/truelayer/connect")
         .set("Authorization", `Bearer ${authToken}`)
-        .send({ code: malformedCode });
+        .send({ code: malformedCode, state: authState.state });
 
       expect(response.status).toBe(400);
       expect(response.body).toEqual({
@@ -173,7 +387,7 @@ describe("TrueLayer Authentication Integration Tests", () => {
       const response = await request(app)
         .post("/api/v1/truelayer/connect")
         .set("Authorization", `Bearer ${authToken}`)
-        .send({ code: "valid_code" });
+        .send({ code: "valid_code", state: authState.state });
 
       expect(response.status).toBe(401);
       expect(response.body).toEqual({
@@ -196,7 +410,7 @@ describe("TrueLayer Authentication Integration Tests", () => {
       const response = await request(app)
         .post("/api/v1/truelayer/connect")
         .set("Authorization", `Bearer ${authToken}`)
-        .send({ code: "valid_code" });
+        .send({ code: "valid_code", state: authState.state });
 
       expect(response.status).toBe(400);
       expect(response.body).toEqual({
@@ -208,6 +422,316 @@ describe("TrueLayer Authentication Integration Tests", () => {
     });
   });
 
+  describe("Bank Connections", () => {
+    let connections;
+
+    beforeEach(async () => {
+      await BankConnection.deleteMany({});
+      connections = await Promise.all(
+        ["cred_a", "cred_b"].map((credentialsId, index) =>
+          BankConnection.create({
+            userId: testUser._id,
+            providerId: `ob-bank-${index}`,
+            credentialsId,
+            accessToken: `access_${index}`,
+            refreshToken: `refresh_${index}`,
+            tokenExpiresAt: new Date(Date.now() + 3600000),
+          })
+        )
+      );
+    });
+
+    beforeEach(async () => {
+      await AuditEvent.deleteMany({});
+      jest.spyOn(TrueLayerService, "revokeAccess").mockResolvedValue();
+    });
+
+    it("should list the user's connections without tokens", async () => {
+      const response = await request(app)
+        .get("/api/v1/truelayer/connections")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data[0]).not.toHaveProperty("accessToken");
+    });
+
+    it("should aggregate accounts across connections", async () => {
+      jest
+        .spyOn(TrueLayerService, "getAccounts")
+        .mockImplementation(async (accessToken) => [
+          { account_id: `acc_for_${accessToken}` },
+        ]);
+
+      const response = await request(app)
+        .get("/api/v1/truelayer/accounts")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data.map((account) => account.connectionId)).toEqual(
+        connections.map((connection) => connection.id)
+      );
+    });
+
+    it("should still return healthy connections when one fails", async () => {
+      jest
+        .spyOn(TrueLayerService, "getAccounts")
+        .mockResolvedValueOnce([{ account_id: "acc_1" }])
+        .mockRejectedValueOnce({ errorCode: "TRUELAYER_AUTH_FAILED" });
+
+      const response = await request(app)
+        .get("/api/v1/truelayer/accounts")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.failedConnections).toEqual([
+        { connectionId: connections[1].id, error: "TRUELAYER_AUTH_FAILED" },
+      ]);
+    });
+
+    it("should disconnect a connection and wipe its tokens", async () => {
+      const response = await request(app)
+        .delete(`/api/v1/truelayer/connections/${connections[0].id}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe("disconnected");
+
+      const stored = await BankConnection.findById(connections[0].id).select(
+        "+accessToken +refreshToken"
+      );
+      expect(stored.accessToken).toBeUndefined();
+      expect(stored.refreshToken).toBeUndefined();
+    });
+
+    it("should revoke the connection at TrueLayer and record an audit event", async () => {
+      await request(app)
+        .delete(`/api/v1/truelayer/connections/${connections[0].id}`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(TrueLayerService.revokeAccess).toHaveBeenCalledWith("access_0");
+
+      const event = await AuditEvent.findOne({ userId: testUser._id });
+      expect(event.action).toBe("truelayer.connection_disconnected");
+      expect(event.details.connections[0]).toEqual({
+        connectionId: connections[0].id,
+        providerId: "ob-bank-0",
+        revokedAtProvider: true,
+      });
+    });
+
+    it("should return 404 for another user's connection", async () => {
+      const response = await request(app)
+        .delete(
+          `/api/v1/truelayer/connections/${new mongoose.Types.ObjectId()}`
+        )
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe("CONNECTION_NOT_FOUND");
+    });
+  });
+
+  describe("DELETE /api/v1/truelayer/connection", () => {
+    beforeEach(async () => {
+      await BankConnection.deleteMany({});
+      await AuditEvent.deleteMany({});
+      await BankConnection.create({
+        userId: testUser._id,
+        providerId: "ob-monzo",
+        credentialsId: "cred_123",
+        accessToken: "access_token",
+        refreshToken: "refresh_token",
+        tokenExpiresAt: new Date(Date.now() + 3600000),
+      });
+      await User.findByIdAndUpdate(testUser._id, {
+        trueLayerConnected: true,
+        trueLayerAccessToken: "legacy_access_token",
+        trueLayerRefreshToken: "legacy_refresh_token",
+        trueLayerTokenExpiresAt: new Date(Date.now() + 3600000),
+      });
+      jest.spyOn(TrueLayerService, "revokeAccess").mockResolvedValue();
+    });
+
+    it("should revoke every connection and wipe all stored tokens", async () => {
+      const response = await request(app)
+        .delete("/api/v1/truelayer/connection")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.connections).toHaveLength(2);
+      expect(TrueLayerService.revokeAccess).toHaveBeenCalledWith(
+        "access_token"
+      );
+      expect(TrueLayerService.revokeAccess).toHaveBeenCalledWith(
+        "legacy_access_token"
+      );
+
+      const user = await User.findById(testUser._id).select(
+        "+trueLayerAccessToken +trueLayerRefreshToken"
+      );
+      expect(user.trueLayerConnected).toBe(false);
+      expect(user.trueLayerAccessToken).toBeUndefined();
+      expect(user.trueLayerRefreshToken).toBeUndefined();
+      expect(user.trueLayerTokenExpiresAt).toBeUndefined();
+
+      const remaining = await BankConnection.countDocuments({
+        userId: testUser._id,
+        status: "active",
+      });
+      expect(remaining).toBe(0);
+
+      const event = await AuditEvent.findOne({ userId: testUser._id });
+      expect(event.action).toBe("truelayer.disconnected");
+    });
+
+    it("should wipe tokens even when TrueLayer revocation fails", async () => {
+      TrueLayerService.revokeAccess.mockRejectedValue(
+        new Error("Service unavailable")
+      );
+
+      const response = await request(app)
+        .delete("/api/v1/truelayer/connection")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+
+      const event = await AuditEvent.findOne({ userId: testUser._id });
+      expect(
+        event.details.connections.every(
+          (connection) => connection.revokedAtProvider === false
+        )
+      ).toBe(true);
+    });
+
+    it("should return NOT_CONNECTED when there is nothing to disconnect", async () => {
+      await request(app)
+        .delete("/api/v1/truelayer/connection")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      const response = await request(app)
+        .delete("/api/v1/truelayer/connection")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe("NOT_CONNECTED");
+    });
+  });
+
+  describe("Consent Expiry", () => {
+    let connection;
+
+    beforeEach(async () => {
+      await BankConnection.deleteMany({});
+      connection = await BankConnection.create({
+        userId: testUser._id,
+        providerId: "ob-monzo",
+        credentialsId: "cred_123",
+        accessToken: "access_token",
+        refreshToken: "refresh_token",
+        tokenExpiresAt: new Date(Date.now() + 3600000),
+        consentExpiresAt: new Date(Date.now() - 60000),
+      });
+    });
+
+    it("should return CONSENT_EXPIRED from accounts", async () => {
+      const response = await request(app)
+        .get("/api/v1/truelayer/accounts")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe("CONSENT_EXPIRED");
+      expect(response.body.details.connectionId).toBe(connection.id);
+    });
+
+    it("should return CONSENT_EXPIRED from transactions", async () => {
+      const response = await request(app)
+        .get("/api/v1/truelayer/transactions")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe("CONSENT_EXPIRED");
+    });
+
+    it("should expose consent expiry on the profile", async () => {
+      const response = await request(app)
+        .get("/api/v1/auth/profile")
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.user.bankConnections).toEqual([
+        expect.objectContaining({
+          id: connection.id,
+          consentExpiresAt: connection.consentExpiresAt.toISOString(),
+          reauthRequired: true,
+        }),
+      ]);
+    });
+
+    it("should generate a re-authentication link", async () => {
+      jest
+        .spyOn(TrueLayerService, "getReauthLink")
+        .mockResolvedValueOnce("https://auth.truelayer.com/reauth");
+
+      const response = await request(app)
+        .post(`/api/v1/truelayer/connections/${connection.id}/reauth`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.authUrl).toBe(
+        "https://auth.truelayer.com/reauth"
+      );
+      expect(TrueLayerService.getReauthLink).toHaveBeenCalledWith({
+        refreshToken: "refresh_token",
+        state: response.body.data.state,
+      });
+
+      const storedState = await TrueLayerAuthState.findOne({
+        state: response.body.data.state,
+      });
+      expect(storedState.connectionId.toString()).toBe(connection.id);
+    });
+
+    it("should renew the connection when the re-authentication completes", async () => {
+      const reauthState = await TrueLayerAuthState.createForUser(testUser._id, {
+        connectionId: connection._id,
+      });
+      jest
+        .spyOn(TrueLayerService, "exchangeAuthorizationCode")
+        .mockResolvedValueOnce(generateTestTokens("valid"));
+      TrueLayerService.getConnectionMetadata.mockResolvedValueOnce({
+        ...mockMetadata,
+        consentExpiresAt: new Date(Date.now() + 90 * 24 * 3600000),
+      });
+
+      const response = await request(app).get(
+        `/api/v1/truelayer/callback?code=reauth_code&state=${reauthState.state}`
+      );
+
+      expect(response.status).toBe(302);
+      expect(TrueLayerService.exchangeAuthorizationCode).toHaveBeenCalledWith(
+        "reauth_code",
+        undefined
+      );
+
+      const renewed = await BankConnection.findById(connection.id);
+      expect(renewed.isConsentExpired()).toBe(false);
+    });
+
+    it("should reject re-authentication of a disconnected connection", async () => {
+      await connection.markStatus("disconnected");
+
+      const response = await request(app)
+        .post(`/api/v1/truelayer/connections/${connection.id}/reauth`)
+        .set("Authorization", `Bearer ${authToken}`);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe("REAUTH_UNAVAILABLE");
+    });
+  });
+
   describe("Token Refresh Scenarios", () => {
     beforeEach(async () => {
       // Reset user to connected state with expired token
@@ -324,7 +848,7 @@ describe("TrueLayer Authentication Integration Tests", () => {
       const response = await request(app)
         .post("/api/v1/truelayer/connect")
         .set("Authorization", `Bearer ${authToken}`)
-        .send({ code: "valid_code" });
+        .send({ code: "valid_code", state: authState.state });
 
       expect(response.status).toBe(500);
       expect(response.body).toEqual({
@@ -346,7 +870,7 @@ describe("TrueLayer Authentication Integration Tests", () => {
       const response = await request(app)
         .post("/api/v1/truelayer/connect")
         .set("Authorization", `Bearer ${authToken}`)
-        .send({ code: "valid_code" });
+        .send({ code: "valid_code", state: authState.state });
 
       expect(response.status).toBe(429);
       expect(response.body).toEqual({
@@ -369,7 +893,7 @@ describe("TrueLayer Authentication Integration Tests", () => {
       const response = await request(app)
         .post("/api/v1/truelayer/connect")
         .set("Authorization", `Bearer ${authToken}`)
-        .send({ code: "valid_code" });
+        .send({ code: "valid_code", state: authState.state });
 
       expect(response.status).toBe(500);
       expect(response.body).toEqual({
@@ -392,7 +916,7 @@ describe("TrueLayer Authentication Integration Tests", () => {
       const response = await request(app)
         .post("/api/v1/truelayer/connect")
         .set("Authorization", `Bearer ${authToken}`)
-        .send({ code: "valid_code" });
+        .send({ code: "valid_code", state: authState.state });
 
       expect(response.status).toBe(504);
       expect(response.body).toEqual({
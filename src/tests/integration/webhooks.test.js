@@ -0,0 +1,183 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const app = require("../../app");
+const config = require("../../config/config");
+const Payment = require("../../models/Payment");
+const User = require("../../models/User");
+const WebhookEvent = require("../../models/WebhookEvent");
+
+describe("Webhook Routes", () => {
+  const webhookPath = "/api/v1/webhooks/truelayer";
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", {
+    namedCurve: "P-521",
+  });
+  let jwksFile;
+  let originalJwksFile;
+  let testUser;
+
+  /**
+   * Send a webhook signed with the local key
+   */
+  const sendWebhook = (
+    payload,
+    { timestamp = new Date().toISOString() } = {}
+  ) => {
+    const body = JSON.stringify(payload);
+    const jwsHeader = Buffer.from(
+      JSON.stringify({
+        alg: "ES512",
+        kid: "webhook-key",
+        jku: config.trueLayer.webhookJwksUrls[0],
+        tl_version: "2",
+        tl_headers: "X-Tl-Webhook-Timestamp",
+      })
+    ).toString("base64url");
+    const signedPayload = `POST ${webhookPath}\nX-Tl-Webhook-Timestamp: ${timestamp}\n${body}`;
+    const signature = crypto
+      .sign(
+        "sha512",
+        Buffer.from(
+          `${jwsHeader}.${Buffer.from(signedPayload).toString("base64url")}`
+        ),
+        { key: privateKey, dsaEncoding: "ieee-p1363" }
+      )
+      .toString("base64url");
+
+    return request(app)
+      .post(webhookPath)
+      .set("Content-Type", "application/json")
+      .set("X-Tl-Webhook-Timestamp", timestamp)
+      .set("Tl-Signature", `${jwsHeader}..${signature}`)
+      .send(body);
+  };
+
+  beforeAll(async () => {
+    testUser = await createTestUser(User);
+
+    jwksFile = path.join(os.tmpdir(), `webhook-jwks-${process.pid}.json`);
+    fs.writeFileSync(
+      jwksFile,
+      JSON.stringify({
+        keys: [{ ...publicKey.export({ format: "jwk" }), kid: "webhook-key" }],
+      })
+    );
+    originalJwksFile = config.trueLayer.webhookJwksFile;
+    config.trueLayer.webhookJwksFile = jwksFile;
+  });
+
+  beforeEach(async () => {
+    await Payment.deleteMany({});
+    await WebhookEvent.deleteMany({});
+    await Payment.create({
+      userId: testUser._id,
+      paymentId: "pay_1",
+      amountInMinor: 1000,
+      currency: "GBP",
+      beneficiary: { type: "merchant_account", merchantAccountId: "ma_1" },
+      idempotencyKey: "key_1",
+    });
+  });
+
+  afterAll(async () => {
+    config.trueLayer.webhookJwksFile = originalJwksFile;
+    fs.unlinkSync(jwksFile);
+    await Payment.deleteMany({});
+    await WebhookEvent.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.close();
+  });
+
+  it("should update a payment from a signed webhook", async () => {
+    const response = await sendWebhook({
+      type: "payment_executed",
+      event_id: "event_1",
+      event_version: 1,
+      payment_id: "pay_1",
+      executed_at: "2024-06-01T12:00:00Z",
+    });
+
+    expect(response.status).toBe(200);
+    expect(await Payment.findOne({ paymentId: "pay_1" })).toMatchObject({
+      status: "executed",
+    });
+    expect(await WebhookEvent.findOne({ eventId: "event_1" })).toMatchObject({
+      type: "payment_executed",
+      status: "processed",
+    });
+  });
+
+  it("should acknowledge a repeated event without processing it again", async () => {
+    const payload = {
+      type: "payment_failed",
+      event_id: "event_2",
+      payment_id: "pay_1",
+      failure_stage: "authorizing",
+      failure_reason: "user_canceled_at_provider",
+    };
+
+    await sendWebhook(payload);
+    const repeated = await sendWebhook(payload);
+
+    expect(repeated.status).toBe(200);
+    expect(repeated.body.duplicate).toBe(true);
+    expect(await WebhookEvent.findOne({ eventId: "event_2" })).toMatchObject({
+      attempts: 2,
+    });
+  });
+
+  it("should mark a refund as failed", async () => {
+    await Payment.updateOne(
+      { paymentId: "pay_1" },
+      {
+        status: "settled",
+        refunds: [
+          {
+            refundId: "refund_1",
+            amountInMinor: 500,
+            reference: "REFUND",
+            idempotencyKey: "refund_key_1",
+          },
+        ],
+      }
+    );
+
+    const response = await sendWebhook({
+      type: "refund_failed",
+      event_id: "event_5",
+      payment_id: "pay_1",
+      refund_id: "refund_1",
+      failure_reason: "insufficient_funds",
+    });
+
+    const payment = await Payment.findOne({ paymentId: "pay_1" });
+    expect(response.status).toBe(200);
+    expect(payment.refunds[0]).toMatchObject({
+      status: "failed",
+      failureReason: "insufficient_funds",
+    });
+    expect(payment.getRefundedAmount()).toBe(0);
+  });
+
+  it("should reject a webhook with a stale timestamp", async () => {
+    const response = await sendWebhook(
+      { type: "payment_settled", event_id: "event_3", payment_id: "pay_1" },
+      { timestamp: new Date(Date.now() - 60 * 60 * 1000).toISOString() }
+    );
+
+    expect(response.status).toBe(401);
+    expect(await WebhookEvent.countDocuments()).toBe(0);
+  });
+
+  it("should reject an unsigned webhook", async () => {
+    const response = await request(app)
+      .post(webhookPath)
+      .set("Content-Type", "application/json")
+      .send({ type: "payment_settled", event_id: "event_4" });
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,124 @@
+const Budget = require("../../models/Budget");
+const Transaction = require("../../models/Transaction");
+const { getBudgetProgress } = require("../../services/budgetService");
+
+jest.mock("../../models/Budget");
+jest.mock("../../models/Transaction");
+
+describe("Budget Service", () => {
+  const userId = "64b000000000000000000001";
+
+  const buildBudget = (overrides = {}) => {
+    const budget = {
+      category: "groceries",
+      limit: 300,
+      currency: "GBP",
+      rollover: false,
+      createdAt: new Date("2024-01-01T00:00:00Z"),
+      ...overrides,
+    };
+    budget.toSummary = () => ({
+      id: "budget_1",
+      category: budget.category,
+      limit: budget.limit,
+      currency: budget.currency,
+      rollover: budget.rollover,
+    });
+    return budget;
+  };
+
+  const mockSpending = (current, previous = []) => {
+    const toRows = (totals) =>
+      totals.map(([category, currency, total]) => ({
+        _id: { category, currency },
+        total,
+      }));
+    Transaction.aggregate
+      .mockResolvedValueOnce(toRows(current))
+      .mockResolvedValueOnce(toRows(previous));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should project month-end spend from the daily rate so far", async () => {
+    Budget.find.mockReturnValue({
+      sort: jest.fn().mockResolvedValue([buildBudget()]),
+    });
+    mockSpending([["groceries", "GBP", 150]]);
+
+    const progress = await getBudgetProgress(userId, {
+      now: new Date("2024-04-10T12:00:00Z"),
+    });
+
+    expect(progress).toMatchObject({
+      month: "2024-04",
+      daysInMonth: 30,
+      daysElapsed: 10,
+    });
+    expect(progress.budgets[0]).toMatchObject({
+      spent: 150,
+      available: 300,
+      remaining: 150,
+      percentUsed: 50,
+      projectedSpend: 450,
+      status: "at_risk",
+    });
+  });
+
+  it("should carry last month's unspent amount when rollover is on", async () => {
+    Budget.find.mockReturnValue({
+      sort: jest
+        .fn()
+        .mockResolvedValue([buildBudget({ rollover: true, limit: 100 })]),
+    });
+    mockSpending([["groceries", "GBP", 20]], [["groceries", "GBP", 70]]);
+
+    const progress = await getBudgetProgress(userId, {
+      month: "2024-03",
+      now: new Date("2024-04-10T12:00:00Z"),
+    });
+
+    expect(progress.daysElapsed).toBe(31);
+    expect(progress.budgets[0]).toMatchObject({
+      carriedOver: 30,
+      available: 130,
+      spent: 20,
+      projectedSpend: 20,
+      status: "on_track",
+    });
+  });
+
+  it("should not carry over into a budget's first month", async () => {
+    Budget.find.mockReturnValue({
+      sort: jest.fn().mockResolvedValue([
+        buildBudget({
+          rollover: true,
+          createdAt: new Date("2024-04-05T00:00:00Z"),
+        }),
+      ]),
+    });
+    mockSpending([["groceries", "EUR", 500]], [["groceries", "GBP", 10]]);
+
+    const progress = await getBudgetProgress(userId, {
+      now: new Date("2024-04-10T12:00:00Z"),
+    });
+
+    // Spending in another currency does not count against a GBP budget
+    expect(progress.budgets[0]).toMatchObject({
+      carriedOver: 0,
+      spent: 0,
+      status: "on_track",
+    });
+  });
+
+  it("should skip the aggregation when the user has no budgets", async () => {
+    Budget.find.mockReturnValue({ sort: jest.fn().mockResolvedValue([]) });
+
+    const progress = await getBudgetProgress(userId);
+
+    expect(progress.budgets).toEqual([]);
+    expect(Transaction.aggregate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,59 @@
+const {
+  categoriseTransaction,
+} = require("../../services/categorisationService");
+
+describe("Categorisation Service", () => {
+  describe("categoriseTransaction", () => {
+    it("should prefer the user's rule for the merchant", () => {
+      const rules = new Map([["tesco stores", "shopping"]]);
+
+      expect(
+        categoriseTransaction({ merchant_name: "TESCO STORES 3297" }, rules)
+      ).toEqual({
+        category: "shopping",
+        source: "user_rule",
+        merchantKey: "tesco stores",
+      });
+    });
+
+    it("should match the longest known merchant name", () => {
+      expect(
+        categoriseTransaction({ merchant_name: "UBER EATS" }).category
+      ).toBe("eating_out");
+      expect(
+        categoriseTransaction({ merchant_name: "UBER TRIP" }).category
+      ).toBe("transport");
+    });
+
+    it("should use description rules before the MCC", () => {
+      expect(
+        categoriseTransaction({
+          description: "ACME LTD SALARY",
+          meta: { mcc: "5411" },
+        })
+      ).toMatchObject({ category: "income", source: "description" });
+    });
+
+    it("should use the MCC when nothing else matches", () => {
+      expect(
+        categoriseTransaction({
+          description: "CORNER SHOP",
+          meta: { mcc: "5411" },
+        })
+      ).toMatchObject({ category: "groceries", source: "mcc" });
+    });
+
+    it("should fall back to the provider category, then other", () => {
+      expect(
+        categoriseTransaction({
+          description: "ACME",
+          transaction_category: "DIRECT_DEBIT",
+        })
+      ).toMatchObject({ category: "bills", source: "provider" });
+      expect(categoriseTransaction({ description: "ACME" })).toMatchObject({
+        category: "other",
+        source: "default",
+      });
+    });
+  });
+});
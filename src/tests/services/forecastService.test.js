@@ -0,0 +1,183 @@
+const Transaction = require("../../models/Transaction");
+const connectionService = require("../../services/connectionService");
+const { getForecast } = require("../../services/forecastService");
+const TrueLayerService = require("../../services/trueLayerService");
+
+jest.mock("../../models/Transaction");
+jest.mock("../../services/connectionService");
+
+describe("Forecast Service", () => {
+  const userId = "64b000000000000000000001";
+  const now = new Date("2024-06-20T10:00:00Z");
+  let history;
+
+  const addTransaction = (timestamp, amount, merchantKey, merchantId = null) =>
+    history.push({
+      accountId: "acc_1",
+      timestamp: new Date(timestamp),
+      amount,
+      currency: "GBP",
+      merchantKey,
+      merchant: { id: merchantId, name: merchantId || merchantKey },
+    });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    history = [];
+
+    connectionService.collectFromConnections.mockImplementation(
+      async (userId, fetcher) => {
+        const records = await fetcher("access_token", { id: "connection_1" });
+        return {
+          records: records.map((record) => ({
+            ...record,
+            connection_id: "connection_1",
+          })),
+          failures: [],
+        };
+      }
+    );
+    Transaction.find.mockReturnValue({
+      select: () => ({
+        sort: () => ({
+          lean: jest.fn().mockImplementation(async () => history),
+        }),
+      }),
+    });
+
+    jest
+      .spyOn(TrueLayerService, "getAccounts")
+      .mockResolvedValue([{ account_id: "acc_1", display_name: "Current" }]);
+    jest
+      .spyOn(TrueLayerService, "getAccountBalance")
+      .mockResolvedValue({ current: 500, currency: "GBP" });
+    jest.spyOn(TrueLayerService, "getStandingOrders").mockResolvedValue([]);
+    jest.spyOn(TrueLayerService, "getDirectDebits").mockResolvedValue([]);
+  });
+
+  it("should apply standing orders and predict the first shortfall", async () => {
+    TrueLayerService.getStandingOrders.mockResolvedValue([
+      {
+        payee: "LANDLORD LTD",
+        next_payment_date: "2024-06-25T00:00:00Z",
+        next_payment_amount: 700,
+        currency: "GBP",
+        frequency: "IntrvlMnthDay:01:25",
+        status: "Active",
+      },
+    ]);
+
+    const { forecast } = await getForecast(userId, {
+      days: 10,
+      threshold: 100,
+      now,
+    });
+    const [account] = forecast.accounts;
+
+    expect(account).toMatchObject({
+      accountId: "acc_1",
+      connectionId: "connection_1",
+      currentBalance: 500,
+      belowZeroDate: "2024-06-25",
+      belowThresholdDate: "2024-06-25",
+      lowestBalance: { date: "2024-06-25", balance: -200 },
+    });
+    expect(account.series).toHaveLength(10);
+    expect(account.series[0]).toEqual({
+      date: "2024-06-21",
+      balance: 500,
+      inflow: 0,
+      outflow: 0,
+    });
+  });
+
+  it("should project detected income and subscriptions", async () => {
+    ["03", "04", "05"].forEach((month) =>
+      addTransaction(`2024-${month}-28T08:00:00Z`, 2000, "acme ltd salary")
+    );
+    ["03", "04", "05", "06"].forEach((month) =>
+      addTransaction(
+        `2024-${month}-15T08:00:00Z`,
+        -10.99,
+        "netflix com",
+        "netflix"
+      )
+    );
+    history.sort((a, b) => a.timestamp - b.timestamp);
+
+    const { forecast } = await getForecast(userId, { days: 30, now });
+
+    expect(
+      forecast.accounts[0].scheduledPayments.map(({ date, amount, source }) => [
+        date,
+        amount,
+        source,
+      ])
+    ).toEqual([
+      ["2024-06-28", 2000, "recurring_income"],
+      ["2024-07-15", -10.99, "recurring"],
+    ]);
+  });
+
+  it("should not count a direct debit already detected as recurring twice", async () => {
+    ["03", "04", "05", "06"].forEach((month) =>
+      addTransaction(
+        `2024-${month}-15T08:00:00Z`,
+        -10.99,
+        "netflix com",
+        "netflix"
+      )
+    );
+    TrueLayerService.getDirectDebits.mockResolvedValue([
+      {
+        direct_debit_id: "dd_1",
+        name: "NETFLIX.COM",
+        previous_payment_amount: 10.99,
+        previous_payment_timestamp: "2024-06-15T00:00:00Z",
+        status: "Active",
+      },
+      {
+        direct_debit_id: "dd_2",
+        name: "THAMES WATER",
+        previous_payment_amount: 40,
+        previous_payment_timestamp: "2024-06-01T00:00:00Z",
+        status: "Active",
+      },
+    ]);
+
+    const { forecast } = await getForecast(userId, { days: 30, now });
+
+    expect(
+      forecast.accounts[0].scheduledPayments.map(({ source }) => source)
+    ).toEqual(["direct_debit", "recurring"]);
+  });
+
+  it("should spread discretionary spend across each day", async () => {
+    for (let day = 0; day < 30; day++) {
+      addTransaction(
+        new Date(Date.UTC(2024, 4, 21 + day, 12)).toISOString(),
+        -15,
+        `shop ${String.fromCharCode(97 + (day % 26))}`
+      );
+    }
+
+    const { forecast } = await getForecast(userId, { days: 5, now });
+    const [account] = forecast.accounts;
+
+    expect(account.dailyDiscretionarySpend).toBeCloseTo(15, 0);
+    expect(account.series[4].balance).toBeLessThan(430);
+  });
+
+  it("should forecast without scheduled payments the provider does not offer", async () => {
+    TrueLayerService.getStandingOrders.mockRejectedValue(
+      Object.assign(new Error("Not supported"), {
+        errorCode: "TRUELAYER_NOT_SUPPORTED",
+      })
+    );
+
+    const { forecast } = await getForecast(userId, { days: 5, now });
+
+    expect(forecast.accounts[0].scheduledPayments).toEqual([]);
+    expect(forecast.accounts[0].belowZeroDate).toBeNull();
+  });
+});
@@ -0,0 +1,288 @@
+const Transaction = require("../../models/Transaction");
+const {
+  detectRecurring,
+  getSpending,
+} = require("../../services/insightsService");
+
+jest.mock("../../models/Transaction");
+
+describe("Insights Service", () => {
+  describe("detectRecurring", () => {
+    const now = new Date("2024-06-20T00:00:00Z");
+
+    const charges = (merchant, entries) =>
+      entries.map(([date, amount]) => ({
+        timestamp: new Date(date),
+        amount: -amount,
+        currency: "GBP",
+        merchant: { id: merchant, name: merchant, confidence: 0.95 },
+        merchantKey: merchant,
+        category: "subscriptions",
+        categoryOverride: null,
+      }));
+
+    it("should detect a monthly subscription and predict the next charge", () => {
+      const [netflix] = detectRecurring(
+        charges("netflix", [
+          ["2024-03-15T08:00:00Z", 10.99],
+          ["2024-04-15T08:00:00Z", 10.99],
+          ["2024-05-15T08:00:00Z", 10.99],
+          ["2024-06-15T08:00:00Z", 10.99],
+        ]),
+        { now }
+      );
+
+      expect(netflix).toMatchObject({
+        merchant: { id: "netflix", name: "netflix" },
+        cadence: "monthly",
+        averageAmount: 10.99,
+        monthlyAmount: 10.99,
+        chargeCount: 4,
+        amountJumped: false,
+      });
+      expect(netflix.nextChargeDate).toEqual(new Date("2024-07-15T08:00:00Z"));
+    });
+
+    it("should detect weekly and annual cadences", () => {
+      const recurring = detectRecurring(
+        [
+          ...charges("gym", [
+            ["2024-05-30T08:00:00Z", 8],
+            ["2024-06-06T08:00:00Z", 8],
+            ["2024-06-13T08:00:00Z", 8],
+          ]),
+          ...charges("amazon", [
+            ["2023-06-01T08:00:00Z", 95],
+            ["2024-06-01T08:00:00Z", 95],
+          ]),
+        ].sort((a, b) => a.timestamp - b.timestamp),
+        { now }
+      );
+
+      expect(recurring.map((payment) => payment.cadence)).toEqual([
+        "weekly",
+        "annual",
+      ]);
+      expect(recurring[1].monthlyAmount).toBe(7.92);
+    });
+
+    it("should flag a price rise on the latest charge", () => {
+      const [spotify] = detectRecurring(
+        charges("spotify", [
+          ["2024-03-01T08:00:00Z", 10.99],
+          ["2024-04-01T08:00:00Z", 10.99],
+          ["2024-05-01T08:00:00Z", 10.99],
+          ["2024-06-01T08:00:00Z", 12.99],
+        ]),
+        { now }
+      );
+
+      expect(spotify.amountJumped).toBe(true);
+      expect(spotify.lastAmount).toBe(12.99);
+    });
+
+    it("should ignore irregular intervals and variable amounts", () => {
+      expect(
+        detectRecurring(
+          [
+            ...charges("tesco", [
+              ["2024-04-01T08:00:00Z", 45.2],
+              ["2024-05-01T08:00:00Z", 112.8],
+              ["2024-06-01T08:00:00Z", 23.1],
+            ]),
+            ...charges("cinema", [
+              ["2024-04-01T08:00:00Z", 12],
+              ["2024-04-20T08:00:00Z", 12],
+              ["2024-06-01T08:00:00Z", 12],
+            ]),
+          ],
+          { now }
+        )
+      ).toEqual([]);
+    });
+
+    it("should drop subscriptions that have lapsed", () => {
+      expect(
+        detectRecurring(
+          charges("disney", [
+            ["2024-01-10T08:00:00Z", 7.99],
+            ["2024-02-10T08:00:00Z", 7.99],
+            ["2024-03-10T08:00:00Z", 7.99],
+          ]),
+          { now }
+        )
+      ).toEqual([]);
+    });
+  });
+
+  describe("getSpending", () => {
+    const userId = "64b000000000000000000001";
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it("should compare each group with the previous window", async () => {
+      Transaction.aggregate.mockResolvedValueOnce([
+        {
+          currency: "GBP",
+          key: "groceries",
+          current: true,
+          total: 120.5,
+          count: 3,
+        },
+        {
+          currency: "GBP",
+          key: "groceries",
+          current: false,
+          total: 100,
+          count: 2,
+        },
+        { currency: "GBP", key: "travel", current: false, total: 50, count: 1 },
+        {
+          currency: "EUR",
+          key: "eating_out",
+          current: true,
+          total: 20,
+          count: 1,
+        },
+      ]);
+
+      const spending = await getSpending(userId, {
+        from: "2024-03-01",
+        to: "2024-03-31",
+      });
+
+      const [match] = Transaction.aggregate.mock.calls[0][0];
+      expect(match.$match.timestamp).toEqual({
+        $gte: new Date("2024-01-30T00:00:00.001Z"),
+        $lte: new Date("2024-03-31T23:59:59.999Z"),
+      });
+      expect(spending.currencies.map((entry) => entry.currency)).toEqual([
+        "EUR",
+        "GBP",
+      ]);
+      expect(spending.currencies[1]).toMatchObject({
+        total: 120.5,
+        count: 3,
+        previousTotal: 150,
+        change: -29.5,
+        changePercent: -19.7,
+      });
+      expect(spending.currencies[1].groups).toEqual([
+        {
+          key: "groceries",
+          total: 120.5,
+          count: 3,
+          previousTotal: 100,
+          change: 20.5,
+          changePercent: 20.5,
+        },
+        {
+          key: "travel",
+          total: 0,
+          count: 0,
+          previousTotal: 50,
+          change: -50,
+          changePercent: -100,
+        },
+      ]);
+    });
+
+    it("should return every period in the window with its change", async () => {
+      Transaction.aggregate.mockResolvedValueOnce([
+        {
+          currency: "GBP",
+          key: new Date("2024-02-01T00:00:00Z"),
+          current: false,
+          total: 80,
+          count: 2,
+        },
+        {
+          currency: "GBP",
+          key: new Date("2024-03-01T00:00:00Z"),
+          current: true,
+          total: 100,
+          count: 2,
+        },
+        {
+          currency: "GBP",
+          key: new Date("2024-05-01T00:00:00Z"),
+          current: true,
+          total: 40,
+          count: 1,
+        },
+      ]);
+
+      const spending = await getSpending(userId, {
+        from: "2024-03-10",
+        to: "2024-05-31",
+        groupBy: "period",
+      });
+
+      expect(spending.from).toEqual(new Date("2024-03-01T00:00:00Z"));
+      expect(
+        spending.currencies[0].groups.map(({ total, changePercent }) => [
+          total,
+          changePercent,
+        ])
+      ).toEqual([
+        [100, 25],
+        [0, -100],
+        [40, null],
+      ]);
+    });
+
+    it("should group by category by default over the configured window", async () => {
+      Transaction.aggregate.mockResolvedValueOnce([]);
+
+      const spending = await getSpending(userId);
+
+      const [, , group] = Transaction.aggregate.mock.calls[0][0];
+      expect(group.$group._id.key).toEqual({
+        $ifNull: ["$categoryOverride", "$category"],
+      });
+      expect(spending).toMatchObject({ groupBy: "category", currencies: [] });
+    });
+
+    it("should name merchants from their latest transaction", async () => {
+      Transaction.aggregate.mockResolvedValueOnce([
+        {
+          currency: "GBP",
+          key: "tesco",
+          current: true,
+          total: 30,
+          count: 2,
+          name: "Tesco",
+        },
+      ]);
+
+      const spending = await getSpending(userId, {
+        from: "2024-03-01",
+        to: "2024-03-31",
+        groupBy: "merchant",
+      });
+
+      const [, , group] = Transaction.aggregate.mock.calls[0][0];
+      expect(group.$group._id.key).toEqual({
+        $ifNull: ["$merchant.id", "$merchantKey"],
+      });
+      expect(spending.currencies[0].groups[0]).toMatchObject({
+        key: "tesco",
+        name: "Tesco",
+        total: 30,
+      });
+    });
+
+    it("should reject windows with too many periods", async () => {
+      await expect(
+        getSpending(userId, {
+          from: "2020-01-01",
+          to: "2024-05-31",
+          groupBy: "period",
+          period: "day",
+        })
+      ).rejects.toMatchObject({ errorCode: "VALIDATION_ERROR" });
+    });
+  });
+});
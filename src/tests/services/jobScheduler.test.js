@@ -0,0 +1,157 @@
+const Job = require("../../models/Job");
+const {
+  registerJob,
+  runDueJobs,
+  startScheduler,
+  stopScheduler,
+} = require("../../services/jobScheduler");
+const config = require("../../config/config");
+
+jest.mock("../../models/Job");
+
+describe("Job Scheduler", () => {
+  const buildLockedJob = (overrides = {}) => ({
+    attempts: 0,
+    recordRun: jest.fn().mockResolvedValue({}),
+    renewLock: jest.fn().mockResolvedValue(true),
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Job.acquireLock.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    stopScheduler();
+  });
+
+  it("should reject invalid cron schedules at registration", () => {
+    expect(() =>
+      registerJob({
+        name: "invalid",
+        schedule: "not a schedule",
+        handler: jest.fn(),
+      })
+    ).toThrow();
+  });
+
+  it("should store registered jobs when the scheduler starts", async () => {
+    registerJob({ name: "nightly", schedule: "0 2 * * *", handler: jest.fn() });
+
+    await startScheduler();
+
+    expect(Job.register).toHaveBeenCalledWith(
+      "nightly",
+      "0 2 * * *",
+      expect.any(Date)
+    );
+  });
+
+  it("should skip jobs locked by another instance", async () => {
+    const handler = jest.fn();
+    registerJob({ name: "locked", schedule: "* * * * *", handler });
+
+    const runs = await runDueJobs();
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(runs.find((run) => run.name === "locked")).toBeUndefined();
+  });
+
+  it("should record a successful run and schedule the next occurrence", async () => {
+    const lockedJob = buildLockedJob();
+    registerJob({
+      name: "success",
+      schedule: "0 3 * * *",
+      handler: jest.fn().mockResolvedValue({ modifiedUsers: 2 }),
+    });
+    Job.acquireLock.mockImplementation(async (name) =>
+      name === "success" ? lockedJob : null
+    );
+
+    await runDueJobs();
+
+    const [run, nextRunAt, attempts, historyLimit] =
+      lockedJob.recordRun.mock.calls[0];
+    expect(run).toMatchObject({
+      status: "success",
+      attempt: 1,
+      result: { modifiedUsers: 2 },
+    });
+    expect(nextRunAt.getUTCHours()).toBe(3);
+    expect(attempts).toBe(0);
+    expect(historyLimit).toBe(config.jobs.historyLimit);
+  });
+
+  it("should retry failed runs with exponential backoff", async () => {
+    const lockedJob = buildLockedJob({ attempts: 1 });
+    registerJob({
+      name: "retry",
+      schedule: "0 3 * * *",
+      retryDelay: 1000,
+      handler: jest.fn().mockRejectedValue(new Error("TrueLayer unavailable")),
+    });
+    Job.acquireLock.mockImplementation(async (name) =>
+      name === "retry" ? lockedJob : null
+    );
+
+    const before = Date.now();
+    await runDueJobs();
+
+    const [run, nextRunAt, attempts] = lockedJob.recordRun.mock.calls[0];
+    expect(run).toMatchObject({
+      status: "failed",
+      attempt: 2,
+      error: "TrueLayer unavailable",
+    });
+    expect(nextRunAt.getTime()).toBeGreaterThanOrEqual(before + 2000);
+    expect(nextRunAt.getTime()).toBeLessThan(before + 60000);
+    expect(attempts).toBe(2);
+  });
+
+  it("should wait for the next schedule once retries run out", async () => {
+    const lockedJob = buildLockedJob({ attempts: 2 });
+    registerJob({
+      name: "exhausted",
+      schedule: "0 3 * * *",
+      maxAttempts: 3,
+      handler: jest.fn().mockRejectedValue(new Error("Still failing")),
+    });
+    Job.acquireLock.mockImplementation(async (name) =>
+      name === "exhausted" ? lockedJob : null
+    );
+
+    await runDueJobs();
+
+    const [, nextRunAt, attempts] = lockedJob.recordRun.mock.calls[0];
+    expect(nextRunAt.getUTCHours()).toBe(3);
+    expect(attempts).toBe(0);
+  });
+
+  it("should renew the lock while a long job runs", async () => {
+    jest.useFakeTimers();
+    const lockedJob = buildLockedJob();
+    registerJob({
+      name: "long",
+      schedule: "0 2 * * *",
+      handler: async () => {
+        jest.advanceTimersByTime(config.jobs.lockRenewInterval * 2);
+      },
+    });
+    Job.acquireLock.mockImplementation(async (name) =>
+      name === "long" ? lockedJob : null
+    );
+
+    try {
+      await runDueJobs();
+
+      expect(lockedJob.renewLock).toHaveBeenCalledTimes(2);
+      expect(lockedJob.renewLock).toHaveBeenCalledWith(config.jobs.lockTtl);
+
+      jest.advanceTimersByTime(config.jobs.lockRenewInterval);
+      expect(lockedJob.renewLock).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
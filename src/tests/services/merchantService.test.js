@@ -0,0 +1,118 @@
+const Merchant = require("../../models/Merchant");
+const cacheService = require("../../services/cacheService");
+const {
+  applyMerchants,
+  getMerchantKey,
+  normaliseMerchant,
+} = require("../../services/merchantService");
+
+jest.mock("../../services/cacheService");
+
+describe("Merchant Service", () => {
+  const dictionary = [
+    { merchantId: "tesco", name: "Tesco", patterns: ["tesco"] },
+    {
+      merchantId: "sainsburys",
+      name: "Sainsbury's",
+      patterns: ["sainsburys", "js online grocery"],
+    },
+    { merchantId: "uber", name: "Uber", patterns: ["uber"] },
+    { merchantId: "uber-eats", name: "Uber Eats", patterns: ["uber eats"] },
+  ];
+
+  describe("getMerchantKey", () => {
+    it("should strip card, date and store number noise", () => {
+      expect(
+        getMerchantKey({
+          description: "CARD PAYMENT TO TESCO STORES 3297 ON 12 MAR",
+        })
+      ).toBe("tesco stores");
+      expect(
+        getMerchantKey({
+          description: "CONTACTLESS PAYMENT TO PRET A MANGER LONDON GB CD 1234",
+        })
+      ).toBe("pret a manger london");
+      expect(
+        getMerchantKey({ description: "DD THAMES WATER REF: 12345" })
+      ).toBe("thames water");
+    });
+
+    it("should prefer the provider's merchant name", () => {
+      expect(
+        getMerchantKey({
+          merchant_name: "Sainsbury's S/MKTS",
+          description: "CARD PAYMENT",
+        })
+      ).toBe("sainsburys s mkts");
+      expect(getMerchantKey({})).toBeNull();
+    });
+  });
+
+  describe("normaliseMerchant", () => {
+    it("should map known patterns to the canonical merchant", () => {
+      expect(
+        normaliseMerchant(
+          { description: "CARD PAYMENT TO TESCO STORES 3297 ON 12 MAR" },
+          dictionary
+        )
+      ).toEqual({ id: "tesco", name: "Tesco", confidence: 0.75 });
+    });
+
+    it("should prefer the longest matching pattern", () => {
+      expect(
+        normaliseMerchant({ merchant_name: "UBER EATS" }, dictionary)
+      ).toEqual({ id: "uber-eats", name: "Uber Eats", confidence: 0.95 });
+    });
+
+    it("should be more confident in provider merchant names", () => {
+      const fromProvider = normaliseMerchant(
+        { merchant_name: "Sainsbury's S/MKTS" },
+        dictionary
+      );
+      const fromDescription = normaliseMerchant(
+        { description: "SAINSBURYS S/MKTS 0412" },
+        dictionary
+      );
+
+      expect(fromProvider.confidence).toBeGreaterThan(
+        fromDescription.confidence
+      );
+    });
+
+    it("should fall back to a cleaned-up name for unknown merchants", () => {
+      expect(
+        normaliseMerchant({ merchant_name: "CORNER CAFE 22" }, dictionary)
+      ).toEqual({ id: null, name: "Corner Cafe", confidence: 0.6 });
+      expect(
+        normaliseMerchant({ description: "POS CORNER CAFE 14/03" }, dictionary)
+      ).toEqual({ id: null, name: "Corner Cafe", confidence: 0.3 });
+      expect(normaliseMerchant({}, dictionary)).toBeNull();
+    });
+  });
+
+  describe("applyMerchants", () => {
+    it("should load the dictionary once and cache it", async () => {
+      cacheService.get.mockResolvedValueOnce(null);
+      jest.spyOn(Merchant, "find").mockReturnValue({
+        lean: jest.fn().mockResolvedValue(dictionary),
+      });
+
+      const records = await applyMerchants([
+        { transaction_id: "tx_1", merchant_name: "TESCO" },
+        { transaction_id: "tx_2", description: "UBER TRIP" },
+      ]);
+
+      expect(Merchant.find).toHaveBeenCalledTimes(1);
+      expect(cacheService.set).toHaveBeenCalledWith(
+        "merchants",
+        "dictionary",
+        dictionary,
+        expect.objectContaining({ ttl: expect.any(Number) })
+      );
+      expect(records.map((record) => record.merchant.id)).toEqual([
+        "tesco",
+        "uber",
+      ]);
+    });
+  });
+});
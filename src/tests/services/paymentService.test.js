@@ -0,0 +1,571 @@
+const Payment = require("../../models/Payment");
+const {
+  applyPaymentEvent,
+  applyRefundEvent,
+  createPayment,
+  createRefund,
+  getPayment,
+  resubmitPendingPayments,
+  resubmitPendingRefunds,
+} = require("../../services/paymentService");
+const TrueLayerService = require("../../services/trueLayerService");
+const { TrueLayerError } = require("../../utils/errors");
+
+jest.mock("../../models/Payment");
+
+describe("Payment Service", () => {
+  const user = {
+    id: "64b000000000000000000001",
+    username: "testuser",
+    email: "test@example.com",
+  };
+
+  const buildPayment = (overrides = {}) => {
+    const payment = {
+      paymentId: "pay_1",
+      status: "authorization_required",
+      save: jest.fn().mockResolvedValue(),
+      ...overrides,
+    };
+    payment.isFinal = () => ["settled", "failed"].includes(payment.status);
+    payment.applyStatus = jest.fn(({ status }) => {
+      const changed = payment.status !== status;
+      payment.status = status;
+      return changed;
+    });
+    return payment;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Payment.create.mockImplementation(async (details) =>
+      buildPayment({ ...details, paymentId: undefined })
+    );
+    jest.spyOn(TrueLayerService, "createPayment").mockResolvedValue({
+      id: "pay_1",
+      status: "authorization_required",
+      resource_token: "resource_token",
+    });
+  });
+
+  describe("createPayment", () => {
+    it("should pay a sort code and account number, storing only the last four digits", async () => {
+      const result = await createPayment(user, {
+        amountInMinor: 1250,
+        currency: "GBP",
+        reference: "INV 42",
+        beneficiary: {
+          type: "external_account",
+          accountHolderName: "Jane Doe",
+          sortCode: "040004",
+          accountNumber: "12345678",
+        },
+      });
+
+      const [paymentRequest, idempotencyKey] =
+        TrueLayerService.createPayment.mock.calls[0];
+      expect(paymentRequest).toMatchObject({
+        amount_in_minor: 1250,
+        currency: "GBP",
+        payment_method: {
+          type: "bank_transfer",
+          provider_selection: { type: "user_selected" },
+          beneficiary: {
+            type: "external_account",
+            account_holder_name: "Jane Doe",
+            reference: "INV 42",
+            account_identifier: {
+              type: "sort_code_account_number",
+              sort_code: "040004",
+              account_number: "12345678",
+            },
+          },
+        },
+        user: { name: "testuser", email: "test@example.com" },
+      });
+      expect(Payment.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          idempotencyKey,
+          beneficiary: expect.objectContaining({ accountNumber: "****5678" }),
+          submission: paymentRequest,
+        })
+      );
+      expect(result.payment.submission).toBeUndefined();
+      expect(result.payment.paymentId).toBe("pay_1");
+      expect(result.payment.save).toHaveBeenCalled();
+      expect(result.resourceToken).toBe("resource_token");
+      expect(result.paymentLink).toContain("payment_id=pay_1");
+      expect(result.paymentLink).toContain("resource_token=resource_token");
+    });
+
+    it("should default to our merchant account and preselect the user's bank", async () => {
+      await createPayment(user, {
+        amountInMinor: 500,
+        currency: "GBP",
+        beneficiary: { type: "merchant_account" },
+        providerId: "ob-monzo",
+      });
+
+      const [paymentRequest] = TrueLayerService.createPayment.mock.calls[0];
+      expect(paymentRequest.payment_method.provider_selection).toMatchObject({
+        type: "preselected",
+        provider_id: "ob-monzo",
+      });
+      expect(paymentRequest.payment_method.beneficiary.type).toBe(
+        "merchant_account"
+      );
+    });
+
+    it("should use a new idempotency key for each payment", async () => {
+      const details = {
+        amountInMinor: 500,
+        currency: "GBP",
+        beneficiary: { type: "merchant_account" },
+      };
+
+      await createPayment(user, details);
+      await createPayment(user, details);
+
+      const [[, first], [, second]] = TrueLayerService.createPayment.mock.calls;
+      expect(first).not.toBe(second);
+    });
+
+    it("should store the payment before asking TrueLayer to create it", async () => {
+      TrueLayerService.createPayment.mockImplementation(async () => {
+        expect(Payment.create).toHaveBeenCalled();
+        return { id: "pay_1", status: "authorization_required" };
+      });
+
+      await createPayment(user, {
+        amountInMinor: 500,
+        currency: "GBP",
+        beneficiary: { type: "merchant_account" },
+      });
+
+      expect(TrueLayerService.createPayment).toHaveBeenCalled();
+    });
+
+    it("should mark a payment TrueLayer refused as failed", async () => {
+      const stored = buildPayment({ paymentId: undefined, userId: user.id });
+      Payment.create.mockResolvedValue(stored);
+      TrueLayerService.createPayment.mockRejectedValue(
+        new TrueLayerError("Failed to create payment", 422, "REQUEST_FAILED")
+      );
+
+      await expect(
+        createPayment(user, {
+          amountInMinor: 500,
+          currency: "GBP",
+          beneficiary: { type: "merchant_account" },
+        })
+      ).rejects.toThrow("Failed to create payment");
+      expect(stored.status).toBe("failed");
+      expect(stored.save).toHaveBeenCalled();
+    });
+
+    it("should keep the payment pending when TrueLayer's answer was lost", async () => {
+      const stored = buildPayment({ paymentId: undefined, userId: user.id });
+      Payment.create.mockResolvedValue(stored);
+      TrueLayerService.createPayment.mockRejectedValue(
+        TrueLayerError.connectionFailed("Failed to create payment")
+      );
+
+      await expect(
+        createPayment(user, {
+          amountInMinor: 500,
+          currency: "GBP",
+          beneficiary: { type: "merchant_account" },
+        })
+      ).rejects.toThrow("Failed to create payment");
+      expect(stored.status).toBe("authorization_required");
+      expect(stored.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("resubmitPendingPayments", () => {
+    it("should resubmit unconfirmed payments with their original idempotency key", async () => {
+      const submission = { amount_in_minor: 500, currency: "GBP" };
+      const stored = buildPayment({
+        paymentId: undefined,
+        userId: user.id,
+        idempotencyKey: "key_1",
+        submission,
+      });
+      const select = jest.fn().mockResolvedValue([stored]);
+      Payment.find.mockReturnValue({ select });
+
+      const result = await resubmitPendingPayments(300);
+
+      expect(Payment.find).toHaveBeenCalledWith({
+        paymentId: null,
+        submission: { $exists: true },
+        createdAt: { $lt: expect.any(Date) },
+      });
+      expect(select).toHaveBeenCalledWith("+submission");
+      expect(TrueLayerService.createPayment).toHaveBeenCalledWith(
+        submission,
+        "key_1"
+      );
+      expect(stored.paymentId).toBe("pay_1");
+      expect(stored.submission).toBeUndefined();
+      expect(stored.save).toHaveBeenCalled();
+      expect(result).toEqual({ resubmitted: 1, unconfirmed: 0 });
+    });
+
+    it("should count payments TrueLayer still does not answer for", async () => {
+      const stored = buildPayment({
+        paymentId: undefined,
+        userId: user.id,
+        submission: {},
+      });
+      Payment.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([stored]),
+      });
+      TrueLayerService.createPayment.mockRejectedValue(
+        TrueLayerError.connectionFailed("Failed to create payment")
+      );
+
+      const result = await resubmitPendingPayments(300);
+
+      expect(stored.submission).toEqual({});
+      expect(stored.save).not.toHaveBeenCalled();
+      expect(result).toEqual({ resubmitted: 0, unconfirmed: 1 });
+    });
+  });
+
+  describe("getPayment", () => {
+    it("should refresh and save a payment that is still in progress", async () => {
+      const payment = buildPayment();
+      Payment.findOne.mockResolvedValue(payment);
+      jest.spyOn(TrueLayerService, "getPayment").mockResolvedValue({
+        id: "pay_1",
+        status: "executed",
+        executed_at: "2024-06-01T12:00:00Z",
+      });
+
+      const result = await getPayment(user.id, "payment_1");
+
+      expect(result.status).toBe("executed");
+      expect(payment.applyStatus).toHaveBeenCalledWith(
+        expect.objectContaining({ at: new Date("2024-06-01T12:00:00Z") })
+      );
+      expect(payment.save).toHaveBeenCalled();
+    });
+
+    it("should not ask TrueLayer about a settled payment", async () => {
+      Payment.findOne.mockResolvedValue(buildPayment({ status: "settled" }));
+      jest.spyOn(TrueLayerService, "getPayment");
+
+      await getPayment(user.id, "payment_1");
+
+      expect(TrueLayerService.getPayment).not.toHaveBeenCalled();
+    });
+
+    it("should return the stored status when TrueLayer is unavailable", async () => {
+      const payment = buildPayment();
+      Payment.findOne.mockResolvedValue(payment);
+      jest
+        .spyOn(TrueLayerService, "getPayment")
+        .mockRejectedValue(new Error("Failed to fetch payment"));
+
+      const result = await getPayment(user.id, "payment_1");
+
+      expect(result.status).toBe("authorization_required");
+      expect(payment.save).not.toHaveBeenCalled();
+    });
+
+    it("should return null for another user's payment", async () => {
+      Payment.findOne.mockResolvedValue(null);
+
+      expect(await getPayment(user.id, "payment_1")).toBeNull();
+    });
+
+    it("should not ask TrueLayer about a payment it never confirmed", async () => {
+      Payment.findOne.mockResolvedValue(buildPayment({ paymentId: undefined }));
+      jest.spyOn(TrueLayerService, "getPayment");
+
+      await getPayment(user.id, "payment_1");
+
+      expect(TrueLayerService.getPayment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("applyPaymentEvent", () => {
+    it("should move the payment to the status the webhook reports", async () => {
+      const payment = buildPayment({
+        status: "executed",
+        userId: user.id,
+      });
+      Payment.findOne.mockResolvedValue(payment);
+
+      const handled = await applyPaymentEvent({
+        type: "payment_settled",
+        payment_id: "pay_1",
+        settled_at: "2024-06-02T09:00:00Z",
+      });
+
+      expect(handled).toBe(true);
+      expect(payment.applyStatus).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: "settled",
+          at: new Date("2024-06-02T09:00:00Z"),
+        })
+      );
+      expect(payment.save).toHaveBeenCalled();
+    });
+
+    it("should pass on why a payment failed", async () => {
+      const payment = buildPayment({ userId: user.id });
+      Payment.findOne.mockResolvedValue(payment);
+
+      await applyPaymentEvent({
+        type: "payment_failed",
+        payment_id: "pay_1",
+        failure_stage: "authorizing",
+        failure_reason: "user_canceled_at_provider",
+      });
+
+      expect(payment.applyStatus).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: "failed",
+          failureStage: "authorizing",
+          failureReason: "user_canceled_at_provider",
+        })
+      );
+    });
+
+    it("should report events for payments we do not hold", async () => {
+      Payment.findOne.mockResolvedValue(null);
+
+      expect(
+        await applyPaymentEvent({ type: "payment_executed", payment_id: "x" })
+      ).toBe(false);
+    });
+  });
+
+  describe("createRefund", () => {
+    const buildSettledPayment = (refunds = [], paidOut = 0) => {
+      const payment = buildPayment({
+        _id: "payment_1",
+        userId: { toString: () => user.id },
+        status: "settled",
+        amountInMinor: 1000,
+        reference: "ORDER 1",
+        beneficiary: { type: "merchant_account" },
+        refunds,
+        getRefundedAmount: () =>
+          refunds
+            .filter((refund) => refund.status !== "failed")
+            .reduce((sum, refund) => sum + refund.amountInMinor, 0),
+      });
+      payment.getAvailableAmount = () =>
+        payment.amountInMinor - payment.getRefundedAmount() - paidOut;
+      return payment;
+    };
+
+    beforeEach(() => {
+      jest
+        .spyOn(TrueLayerService, "createRefund")
+        .mockResolvedValue({ id: "refund_1" });
+      Payment.reserveAmount.mockImplementation(async () =>
+        buildSettledPayment()
+      );
+      Payment.findOneAndUpdate.mockResolvedValue({
+        refunds: { id: () => ({ refundId: "refund_1" }) },
+      });
+    });
+
+    it("should refund everything not yet refunded when no amount is given", async () => {
+      Payment.findOne.mockResolvedValue(
+        buildSettledPayment([{ amountInMinor: 300, status: "executed" }])
+      );
+
+      const result = await createRefund(user.id, "payment_1");
+
+      const [, refund, idempotencyKey] =
+        TrueLayerService.createRefund.mock.calls[0];
+      expect(refund).toMatchObject({
+        amountInMinor: 700,
+        reference: "ORDER 1",
+      });
+      expect(idempotencyKey).toBe(refund.idempotencyKey);
+      expect(Payment.reserveAmount).toHaveBeenCalledWith("payment_1", 700, {
+        $push: { refunds: refund },
+      });
+      expect(result.refund.refundId).toBe("refund_1");
+    });
+
+    it("should not count failed refunds towards the amount refunded", async () => {
+      Payment.findOne.mockResolvedValue(
+        buildSettledPayment([{ amountInMinor: 1000, status: "failed" }])
+      );
+
+      await createRefund(user.id, "payment_1", { amountInMinor: 1000 });
+
+      expect(TrueLayerService.createRefund).toHaveBeenCalled();
+    });
+
+    it("should refuse a refund larger than what is left", async () => {
+      Payment.findOne.mockResolvedValue(
+        buildSettledPayment([{ amountInMinor: 600, status: "pending" }])
+      );
+
+      await expect(
+        createRefund(user.id, "payment_1", { amountInMinor: 500 })
+      ).rejects.toMatchObject({
+        statusCode: 422,
+        errorCode: "REFUND_EXCEEDS_PAYMENT",
+      });
+      expect(TrueLayerService.createRefund).not.toHaveBeenCalled();
+    });
+
+    it("should not refund what has been paid back by payouts", async () => {
+      Payment.findOne.mockResolvedValue(buildSettledPayment([], 800));
+
+      await expect(
+        createRefund(user.id, "payment_1", { amountInMinor: 500 })
+      ).rejects.toThrow("Refund cannot be more than the 200 not yet paid back");
+      expect(Payment.reserveAmount).not.toHaveBeenCalled();
+    });
+
+    it("should refuse a refund a concurrent refund has made too large", async () => {
+      Payment.findOne.mockResolvedValue(buildSettledPayment());
+      Payment.reserveAmount.mockResolvedValue(null);
+      Payment.findById.mockResolvedValue(
+        buildSettledPayment([{ amountInMinor: 800, status: "pending" }])
+      );
+
+      await expect(
+        createRefund(user.id, "payment_1", { amountInMinor: 500 })
+      ).rejects.toThrow("Refund cannot be more than the 200 not yet paid back");
+    });
+
+    it("should only refund settled payments into our merchant account", async () => {
+      Payment.findOne.mockResolvedValue(
+        buildPayment({
+          status: "executed",
+          beneficiary: { type: "external_account" },
+        })
+      );
+
+      await expect(createRefund(user.id, "payment_1")).rejects.toMatchObject({
+        statusCode: 409,
+        errorCode: "PAYMENT_NOT_REFUNDABLE",
+      });
+    });
+
+    it("should release the reserved amount when TrueLayer refuses the refund", async () => {
+      Payment.findOne.mockResolvedValue(buildSettledPayment());
+      TrueLayerService.createRefund.mockRejectedValue(
+        new TrueLayerError("Refund amount invalid", 400)
+      );
+
+      await expect(createRefund(user.id, "payment_1")).rejects.toThrow(
+        "Refund amount invalid"
+      );
+      expect(Payment.updateOne).toHaveBeenCalledWith(
+        { _id: "payment_1", "refunds._id": expect.anything() },
+        {
+          $set: expect.objectContaining({
+            "refunds.$.status": "failed",
+            "refunds.$.failureReason": "Refund amount invalid",
+          }),
+        }
+      );
+    });
+
+    it("should keep the amount reserved when TrueLayer's answer was lost", async () => {
+      Payment.findOne.mockResolvedValue(buildSettledPayment());
+      TrueLayerService.createRefund.mockRejectedValue(
+        new TrueLayerError("Failed to create refund", 500)
+      );
+
+      await expect(createRefund(user.id, "payment_1")).rejects.toThrow(
+        "Failed to create refund"
+      );
+      expect(Payment.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("resubmitPendingRefunds", () => {
+    it("should resubmit unconfirmed refunds with their original idempotency key", async () => {
+      const refund = {
+        _id: "refund_doc_1",
+        amountInMinor: 500,
+        status: "pending",
+        idempotencyKey: "key_1",
+        createdAt: new Date(Date.now() - 10 * 60 * 1000),
+      };
+      Payment.find.mockResolvedValue([
+        buildPayment({
+          _id: "payment_1",
+          userId: { toString: () => user.id },
+          refunds: [
+            refund,
+            { ...refund, _id: "refund_doc_2", refundId: "refund_2" },
+          ],
+        }),
+      ]);
+      jest
+        .spyOn(TrueLayerService, "createRefund")
+        .mockResolvedValue({ id: "refund_1" });
+
+      const result = await resubmitPendingRefunds(300);
+
+      expect(TrueLayerService.createRefund).toHaveBeenCalledTimes(1);
+      expect(TrueLayerService.createRefund).toHaveBeenCalledWith(
+        "pay_1",
+        refund,
+        "key_1"
+      );
+      expect(Payment.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "payment_1", "refunds._id": "refund_doc_1" },
+        { $set: { "refunds.$.refundId": "refund_1" } },
+        { new: true }
+      );
+      expect(result).toEqual({ resubmitted: 1, unconfirmed: 0 });
+    });
+  });
+
+  describe("applyRefundEvent", () => {
+    it("should update the refund the webhook is about", async () => {
+      const refund = {
+        refundId: "refund_1",
+        applyStatus: jest.fn().mockReturnValue(true),
+      };
+      const payment = buildPayment({
+        userId: user.id,
+        refunds: [{ refundId: "refund_0" }, refund],
+      });
+      Payment.findOne.mockResolvedValue(payment);
+
+      const handled = await applyRefundEvent({
+        type: "refund_failed",
+        payment_id: "pay_1",
+        refund_id: "refund_1",
+        failure_reason: "insufficient_funds",
+      });
+
+      expect(handled).toBe(true);
+      expect(refund.applyStatus).toHaveBeenCalledWith(
+        expect.objectContaining({
+          status: "failed",
+          failureReason: "insufficient_funds",
+        })
+      );
+      expect(payment.save).toHaveBeenCalled();
+    });
+
+    it("should report events for refunds we do not hold", async () => {
+      Payment.findOne.mockResolvedValue(null);
+
+      expect(
+        await applyRefundEvent({
+          type: "refund_executed",
+          payment_id: "pay_1",
+          refund_id: "unknown",
+        })
+      ).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,426 @@
+const Payment = require("../../models/Payment");
+const Payout = require("../../models/Payout");
+const {
+  applyPayoutEvent,
+  approvePayout,
+  createPayout,
+  rejectPayout,
+  resubmitPendingPayouts,
+} = require("../../services/payoutService");
+const TrueLayerService = require("../../services/trueLayerService");
+const { TrueLayerError } = require("../../utils/errors");
+
+jest.mock("../../models/Payment");
+jest.mock("../../models/Payout");
+
+describe("Payout Service", () => {
+  const user = { id: "64b000000000000000000001", role: "user" };
+  const admin = { id: "64b000000000000000000002", role: "admin" };
+  const otherAdmin = { id: "64b000000000000000000003", role: "admin" };
+
+  const buildSettledPayment = (overrides = {}) => ({
+    _id: "64b0000000000000000000a1",
+    userId: user.id,
+    amountInMinor: 10000,
+    currency: "GBP",
+    status: "settled",
+    beneficiary: { type: "merchant_account", merchantAccountId: "ma_1" },
+    paymentSource: { id: "source_1", accountHolderName: "Jane Doe" },
+    trueLayerUserId: "tl_user_1",
+    getRefundedAmount: () => 0,
+    ...overrides,
+  });
+
+  const buildPayout = (overrides = {}) => {
+    const payout = {
+      id: "64b0000000000000000000b1",
+      _id: "64b0000000000000000000b1",
+      requestedBy: { toString: () => admin.id },
+      merchantAccountId: "ma_1",
+      amountInMinor: 60000,
+      currency: "GBP",
+      reference: "PAYOUT 1",
+      beneficiary: {
+        type: "external_account",
+        accountHolderName: "Jane Doe",
+        iban: "GB33BUKB20201555555555",
+      },
+      status: "pending_approval",
+      idempotencyKey: "key_1",
+      save: jest.fn().mockResolvedValue(),
+      ...overrides,
+    };
+    payout.applyStatus = jest.fn(({ status }) => {
+      const changed = payout.status !== status;
+      payout.status = status;
+      return changed;
+    });
+    return payout;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Payout.create.mockImplementation(async (details) =>
+      buildPayout({ ...details })
+    );
+    Payment.reserveAmount.mockImplementation(async () => ({}));
+    jest
+      .spyOn(TrueLayerService, "createPayout")
+      .mockResolvedValue({ id: "payout_1" });
+  });
+
+  describe("createPayout", () => {
+    it("should pay back the account a settled payment came from", async () => {
+      Payment.findOne.mockResolvedValue(buildSettledPayment());
+
+      const payout = await createPayout(user, {
+        amountInMinor: 2500,
+        reference: "WITHDRAWAL",
+        beneficiary: {
+          type: "payment_source",
+          paymentId: "64b0000000000000000000a1",
+        },
+      });
+
+      expect(Payment.findOne).toHaveBeenCalledWith({
+        _id: "64b0000000000000000000a1",
+        userId: user.id,
+      });
+      const [payoutRequest, idempotencyKey] =
+        TrueLayerService.createPayout.mock.calls[0];
+      expect(payoutRequest).toEqual({
+        merchant_account_id: "ma_1",
+        amount_in_minor: 2500,
+        currency: "GBP",
+        beneficiary: {
+          type: "payment_source",
+          payment_source_id: "source_1",
+          user_id: "tl_user_1",
+          reference: "WITHDRAWAL",
+        },
+      });
+      expect(idempotencyKey).toBe(payout.idempotencyKey);
+      expect(payout).toMatchObject({ status: "pending", payoutId: "payout_1" });
+      expect(Payment.reserveAmount).toHaveBeenCalledWith(
+        "64b0000000000000000000a1",
+        2500,
+        { $push: { payouts: { payout: payout._id, amountInMinor: 2500 } } }
+      );
+    });
+
+    it("should return null for another user's payment", async () => {
+      Payment.findOne.mockResolvedValue(null);
+
+      const payout = await createPayout(user, {
+        amountInMinor: 2500,
+        reference: "WITHDRAWAL",
+        beneficiary: {
+          type: "payment_source",
+          paymentId: "64b0000000000000000000a1",
+        },
+      });
+
+      expect(payout).toBeNull();
+      expect(TrueLayerService.createPayout).not.toHaveBeenCalled();
+    });
+
+    it("should refuse a payout before TrueLayer knows the payment's source account", async () => {
+      Payment.findOne.mockResolvedValue(
+        buildSettledPayment({ status: "executed", paymentSource: undefined })
+      );
+
+      await expect(
+        createPayout(user, {
+          amountInMinor: 2500,
+          reference: "WITHDRAWAL",
+          beneficiary: {
+            type: "payment_source",
+            paymentId: "64b0000000000000000000a1",
+          },
+        })
+      ).rejects.toMatchObject({
+        statusCode: 409,
+        errorCode: "PAYOUT_SOURCE_UNAVAILABLE",
+      });
+    });
+
+    it("should not pay users back more than they paid in", async () => {
+      Payment.findOne.mockResolvedValue(buildSettledPayment());
+      Payment.reserveAmount.mockResolvedValue(null);
+      Payment.findById.mockResolvedValue({ getAvailableAmount: () => 3000 });
+
+      await expect(
+        createPayout(user, {
+          amountInMinor: 3500,
+          reference: "WITHDRAWAL",
+          beneficiary: {
+            type: "payment_source",
+            paymentId: "64b0000000000000000000a1",
+          },
+        })
+      ).rejects.toThrow(
+        "Payout cannot be more than the 3000 not yet paid back"
+      );
+      expect(Payout.create).not.toHaveBeenCalled();
+      expect(TrueLayerService.createPayout).not.toHaveBeenCalled();
+    });
+
+    it("should let admins pay back more than was paid in", async () => {
+      Payment.findOne.mockResolvedValue(buildSettledPayment());
+
+      await createPayout(admin, {
+        amountInMinor: 20000,
+        reference: "GOODWILL",
+        beneficiary: {
+          type: "payment_source",
+          paymentId: "64b0000000000000000000a1",
+        },
+      });
+
+      expect(Payment.reserveAmount).not.toHaveBeenCalled();
+      expect(Payment.updateOne).toHaveBeenCalledWith(
+        { _id: "64b0000000000000000000a1" },
+        {
+          $push: {
+            payouts: { payout: expect.anything(), amountInMinor: 20000 },
+          },
+        }
+      );
+    });
+
+    it("should only let admins pay external accounts", async () => {
+      await expect(
+        createPayout(user, {
+          amountInMinor: 2500,
+          currency: "GBP",
+          reference: "PAYOUT 1",
+          beneficiary: {
+            type: "external_account",
+            accountHolderName: "Jane Doe",
+            sortCode: "040004",
+            accountNumber: "12345678",
+          },
+        })
+      ).rejects.toMatchObject({
+        statusCode: 403,
+        errorCode: "AUTHORIZATION_ROLE_REQUIRED",
+      });
+    });
+
+    it("should hold payouts above the threshold for approval", async () => {
+      const payout = await createPayout(admin, {
+        amountInMinor: 60000,
+        currency: "EUR",
+        reference: "PAYOUT 1",
+        beneficiary: {
+          type: "external_account",
+          accountHolderName: "Jane Doe",
+          iban: "DE89370400440532013000",
+        },
+      });
+
+      expect(payout.status).toBe("pending_approval");
+      expect(TrueLayerService.createPayout).not.toHaveBeenCalled();
+    });
+
+    it("should mark the payout failed when TrueLayer refuses it", async () => {
+      TrueLayerService.createPayout.mockRejectedValue(
+        new TrueLayerError("Invalid beneficiary", 422)
+      );
+      let created;
+      Payout.create.mockImplementation(async (details) => {
+        created = buildPayout(details);
+        return created;
+      });
+
+      await expect(
+        createPayout(user, {
+          amountInMinor: 2500,
+          reference: "WITHDRAWAL",
+          beneficiary: {
+            type: "payment_source",
+            paymentId: "64b0000000000000000000a1",
+          },
+        })
+      ).rejects.toThrow("Invalid beneficiary");
+      expect(created.status).toBe("failed");
+      expect(created.save).toHaveBeenCalled();
+      expect(Payment.updateOne).toHaveBeenCalledWith(
+        { _id: "64b0000000000000000000a1" },
+        { $pull: { payouts: { payout: created._id } } }
+      );
+    });
+
+    it("should keep the payout pending when TrueLayer's answer was lost", async () => {
+      TrueLayerService.createPayout.mockRejectedValue(
+        new TrueLayerError("Failed to create payout", 500)
+      );
+      let created;
+      Payout.create.mockImplementation(async (details) => {
+        created = buildPayout(details);
+        return created;
+      });
+
+      await expect(
+        createPayout(user, {
+          amountInMinor: 2500,
+          reference: "WITHDRAWAL",
+          beneficiary: {
+            type: "payment_source",
+            paymentId: "64b0000000000000000000a1",
+          },
+        })
+      ).rejects.toThrow("Failed to create payout");
+      expect(created.status).toBe("pending");
+      expect(Payment.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("approvePayout", () => {
+    it("should claim the payout and send it", async () => {
+      const claimed = buildPayout({ status: "pending" });
+      Payout.findById.mockResolvedValue(buildPayout());
+      Payout.findOneAndUpdate.mockResolvedValue(claimed);
+
+      const payout = await approvePayout(otherAdmin, claimed.id);
+
+      expect(Payout.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: claimed._id, status: "pending_approval" },
+        {
+          $set: expect.objectContaining({
+            status: "pending",
+            reviewedBy: otherAdmin.id,
+          }),
+        },
+        { new: true }
+      );
+      expect(
+        TrueLayerService.createPayout.mock.calls[0][0].beneficiary
+      ).toEqual({
+        type: "external_account",
+        account_holder_name: "Jane Doe",
+        reference: "PAYOUT 1",
+        account_identifier: { type: "iban", iban: "GB33BUKB20201555555555" },
+      });
+      expect(payout.payoutId).toBe("payout_1");
+    });
+
+    it("should not let admins approve their own payouts", async () => {
+      Payout.findById.mockResolvedValue(buildPayout());
+
+      await expect(approvePayout(admin, "payout")).rejects.toMatchObject({
+        statusCode: 403,
+        errorCode: "AUTHORIZATION_SELF_REVIEW",
+      });
+      expect(Payout.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should refuse a payout another admin already reviewed", async () => {
+      Payout.findById.mockResolvedValue(buildPayout());
+      Payout.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(approvePayout(otherAdmin, "payout")).rejects.toMatchObject({
+        statusCode: 409,
+        errorCode: "PAYOUT_NOT_PENDING_APPROVAL",
+      });
+      expect(TrueLayerService.createPayout).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("rejectPayout", () => {
+    it("should record why the payout was rejected without sending it", async () => {
+      Payout.findById.mockResolvedValue(buildPayout());
+      Payout.findOneAndUpdate.mockResolvedValue(
+        buildPayout({ status: "rejected", rejectionReason: "Unverified" })
+      );
+
+      const payout = await rejectPayout(otherAdmin, "payout", "Unverified");
+
+      expect(Payout.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({
+        status: "rejected",
+        rejectionReason: "Unverified",
+      });
+      expect(payout.status).toBe("rejected");
+      expect(TrueLayerService.createPayout).not.toHaveBeenCalled();
+    });
+
+    it("should give a closed-loop payout's amount back to the payment", async () => {
+      const beneficiary = {
+        type: "payment_source",
+        paymentId: "64b0000000000000000000a1",
+      };
+      Payout.findById.mockResolvedValue(buildPayout({ beneficiary }));
+      Payout.findOneAndUpdate.mockResolvedValue(
+        buildPayout({ beneficiary, status: "rejected" })
+      );
+
+      await rejectPayout(otherAdmin, "payout", "Unverified");
+
+      expect(Payment.updateOne).toHaveBeenCalledWith(
+        { _id: "64b0000000000000000000a1" },
+        { $pull: { payouts: { payout: "64b0000000000000000000b1" } } }
+      );
+    });
+  });
+
+  describe("resubmitPendingPayouts", () => {
+    it("should resubmit unconfirmed payouts with their original idempotency key", async () => {
+      const payout = buildPayout({ status: "pending" });
+      Payout.find.mockResolvedValue([payout]);
+
+      const result = await resubmitPendingPayouts(300);
+
+      expect(Payout.find).toHaveBeenCalledWith({
+        status: "pending",
+        payoutId: null,
+        updatedAt: { $lt: expect.any(Date) },
+      });
+      expect(TrueLayerService.createPayout.mock.calls[0][1]).toBe("key_1");
+      expect(payout.payoutId).toBe("payout_1");
+      expect(result).toEqual({ resubmitted: 1, unconfirmed: 0 });
+    });
+
+    it("should count payouts TrueLayer still has not confirmed", async () => {
+      Payout.find.mockResolvedValue([buildPayout({ status: "pending" })]);
+      TrueLayerService.createPayout.mockRejectedValue(
+        new TrueLayerError("Failed to create payout", 500)
+      );
+
+      const result = await resubmitPendingPayouts(300);
+
+      expect(result).toEqual({ resubmitted: 0, unconfirmed: 1 });
+    });
+  });
+
+  describe("applyPayoutEvent", () => {
+    it("should move the payout to the status the webhook reports", async () => {
+      const payout = buildPayout({ status: "pending", payoutId: "payout_1" });
+      Payout.findOne.mockResolvedValue(payout);
+
+      const handled = await applyPayoutEvent({
+        type: "payout_executed",
+        payout_id: "payout_1",
+        executed_at: "2024-01-15T10:00:00Z",
+      });
+
+      expect(handled).toBe(true);
+      expect(payout.applyStatus).toHaveBeenCalledWith({
+        status: "executed",
+        at: new Date("2024-01-15T10:00:00Z"),
+        failureReason: undefined,
+      });
+      expect(payout.save).toHaveBeenCalled();
+    });
+
+    it("should report events for payouts we do not hold", async () => {
+      Payout.findOne.mockResolvedValue(null);
+
+      const handled = await applyPayoutEvent({
+        type: "payout_failed",
+        payout_id: "unknown",
+      });
+
+      expect(handled).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const Transaction = require("../../models/Transaction");
+const connectionService = require("../../services/connectionService");
+const { getStoredTransactions } = require("../../services/transactionService");
+const TrueLayerService = require("../../services/trueLayerService");
+const { TrueLayerError } = require("../../utils/errors");
+
+jest.mock("../../models/Transaction");
+jest.mock("../../services/connectionService");
+
+describe("Transaction Service", () => {
+  const userId = "64b000000000000000000001";
+  const connection = {
+    _id: "64b0000000000000000000c1",
+    id: "64b0000000000000000000c1",
+    transactionSync: new Map(),
+  };
+  const storedTransaction = {
+    toProviderRecord: () => ({ transaction_id: "txn_1", amount: -12.5 }),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    connectionService.getLinkedConnections.mockResolvedValue([connection]);
+    connectionService.resolveConnection.mockResolvedValue({
+      connection,
+      accessToken: "access_token",
+    });
+    Transaction.findPage.mockResolvedValue({
+      transactions: [storedTransaction],
+      nextCursor: null,
+    });
+    jest.spyOn(TrueLayerService, "syncAccount").mockResolvedValue();
+  });
+
+  describe("getStoredTransactions", () => {
+    it("should sync a stale account before reading its transactions", async () => {
+      const result = await getStoredTransactions(
+        userId,
+        { resourceType: "accounts", id: "acc_1" },
+        { limit: 50 }
+      );
+
+      expect(TrueLayerService.syncAccount).toHaveBeenCalledWith(
+        "access_token",
+        connection,
+        { resourceType: "accounts", accountId: "acc_1" }
+      );
+      expect(Transaction.findPage).toHaveBeenCalledWith(
+        { userId, resourceType: "accounts", accountId: "acc_1" },
+        { limit: 50 }
+      );
+      expect(result).toEqual({
+        records: [{ transaction_id: "txn_1", amount: -12.5 }],
+        nextCursor: null,
+        failures: [],
+      });
+    });
+
+    it("should serve stored transactions when the account fails to sync", async () => {
+      TrueLayerService.syncAccount.mockRejectedValue(
+        new TrueLayerError("Connection failed", 500, "CONNECTION_FAILED")
+      );
+
+      const result = await getStoredTransactions(
+        userId,
+        { resourceType: "accounts", id: "acc_1" },
+        { limit: 50 }
+      );
+
+      expect(result.records).toHaveLength(1);
+      expect(result.failures).toEqual([
+        { connectionId: connection.id, error: "TRUELAYER_CONNECTION_FAILED" },
+      ]);
+    });
+
+    it("should report each connection that fails to sync", async () => {
+      const otherConnection = {
+        _id: "64b0000000000000000000c2",
+        id: "64b0000000000000000000c2",
+        transactionSync: new Map(),
+      };
+      connectionService.getLinkedConnections.mockResolvedValue([
+        connection,
+        otherConnection,
+      ]);
+      connectionService.collectFromConnections.mockResolvedValue({
+        records: [],
+        failures: [{ connectionId: connection.id, error: "CONSENT_EXPIRED" }],
+      });
+
+      const result = await getStoredTransactions(
+        userId,
+        { resourceType: "cards" },
+        { limit: 50 }
+      );
+
+      expect(connectionService.collectFromConnections).toHaveBeenCalledWith(
+        userId,
+        expect.any(Function),
+        { connections: [connection, otherConnection], allowAllFailed: true }
+      );
+      expect(Transaction.findPage).toHaveBeenCalledWith(
+        {
+          userId,
+          resourceType: "cards",
+          connectionId: { $in: [connection._id, otherConnection._id] },
+        },
+        { limit: 50 }
+      );
+      expect(result.records).toHaveLength(1);
+      expect(result.failures).toEqual([
+        { connectionId: connection.id, error: "CONSENT_EXPIRED" },
+      ]);
+    });
+
+    it("should report only the connection of an account it cannot reach", async () => {
+      const owner = {
+        _id: "64b0000000000000000000c2",
+        id: "64b0000000000000000000c2",
+        transactionSync: new Map([
+          ["accounts:acc_1", { syncedAt: new Date() }],
+        ]),
+      };
+      connectionService.getLinkedConnections.mockResolvedValue([
+        connection,
+        owner,
+      ]);
+      connectionService.resolveConnection.mockRejectedValue(
+        new TrueLayerError("Connection failed", 500, "CONNECTION_FAILED")
+      );
+
+      const result = await getStoredTransactions(
+        userId,
+        { resourceType: "accounts", id: "acc_1" },
+        { limit: 50 }
+      );
+
+      expect(result.records).toHaveLength(1);
+      expect(result.failures).toEqual([
+        { connectionId: owner.id, error: "TRUELAYER_CONNECTION_FAILED" },
+      ]);
+    });
+
+    it("should pass on an expired consent so the user can re-authenticate", async () => {
+      connectionService.getLinkedConnections.mockResolvedValue([
+        {
+          ...connection,
+          transactionSync: new Map([
+            ["accounts:acc_1", { syncedAt: new Date() }],
+          ]),
+        },
+      ]);
+      connectionService.resolveConnection.mockRejectedValue(
+        TrueLayerError.consentExpired({})
+      );
+
+      await expect(
+        getStoredTransactions(
+          userId,
+          { resourceType: "accounts", id: "acc_1" },
+          { limit: 50 }
+        )
+      ).rejects.toMatchObject({ errorCode: "CONSENT_EXPIRED" });
+      expect(Transaction.findPage).not.toHaveBeenCalled();
+    });
+
+    it("should still report an account the user does not have", async () => {
+      connectionService.resolveConnection.mockRejectedValue(
+        TrueLayerError.resourceNotFound("Account not found")
+      );
+
+      await expect(
+        getStoredTransactions(
+          userId,
+          { resourceType: "accounts", id: "unknown" },
+          { limit: 50 }
+        )
+      ).rejects.toMatchObject({ statusCode: 404 });
+      expect(Transaction.findPage).not.toHaveBeenCalled();
+    });
+  });
+});
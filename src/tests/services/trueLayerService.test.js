@@ -2,10 +2,18 @@ const axios = require("axios");
 const jwt = require("jsonwebtoken");
 const TrueLayerService = require("../../services/trueLayerService");
 const config = require("../../config/config");
+const cacheService = require("../../services/cacheService");
+const Transaction = require("../../models/Transaction");
+const categorisationService = require("../../services/categorisationService");
+const merchantService = require("../../services/merchantService");
 
-// Mock axios and jwt
+// Mock axios, jwt, the cache, the transaction store and enrichment
 jest.mock("axios");
 jest.mock("jsonwebtoken");
+jest.mock("../../services/cacheService");
+jest.mock("../../models/Transaction");
+jest.mock("../../services/categorisationService");
+jest.mock("../../services/merchantService");
 
 describe("TrueLayerService", () => {
   let mockAxiosCreate;
@@ -24,8 +32,13 @@ describe("TrueLayerService", () => {
 
     // Mock axios.create to return our mock axios instance
     mockAxiosCreate = {
+      get: jest.fn(),
       post: jest.fn(),
+      delete: jest.fn(),
       interceptors: {
+        request: {
+          use: jest.fn(),
+        },
         response: {
           use: jest.fn(),
         },
@@ -227,7 +240,7 @@ describe("TrueLayerService", () => {
 
       expect(token).toBe(mockToken);
       expect(mockAxiosCreate.post).toHaveBeenCalledWith(
-        config.trueLayer.tokenEndpoint,
+        `${config.trueLayer.authUrl}${config.trueLayer.tokenEndpoint}`,
         expect.objectContaining({
           grant_type: "client_credentials",
           client_assertion_type:
@@ -330,33 +343,33 @@ describe("TrueLayerService", () => {
 
   describe("Token Validation and Refresh", () => {
     it("should handle invalid token format", async () => {
-      const user = {
-        trueLayerAccessToken: "invalid_token",
-        trueLayerRefreshToken: "invalid_refresh",
-        trueLayerTokenExpiresAt: "invalid_date",
+      const connection = {
+        accessToken: "invalid_token",
+        refreshToken: "invalid_refresh",
+        tokenExpiresAt: "invalid_date",
       };
 
       await expect(
-        TrueLayerService.validateAndRefreshTokens(user)
+        TrueLayerService.validateAndRefreshTokens(connection)
       ).rejects.toThrow("Invalid token expiration date");
     });
 
     it("should handle missing tokens", async () => {
-      const user = {
-        trueLayerAccessToken: null,
-        trueLayerRefreshToken: null,
+      const connection = {
+        accessToken: null,
+        refreshToken: null,
       };
 
       await expect(
-        TrueLayerService.validateAndRefreshTokens(user)
+        TrueLayerService.validateAndRefreshTokens(connection)
       ).rejects.toThrow("User not properly connected to TrueLayer");
     });
 
     it("should handle refresh token expiration", async () => {
-      const user = {
-        trueLayerAccessToken: "old_token",
-        trueLayerRefreshToken: "expired_refresh",
-        trueLayerTokenExpiresAt: new Date(Date.now() - 3600000),
+      const connection = {
+        accessToken: "old_token",
+        refreshToken: "expired_refresh",
+        tokenExpiresAt: new Date(Date.now() - 3600000),
       };
 
       mockAxiosCreate.post.mockRejectedValueOnce({
@@ -367,13 +380,156 @@ describe("TrueLayerService", () => {
       });
 
       await expect(
-        TrueLayerService.validateAndRefreshTokens(user)
+        TrueLayerService.validateAndRefreshTokens(connection)
       ).rejects.toThrow(
         "TrueLayer connection expired. Please reconnect your account."
       );
     });
   });
 
+  describe("Refresh Token Grant", () => {
+    const buildConnection = (overrides = {}) => ({
+      _id: "connection_123",
+      userId: "user_123",
+      accessToken: "old_access_token",
+      refreshToken: "old_refresh_token",
+      tokenExpiresAt: new Date(Date.now() + 60000), // Inside refresh buffer
+      tokenVersion: 2,
+      updateTokens: jest.fn(),
+      markStatus: jest.fn(),
+      isConsentExpired: jest.fn().mockReturnValue(false),
+      model: jest.fn(),
+      ...overrides,
+    });
+
+    it("should return stored tokens when they are not close to expiry", async () => {
+      const connection = buildConnection({
+        tokenExpiresAt: new Date(Date.now() + 3600000),
+      });
+
+      const tokens = await TrueLayerService.validateAndRefreshTokens(
+        connection
+      );
+
+      expect(tokens.access_token).toBe("old_access_token");
+      expect(mockAxiosCreate.post).not.toHaveBeenCalled();
+      expect(connection.updateTokens).not.toHaveBeenCalled();
+    });
+
+    it("should refresh and persist tokens close to expiry", async () => {
+      const connection = buildConnection();
+      const newTokens = generateTestTokens("valid");
+      const expiresAt = new Date(Date.now() + 3600000);
+
+      mockAxiosCreate.post.mockResolvedValueOnce({ data: newTokens });
+      connection.updateTokens.mockResolvedValueOnce({
+        tokenExpiresAt: expiresAt,
+      });
+
+      const tokens = await TrueLayerService.validateAndRefreshTokens(
+        connection
+      );
+
+      expect(mockAxiosCreate.post).toHaveBeenCalledWith(
+        `${config.trueLayer.authUrl}${config.trueLayer.tokenEndpoint}`,
+        expect.objectContaining({
+          grant_type: "refresh_token",
+          refresh_token: "old_refresh_token",
+        })
+      );
+      expect(connection.updateTokens).toHaveBeenCalledWith(newTokens);
+      expect(tokens).toEqual({
+        access_token: newTokens.access_token,
+        refresh_token: newTokens.refresh_token,
+        expires_at: expiresAt,
+      });
+    });
+
+    it("should expire the connection when the refresh token is revoked", async () => {
+      const connection = buildConnection();
+      connection.model.mockReturnValue({
+        findById: () => ({
+          select: jest.fn().mockResolvedValue({
+            status: "active",
+            tokenVersion: 2, // Not rotated by another request
+          }),
+        }),
+      });
+
+      mockAxiosCreate.post.mockRejectedValueOnce({
+        response: { status: 400, data: { error: "invalid_grant" } },
+      });
+
+      await expect(
+        TrueLayerService.validateAndRefreshTokens(connection)
+      ).rejects.toMatchObject({
+        statusCode: 401,
+        errorCode: "TRUELAYER_CONNECTION_EXPIRED",
+      });
+      expect(connection.markStatus).toHaveBeenCalledWith("expired");
+    });
+
+    it("should report a lapsed consent when the refresh token is revoked", async () => {
+      const consentExpiresAt = new Date(Date.now() - 60000);
+      const connection = buildConnection({
+        providerId: "ob-monzo",
+        consentExpiresAt,
+        isConsentExpired: jest.fn().mockReturnValue(true),
+      });
+      connection.model.mockReturnValue({
+        findById: () => ({
+          select: jest.fn().mockResolvedValue({
+            status: "active",
+            tokenVersion: 2,
+          }),
+        }),
+      });
+
+      mockAxiosCreate.post.mockRejectedValueOnce({
+        response: { status: 400, data: { error: "invalid_grant" } },
+      });
+
+      await expect(
+        TrueLayerService.validateAndRefreshTokens(connection)
+      ).rejects.toMatchObject({
+        statusCode: 403,
+        errorCode: "CONSENT_EXPIRED",
+        details: {
+          connectionId: "connection_123",
+          providerId: "ob-monzo",
+          consentExpiresAt,
+        },
+      });
+    });
+
+    it("should reuse tokens rotated by a concurrent refresh", async () => {
+      const connection = buildConnection();
+      const rotatedExpiry = new Date(Date.now() + 3600000);
+      connection.model.mockReturnValue({
+        findById: () => ({
+          select: jest.fn().mockResolvedValue({
+            status: "active",
+            tokenVersion: 3,
+            accessToken: "rotated_access_token",
+            refreshToken: "rotated_refresh_token",
+            tokenExpiresAt: rotatedExpiry,
+          }),
+        }),
+      });
+
+      mockAxiosCreate.post.mockRejectedValueOnce({
+        response: { status: 400, data: { error: "invalid_grant" } },
+      });
+
+      const tokens = await TrueLayerService.validateAndRefreshTokens(
+        connection
+      );
+
+      expect(tokens.access_token).toBe("rotated_access_token");
+      expect(connection.markStatus).not.toHaveBeenCalled();
+    });
+  });
+
   describe("Transaction Parameter Validation", () => {
     it("should validate date range order", () => {
       const options = {
@@ -457,6 +613,421 @@ describe("TrueLayerService", () => {
     });
   });
 
+  describe("Connection Metadata", () => {
+    it("should map the /me response to connection metadata", async () => {
+      mockAxiosCreate.get.mockResolvedValueOnce({
+        data: {
+          results: [
+            {
+              client_id: "client",
+              credentials_id: "cred_123",
+              consent_expires_at: "2024-04-01T00:00:00Z",
+              provider: { provider_id: "ob-monzo", display_name: "Monzo" },
+            },
+          ],
+        },
+      });
+
+      const metadata = await TrueLayerService.getConnectionMetadata(
+        "user_token"
+      );
+
+      expect(mockAxiosCreate.get).toHaveBeenCalledWith(
+        "/data/v1/me",
+        expect.any(Object)
+      );
+      expect(metadata).toEqual({
+        credentialsId: "cred_123",
+        providerId: "ob-monzo",
+        providerName: "Monzo",
+        consentExpiresAt: new Date("2024-04-01T00:00:00Z"),
+      });
+    });
+  });
+
+  describe("Access Revocation", () => {
+    it("should delete the credentials at TrueLayer with the user's token", async () => {
+      mockAxiosCreate.delete.mockResolvedValueOnce({ data: {} });
+
+      await TrueLayerService.revokeAccess("user_token");
+
+      expect(mockAxiosCreate.delete).toHaveBeenCalledWith(
+        `${config.trueLayer.authUrl}/api/delete`,
+        { headers: { Authorization: "Bearer user_token" } }
+      );
+    });
+
+    it("should surface revocation failures as TrueLayer errors", async () => {
+      mockAxiosCreate.delete.mockRejectedValueOnce({
+        response: { status: 401, data: { error: "invalid_token" } },
+      });
+
+      await expect(
+        TrueLayerService.revokeAccess("user_token")
+      ).rejects.toMatchObject({ errorCode: "TRUELAYER_AUTH_FAILED" });
+    });
+  });
+
+  describe("Provider Catalogue", () => {
+    const rawProviders = [
+      {
+        provider_id: "ob-monzo",
+        display_name: "Monzo",
+        logo_url:
+          "https://truelayer-provider-assets.s3.amazonaws.com/global/logos/monzo.svg",
+        country: "uk",
+        scopes: ["info", "accounts", "balance", "transactions"],
+        release_stage: "general_availability",
+      },
+      {
+        provider_id: "fr-stet-bnp",
+        display_name: "BNP Paribas",
+        country: "fr",
+        scopes: ["accounts", "balance"],
+        release_stage: "public_beta",
+      },
+    ];
+
+    it("should fetch, sanitize and cache the catalogue on a miss", async () => {
+      cacheService.get.mockResolvedValueOnce(null);
+      mockAxiosCreate.get.mockResolvedValueOnce({ data: rawProviders });
+
+      const providers = await TrueLayerService.getProviders();
+
+      expect(providers).toHaveLength(2);
+      expect(providers[0]).toEqual({
+        id: "ob-monzo",
+        displayName: "Monzo",
+        logoUrl: rawProviders[0].logo_url,
+        country: "uk",
+        scopes: ["info", "accounts", "balance", "transactions"],
+        releaseStage: "general_availability",
+      });
+      expect(cacheService.set).toHaveBeenCalledWith(
+        "truelayer-providers",
+        "all",
+        providers,
+        { ttl: 24 * 60 * 60 }
+      );
+    });
+
+    it("should filter cached providers by country and scope", async () => {
+      cacheService.get.mockResolvedValue(
+        rawProviders.map((provider) =>
+          TrueLayerService.sanitizeProviderData(provider)
+        )
+      );
+
+      const ukProviders = await TrueLayerService.getProviders({
+        country: "UK",
+      });
+      const infoProviders = await TrueLayerService.getProviders({
+        scope: "info",
+      });
+
+      expect(ukProviders.map((provider) => provider.id)).toEqual(["ob-monzo"]);
+      expect(infoProviders.map((provider) => provider.id)).toEqual([
+        "ob-monzo",
+      ]);
+      expect(mockAxiosCreate.get).not.toHaveBeenCalled();
+    });
+
+    it("should add the chosen provider to the auth link", () => {
+      const authUrl = new URL(
+        TrueLayerService.buildAuthLink({
+          state: "state",
+          codeVerifier: "verifier",
+          providerId: "ob-monzo",
+        })
+      );
+
+      expect(authUrl.searchParams.get("provider_id")).toBe("ob-monzo");
+    });
+  });
+
+  describe("Data API Client", () => {
+    it("should unwrap the results envelope for accounts", async () => {
+      const accounts = generateTestAccountData(2);
+      mockAxiosCreate.get.mockResolvedValueOnce({
+        data: { results: accounts, status: "Succeeded" },
+      });
+
+      const result = await TrueLayerService.getAccounts("user_token");
+
+      expect(result).toEqual(accounts);
+      expect(mockAxiosCreate.get).toHaveBeenCalledWith("/data/v1/accounts", {
+        params: {},
+        headers: { Authorization: "Bearer user_token" },
+      });
+    });
+
+    it("should pass from/to params for transactions", async () => {
+      mockAxiosCreate.get.mockResolvedValueOnce({
+        data: { results: generateTestTransactionData(2) },
+      });
+
+      const result = await TrueLayerService.getTransactions("user_token", {
+        accountId: "acc_1",
+        from: "2024-01-01",
+        to: "2024-01-31",
+      });
+
+      expect(result).toHaveLength(2);
+      expect(result[0].account_id).toBe("acc_1");
+      expect(mockAxiosCreate.get).toHaveBeenCalledWith(
+        "/data/v1/accounts/acc_1/transactions",
+        expect.objectContaining({
+          params: { from: "2024-01-01", to: "2024-01-31" },
+        })
+      );
+    });
+
+    it("should merge transactions across accounts when no account is given", async () => {
+      const [older, newer] = generateTestTransactionData(2).reverse();
+      mockAxiosCreate.get
+        .mockResolvedValueOnce({
+          data: { results: generateTestAccountData(2) },
+        })
+        .mockResolvedValueOnce({ data: { results: [older] } })
+        .mockResolvedValueOnce({ data: { results: [newer] } });
+
+      const result = await TrueLayerService.getTransactions("user_token");
+
+      expect(result.map((tx) => tx.account_id)).toEqual(["acc_2", "acc_1"]);
+    });
+
+    it("should fetch pending transactions for an account", async () => {
+      mockAxiosCreate.get.mockResolvedValueOnce({ data: { results: [] } });
+
+      await TrueLayerService.getPendingTransactions("user_token", {
+        accountId: "acc_1",
+      });
+
+      expect(mockAxiosCreate.get).toHaveBeenCalledWith(
+        "/data/v1/accounts/acc_1/transactions/pending",
+        expect.any(Object)
+      );
+    });
+
+    it("should raise a not found error for an empty balance result", async () => {
+      mockAxiosCreate.get.mockResolvedValueOnce({ data: { results: [] } });
+
+      await expect(
+        TrueLayerService.getAccountBalance("user_token", "acc_1")
+      ).rejects.toMatchObject({
+        statusCode: 404,
+        errorCode: "TRUELAYER_NOT_FOUND",
+      });
+    });
+
+    it("should normalise Data API errors into TrueLayer errors", async () => {
+      mockAxiosCreate.get.mockRejectedValueOnce({
+        response: { status: 401, data: { error: "invalid_token" } },
+      });
+
+      await expect(
+        TrueLayerService.getAccount("user_token", "acc_1")
+      ).rejects.toMatchObject({
+        message: "Failed to fetch account",
+        statusCode: 401,
+        errorCode: "TRUELAYER_AUTH_FAILED",
+        details: "invalid_token",
+      });
+    });
+
+    it("should map rate limiting to a rate limit error", async () => {
+      mockAxiosCreate.get.mockRejectedValueOnce({
+        response: { status: 429, data: { error: "rate_limit_exceeded" } },
+      });
+
+      await expect(
+        TrueLayerService.getAccounts("user_token")
+      ).rejects.toMatchObject({
+        statusCode: 429,
+        errorCode: "TRUELAYER_RATE_LIMIT",
+      });
+    });
+  });
+
+  describe("Transaction Sync", () => {
+    const buildConnection = (sync = {}) => {
+      const updateOne = jest.fn().mockResolvedValue({});
+      return {
+        _id: "connection_123",
+        userId: "user_123",
+        transactionSync: new Map(Object.entries(sync)),
+        model: jest.fn().mockReturnValue({ updateOne }),
+        updateOne,
+      };
+    };
+
+    beforeEach(() => {
+      categorisationService.categoriseTransactions.mockImplementation(
+        async (userId, records) =>
+          records.map(() => ({
+            category: "shopping",
+            source: "merchant",
+            merchantKey: "test merchant",
+          }))
+      );
+      merchantService.normaliseMerchants.mockImplementation(async (records) =>
+        records.map(() => ({
+          id: null,
+          name: "Test Merchant",
+          confidence: 0.6,
+        }))
+      );
+    });
+
+    it("should fetch the full window on the first sync", async () => {
+      const connection = buildConnection();
+      jest
+        .spyOn(TrueLayerService, "getTransactions")
+        .mockResolvedValueOnce(generateTestTransactionData(2));
+
+      const result = await TrueLayerService.syncAccount("token", connection, {
+        accountId: "acc_1",
+      });
+
+      expect(TrueLayerService.getTransactions).toHaveBeenCalledWith("token", {
+        accountId: "acc_1",
+        from: undefined,
+      });
+      expect(Transaction.upsertFromProvider).toHaveBeenCalledWith(
+        connection,
+        { resourceType: "accounts", accountId: "acc_1" },
+        expect.any(Array),
+        {
+          categorisations: expect.arrayContaining([
+            expect.objectContaining({ category: "shopping" }),
+          ]),
+          merchants: expect.arrayContaining([
+            expect.objectContaining({ name: "Test Merchant" }),
+          ]),
+        }
+      );
+      expect(categorisationService.categoriseTransactions).toHaveBeenCalledWith(
+        "user_123",
+        expect.any(Array)
+      );
+      expect(result.fetchedCount).toBe(2);
+    });
+
+    it("should overlap the watermark and de-duplicate results", async () => {
+      const watermark = new Date("2024-03-10T12:00:00Z");
+      const connection = buildConnection({
+        "accounts:acc_1": { watermark, syncedAt: new Date() },
+      });
+      const [transaction] = generateTestTransactionData(1);
+      jest
+        .spyOn(TrueLayerService, "getTransactions")
+        .mockResolvedValueOnce([transaction, transaction]);
+
+      await TrueLayerService.syncAccount("token", connection, {
+        accountId: "acc_1",
+      });
+
+      expect(TrueLayerService.getTransactions).toHaveBeenCalledWith("token", {
+        accountId: "acc_1",
+        from: new Date(
+          watermark.getTime() - config.trueLayer.transactionSyncOverlap * 1000
+        ).toISOString(),
+      });
+      expect(Transaction.upsertFromProvider.mock.calls[0][2]).toHaveLength(1);
+      expect(connection.updateOne).toHaveBeenCalledWith(
+        { _id: "connection_123" },
+        {
+          $set: {
+            "transactionSync.accounts:acc_1": {
+              watermark: new Date(transaction.timestamp),
+              syncedAt: expect.any(Date),
+            },
+          },
+        }
+      );
+    });
+
+    it("should keep the watermark when nothing new was fetched", async () => {
+      const watermark = new Date("2024-03-10T12:00:00Z");
+      const connection = buildConnection({
+        "cards:card_1": { watermark, syncedAt: new Date() },
+      });
+      jest
+        .spyOn(TrueLayerService, "getCardTransactions")
+        .mockResolvedValueOnce([]);
+
+      const result = await TrueLayerService.syncAccount("token", connection, {
+        resourceType: "cards",
+        accountId: "card_1",
+      });
+
+      expect(Transaction.upsertFromProvider).not.toHaveBeenCalled();
+      expect(result.watermark).toBe(watermark);
+    });
+  });
+
+  describe("Scheduled Payments", () => {
+    it("should normalise standing orders", () => {
+      const normalised = TrueLayerService.normaliseStandingOrder({
+        frequency: "IntrvlMnthDay:01:15",
+        status: "Active",
+        currency: "GBP",
+        next_payment_date: "2024-02-15T00:00:00Z",
+        next_payment_amount: 250,
+        first_payment_date: "2023-01-15T00:00:00Z",
+        reference: "RENT",
+        payee: "Landlord Ltd",
+      });
+
+      expect(normalised).toEqual({
+        id: expect.stringMatching(/^[a-f0-9]{24}$/),
+        type: "standing_order",
+        payee: "Landlord Ltd",
+        reference: "RENT",
+        amount: 250,
+        currency: "GBP",
+        frequency: "monthly",
+        nextPaymentDate: "2024-02-15T00:00:00Z",
+        lastPaymentDate: null,
+        status: "active",
+      });
+    });
+
+    it("should normalise direct debits", () => {
+      const normalised = TrueLayerService.normaliseDirectDebit({
+        direct_debit_id: "dd_123",
+        name: "Energy Co",
+        status: "Active",
+        previous_payment_timestamp: "2024-01-03T00:00:00Z",
+        previous_payment_amount: 84.5,
+        currency: "GBP",
+      });
+
+      expect(normalised).toMatchObject({
+        id: "dd_123",
+        type: "direct_debit",
+        payee: "Energy Co",
+        amount: 84.5,
+        frequency: null,
+        nextPaymentDate: null,
+        lastPaymentDate: "2024-01-03T00:00:00Z",
+      });
+    });
+
+    it.each([
+      ["EvryWorkgDay", "daily"],
+      ["IntrvlWkDay:01:03", "weekly"],
+      ["IntrvlWkDay:02:05", "fortnightly"],
+      ["WkInMnthDay:02:03", "monthly"],
+      ["IntrvlMnthDay:03:01", "quarterly"],
+      ["IntrvlMnthDay:12:01", "annually"],
+      ["QtrDay:ENGLISH", "quarterly"],
+      ["Something", "other"],
+    ])("should map frequency %s to %s", (frequency, expected) => {
+      expect(TrueLayerService.normaliseFrequency(frequency)).toBe(expected);
+    });
+  });
+
   describe("Data Sanitization", () => {
     it("should properly mask account numbers", () => {
       const rawAccount = {
@@ -482,6 +1053,42 @@ describe("TrueLayerService", () => {
       expect(sanitized.accountNumber).toBeNull();
     });
 
+    it("should mask card numbers", () => {
+      const rawCard = {
+        account_id: "card_123",
+        card_network: "VISA",
+        card_type: "CREDIT",
+        currency: "GBP",
+        display_name: "Gold Card",
+        partial_card_number: "1234",
+        name_on_card: "J DOE",
+        provider: { provider_id: "test_bank", display_name: "Test Bank" },
+      };
+
+      const sanitized = TrueLayerService.sanitizeCardData(rawCard);
+      expect(sanitized.cardNumber).toBe("**** **** **** 1234");
+      expect(sanitized).not.toHaveProperty("nameOnCard");
+    });
+
+    it("should sanitize identity data", () => {
+      const sanitized = TrueLayerService.sanitizeIdentityData({
+        full_name: "John Doe",
+        emails: ["john@example.com"],
+        addresses: [
+          { address: "1 High Street", city: "London", zip: "SW1A 1AA" },
+        ],
+        update_timestamp: "2024-01-01T00:00:00Z",
+      });
+
+      expect(sanitized).toMatchObject({
+        fullName: "John Doe",
+        dateOfBirth: null,
+        emails: ["john@example.com"],
+        phones: [],
+        addresses: [{ address: "1 High Street", city: "London", state: null }],
+      });
+    });
+
     it("should sanitize transaction data", () => {
       const rawTransaction = {
         transaction_id: "tx_123",
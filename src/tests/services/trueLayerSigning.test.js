@@ -0,0 +1,198 @@
+const crypto = require("crypto");
+const config = require("../../config/config");
+const TrueLayerService = require("../../services/trueLayerService");
+
+describe("TrueLayer Payments request signing", () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", {
+    namedCurve: "P-521",
+  });
+  let originalConfig;
+  let originalAdapter;
+  let requests;
+
+  /**
+   * Check a detached Tl-Signature against the request it was sent with
+   */
+  const verifySignature = (request) => {
+    const [jwsHeader, payload, signature] =
+      request.headers["Tl-Signature"].split(".");
+    const signedPayload = [
+      `${request.method.toUpperCase()} ${new URL(request.url).pathname}\n`,
+      `Idempotency-Key: ${request.headers["Idempotency-Key"]}\n`,
+      request.data || "",
+    ].join("");
+
+    return {
+      header: JSON.parse(Buffer.from(jwsHeader, "base64url").toString()),
+      detached: payload === "",
+      valid: crypto.verify(
+        "sha512",
+        Buffer.from(
+          `${jwsHeader}.${Buffer.from(signedPayload).toString("base64url")}`
+        ),
+        { key: publicKey, dsaEncoding: "ieee-p1363" },
+        Buffer.from(signature, "base64url")
+      ),
+    };
+  };
+
+  // Answers each request in turn with the given statuses
+  const respondWith = (...statuses) => {
+    TrueLayerService.api.defaults.adapter = async (request) => {
+      requests.push({
+        ...request,
+        url: TrueLayerService.api.getUri(request),
+        headers: { ...request.headers },
+      });
+      const status = statuses[requests.length - 1] || 200;
+
+      if (status >= 400) {
+        const error = new Error(`Request failed with status code ${status}`);
+        error.config = request;
+        error.response = { status, data: {} };
+        throw error;
+      }
+
+      return { status, data: { id: "pay_1" }, headers: {}, config: request };
+    };
+  };
+
+  beforeAll(() => {
+    originalConfig = { ...config.trueLayer };
+    originalAdapter = TrueLayerService.api.defaults.adapter;
+  });
+
+  beforeEach(() => {
+    requests = [];
+    config.trueLayer.privateKey = privateKey.export({
+      type: "sec1",
+      format: "pem",
+    });
+    config.trueLayer.kid = "test-kid";
+    TrueLayerService.api.defaults.baseURL = "https://api.truelayer.test";
+    jest
+      .spyOn(TrueLayerService, "getAccessToken")
+      .mockResolvedValue("client.token");
+    // Retry immediately instead of backing off
+    jest.spyOn(global, "setTimeout").mockImplementation((cb) => cb());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    config.trueLayer = { ...originalConfig };
+    TrueLayerService.api.defaults.adapter = originalAdapter;
+  });
+
+  it("should sign a payment with the configured key and kid", async () => {
+    respondWith(201);
+
+    await TrueLayerService.makeAuthenticatedRequest("POST", "/v3/payments", {
+      amount_in_minor: 1000,
+      currency: "GBP",
+    });
+
+    const [request] = requests;
+    const { header, detached, valid } = verifySignature(request);
+
+    expect(valid).toBe(true);
+    expect(detached).toBe(true);
+    expect(header).toEqual({
+      alg: "ES512",
+      kid: "test-kid",
+      tl_version: "2",
+      tl_headers: "Idempotency-Key",
+    });
+    expect(request.headers["Idempotency-Key"]).toMatch(
+      /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+    );
+  });
+
+  it("should keep a caller's idempotency key", async () => {
+    respondWith(201);
+
+    await TrueLayerService.makeAuthenticatedRequest(
+      "POST",
+      "/v3/payments",
+      { amount_in_minor: 1000 },
+      { "Idempotency-Key": "payment-key-1" }
+    );
+
+    expect(requests[0].headers["Idempotency-Key"]).toBe("payment-key-1");
+    expect(verifySignature(requests[0]).valid).toBe(true);
+  });
+
+  it("should resend the same idempotency key, re-signed, when retrying", async () => {
+    respondWith(503, 502, 201);
+
+    await TrueLayerService.makeAuthenticatedRequest("POST", "/v3/payments", {
+      amount_in_minor: 1000,
+    });
+
+    expect(requests).toHaveLength(3);
+    const keys = requests.map((request) => request.headers["Idempotency-Key"]);
+    expect(new Set(keys).size).toBe(1);
+    requests.forEach((request) => {
+      expect(verifySignature(request).valid).toBe(true);
+    });
+  });
+
+  it("should not verify if the body was changed after signing", async () => {
+    respondWith(201);
+
+    await TrueLayerService.makeAuthenticatedRequest("POST", "/v3/payments", {
+      amount_in_minor: 1000,
+    });
+
+    const tampered = { ...requests[0], data: '{"amount_in_minor":100000}' };
+    expect(verifySignature(tampered).valid).toBe(false);
+  });
+
+  it("should leave reads and Data API requests unsigned", async () => {
+    respondWith(200, 200);
+
+    await TrueLayerService.makeAuthenticatedRequest(
+      "GET",
+      "/v3/payments/pay_1"
+    );
+    await TrueLayerService.makeAuthenticatedRequest(
+      "POST",
+      "/data/v1/test",
+      {}
+    );
+
+    requests.forEach((request) => {
+      expect(request.headers["Tl-Signature"]).toBeUndefined();
+      expect(request.headers["Idempotency-Key"]).toBeUndefined();
+    });
+  });
+
+  it("should not retry a POST that has no idempotency key", async () => {
+    respondWith(503, 201);
+
+    await expect(
+      TrueLayerService.makeAuthenticatedRequest("POST", "/data/v1/test", {})
+    ).rejects.toThrow("Request failed with status code 503");
+
+    expect(requests).toHaveLength(1);
+  });
+
+  it("should still send requests when the API URL is unset", async () => {
+    TrueLayerService.api.defaults.baseURL = undefined;
+    respondWith(200, 201);
+
+    await TrueLayerService.makeAuthenticatedRequest(
+      "POST",
+      "/data/v1/test",
+      {}
+    );
+    await TrueLayerService.makeAuthenticatedRequest("POST", "/v3/payments", {
+      amount_in_minor: 1000,
+    });
+
+    expect(requests[0].headers["Tl-Signature"]).toBeUndefined();
+    expect(requests[1].headers["Tl-Signature"]).toBeDefined();
+  });
+});
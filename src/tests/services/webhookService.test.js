@@ -0,0 +1,376 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../../config/config");
+const WebhookEvent = require("../../models/WebhookEvent");
+const cacheService = require("../../services/cacheService");
+const paymentService = require("../../services/paymentService");
+const payoutService = require("../../services/payoutService");
+const TrueLayerService = require("../../services/trueLayerService");
+const {
+  handleWebhookEvent,
+  verifyWebhook,
+} = require("../../services/webhookService");
+
+jest.mock("../../models/WebhookEvent");
+jest.mock("../../services/cacheService");
+jest.mock("../../services/paymentService");
+jest.mock("../../services/payoutService");
+
+describe("Webhook Service", () => {
+  const webhookPath = "/api/v1/webhooks/truelayer";
+  const jku = "https://webhooks.truelayer.com/.well-known/jwks";
+  const now = new Date("2024-06-01T12:00:00Z");
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", {
+    namedCurve: "P-521",
+  });
+  let originalConfig;
+  let jwksFile;
+
+  /**
+   * Sign a webhook the way TrueLayer does, returning its headers
+   */
+  const signWebhook = (
+    body,
+    {
+      timestamp = now.toISOString(),
+      key = privateKey,
+      kid = "webhook-key",
+      jwksUrl = jku,
+    } = {}
+  ) => {
+    const headers = { "X-Tl-Webhook-Timestamp": timestamp };
+    const jwsHeader = Buffer.from(
+      JSON.stringify({
+        alg: "ES512",
+        kid,
+        jku: jwksUrl,
+        tl_version: "2",
+        tl_headers: Object.keys(headers).join(","),
+      })
+    ).toString("base64url");
+    const payload = [
+      `POST ${webhookPath}\n`,
+      ...Object.entries(headers).map(([name, value]) => `${name}: ${value}\n`),
+      body,
+    ].join("");
+    const signature = crypto
+      .sign(
+        "sha512",
+        Buffer.from(
+          `${jwsHeader}.${Buffer.from(payload).toString("base64url")}`
+        ),
+        { key, dsaEncoding: "ieee-p1363" }
+      )
+      .toString("base64url");
+
+    return {
+      "x-tl-webhook-timestamp": timestamp,
+      "tl-signature": `${jwsHeader}..${signature}`,
+    };
+  };
+
+  const verify = (body, headers, overrides = {}) =>
+    verifyWebhook({
+      path: webhookPath,
+      headers,
+      body: Buffer.from(body),
+      now,
+      ...overrides,
+    });
+
+  beforeAll(() => {
+    originalConfig = { ...config.trueLayer };
+    jwksFile = path.join(os.tmpdir(), `jwks-${process.pid}.json`);
+    fs.writeFileSync(
+      jwksFile,
+      JSON.stringify({
+        keys: [{ ...publicKey.export({ format: "jwk" }), kid: "webhook-key" }],
+      })
+    );
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.trueLayer = { ...originalConfig, webhookJwksFile: jwksFile };
+  });
+
+  afterAll(() => {
+    config.trueLayer = originalConfig;
+    fs.unlinkSync(jwksFile);
+  });
+
+  describe("verifyWebhook", () => {
+    const body = JSON.stringify({
+      type: "payment_executed",
+      event_id: "event_1",
+      payment_id: "pay_1",
+    });
+
+    it("should accept a webhook signed with a key from the JWKS", async () => {
+      const { sentAt } = await verify(body, signWebhook(body));
+
+      expect(sentAt).toEqual(now);
+    });
+
+    it("should reject a body changed after signing", async () => {
+      const headers = signWebhook(body);
+
+      await expect(
+        verify(body.replace("pay_1", "pay_2"), headers)
+      ).rejects.toThrow("Invalid TrueLayer webhook signature");
+    });
+
+    it("should reject a signature from a key TrueLayer did not publish", async () => {
+      const { privateKey: otherKey } = crypto.generateKeyPairSync("ec", {
+        namedCurve: "P-521",
+      });
+
+      await expect(
+        verify(body, signWebhook(body, { key: otherKey }))
+      ).rejects.toThrow("Invalid TrueLayer webhook signature");
+      await expect(
+        verify(body, signWebhook(body, { kid: "unknown" }))
+      ).rejects.toThrow("Unknown TrueLayer webhook signing key");
+    });
+
+    it("should only trust keys from TrueLayer's JWKS URLs", async () => {
+      await expect(
+        verify(
+          body,
+          signWebhook(body, { jwksUrl: "https://attacker.example/jwks" })
+        )
+      ).rejects.toThrow("Unsupported TrueLayer webhook signature");
+    });
+
+    it("should reject a replay outside the timestamp window", async () => {
+      const headers = signWebhook(body, {
+        timestamp: "2024-06-01T11:50:00Z",
+      });
+
+      await expect(verify(body, headers)).rejects.toThrow(
+        "TrueLayer webhook timestamp is outside the allowed window"
+      );
+    });
+
+    it("should reject a webhook without a signature", async () => {
+      await expect(verify(body, {})).rejects.toThrow(
+        "Missing TrueLayer webhook signature"
+      );
+    });
+
+    describe("with TrueLayer's JWKS", () => {
+      const publishedKey = {
+        ...publicKey.export({ format: "jwk" }),
+        kid: "webhook-key",
+      };
+
+      beforeEach(() => {
+        config.trueLayer = { ...originalConfig, webhookJwksFile: undefined };
+        jest
+          .spyOn(TrueLayerService, "getWebhookKeys")
+          .mockResolvedValue([publishedKey]);
+      });
+
+      it("should fetch the JWKS for a key it has not seen", async () => {
+        cacheService.get.mockResolvedValue(null);
+
+        await verify(body, signWebhook(body));
+
+        expect(TrueLayerService.getWebhookKeys).toHaveBeenCalledWith(jku);
+        expect(cacheService.set).toHaveBeenCalledWith(
+          "truelayer-webhook-jwks",
+          jku,
+          { keys: [publishedKey], fetchedAt: expect.any(Number) },
+          { ttl: config.trueLayer.webhookJwksCacheTtl }
+        );
+      });
+
+      it("should not refetch the JWKS for every unknown key", async () => {
+        cacheService.get.mockResolvedValue({
+          keys: [publishedKey],
+          fetchedAt: Date.now(),
+        });
+
+        await expect(
+          verify(body, signWebhook(body, { kid: "unknown" }))
+        ).rejects.toThrow("Unknown TrueLayer webhook signing key");
+        expect(TrueLayerService.getWebhookKeys).not.toHaveBeenCalled();
+      });
+
+      it("should refetch the JWKS for an unknown key once the interval has passed", async () => {
+        cacheService.get.mockResolvedValue({
+          keys: [],
+          fetchedAt:
+            Date.now() - config.trueLayer.webhookJwksRefetchInterval * 1000,
+        });
+
+        await verify(body, signWebhook(body));
+
+        expect(TrueLayerService.getWebhookKeys).toHaveBeenCalledTimes(1);
+      });
+    });
+  });
+
+  describe("handleWebhookEvent", () => {
+    const payload = {
+      type: "payment_executed",
+      event_id: "event_1",
+      payment_id: "pay_1",
+    };
+
+    const buildEvent = (overrides = {}) => {
+      const event = {
+        eventId: "event_1",
+        status: "processing",
+        attempts: 1,
+        createdAt: new Date(),
+        save: jest.fn().mockResolvedValue(),
+        ...overrides,
+      };
+      return event;
+    };
+
+    it("should store the event and update the payment", async () => {
+      const event = buildEvent();
+      WebhookEvent.create.mockResolvedValue(event);
+      paymentService.applyPaymentEvent.mockResolvedValue(true);
+
+      const result = await handleWebhookEvent(payload, { sentAt: now });
+
+      expect(WebhookEvent.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          eventId: "event_1",
+          type: "payment_executed",
+          sentAt: now,
+          payload,
+          status: "processing",
+        })
+      );
+      expect(paymentService.applyPaymentEvent).toHaveBeenCalledWith(payload);
+      expect(result.duplicate).toBe(false);
+      expect(event.status).toBe("processed");
+    });
+
+    it("should not act on an event ID it has already processed", async () => {
+      WebhookEvent.create.mockRejectedValue({ code: 11000 });
+      WebhookEvent.findOneAndUpdate
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(
+          buildEvent({ status: "processed", attempts: 2 })
+        );
+
+      const result = await handleWebhookEvent(payload);
+
+      expect(result.duplicate).toBe(true);
+      expect(paymentService.applyPaymentEvent).not.toHaveBeenCalled();
+    });
+
+    it("should not act on an event another delivery is handling", async () => {
+      WebhookEvent.create.mockRejectedValue({ code: 11000 });
+      WebhookEvent.findOneAndUpdate
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(buildEvent({ attempts: 2 }));
+
+      const result = await handleWebhookEvent(payload);
+
+      const [claim, update] = WebhookEvent.findOneAndUpdate.mock.calls[0];
+      expect(claim).toEqual({
+        eventId: "event_1",
+        $or: [
+          { status: { $in: ["received", "failed"] } },
+          { status: "processing", claimedAt: { $lt: expect.any(Date) } },
+        ],
+      });
+      expect(update.$set.status).toBe("processing");
+      expect(result.duplicate).toBe(true);
+      expect(paymentService.applyPaymentEvent).not.toHaveBeenCalled();
+    });
+
+    it("should retry an event whose earlier delivery failed", async () => {
+      const event = buildEvent({ error: "Timed out", attempts: 2 });
+      WebhookEvent.create.mockRejectedValue({ code: 11000 });
+      WebhookEvent.findOneAndUpdate.mockResolvedValue(event);
+      paymentService.applyPaymentEvent.mockResolvedValue(true);
+
+      const result = await handleWebhookEvent(payload);
+
+      expect(WebhookEvent.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(result.duplicate).toBe(false);
+      expect(event.status).toBe("processed");
+      expect(event.error).toBeUndefined();
+    });
+
+    it("should record a failure so the redelivery is processed", async () => {
+      const event = buildEvent();
+      WebhookEvent.create.mockResolvedValue(event);
+      paymentService.applyPaymentEvent.mockRejectedValue(
+        new Error("Database unavailable")
+      );
+
+      await expect(handleWebhookEvent(payload)).rejects.toThrow(
+        "Database unavailable"
+      );
+      expect(event).toMatchObject({
+        status: "failed",
+        error: "Database unavailable",
+      });
+    });
+
+    it("should have an event that arrives before its ID is saved redelivered", async () => {
+      const event = buildEvent();
+      WebhookEvent.create.mockResolvedValue(event);
+      paymentService.applyPaymentEvent.mockResolvedValue(false);
+
+      await expect(handleWebhookEvent(payload)).rejects.toMatchObject({
+        statusCode: 503,
+        errorCode: "WEBHOOK_TARGET_UNKNOWN",
+      });
+      expect(event.status).toBe("failed");
+    });
+
+    it("should acknowledge an event for an unknown ID after the grace period", async () => {
+      const event = buildEvent({
+        createdAt: new Date(
+          Date.now() -
+            (config.trueLayer.webhookUnknownTargetGracePeriod + 1) * 1000
+        ),
+      });
+      WebhookEvent.create.mockRejectedValue({ code: 11000 });
+      WebhookEvent.findOneAndUpdate.mockResolvedValue(event);
+      paymentService.applyPaymentEvent.mockResolvedValue(false);
+
+      const result = await handleWebhookEvent(payload);
+
+      expect(result.duplicate).toBe(false);
+      expect(event.status).toBe("ignored");
+    });
+
+    it("should pass payout events to the payout service", async () => {
+      const event = buildEvent();
+      WebhookEvent.create.mockResolvedValue(event);
+      payoutService.applyPayoutEvent.mockResolvedValue(true);
+      const payoutEvent = {
+        type: "payout_executed",
+        event_id: "event_1",
+        payout_id: "payout_1",
+      };
+
+      await handleWebhookEvent(payoutEvent);
+
+      expect(payoutService.applyPayoutEvent).toHaveBeenCalledWith(payoutEvent);
+      expect(paymentService.applyPaymentEvent).not.toHaveBeenCalled();
+      expect(event.status).toBe("processed");
+    });
+
+    it("should store events it has no handler for", async () => {
+      const event = buildEvent();
+      WebhookEvent.create.mockResolvedValue(event);
+
+      await handleWebhookEvent({ type: "mandate_authorized", event_id: "e" });
+
+      expect(event.status).toBe("ignored");
+    });
+  });
+});
@@ -112,6 +112,12 @@ describe("Error Classes", () => {
       expect(error.errorCode).toBe("TRUELAYER_RATE_LIMIT");
       expect(error.source).toBe("TrueLayer");
     });
+
+    it("should only treat answers TrueLayer did not act on as rejections", () => {
+      expect(new TrueLayerError("Refused", 422).isRejection()).toBe(true);
+      expect(TrueLayerError.connectionFailed().isRejection()).toBe(false);
+      expect(new TrueLayerError("In progress", 409).isRejection()).toBe(false);
+    });
   });
 
   describe("ValidationError", () => {
@@ -2,6 +2,8 @@ const {
   maskIP,
   maskEmail,
   maskApiKey,
+  maskCardNumber,
+  maskPhone,
   maskSensitiveData,
   createSafeLoggingContext,
 } = require("../../utils/masking");
@@ -63,6 +65,30 @@ describe("Masking Utilities", () => {
     });
   });
 
+  describe("maskCardNumber", () => {
+    it("should keep only the last four digits", () => {
+      expect(maskCardNumber("4111111111111234")).toBe("**** **** **** 1234");
+      expect(maskCardNumber("1234")).toBe("**** **** **** 1234");
+    });
+
+    it("should handle empty inputs", () => {
+      expect(maskCardNumber("")).toBeNull();
+      expect(maskCardNumber(null)).toBeNull();
+    });
+  });
+
+  describe("maskPhone", () => {
+    it("should keep the prefix and last three digits", () => {
+      expect(maskPhone("+447700900123")).toBe("+*********123");
+      expect(maskPhone("07700 900123")).toBe("********123");
+    });
+
+    it("should handle empty inputs", () => {
+      expect(maskPhone("")).toBeNull();
+      expect(maskPhone(null)).toBeNull();
+    });
+  });
+
   describe("maskSensitiveData", () => {
     it("should mask multiple sensitive fields", () => {
       const data = {
@@ -100,6 +126,34 @@ describe("Masking Utilities", () => {
       expect(masked.users[1].ip).toBe("192.168.xxx.xxx");
     });
 
+    it("should mask card numbers", () => {
+      const masked = maskSensitiveData({
+        card: { partial_card_number: "1234", display_name: "Gold Card" },
+      });
+
+      expect(masked.card.partial_card_number).toBe("**** **** **** 1234");
+      expect(masked.card.display_name).toBe("Gold Card");
+    });
+
+    it("should mask identity data and keep arrays as arrays", () => {
+      const masked = maskSensitiveData([
+        {
+          fullName: "John Doe",
+          emails: ["john@example.com"],
+          phones: ["+447700900123"],
+          addresses: [{ address: "1 High Street", zip: "SW1A 1AA" }],
+        },
+      ]);
+
+      expect(Array.isArray(masked)).toBe(true);
+      expect(Array.isArray(masked[0].emails)).toBe(true);
+      expect(masked[0].fullName).toBe("********");
+      expect(masked[0].emails[0]).toBe("j**n@example.com");
+      expect(masked[0].phones[0]).toBe("+*********123");
+      expect(masked[0].addresses[0].address).toBe("********");
+      expect(masked[0].addresses[0].zip).toBe("********");
+    });
+
     it("should handle null and undefined values", () => {
       const data = {
         user: {
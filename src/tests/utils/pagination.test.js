@@ -0,0 +1,60 @@
+const {
+  decodeCursor,
+  encodeCursor,
+  paginate,
+} = require("../../utils/pagination");
+
+describe("Pagination Utilities", () => {
+  const getPosition = (item) => ({ timestamp: item.timestamp, id: item.id });
+
+  describe("encodeCursor / decodeCursor", () => {
+    it("should round-trip a position", () => {
+      const position = { timestamp: "2024-01-15T10:00:00Z", id: "tx_1" };
+      expect(decodeCursor(encodeCursor(position))).toEqual(position);
+    });
+
+    it("should reject malformed cursors", () => {
+      expect(decodeCursor("not-a-cursor")).toBeNull();
+      expect(decodeCursor("")).toBeNull();
+      expect(
+        decodeCursor(
+          Buffer.from('{"t":"soon","id":"tx_1"}').toString("base64url")
+        )
+      ).toBeNull();
+    });
+  });
+
+  describe("paginate", () => {
+    const items = [
+      { id: "tx_a", timestamp: "2024-01-14T10:00:00Z" },
+      { id: "tx_c", timestamp: "2024-01-15T10:00:00Z" },
+      { id: "tx_b", timestamp: "2024-01-15T10:00:00Z" },
+      { id: "tx_d", timestamp: "2024-01-16T10:00:00Z" },
+    ];
+
+    it("should order newest first, breaking ties by ID", () => {
+      const { page, nextCursor } = paginate(items, { limit: 10, getPosition });
+
+      expect(page.map((item) => item.id)).toEqual([
+        "tx_d",
+        "tx_c",
+        "tx_b",
+        "tx_a",
+      ]);
+      expect(nextCursor).toBeNull();
+    });
+
+    it("should continue after the cursor without gaps or repeats", () => {
+      const first = paginate(items, { limit: 2, getPosition });
+      const second = paginate(items, {
+        cursor: first.nextCursor,
+        limit: 2,
+        getPosition,
+      });
+
+      expect(first.page.map((item) => item.id)).toEqual(["tx_d", "tx_c"]);
+      expect(second.page.map((item) => item.id)).toEqual(["tx_b", "tx_a"]);
+      expect(second.nextCursor).toBeNull();
+    });
+  });
+});
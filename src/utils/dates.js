@@ -0,0 +1,55 @@
+/**
+ * Treat a date-only upper bound as the end of that day
+ * @param {string} to - End date (ISO 8601)
+ * @returns {Date} Inclusive upper bound
+ */
+const endOfRange = (to) => {
+  const end = new Date(to);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    end.setUTCHours(23, 59, 59, 999);
+  }
+  return end;
+};
+
+// Months between payments for frequencies that fall on a day of the month
+const MONTHS_BETWEEN = {
+  monthly: 1,
+  quarterly: 3,
+  half_yearly: 6,
+  annual: 12,
+  annually: 12,
+};
+
+// Days between payments for the other frequencies
+const DAYS_BETWEEN = { daily: 1, weekly: 7, fortnightly: 14 };
+
+/**
+ * Date of the payment after the given one, keeping the day of the month
+ * @param {Date} date - Date of a payment
+ * @param {string} frequency - e.g. "weekly", "monthly" or "annually"
+ * @returns {Date|null} Date of the next payment, or null for an unknown frequency
+ */
+const addFrequency = (date, frequency) => {
+  const next = new Date(date);
+
+  if (DAYS_BETWEEN[frequency]) {
+    next.setUTCDate(next.getUTCDate() + DAYS_BETWEEN[frequency]);
+    return next;
+  }
+
+  if (!MONTHS_BETWEEN[frequency]) return null;
+
+  const day = next.getUTCDate();
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + MONTHS_BETWEEN[frequency]);
+
+  // Payments on the 31st fall on the last day of shorter months
+  const daysInMonth = new Date(
+    Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  next.setUTCDate(Math.min(day, daysInMonth));
+
+  return next;
+};
+
+export { addFrequency, endOfRange };
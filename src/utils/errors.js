@@ -70,21 +70,62 @@ class RegistrationError extends AppError {
 }
 
 class TrueLayerError extends AppError {
-  constructor(message, subType = "GENERAL") {
-    super(message, 500, `TRUELAYER_${subType}`);
+  constructor(message, statusCode = 500, subType = "GENERAL", details) {
+    super(message, statusCode, `TRUELAYER_${subType}`);
     this.subType = subType;
+    this.source = "TrueLayer";
+    if (details !== undefined) {
+      this.details = details;
+    }
+  }
+
+  /**
+   * Whether TrueLayer answered and did not act on the request. Timeouts and
+   * 5xx errors may follow a success, and a 409 means the same idempotency
+   * key is still being processed
+   * @returns {boolean} True if the request can be treated as never made
+   */
+  isRejection() {
+    return (
+      this.statusCode >= 400 && this.statusCode < 500 && this.statusCode !== 409
+    );
   }
 
   static connectionFailed(message = "Failed to connect to TrueLayer") {
-    return new TrueLayerError(message, "CONNECTION_FAILED");
+    return new TrueLayerError(message, 500, "CONNECTION_FAILED");
   }
 
   static authenticationFailed(message = "TrueLayer authentication failed") {
-    return new TrueLayerError(message, "AUTH_FAILED");
+    return new TrueLayerError(message, 401, "AUTH_FAILED");
   }
 
   static resourceNotFound(message = "TrueLayer resource not found") {
-    return new TrueLayerError(message, "NOT_FOUND");
+    return new TrueLayerError(message, 404, "NOT_FOUND");
+  }
+
+  static rateLimit(message = "TrueLayer rate limit exceeded") {
+    return new TrueLayerError(message, 429, "RATE_LIMIT");
+  }
+
+  static notConnected(message = "User not properly connected to TrueLayer") {
+    return new TrueLayerError(message, 400, "NOT_CONNECTED");
+  }
+
+  static connectionExpired(
+    message = "TrueLayer connection expired. Please reconnect your account."
+  ) {
+    return new TrueLayerError(message, 401, "CONNECTION_EXPIRED");
+  }
+
+  static consentExpired(
+    details,
+    message = "Bank consent has expired. Please re-authenticate your account."
+  ) {
+    const error = new TrueLayerError(message, 403, "CONSENT_EXPIRED", details);
+    // Clients branch on this code to start re-authentication, so it is not
+    // namespaced like other TrueLayer errors
+    error.errorCode = "CONSENT_EXPIRED";
+    return error;
   }
 }
 
@@ -104,6 +145,10 @@ class AuthorizationError extends AppError {
   static roleRequired(role, message = "Insufficient permissions") {
     return new AuthorizationError(message, "ROLE_REQUIRED");
   }
+
+  static permissionRequired(permission, message = "Insufficient permissions") {
+    return new AuthorizationError(message, "PERMISSION_REQUIRED");
+  }
 }
 
 class ResourceNotFoundError extends AppError {
@@ -39,38 +39,98 @@ const maskApiKey = (key) => {
   return "*".repeat(key.length - visibleChars) + key.slice(-visibleChars);
 };
 
+/**
+ * Mask a bank account number, keeping the last four digits
+ * @param {string} accountNumber - Account number to mask
+ * @returns {string|null} Masked account number
+ */
+const maskAccountNumber = (accountNumber) => {
+  if (!accountNumber) return null;
+  return `****${String(accountNumber).slice(-4)}`;
+};
+
+/**
+ * Mask a card number, keeping the last four digits
+ * @param {string} cardNumber - Full or partial card number to mask
+ * @returns {string|null} Masked card number
+ */
+const maskCardNumber = (cardNumber) => {
+  if (!cardNumber) return null;
+  const digits = String(cardNumber).replace(/\D/g, "");
+  return `**** **** **** ${digits.slice(-4)}`;
+};
+
+/**
+ * Mask a phone number, keeping the country prefix and last three digits
+ * @param {string} phone - Phone number to mask
+ * @returns {string|null} Masked phone number
+ */
+const maskPhone = (phone) => {
+  if (!phone) return null;
+  const digits = String(phone).replace(/\D/g, "");
+  const prefix = String(phone).trim().startsWith("+") ? "+" : "";
+  return `${prefix}${"*".repeat(Math.max(digits.length - 3, 0))}${digits.slice(
+    -3
+  )}`;
+};
+
 /**
  * Mask sensitive data in an object
  * @param {Object} data - Object containing sensitive data
  * @returns {Object} Object with masked sensitive data
  */
-const maskSensitiveData = (data) => {
+const maskSensitiveData = (data, parentKey = "") => {
   if (!data || typeof data !== "object") return data;
 
+  // Keys are compared lowercased without underscores, so both
+  // camelCase and snake_case payloads match
   const sensitiveFields = [
     "password",
     "token",
-    "apiKey",
+    "apikey",
     "secret",
     "email",
-    "ip",
-    "accessToken",
-    "refreshToken",
+    "phone",
+    "address",
+    "city",
+    "zip",
+    "postcode",
+    "postalcode",
+    "fullname",
+    "dateofbirth",
+    "cardnumber",
   ];
 
-  const maskedData = { ...data };
+  // "ip" is matched as a suffix so fields like "description" are left alone
+  const isIpField = (key) =>
+    (key.endsWith("ip") && !key.endsWith("zip")) || key.includes("ipaddress");
+
+  const maskedData = Array.isArray(data) ? [...data] : { ...data };
 
   for (const [key, value] of Object.entries(data)) {
+    // Array items inherit the field name of their array, e.g. emails: [...]
+    const fieldKey = Array.isArray(data) ? parentKey : key;
+
     if (typeof value === "object" && value !== null) {
-      maskedData[key] = maskSensitiveData(value);
+      maskedData[key] = maskSensitiveData(value, fieldKey);
     } else if (typeof value === "string") {
-      const lowerKey = key.toLowerCase();
-      if (sensitiveFields.some((field) => lowerKey.includes(field))) {
-        if (lowerKey.includes("email")) {
+      const normalisedKey = fieldKey.toLowerCase().replace(/_/g, "");
+      if (
+        isIpField(normalisedKey) ||
+        sensitiveFields.some((field) => normalisedKey.includes(field))
+      ) {
+        if (normalisedKey.includes("card")) {
+          maskedData[key] = maskCardNumber(value);
+        } else if (normalisedKey.includes("email")) {
           maskedData[key] = maskEmail(value);
-        } else if (lowerKey.includes("ip")) {
+        } else if (normalisedKey.includes("phone")) {
+          maskedData[key] = maskPhone(value);
+        } else if (isIpField(normalisedKey)) {
           maskedData[key] = maskIP(value);
-        } else if (lowerKey.includes("key") || lowerKey.includes("token")) {
+        } else if (
+          normalisedKey.includes("key") ||
+          normalisedKey.includes("token")
+        ) {
           maskedData[key] = maskApiKey(value);
         } else {
           maskedData[key] = "*".repeat(8);
@@ -98,8 +158,11 @@ const createSafeLoggingContext = (context) => {
 
 export {
   createSafeLoggingContext,
+  maskAccountNumber,
   maskApiKey,
+  maskCardNumber,
   maskEmail,
   maskIP,
+  maskPhone,
   maskSensitiveData,
 };
@@ -0,0 +1,74 @@
+/**
+ * Encode a list position as an opaque cursor
+ * @param {Object} position - Timestamp and ID of the last item returned
+ * @returns {string} Base64url encoded cursor
+ */
+const encodeCursor = ({ timestamp, id }) => {
+  return Buffer.from(JSON.stringify({ t: timestamp, id })).toString(
+    "base64url"
+  );
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor from a previous page
+ * @returns {Object|null} Timestamp and ID, or null if the cursor is invalid
+ */
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== "string" || cursor.length === 0) return null;
+
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+
+    if (typeof id !== "string" || isNaN(Date.parse(t))) return null;
+
+    return { timestamp: t, id };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Order items newest first, breaking timestamp ties by ID so pages are stable
+ * @param {Object} a - First item's position
+ * @param {Object} b - Second item's position
+ * @returns {number} Sort order
+ */
+const comparePositions = (a, b) => {
+  const byTime = Date.parse(b.timestamp) - Date.parse(a.timestamp);
+  if (byTime !== 0) return byTime;
+  if (a.id === b.id) return 0;
+  return a.id < b.id ? 1 : -1;
+};
+
+/**
+ * Return the page of items after a cursor
+ * @param {Array} items - Items to page through, in any order
+ * @param {Object} options - Pagination options
+ * @param {string} [options.cursor] - Cursor from the previous page
+ * @param {number} options.limit - Maximum number of items in the page
+ * @param {Function} options.getPosition - Maps an item to its timestamp and ID
+ * @returns {Object} Page items and the cursor for the next page, or null on the last page
+ */
+const paginate = (items, { cursor, limit, getPosition }) => {
+  const sorted = [...items].sort((a, b) =>
+    comparePositions(getPosition(a), getPosition(b))
+  );
+
+  const after = cursor ? decodeCursor(cursor) : null;
+  const remaining = after
+    ? sorted.filter((item) => comparePositions(after, getPosition(item)) < 0)
+    : sorted;
+
+  const page = remaining.slice(0, limit);
+  const hasMore = remaining.length > limit;
+
+  return {
+    page,
+    nextCursor: hasMore
+      ? encodeCursor(getPosition(page[page.length - 1]))
+      : null,
+  };
+};
+
+export { decodeCursor, encodeCursor, paginate };
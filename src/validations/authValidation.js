@@ -49,6 +49,9 @@ const trueLayerTokenSchema = Joi.object({
   code: Joi.string().required().messages({
     "any.required": "Authorization code is required",
   }),
+  state: Joi.string().required().messages({
+    "any.required": "State is required",
+  }),
 });
 
 /**
@@ -0,0 +1,75 @@
+import Joi from "joi";
+import { CATEGORIES } from "../constants/categories.js";
+import validate from "./validate.js";
+
+const limit = Joi.number().positive().precision(2).max(10000000).messages({
+  "number.base": "Limit must be a number",
+  "number.positive": "Limit must be greater than 0",
+  "number.precision": "Limit cannot have more than 2 decimal places",
+  "number.max": "Limit cannot exceed 10,000,000",
+});
+
+const currency = Joi.string()
+  .uppercase()
+  .pattern(/^[A-Z]{3}$/)
+  .messages({
+    "string.pattern.base": "Currency must be a three-letter ISO 4217 code",
+  });
+
+const createBudgetSchema = Joi.object({
+  category: Joi.string()
+    .valid(...Object.values(CATEGORIES))
+    .required()
+    .messages({
+      "any.only": `Category must be one of: ${Object.values(CATEGORIES).join(
+        ", "
+      )}`,
+      "any.required": "Category is required",
+    }),
+  limit: limit.required().messages({ "any.required": "Limit is required" }),
+  currency: currency.default("GBP"),
+  rollover: Joi.boolean().default(false),
+});
+
+// Category and currency identify the budget, so only these can change
+const updateBudgetSchema = Joi.object({
+  limit,
+  rollover: Joi.boolean(),
+})
+  .min(1)
+  .messages({
+    "object.min": "Provide a limit or rollover to update",
+  });
+
+const budgetIdSchema = Joi.object({
+  id: Joi.string()
+    .required()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      "string.pattern.base": "Invalid budget ID format",
+      "any.required": "Budget ID is required",
+    }),
+});
+
+const progressQuerySchema = Joi.object({
+  month: Joi.string()
+    .pattern(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .messages({
+      "string.pattern.base": "Month must be in YYYY-MM format",
+    }),
+});
+
+const validateCreateBudget = validate(createBudgetSchema, "body", "budget");
+
+const validateUpdateBudget = validate(updateBudgetSchema, "body", "budget");
+
+const validateBudgetId = validate(budgetIdSchema, "params", "budget");
+
+const validateProgressQuery = validate(progressQuerySchema, "query", "budget");
+
+export {
+  validateBudgetId,
+  validateCreateBudget,
+  validateProgressQuery,
+  validateUpdateBudget,
+};
@@ -0,0 +1,124 @@
+import Joi from "joi";
+import {
+  BENEFICIARY_TYPES,
+  PAYMENT_CURRENCIES,
+} from "../constants/payments.js";
+import validate from "./validate.js";
+
+// Characters UK banks accept in a payment reference
+const REFERENCE_PATTERN = /^[A-Za-z0-9 &\-./]+$/;
+
+const reference = Joi.string()
+  .trim()
+  .max(18)
+  .pattern(REFERENCE_PATTERN)
+  .messages({
+    "string.max": "Reference cannot exceed 18 characters",
+    "string.pattern.base":
+      "Reference can only contain letters, numbers, spaces and & - . /",
+  });
+
+const amountInMinor = Joi.number().integer().min(1).max(100000000).messages({
+  "number.base": "Amount must be a number",
+  "number.integer": "Amount must be in minor units, e.g. pence",
+  "number.min": "Amount must be at least 1",
+  "number.max": "Amount cannot exceed 100,000,000",
+});
+
+const beneficiarySchema = Joi.object({
+  type: Joi.string()
+    .valid(...BENEFICIARY_TYPES)
+    .required()
+    .messages({
+      "any.only": `Beneficiary type must be one of: ${BENEFICIARY_TYPES.join(
+        ", "
+      )}`,
+      "any.required": "Beneficiary type is required",
+    }),
+  // Defaults to our own merchant account
+  merchantAccountId: Joi.string().when("type", {
+    is: "merchant_account",
+    otherwise: Joi.forbidden(),
+  }),
+  accountHolderName: Joi.string()
+    .trim()
+    .max(140)
+    .when("type", {
+      is: "external_account",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({ "any.required": "Account holder name is required" }),
+  sortCode: Joi.string()
+    .replace(/-/g, "")
+    .pattern(/^\d{6}$/)
+    .when("type", {
+      is: "external_account",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      "string.pattern.base": "Sort code must be 6 digits",
+      "any.required": "Sort code is required",
+    }),
+  accountNumber: Joi.string()
+    .pattern(/^\d{8}$/)
+    .when("type", {
+      is: "external_account",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      "string.pattern.base": "Account number must be 8 digits",
+      "any.required": "Account number is required",
+    }),
+});
+
+const createPaymentSchema = Joi.object({
+  amountInMinor: amountInMinor
+    .required()
+    .messages({ "any.required": "Amount is required" }),
+  currency: Joi.string()
+    .uppercase()
+    .valid(...PAYMENT_CURRENCIES)
+    .default("GBP")
+    .messages({
+      "any.only": `Currency must be one of: ${PAYMENT_CURRENCIES.join(", ")}`,
+    }),
+  reference: reference
+    .when("beneficiary.type", {
+      is: "external_account",
+      then: Joi.required(),
+    })
+    .messages({
+      "any.required": "Reference is required when paying an external account",
+    }),
+  beneficiary: beneficiarySchema
+    .required()
+    .messages({ "any.required": "Beneficiary is required" }),
+  providerId: Joi.string().trim(),
+});
+
+// Without an amount, everything not yet refunded or paid out is refunded
+const createRefundSchema = Joi.object({
+  amountInMinor,
+  reference,
+});
+
+const paymentIdSchema = Joi.object({
+  id: Joi.string()
+    .required()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      "string.pattern.base": "Invalid payment ID format",
+      "any.required": "Payment ID is required",
+    }),
+});
+
+const validateCreatePayment = validate(createPaymentSchema, "body", "payment");
+
+const validateCreateRefund = validate(createRefundSchema, "body", "payment");
+
+const validatePaymentId = validate(paymentIdSchema, "params", "payment");
+
+export { validateCreatePayment, validateCreateRefund, validatePaymentId };
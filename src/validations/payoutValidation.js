@@ -0,0 +1,157 @@
+import Joi from "joi";
+import {
+  PAYMENT_CURRENCIES,
+  PAYOUT_BENEFICIARY_TYPES,
+  PAYOUT_STATUSES,
+} from "../constants/payments.js";
+import validate from "./validate.js";
+
+const objectId = (label) =>
+  Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      "string.pattern.base": `Invalid ${label} format`,
+      "any.required": `${label[0].toUpperCase()}${label.slice(1)} is required`,
+    });
+
+const externalOnly = (schema) =>
+  schema.when("type", {
+    is: "external_account",
+    otherwise: Joi.forbidden(),
+  });
+
+const beneficiarySchema = Joi.object({
+  type: Joi.string()
+    .valid(...PAYOUT_BENEFICIARY_TYPES)
+    .required()
+    .messages({
+      "any.only": `Beneficiary type must be one of: ${PAYOUT_BENEFICIARY_TYPES.join(
+        ", "
+      )}`,
+      "any.required": "Beneficiary type is required",
+    }),
+  // The payment whose source account is paid back
+  paymentId: objectId("payment ID").when("type", {
+    is: "payment_source",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  accountHolderName: Joi.string()
+    .trim()
+    .max(140)
+    .when("type", {
+      is: "external_account",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({ "any.required": "Account holder name is required" }),
+  iban: externalOnly(
+    Joi.string()
+      .replace(/\s/g, "")
+      .uppercase()
+      .pattern(/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/)
+      .messages({ "string.pattern.base": "IBAN is not valid" })
+  ),
+  sortCode: externalOnly(
+    Joi.string()
+      .replace(/-/g, "")
+      .pattern(/^\d{6}$/)
+      .messages({ "string.pattern.base": "Sort code must be 6 digits" })
+  ),
+  accountNumber: externalOnly(
+    Joi.string()
+      .pattern(/^\d{8}$/)
+      .messages({ "string.pattern.base": "Account number must be 8 digits" })
+  ),
+})
+  // An external account is an IBAN, or a sort code and account number
+  .oxor("iban", "sortCode")
+  .and("sortCode", "accountNumber")
+  .when(Joi.object({ type: Joi.valid("external_account") }).unknown(), {
+    then: Joi.object().or("iban", "sortCode"),
+  })
+  .messages({
+    "object.oxor": "Give either an IBAN or a sort code and account number",
+    "object.and": "Sort code and account number must be given together",
+    "object.missing": "An IBAN or a sort code and account number is required",
+  });
+
+const createPayoutSchema = Joi.object({
+  amountInMinor: Joi.number()
+    .integer()
+    .min(1)
+    .max(100000000)
+    .required()
+    .messages({
+      "number.base": "Amount must be a number",
+      "number.integer": "Amount must be in minor units, e.g. pence",
+      "number.min": "Amount must be at least 1",
+      "number.max": "Amount cannot exceed 100,000,000",
+      "any.required": "Amount is required",
+    }),
+  // Closed-loop payouts are in the currency of the payment
+  currency: Joi.string()
+    .uppercase()
+    .valid(...PAYMENT_CURRENCIES)
+    .when("beneficiary.type", {
+      is: "external_account",
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    })
+    .messages({
+      "any.only": `Currency must be one of: ${PAYMENT_CURRENCIES.join(", ")}`,
+      "any.required": "Currency is required when paying an external account",
+    }),
+  reference: Joi.string()
+    .trim()
+    .max(18)
+    .pattern(/^[A-Za-z0-9 &\-./]+$/)
+    .required()
+    .messages({
+      "string.max": "Reference cannot exceed 18 characters",
+      "string.pattern.base":
+        "Reference can only contain letters, numbers, spaces and & - . /",
+      "any.required": "Reference is required",
+    }),
+  beneficiary: beneficiarySchema
+    .required()
+    .messages({ "any.required": "Beneficiary is required" }),
+  // Defaults to our own merchant account
+  merchantAccountId: Joi.string().trim().when("beneficiary.type", {
+    is: "external_account",
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+const rejectPayoutSchema = Joi.object({
+  reason: Joi.string().trim().max(500).messages({
+    "string.max": "Reason cannot exceed 500 characters",
+  }),
+});
+
+const listPayoutsSchema = Joi.object({
+  status: Joi.string()
+    .valid(...PAYOUT_STATUSES)
+    .messages({
+      "any.only": `Status must be one of: ${PAYOUT_STATUSES.join(", ")}`,
+    }),
+});
+
+const payoutIdSchema = Joi.object({
+  id: objectId("payout ID").required(),
+});
+
+const validateCreatePayout = validate(createPayoutSchema, "body", "payout");
+
+const validateListPayouts = validate(listPayoutsSchema, "query", "payout");
+
+const validatePayoutId = validate(payoutIdSchema, "params", "payout");
+
+const validateRejectPayout = validate(rejectPayoutSchema, "body", "payout");
+
+export {
+  validateCreatePayout,
+  validateListPayouts,
+  validatePayoutId,
+  validateRejectPayout,
+};
@@ -0,0 +1,39 @@
+import logger from "../config/logger.js";
+
+/**
+ * Validation middleware factory
+ * @param {Joi.Schema} schema - Joi validation schema
+ * @param {string} source - Request property to validate ('body', 'query', 'params')
+ * @param {string} resource - Resource named in the warning log, e.g. 'budget'
+ */
+const validate = (schema, source, resource) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req[source], {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const details = error.details.map((detail) => detail.message);
+
+      logger.warn(`Invalid ${resource} request`, {
+        userId: req.user?.id,
+        path: req.path,
+        errors: details,
+      });
+
+      return res.status(400).json({
+        success: false,
+        error: "VALIDATION_ERROR",
+        message: "Invalid request data",
+        details,
+      });
+    }
+
+    // Merge so params, query and body validated separately all survive
+    req.validatedData = { ...req.validatedData, ...value };
+    next();
+  };
+};
+
+export default validate;